@@ -0,0 +1,53 @@
+require('dotenv').config();
+
+// Import interest accrual service
+const { runInterestAccrual } = require('./backend/services/interestService');
+
+// Usage: node accrue-interest.js [--period=YYYY-MM] [--society=<societyId>]
+const parseArgs = () => {
+    const args = {};
+    for (const arg of process.argv.slice(2)) {
+        const [key, value] = arg.replace(/^--/, '').split('=');
+        args[key] = value;
+    }
+    return args;
+};
+
+async function accrueInterest() {
+    const args = parseArgs();
+
+    console.log('💰 Running savings interest accrual...');
+
+    const reports = await runInterestAccrual({
+        period: args.period,
+        societyId: args.society || null
+    });
+
+    if (reports.length === 0) {
+        console.log('ℹ️  No savings services with an interest rate found');
+        return;
+    }
+
+    for (const report of reports) {
+        console.log(`\n🏛️  ${report.societyName} (${report.societyId})`);
+        for (const service of report.services) {
+            const status = service.skipped
+                ? `skipped: ${service.skipped}`
+                : `${service.accounts} accounts, ${service.posted} posted, ${service.alreadyPosted} already posted, ${service.totalInterest.toFixed(2)} interest`;
+            console.log(`   • ${service.serviceName} (${service.interestRate}% ${service.frequency}, ${service.period}): ${status}`);
+            for (const error of service.errors) {
+                console.log(`     ⚠️  member ${error.memberId} ${error.period}: ${error.message}`);
+            }
+        }
+        console.log(`   Total: ${report.posted} entries, ${report.totalInterest.toFixed(2)} interest`);
+    }
+}
+
+// Run accrual
+accrueInterest().then(() => {
+    console.log('\n🎉 Interest accrual completed');
+    process.exit(0);
+}).catch((error) => {
+    console.error('💥 Interest accrual failed:', error.message);
+    process.exit(1);
+});
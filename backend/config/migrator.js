@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('./db');
+
+// Versioned schema migrations.
+// Each file in backend/migrations is named NNN_description.js and exports
+// `up(connection)` and `down(connection)`. Applied versions are recorded in
+// schema_migrations. A MySQL named lock makes sure only one process (e.g. one
+// of several server instances starting together) migrates at a time.
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+const LOCK_NAME = 'coopbase_schema_migrations';
+const LOCK_TIMEOUT_SECONDS = parseInt(process.env.MIGRATION_LOCK_TIMEOUT) || 60;
+
+// Migration files on disk, in version order
+const loadMigrations = () => {
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => file.match(MIGRATION_FILE))
+        .filter(Boolean)
+        .map(([file, version, name]) => ({ version, name, file }))
+        .sort((a, b) => Number(a.version) - Number(b.version));
+
+    const seen = new Set();
+    for (const migration of migrations) {
+        if (seen.has(Number(migration.version))) {
+            throw new Error(`Duplicate migration version ${migration.version}`);
+        }
+        seen.add(Number(migration.version));
+    }
+
+    return migrations;
+};
+
+const loadMigration = (migration) => {
+    const steps = require(path.join(MIGRATIONS_DIR, migration.file));
+    if (typeof steps.up !== 'function' || typeof steps.down !== 'function') {
+        throw new Error(`Migration ${migration.file} must export up() and down()`);
+    }
+    return steps;
+};
+
+const ensureMigrationsTable = async (connection) => {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version VARCHAR(20) PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+};
+
+const appliedVersions = async (connection) => {
+    const [rows] = await connection.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY applied_at, version');
+    return rows;
+};
+
+// Run `work(connection)` on one pooled connection holding the migration lock
+const withMigrationLock = async (work) => {
+    const connection = await pool.getConnection();
+
+    try {
+        const [[{ acquired }]] = await connection.query(
+            'SELECT GET_LOCK(?, ?) as acquired',
+            [LOCK_NAME, LOCK_TIMEOUT_SECONDS]
+        );
+        if (acquired !== 1) {
+            throw new Error(`Could not acquire the migration lock within ${LOCK_TIMEOUT_SECONDS}s; another process is migrating`);
+        }
+
+        try {
+            await ensureMigrationsTable(connection);
+            return await work(connection);
+        } finally {
+            await connection.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+        }
+    } finally {
+        connection.release();
+    }
+};
+
+// Apply pending migrations in version order, up to and including `to` if given.
+// Resolves to the list of versions applied.
+const migrate = async ({ to = null, log = () => {} } = {}) => {
+    const migrations = loadMigrations();
+
+    return await withMigrationLock(async (connection) => {
+        const applied = new Set((await appliedVersions(connection)).map(row => row.version));
+        const pending = migrations.filter(migration =>
+            !applied.has(migration.version) && (to === null || Number(migration.version) <= Number(to)));
+
+        for (const migration of pending) {
+            log(`Applying ${migration.version}_${migration.name}`);
+            // MySQL commits DDL implicitly, so a migration is recorded only once it has fully run
+            await loadMigration(migration).up(connection);
+            await connection.query(
+                'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+                [migration.version, migration.name]
+            );
+        }
+
+        return pending.map(migration => migration.version);
+    });
+};
+
+// Roll back the most recently applied migrations, `steps` at a time (default 1).
+// Resolves to the list of versions rolled back.
+const rollback = async ({ steps = 1, log = () => {} } = {}) => {
+    const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+
+    return await withMigrationLock(async (connection) => {
+        const applied = (await appliedVersions(connection))
+            .sort((a, b) => Number(b.version) - Number(a.version))
+            .slice(0, steps);
+
+        for (const row of applied) {
+            const migration = migrations.get(row.version);
+            if (!migration) {
+                throw new Error(`Migration file for applied version ${row.version} (${row.name}) is missing`);
+            }
+
+            log(`Rolling back ${migration.version}_${migration.name}`);
+            await loadMigration(migration).down(connection);
+            await connection.query('DELETE FROM schema_migrations WHERE version = ?', [row.version]);
+        }
+
+        return applied.map(row => row.version);
+    });
+};
+
+// Every known migration with whether and when it was applied
+const status = async () => {
+    const migrations = loadMigrations();
+
+    return await withMigrationLock(async (connection) => {
+        const applied = new Map((await appliedVersions(connection)).map(row => [row.version, row]));
+        const known = new Set(migrations.map(migration => migration.version));
+
+        return [
+            ...migrations.map(migration => ({
+                version: migration.version,
+                name: migration.name,
+                applied: applied.has(migration.version),
+                appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+            })),
+            // Applied versions whose file is gone
+            ...Array.from(applied.values())
+                .filter(row => !known.has(row.version))
+                .map(row => ({ version: row.version, name: row.name, applied: true, appliedAt: row.applied_at, missing: true }))
+        ];
+    });
+};
+
+module.exports = {
+    migrate,
+    rollback,
+    status
+};
@@ -0,0 +1,71 @@
+const analyticsService = require('../services/analyticsService');
+const { handleControllerError } = require('../utils/errors');
+
+// Snapshot counts of societies and users
+const getOverview = async (req, res, next) => {
+    try {
+        const overview = await analyticsService.getOverview();
+
+        res.json({
+            message: 'Platform overview retrieved successfully',
+            ...overview
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Get analytics overview', 'An error occurred while retrieving the platform overview');
+    }
+};
+
+// Registration, approval and rejection time series (from, to, granularity)
+const getRegistrationTrends = async (req, res, next) => {
+    try {
+        const { from, to, granularity } = req.query;
+        const trends = await analyticsService.getRegistrationTrends({ from, to, granularity });
+
+        res.json({
+            message: 'Registration trends retrieved successfully',
+            ...trends
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Get registration trends', 'An error occurred while retrieving registration trends');
+    }
+};
+
+// Active members per society
+const getMembersBySociety = async (req, res, next) => {
+    try {
+        const societies = await analyticsService.getMembersBySociety();
+
+        res.json({
+            message: 'Members per society retrieved successfully',
+            societies
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Get members per society', 'An error occurred while retrieving members per society');
+    }
+};
+
+// Transaction volume per society (from, to)
+const getTransactionVolume = async (req, res, next) => {
+    try {
+        const { from, to } = req.query;
+        const volume = await analyticsService.getTransactionVolume({ from, to });
+
+        res.json({
+            message: 'Transaction volume retrieved successfully',
+            ...volume
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Get transaction volume', 'An error occurred while retrieving transaction volume');
+    }
+};
+
+module.exports = {
+    getOverview,
+    getRegistrationTrends,
+    getMembersBySociety,
+    getTransactionVolume
+};
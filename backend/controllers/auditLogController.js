@@ -0,0 +1,80 @@
+const AuditLog = require('../models/auditLogModel');
+const { logAuditTrail } = require('../utils/auditTrail');
+const { toCsv } = require('../utils/csv');
+const { handleControllerError } = require('../utils/errors');
+
+// Filters from the query string. Under /api/societies/:societyId the tenant
+// middleware pins the society; the developer-wide /api/audit-logs may filter
+// by any society or none.
+const auditFilters = (req) => {
+    const { societyId, userId, action, table, from, to, page, limit } = req.query;
+
+    return {
+        societyId: req.tenant ? req.tenant.societyId : societyId,
+        userId,
+        action,
+        tableName: table,
+        from,
+        to,
+        page,
+        limit
+    };
+};
+
+const formatJson = (value) => (value === null || value === undefined ? '' : JSON.stringify(value));
+
+// List audit log entries
+const getAuditLogs = async (req, res, next) => {
+    try {
+        const result = await AuditLog.findAll(auditFilters(req));
+
+        res.json({
+            message: 'Audit logs retrieved successfully',
+            ...result
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Get audit logs', 'An error occurred while retrieving audit logs');
+    }
+};
+
+// Export audit log entries as CSV
+const exportAuditLogs = async (req, res, next) => {
+    try {
+        const filters = auditFilters(req);
+        const { auditLogs, truncated } = await AuditLog.findForExport(filters);
+
+        await logAuditTrail(req.user.id, filters.societyId || null, 'AUDIT_LOG_EXPORT', 'audit_logs', null, null, {
+            filters: { ...filters, page: undefined, limit: undefined },
+            rows: auditLogs.length,
+            truncated
+        }, req.ip, req.get('User-Agent'));
+
+        const csv = toCsv(
+            ['seq', 'created_at', 'society_id', 'society_name', 'user_id', 'user_email', 'action', 'table_name',
+             'record_id', 'old_values', 'new_values', 'ip_address', 'user_agent', 'hash'],
+            auditLogs.map(entry => [
+                entry.seq, entry.createdAt, entry.societyId, entry.societyName, entry.userId, entry.userEmail,
+                entry.action, entry.tableName, entry.recordId, formatJson(entry.oldValues), formatJson(entry.newValues),
+                entry.ipAddress, entry.userAgent, entry.hash
+            ])
+        );
+
+        // Exports are capped; the header tells the client to narrow the filters
+        if (truncated) {
+            res.set('X-Export-Truncated', `true; limit=${AuditLog.MAX_EXPORT_ROWS}`);
+        }
+
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.attachment(`audit-logs-${new Date().toISOString().slice(0, 10)}.csv`);
+        res.send(csv);
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Export audit logs', 'An error occurred while exporting audit logs');
+    }
+};
+
+module.exports = {
+    getAuditLogs,
+    exportAuditLogs
+};
@@ -1,74 +1,248 @@
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
-const { query } = require('../config/db');
+const { query, withTransaction } = require('../config/db');
 const Society = require('../models/societyModel');
 const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
+const SocietyRole = require('../models/societyRoleModel');
+const accountService = require('../services/accountService');
+const notificationService = require('../services/notificationService');
+const documentService = require('../services/documentService');
+const registrationService = require('../services/registrationService');
+const societyLifecycleService = require('../services/societyLifecycleService');
+const twoFactorService = require('../services/twoFactorService');
+const loginProtectionService = require('../services/loginProtectionService');
+const { startSession, refreshSession } = require('../services/sessionService');
+const { logAuditTrail } = require('../utils/auditTrail');
+const { ConflictError, UnauthorizedError, handleControllerError } = require('../utils/errors');
+
+// Developer accounts, looked up by email at password login and by id when a
+// two-factor login is completed
+const findDeveloperUser = async (column, value) => {
+    const [users] = await query(
+        `SELECT * FROM users WHERE ${column} = ? AND role = "developer" AND status = "active"`,
+        [value]
+    );
+
+    return users[0] || null;
+};
 
-// Developer login
-const developerLogin = async (req, res) => {
-    try {
-        const { email, password } = req.body;
+// Society admin and staff accounts with their society and the staff user's role
+const findSocietyUser = async (column, value) => {
+    const [users] = await query(
+        `SELECT u.*, s.id as society_id, s.name as society_name, s.status as society_status,
+                s.status_reason as society_status_reason,
+                r.name as society_role_name, r.permissions as society_role_permissions
+         FROM users u 
+         JOIN societies s ON u.society_id = s.id 
+         LEFT JOIN society_roles r ON u.society_role_id = r.id AND r.society_id = u.society_id
+         WHERE u.${column} = ? AND u.role IN ("society_admin", "society_staff") AND u.status = "active"`,
+        [value]
+    );
+
+    return users[0] || null;
+};
 
-        // Validate input
-        if (!email || !password) {
-            return res.status(400).json({
-                error: 'Missing required fields',
-                message: 'Email and password are required'
-            });
-        }
+// Why a society user whose password is correct may not sign in, as
+// { status, error, message }, or null. Checked again when a two-factor
+// login is completed, in case the society changed in between.
+const societyLoginRefusal = (user) => {
+    // Society users must confirm their email address first (staff do so by accepting their invitation)
+    if (!user.email_verified_at) {
+        return {
+            status: 403,
+            error: 'Email not verified',
+            message: 'Please verify your email address using the link we sent you'
+        };
+    }
 
-        // Find developer user
-        const [users] = await query(
-            'SELECT * FROM users WHERE email = ? AND role = "developer" AND status = "active"',
-            [email]
-        );
+    // A suspended society is locked out entirely
+    if (user.society_status === 'suspended') {
+        return {
+            status: 403,
+            error: 'Society suspended',
+            message: `Your society has been suspended: ${user.society_status_reason || 'no reason was given'}`
+        };
+    }
 
-        if (users.length === 0) {
-            return res.status(401).json({
-                error: 'Authentication failed',
-                message: 'Invalid email or password'
-            });
+    // Only the admin may follow a registration under review
+    if (['pending', 'rejected'].includes(user.society_status) && user.role !== 'society_admin') {
+        return {
+            status: 403,
+            error: 'Society not approved',
+            message: `Your society registration is ${user.society_status}`
+        };
+    }
+
+    return null;
+};
+
+// Answer a login refused because of earlier failed attempts
+const refuseBlockedLogin = (res, block) => {
+    res.set('Retry-After', String(block.retryAfter));
+    return res.status(429).json(block.locked
+        ? {
+            error: 'Account locked',
+            message: `Too many failed login attempts; try again in ${Math.ceil(block.retryAfter / 60)} minute(s) or ask an administrator to unlock the account`,
+            retryAfter: block.retryAfter
         }
+        : {
+            error: 'Too many attempts',
+            message: `Please wait ${block.retryAfter} second(s) before trying again`,
+            retryAfter: block.retryAfter
+        });
+};
 
-        const user = users[0];
+// Check the password of a developer, society or member user found by email. Counts
+// failures and refuses users who must wait or are locked; resolves to true
+// if the password is correct, otherwise answers the request and resolves to false.
+const checkLoginPassword = async (req, res, user, password, loginType) => {
+    const audit = { loginType, ip: req.ip, userAgent: req.get('User-Agent') };
+
+    if (!user) {
+        await loginProtectionService.recordUnknownAccount(req.body.email, audit);
+        res.status(401).json({
+            error: 'Authentication failed',
+            message: 'Invalid email or password'
+        });
+        return false;
+    }
 
-        // Verify password
-        const isValidPassword = await bcrypt.compare(password, user.password);
-        if (!isValidPassword) {
-            return res.status(401).json({
-                error: 'Authentication failed',
-                message: 'Invalid email or password'
-            });
+    // Attempts made while waiting or locked are refused without checking the password
+    const block = loginProtectionService.loginBlock(user);
+    if (block) {
+        refuseBlockedLogin(res, block);
+        return false;
+    }
+
+    // Verify password
+    const isValidPassword = await bcrypt.compare(password, user.password);
+    if (!isValidPassword) {
+        const failure = await loginProtectionService.recordFailedLogin(user.id, { ...audit, reason: 'invalid_password' });
+        if (failure && failure.locked) {
+            refuseBlockedLogin(res, failure);
+            return false;
         }
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { 
-                userId: user.id, 
-                email: user.email, 
-                role: user.role 
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-        );
+        res.status(401).json({
+            error: 'Authentication failed',
+            message: 'Invalid email or password'
+        });
+        return false;
+    }
 
-        // Log the login
-        await logAuditTrail(user.id, null, 'LOGIN', 'users', user.id, null, {
+    return true;
+};
+
+// Second login step for accounts with two-factor authentication: no tokens
+// yet, only a challenge to answer at /api/auth/login/two-factor
+const twoFactorChallenge = async (req, account, loginType) => ({
+    message: 'Enter the code from your authenticator app to finish logging in',
+    twoFactorRequired: true,
+    ...(await twoFactorService.startChallenge(account, loginType, { ip: req.ip }))
+});
+
+// Open a developer session and answer the login
+const completeDeveloperLogin = async (req, res, user, twoFactorMethod = null) => {
+    const account = new User(user);
+
+    // Open a session: short-lived access token plus rotating refresh token
+    const session = await startSession(account, { ip: req.ip, userAgent: req.get('User-Agent') });
+    await loginProtectionService.recordSuccessfulLogin(user, { ip: req.ip, userAgent: req.get('User-Agent') });
+
+    // Log the login
+    await logAuditTrail(user.id, null, 'LOGIN', 'users', user.id, null, {
+        email: user.email,
+        session_id: session.sessionId,
+        role: user.role,
+        two_factor: twoFactorMethod
+    }, req.ip, req.get('User-Agent'));
+
+    res.json({
+        message: 'Login successful',
+        token: session.token,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn,
+        user: {
+            id: user.id,
             email: user.email,
-            role: user.role
-        }, req.ip, req.get('User-Agent'));
+            name: user.name,
+            role: user.role,
+            mustChangePassword: Boolean(user.must_change_password),
+            twoFactorEnabled: twoFactorService.isEnabled(account),
+            twoFactorSetupRequired: twoFactorService.isSetupPending(account)
+        }
+    });
+};
 
-        res.json({
-            message: 'Login successful',
-            token,
-            user: {
-                id: user.id,
-                email: user.email,
-                name: user.name,
-                role: user.role
-            }
-        });
+// Open a society session and answer the login. While the registration is
+// under review or rejected, the admin only gets a registration-only session
+// to follow the review, upload documents and reapply. An archived society
+// signs in read-only.
+const completeSocietyLogin = async (req, res, user, twoFactorMethod = null) => {
+    const underReview = ['pending', 'rejected'].includes(user.society_status);
+
+    // Open a session: short-lived access token plus rotating refresh token
+    const account = new User(user);
+    const session = await startSession(account, {
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+        scope: underReview ? 'registration' : null
+    });
+    await loginProtectionService.recordSuccessfulLogin(user, { ip: req.ip, userAgent: req.get('User-Agent') });
+
+    // Log the login
+    await logAuditTrail(user.id, user.society_id, 'LOGIN', 'users', user.id, null, {
+        email: user.email,
+        session_id: session.sessionId,
+        role: user.role,
+        society_id: user.society_id,
+        scope: session.scope,
+        two_factor: twoFactorMethod
+    }, req.ip, req.get('User-Agent'));
+
+    res.json({
+        message: underReview
+            ? 'Login successful; your society registration is still under review'
+            : 'Login successful',
+        token: session.token,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn,
+        scope: session.scope,
+        societyId: user.society_id,
+        societyStatus: user.society_status,
+        user: {
+            id: user.id,
+            email: user.email,
+            name: user.name,
+            role: user.role,
+            societyRole: account.societyRoleName,
+            permissions: account.getPermissions(),
+            societyName: user.society_name,
+            mustChangePassword: Boolean(user.must_change_password),
+            twoFactorEnabled: twoFactorService.isEnabled(account)
+        }
+    });
+};
+
+// Developer login
+const developerLogin = async (req, res) => {
+    try {
+        const { email, password } = req.body;
+
+        // Find developer user
+        const user = await findDeveloperUser('email', email);
+
+        if (!(await checkLoginPassword(req, res, user, password, 'developer'))) {
+            return;
+        }
+
+        const account = new User(user);
+        if (twoFactorService.isEnabled(account)) {
+            return res.json(await twoFactorChallenge(req, account, 'developer'));
+        }
+
+        await completeDeveloperLogin(req, res, user);
 
     } catch (error) {
         console.error('Developer login error:', error);
@@ -84,83 +258,155 @@ const societyLogin = async (req, res) => {
     try {
         const { email, password } = req.body;
 
-        // Validate input
-        if (!email || !password) {
-            return res.status(400).json({
-                error: 'Missing required fields',
-                message: 'Email and password are required'
+        // Find the society admin or staff user, with the staff user's role
+        const user = await findSocietyUser('email', email);
+
+        if (!(await checkLoginPassword(req, res, user, password, 'society'))) {
+            return;
+        }
+
+        const refusal = societyLoginRefusal(user);
+        if (refusal) {
+            return res.status(refusal.status).json({
+                error: refusal.error,
+                message: refusal.message
+            });
+        }
+
+        const account = new User(user);
+        if (twoFactorService.isEnabled(account)) {
+            return res.json(await twoFactorChallenge(req, account, 'society'));
+        }
+
+        await completeSocietyLogin(req, res, user);
+
+    } catch (error) {
+        console.error('Society login error:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'An error occurred during login'
+        });
+    }
+};
+
+// Finish a developer or society login with a TOTP code or a recovery code
+const completeTwoFactorLogin = async (req, res, next) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+        const result = await twoFactorService.completeChallenge(challengeToken, { code, recoveryCode }, {
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+
+        // The account may have been deactivated while the challenge was open
+        const user = result.loginType === 'developer'
+            ? await findDeveloperUser('id', result.userId)
+            : await findSocietyUser('id', result.userId);
+        if (!user) {
+            throw new UnauthorizedError('User account is not active');
+        }
+
+        const refusal = result.loginType === 'society' ? societyLoginRefusal(user) : null;
+        if (refusal) {
+            return res.status(refusal.status).json({
+                error: refusal.error,
+                message: refusal.message
             });
         }
 
-        // Find society admin user
+        await logAuditTrail(user.id, user.society_id || null, 'TWO_FACTOR_LOGIN', 'users', user.id, null, {
+            method: result.method,
+            recovery_codes_remaining: result.recoveryCodesRemaining
+        }, req.ip, req.get('User-Agent'));
+
+        if (result.loginType === 'developer') {
+            await completeDeveloperLogin(req, res, user, result.method);
+        } else {
+            await completeSocietyLogin(req, res, user, result.method);
+        }
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Two-factor login', 'An error occurred during login');
+    }
+};
+
+// Member login
+const memberLogin = async (req, res) => {
+    try {
+        const { email, password } = req.body;
+
+        // Find member user with the linked member record
         const [users] = await query(
-            `SELECT u.*, s.id as society_id, s.name as society_name, s.status as society_status 
+            `SELECT u.*, s.name as society_name, s.status as society_status, s.status_reason as society_status_reason,
+                    m.member_number, m.status as member_status
              FROM users u 
              JOIN societies s ON u.society_id = s.id 
-             WHERE u.email = ? AND u.role = "society_admin" AND u.status = "active"`,
+             JOIN members m ON u.member_id = m.id AND m.society_id = u.society_id
+             WHERE u.email = ? AND u.role = "member" AND u.status = "active"`,
             [email]
         );
 
-        if (users.length === 0) {
-            return res.status(401).json({
-                error: 'Authentication failed',
-                message: 'Invalid email or password'
-            });
+        const user = users[0] || null;
+
+        if (!(await checkLoginPassword(req, res, user, password, 'member'))) {
+            return;
         }
 
-        const user = users[0];
+        // Check if society and membership are active; an archived society stays readable
+        if (user.society_status === 'suspended') {
+            return res.status(403).json({
+                error: 'Society suspended',
+                message: `Your society has been suspended: ${user.society_status_reason || 'no reason was given'}`
+            });
+        }
 
-        // Check if society is approved
-        if (user.society_status !== 'approved') {
+        if (!['approved', 'archived'].includes(user.society_status)) {
             return res.status(403).json({
                 error: 'Society not approved',
-                message: 'Your society registration is still pending approval'
+                message: 'Your society is not active'
             });
         }
 
-        // Verify password
-        const isValidPassword = await bcrypt.compare(password, user.password);
-        if (!isValidPassword) {
-            return res.status(401).json({
-                error: 'Authentication failed',
-                message: 'Invalid email or password'
+        if (user.member_status !== 'active') {
+            return res.status(403).json({
+                error: 'Membership inactive',
+                message: 'Your membership is not active'
             });
         }
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { 
-                userId: user.id, 
-                email: user.email, 
-                role: user.role,
-                societyId: user.society_id
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-        );
+        // Open a session: short-lived access token plus rotating refresh token
+        const session = await startSession(new User(user), { ip: req.ip, userAgent: req.get('User-Agent') });
+        await loginProtectionService.recordSuccessfulLogin(user, { ip: req.ip, userAgent: req.get('User-Agent') });
 
         // Log the login
         await logAuditTrail(user.id, user.society_id, 'LOGIN', 'users', user.id, null, {
             email: user.email,
+            session_id: session.sessionId,
             role: user.role,
-            society_id: user.society_id
+            society_id: user.society_id,
+            member_id: user.member_id
         }, req.ip, req.get('User-Agent'));
 
         res.json({
             message: 'Login successful',
-            token,
+            token: session.token,
+            refreshToken: session.refreshToken,
+            expiresIn: session.expiresIn,
             societyId: user.society_id,
             user: {
                 id: user.id,
                 email: user.email,
                 name: user.name,
                 role: user.role,
-                societyName: user.society_name
+                memberId: user.member_id,
+                memberNumber: user.member_number,
+                societyName: user.society_name,
+                mustChangePassword: Boolean(user.must_change_password)
             }
         });
 
     } catch (error) {
-        console.error('Society login error:', error);
+        console.error('Member login error:', error);
         res.status(500).json({
             error: 'Internal server error',
             message: 'An error occurred during login'
@@ -169,7 +415,7 @@ const societyLogin = async (req, res) => {
 };
 
 // Society registration
-const societyRegister = async (req, res) => {
+const societyRegister = async (req, res, next) => {
     try {
         const {
             societyName,
@@ -183,56 +429,34 @@ const societyRegister = async (req, res) => {
             password
         } = req.body;
 
-        // Validate required fields
-        if (!societyName || !registrationNumber || !societyType || !establishmentDate || 
-            !societyAddress || !adminName || !adminEmail || !adminPhone || !password) {
-            return res.status(400).json({
-                error: 'Missing required fields',
-                message: 'All required fields must be provided'
-            });
-        }
-
-        // Check if registration number already exists
-        const [existingSocieties] = await query(
-            'SELECT id FROM societies WHERE registration_number = ?',
-            [registrationNumber]
-        );
-
-        if (existingSocieties.length > 0) {
-            return res.status(409).json({
-                error: 'Registration number already exists',
-                message: 'A society with this registration number is already registered'
-            });
-        }
+        // Check file types by content and compute checksums before storing anything
+        const uploads = documentService.inspectUploads(req.files);
 
-        // Check if admin email already exists
-        const [existingUsers] = await query(
-            'SELECT id FROM users WHERE email = ?',
-            [adminEmail]
-        );
+        // Create the society, its admin and its documents as one unit of work
+        const { societyId, userId, documents } = await withTransaction(async (connection, hooks) => {
+            // Check if registration number already exists
+            const [existingSocieties] = await connection.execute(
+                'SELECT id FROM societies WHERE registration_number = ?',
+                [registrationNumber]
+            );
 
-        if (existingUsers.length > 0) {
-            return res.status(409).json({
-                error: 'Email already exists',
-                message: 'A user with this email is already registered'
-            });
-        }
+            if (existingSocieties.length > 0) {
+                throw new ConflictError('A society with this registration number is already registered');
+            }
 
-        // Validate required files
-        if (!req.files || !req.files.registrationCertificate || !req.files.bylaws) {
-            return res.status(400).json({
-                error: 'Missing required documents',
-                message: 'Registration certificate and bylaws are required'
-            });
-        }
+            // Check if admin email already exists
+            const [existingUsers] = await connection.execute(
+                'SELECT id FROM users WHERE email = ?',
+                [adminEmail]
+            );
 
-        // Start transaction
-        const connection = await query('START TRANSACTION');
+            if (existingUsers.length > 0) {
+                throw new ConflictError('A user with this email is already registered');
+            }
 
-        try {
             // Create society
             const societyId = uuidv4();
-            await query(
+            await connection.execute(
                 `INSERT INTO societies (id, name, registration_number, society_type, establishment_date, address, status) 
                  VALUES (?, ?, ?, ?, ?, ?, 'pending')`,
                 [societyId, societyName, registrationNumber, societyType, establishmentDate, societyAddress]
@@ -243,111 +467,81 @@ const societyRegister = async (req, res) => {
 
             // Create society admin user
             const userId = uuidv4();
-            await query(
+            await connection.execute(
                 `INSERT INTO users (id, email, password, name, phone, role, society_id, status) 
                  VALUES (?, ?, ?, ?, ?, 'society_admin', ?, 'active')`,
                 [userId, adminEmail, hashedPassword, adminName, adminPhone, societyId]
             );
 
-            // Save uploaded documents
-            const documents = [];
+            // Default staff roles (president, treasurer, secretary, clerk) the admin can hand out
+            await SocietyRole.createDefaults(societyId, connection);
 
-            // Registration certificate
-            if (req.files.registrationCertificate) {
-                const file = req.files.registrationCertificate[0];
-                const documentId = uuidv4();
-                await query(
-                    `INSERT INTO society_documents (id, society_id, document_type, file_name, file_path, file_size, mime_type) 
-                     VALUES (?, ?, 'registration_certificate', ?, ?, ?, ?)`,
-                    [documentId, societyId, file.originalname, file.path, file.size, file.mimetype]
-                );
-                documents.push({ type: 'registration_certificate', fileName: file.originalname });
-            }
+            // Ask the admin to confirm their email; queued, so it is sent once the registration commits
+            await accountService.sendEmailVerification(
+                new User({ id: userId, email: adminEmail, name: adminName }),
+                connection
+            );
 
-            // Bylaws
-            if (req.files.bylaws) {
-                const file = req.files.bylaws[0];
-                const documentId = uuidv4();
-                await query(
-                    `INSERT INTO society_documents (id, society_id, document_type, file_name, file_path, file_size, mime_type) 
-                     VALUES (?, ?, 'bylaws', ?, ?, ?, ?)`,
-                    [documentId, societyId, file.originalname, file.path, file.size, file.mimetype]
-                );
-                documents.push({ type: 'bylaws', fileName: file.originalname });
+            // Store uploaded documents; stored files are removed again if the registration fails
+            const documents = [];
+            for (const upload of uploads) {
+                const document = await documentService.storeDocument(connection, hooks, societyId, upload);
+                documents.push({ id: document.id, type: upload.documentType, fileName: document.fileName, checksum: upload.checksum });
             }
 
-            // Additional documents
-            if (req.files.additionalDocs) {
-                for (const file of req.files.additionalDocs) {
-                    const documentId = uuidv4();
-                    await query(
-                        `INSERT INTO society_documents (id, society_id, document_type, file_name, file_path, file_size, mime_type) 
-                         VALUES (?, ?, 'additional', ?, ?, ?, ?)`,
-                        [documentId, societyId, file.originalname, file.path, file.size, file.mimetype]
-                    );
-                    documents.push({ type: 'additional', fileName: file.originalname });
-                }
-            }
+            await registrationService.recordEvent(connection, societyId, 'submitted', userId, null, {
+                documents_count: documents.length
+            });
 
-            // Commit transaction
-            await query('COMMIT');
+            // Receipt for the admin and review alert for developers, sent once committed
+            await notificationService.notifySocietyRegistered({
+                society: { name: societyName, registrationNumber, societyType },
+                admin: { name: adminName, email: adminEmail }
+            }, connection);
+            hooks.onCommit(notificationService.flushNotifications);
 
-            // Log the registration
-            await logAuditTrail(userId, societyId, 'SOCIETY_REGISTRATION', 'societies', societyId, null, {
-                society_name: societyName,
-                registration_number: registrationNumber,
-                admin_email: adminEmail,
-                documents_count: documents.length
-            }, req.ip, req.get('User-Agent'));
+            return { societyId, userId, documents };
+        });
 
-            res.status(201).json({
-                message: 'Society registration submitted successfully',
-                societyId,
-                status: 'pending',
-                documents: documents
-            });
+        // Log the registration
+        await logAuditTrail(userId, societyId, 'SOCIETY_REGISTRATION', 'societies', societyId, null, {
+            society_name: societyName,
+            registration_number: registrationNumber,
+            admin_email: adminEmail,
+            documents_count: documents.length
+        }, req.ip, req.get('User-Agent'));
 
-        } catch (error) {
-            // Rollback transaction
-            await query('ROLLBACK');
-            throw error;
-        }
+        res.status(201).json({
+            message: 'Society registration submitted successfully',
+            societyId,
+            status: 'pending',
+            documents: documents
+        });
 
     } catch (error) {
-        console.error('Society registration error:', error);
-        res.status(500).json({
-            error: 'Internal server error',
-            message: 'An error occurred during registration'
-        });
+        // A concurrent registration won the race between the checks and the inserts
+        if (error.code === 'ER_DUP_ENTRY') {
+            return next(new ConflictError('A society with this registration number or admin email is already registered'));
+        }
+
+        handleControllerError(res, next, error, 'Society registration', 'An error occurred during registration');
     }
 };
 
 // Get pending society registrations (developer only)
 const getPendingSocieties = async (req, res) => {
     try {
-        // Verify developer role (this should be done via middleware in production)
-        const token = req.headers.authorization?.split(' ')[1];
-        if (!token) {
-            return res.status(401).json({
-                error: 'Unauthorized',
-                message: 'Access token required'
-            });
-        }
-
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        if (decoded.role !== 'developer') {
-            return res.status(403).json({
-                error: 'Forbidden',
-                message: 'Access denied'
-            });
-        }
-
         const [societies] = await query(
             `SELECT s.*, u.name as admin_name, u.email as admin_email, u.phone as admin_phone,
-                    COUNT(sd.id) as document_count
+                    COUNT(sd.id) as document_count,
+                    COALESCE(SUM(sd.review_status = 'accepted'), 0) as documents_accepted,
+                    COALESCE(SUM(sd.review_status = 'rejected'), 0) as documents_rejected,
+                    COALESCE(SUM(sd.review_status = 'pending'), 0) as documents_pending,
+                    (SELECT COUNT(*) FROM document_requests dr
+                     WHERE dr.society_id = s.id AND dr.status = 'open') as open_document_requests
              FROM societies s
              LEFT JOIN users u ON s.id = u.society_id AND u.role = 'society_admin'
-             LEFT JOIN society_documents sd ON s.id = sd.society_id
+             LEFT JOIN society_documents sd ON s.id = sd.society_id AND sd.superseded_by IS NULL
              WHERE s.status = 'pending'
              GROUP BY s.id
              ORDER BY s.created_at DESC`
@@ -368,47 +562,19 @@ const getPendingSocieties = async (req, res) => {
 };
 
 // Update society approval status (developer only)
-const updateSocietyApproval = async (req, res) => {
+const updateSocietyApproval = async (req, res, next) => {
     try {
         const { societyId } = req.params;
         const { status, reason } = req.body;
 
-        // Validate status
-        if (!['approved', 'rejected'].includes(status)) {
-            return res.status(400).json({
-                error: 'Invalid status',
-                message: 'Status must be either "approved" or "rejected"'
-            });
-        }
-
-        // Verify developer role
-        const token = req.headers.authorization?.split(' ')[1];
-        if (!token) {
-            return res.status(401).json({
-                error: 'Unauthorized',
-                message: 'Access token required'
-            });
-        }
-
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        if (decoded.role !== 'developer') {
-            return res.status(403).json({
-                error: 'Forbidden',
-                message: 'Access denied'
-            });
-        }
-
-        // Update society status
-        await query(
-            'UPDATE societies SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-            [status, societyId]
-        );
-
-        // Log the approval/rejection
-        await logAuditTrail(decoded.userId, societyId, 'SOCIETY_APPROVAL_UPDATE', 'societies', societyId, null, {
-            status,
-            reason: reason || null
-        }, req.ip, req.get('User-Agent'));
+        // Through the lifecycle state machine: audited, recorded in the
+        // registration history and emailed to the admin once committed
+        await societyLifecycleService.transitionSociety(societyId, status === 'approved' ? 'approve' : 'reject', {
+            userId: req.user.id,
+            reason,
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent')
+        });
 
         res.json({
             message: `Society ${status} successfully`,
@@ -417,18 +583,15 @@ const updateSocietyApproval = async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Update society approval error:', error);
-        res.status(500).json({
-            error: 'Internal server error',
-            message: 'An error occurred while updating society approval'
-        });
+        handleControllerError(res, next, error, 'Update society approval', 'An error occurred while updating society approval');
     }
 };
 
 // Get society details
 const getSocietyDetails = async (req, res) => {
     try {
-        const { societyId } = req.params;
+        // Resolved by the tenant middleware, never taken from the URL as-is
+        const { societyId } = req.tenant;
 
         const [societies] = await query(
             `SELECT s.*, u.name as admin_name, u.email as admin_email, u.phone as admin_phone
@@ -448,10 +611,7 @@ const getSocietyDetails = async (req, res) => {
         const society = societies[0];
 
         // Get documents
-        const [documents] = await query(
-            'SELECT * FROM society_documents WHERE society_id = ? ORDER BY uploaded_at DESC',
-            [societyId]
-        );
+        const documents = await Society.getDocuments(societyId);
 
         res.json({
             message: 'Society details retrieved successfully',
@@ -470,46 +630,296 @@ const getSocietyDetails = async (req, res) => {
     }
 };
 
-// Logout
-const logout = async (req, res) => {
+// Download or preview a society document
+const downloadSocietyDocument = async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        const { document, stream, size } = await documentService.openDocument(societyId, req.params.documentId);
+
+        await logAuditTrail(req.user.id, societyId, 'DOCUMENT_DOWNLOAD', 'society_documents', document.id, null, {
+            document_type: document.document_type,
+            file_name: document.file_name
+        }, req.ip, req.get('User-Agent'));
+
+        // Uploads since the storage migration carry a checksum and a type detected
+        // from their content, so they may be previewed inline. Older rows keep the
+        // type the client claimed: they are only served as opaque downloads.
+        const detected = Boolean(document.checksum_sha256);
+        const disposition = detected && req.query.inline === 'true' ? 'inline' : 'attachment';
+        const asciiName = document.file_name.replace(/[^\x20-\x7E]|["\\]/g, '_');
+        res.set({
+            'Content-Type': detected ? document.mime_type : 'application/octet-stream',
+            'Content-Disposition': `${disposition}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(document.file_name)}`,
+            'Cache-Control': 'private, no-store',
+            ...(size !== undefined && { 'Content-Length': size }),
+            ...(document.checksum_sha256 && { 'ETag': `"${document.checksum_sha256}"` })
+        });
+
+        stream.on('error', (error) => {
+            console.error('Document stream error:', error);
+            res.destroy(error);
+        });
+        stream.pipe(res);
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Download document', 'An error occurred while retrieving the document');
+    }
+};
+
+// Change the signed-in user's password
+const changePassword = async (req, res, next) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        await accountService.changePassword(req.user, currentPassword, newPassword, req.auth.sid);
+
+        await logAuditTrail(req.user.id, req.user.societyId || null, 'PASSWORD_CHANGE', 'users', req.user.id, null, null,
+            req.ip, req.get('User-Agent'));
+
+        res.json({
+            message: 'Password changed successfully; other sessions have been logged out'
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Change password', 'An error occurred while changing the password');
+    }
+};
+
+// Email a password reset link
+const forgotPassword = async (req, res, next) => {
+    try {
+        const user = await accountService.requestPasswordReset(req.body.email);
+
+        if (user) {
+            await logAuditTrail(user.id, user.societyId || null, 'PASSWORD_RESET_REQUEST', 'users', user.id, null, null,
+                req.ip, req.get('User-Agent'));
+        }
+
+        // Same answer whether or not the email has an account
+        res.json({
+            message: 'If an account exists for this email, a password reset link has been sent'
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Forgot password', 'An error occurred while requesting a password reset');
+    }
+};
+
+// Set a new password with a reset token
+const resetPassword = async (req, res, next) => {
+    try {
+        const { token, newPassword } = req.body;
+        const user = await accountService.resetPassword(token, newPassword);
+
+        await logAuditTrail(user.id, user.societyId || null, 'PASSWORD_RESET', 'users', user.id, null, null,
+            req.ip, req.get('User-Agent'));
+
+        res.json({
+            message: 'Password reset successfully; please log in with your new password'
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Reset password', 'An error occurred while resetting the password');
+    }
+};
+
+// Accept a staff invitation: choose a password with the emailed token
+const acceptInvitation = async (req, res, next) => {
+    try {
+        const { token, newPassword } = req.body;
+        const user = await accountService.acceptInvitation(token, newPassword);
+
+        await logAuditTrail(user.id, user.societyId, 'INVITATION_ACCEPT', 'users', user.id, { status: 'invited' }, {
+            status: user.status
+        }, req.ip, req.get('User-Agent'));
+
+        res.json({
+            message: 'Invitation accepted; please log in with your new password'
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Accept invitation', 'An error occurred while accepting the invitation');
+    }
+};
+
+// Confirm an email address with a verification token (link from the email, or API call)
+const verifyEmail = async (req, res, next) => {
+    try {
+        const token = req.query.token || req.body.token;
+        const user = await accountService.verifyEmail(token);
+
+        await logAuditTrail(user.id, user.societyId || null, 'EMAIL_VERIFIED', 'users', user.id, null, {
+            email: user.email
+        }, req.ip, req.get('User-Agent'));
+
+        res.json({
+            message: 'Email address verified successfully'
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Verify email', 'An error occurred while verifying the email address');
+    }
+};
+
+// Send a new verification link to an unverified address
+const resendVerification = async (req, res, next) => {
     try {
-        // In a real application, you might want to blacklist the token
-        // For now, we'll just return a success message
+        const user = req.body.email ? await User.findByEmail(req.body.email) : null;
+
+        if (user && user.status === 'active' && !user.emailVerifiedAt) {
+            await accountService.sendEmailVerification(user);
+        }
+
+        // Same answer whether or not the email has an account
+        res.json({
+            message: 'If this email needs verification, a new link has been sent'
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Resend verification', 'An error occurred while sending the verification email');
+    }
+};
+
+// Exchange a refresh token for a new token pair
+const refreshToken = async (req, res, next) => {
+    try {
+        const session = await refreshSession(req.body.refreshToken, {
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+
+        res.json({
+            message: 'Token refreshed successfully',
+            token: session.token,
+            refreshToken: session.refreshToken,
+            expiresIn: session.expiresIn
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Refresh token', 'An error occurred while refreshing the token');
+    }
+};
+
+// Logout: revoke the current session
+const logout = async (req, res, next) => {
+    try {
+        await Session.revoke(req.user.id, req.auth.sid, 'logout');
+
+        await logAuditTrail(req.user.id, req.user.societyId || null, 'LOGOUT', 'user_sessions', req.auth.sid, null, null,
+            req.ip, req.get('User-Agent'));
+
         res.json({
             message: 'Logout successful'
         });
     } catch (error) {
-        console.error('Logout error:', error);
-        res.status(500).json({
-            error: 'Internal server error',
-            message: 'An error occurred during logout'
+        handleControllerError(res, next, error, 'Logout', 'An error occurred during logout');
+    }
+};
+
+// Logout everywhere: revoke every session of the user, this one included
+const logoutAll = async (req, res, next) => {
+    try {
+        const revoked = await Session.revokeAllForUser(req.user.id, 'logout_all');
+
+        await logAuditTrail(req.user.id, req.user.societyId || null, 'LOGOUT_ALL', 'user_sessions', null, null, {
+            sessions_revoked: revoked
+        }, req.ip, req.get('User-Agent'));
+
+        res.json({
+            message: 'All sessions logged out successfully',
+            sessionsRevoked: revoked
+        });
+    } catch (error) {
+        handleControllerError(res, next, error, 'Logout all sessions', 'An error occurred while logging out all sessions');
+    }
+};
+
+// List the user's active sessions
+const getSessions = async (req, res, next) => {
+    try {
+        const sessions = await Session.findActiveByUser(req.user.id);
+
+        res.json({
+            message: 'Sessions retrieved successfully',
+            sessions: sessions.map(session => ({
+                id: session.id,
+                current: session.id === req.auth.sid,
+                ipAddress: session.ipAddress,
+                userAgent: session.userAgent,
+                createdAt: session.createdAt,
+                lastUsedAt: session.lastUsedAt,
+                expiresAt: session.expiresAt
+            }))
         });
+    } catch (error) {
+        handleControllerError(res, next, error, 'Get sessions', 'An error occurred while retrieving sessions');
     }
 };
 
-// Helper function to log audit trail
-const logAuditTrail = async (userId, societyId, action, tableName, recordId, oldValues, newValues, ipAddress, userAgent) => {
+// Revoke one of the user's sessions (e.g. a lost device)
+const revokeSession = async (req, res, next) => {
     try {
-        await query(
-            `INSERT INTO audit_logs (id, user_id, society_id, action, table_name, record_id, old_values, new_values, ip_address, user_agent) 
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [uuidv4(), userId, societyId, action, tableName, recordId, 
-             oldValues ? JSON.stringify(oldValues) : null, 
-             newValues ? JSON.stringify(newValues) : null, 
-             ipAddress, userAgent]
-        );
+        const revoked = await Session.revoke(req.user.id, req.params.sessionId, 'revoked_by_user');
+
+        if (!revoked) {
+            return res.status(404).json({
+                error: 'Session not found',
+                message: 'The session does not exist or has already ended'
+            });
+        }
+
+        await logAuditTrail(req.user.id, req.user.societyId || null, 'SESSION_REVOKE', 'user_sessions', req.params.sessionId, null, null,
+            req.ip, req.get('User-Agent'));
+
+        res.json({
+            message: 'Session revoked successfully',
+            sessionId: req.params.sessionId
+        });
+    } catch (error) {
+        handleControllerError(res, next, error, 'Revoke session', 'An error occurred while revoking the session');
+    }
+};
+
+// Clear a user's failed login attempts and lift a lockout (developer only)
+const unlockAccount = async (req, res, next) => {
+    try {
+        const previous = await loginProtectionService.unlockAccount(req.params.userId);
+
+        await logAuditTrail(req.user.id, previous.societyId || null, 'ACCOUNT_UNLOCK', 'users', previous.id, {
+            failed_login_attempts: previous.failedAttempts,
+            locked_until: previous.lockedUntil
+        }, { failed_login_attempts: 0, locked_until: null }, req.ip, req.get('User-Agent'));
+
+        res.json({
+            message: 'Account unlocked successfully',
+            userId: previous.id
+        });
+
     } catch (error) {
-        console.error('Audit trail logging error:', error);
-        // Don't throw error as this is not critical for the main functionality
+        handleControllerError(res, next, error, 'Unlock account', 'An error occurred while unlocking the account');
     }
 };
 
 module.exports = {
     developerLogin,
     societyLogin,
+    memberLogin,
+    completeTwoFactorLogin,
     societyRegister,
     getPendingSocieties,
     updateSocietyApproval,
     getSocietyDetails,
-    logout
+    downloadSocietyDocument,
+    changePassword,
+    forgotPassword,
+    resetPassword,
+    acceptInvitation,
+    verifyEmail,
+    resendVerification,
+    refreshToken,
+    logout,
+    logoutAll,
+    getSessions,
+    revokeSession,
+    unlockAccount
 }; 
\ No newline at end of file
@@ -0,0 +1,123 @@
+const deductionService = require('../services/deductionService');
+const { logAuditTrail } = require('../utils/auditTrail');
+const { handleControllerError } = require('../utils/errors');
+
+// Upload a payroll CSV and get a dry-run preview
+const uploadBatch = async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        const { serviceId, period } = req.body;
+
+        const preview = await deductionService.previewBatch(societyId, req.user.id, {
+            serviceId,
+            period,
+            fileName: req.file.originalname,
+            buffer: req.file.buffer
+        });
+
+        await logAuditTrail(req.user.id, societyId, 'DEDUCTION_BATCH_UPLOAD', 'deduction_batches', preview.batch.id, null, {
+            batch_reference: preview.batch.batchReference,
+            period: preview.batch.period,
+            row_count: preview.batch.rowCount,
+            error_count: preview.batch.errorCount,
+            total_amount: preview.batch.totalAmount
+        }, req.ip, req.get('User-Agent'));
+
+        res.status(201).json({
+            message: preview.batch.errorCount > 0
+                ? 'Deduction file checked: some lines have errors'
+                : 'Deduction file checked: ready to confirm',
+            ...preview
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Upload deduction batch', 'An error occurred while processing the deduction file');
+    }
+};
+
+// List deduction batches
+const getBatches = async (req, res, next) => {
+    try {
+        const { serviceId, period, status } = req.query;
+        const batches = await deductionService.listBatches(req.tenant.societyId, { serviceId, period, status });
+
+        res.json({
+            message: 'Deduction batches retrieved successfully',
+            batches
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Get deduction batches', 'An error occurred while retrieving deduction batches');
+    }
+};
+
+// Get a deduction batch with its lines
+const getBatch = async (req, res, next) => {
+    try {
+        const result = await deductionService.getBatch(req.tenant.societyId, req.params.batchId);
+
+        res.json({
+            message: 'Deduction batch retrieved successfully',
+            ...result
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Get deduction batch', 'An error occurred while retrieving the deduction batch');
+    }
+};
+
+// Post all deductions of a previewed batch
+const confirmBatch = async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        const result = await deductionService.confirmBatch(societyId, req.params.batchId, req.user.id);
+
+        await logAuditTrail(req.user.id, societyId, 'DEDUCTION_BATCH_POST', 'deduction_batches', result.batch.id, {
+            status: 'preview'
+        }, {
+            status: result.batch.status,
+            batch_reference: result.batch.batchReference,
+            total_amount: result.batch.totalAmount
+        }, req.ip, req.get('User-Agent'));
+
+        res.json({
+            message: 'Deduction batch posted successfully',
+            ...result
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Confirm deduction batch', 'An error occurred while posting the deduction batch');
+    }
+};
+
+// Reverse a posted batch
+const reverseBatch = async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        const result = await deductionService.reverseBatch(societyId, req.params.batchId, req.user.id, req.body.reason);
+
+        await logAuditTrail(req.user.id, societyId, 'DEDUCTION_BATCH_REVERSE', 'deduction_batches', result.batch.id, {
+            status: 'posted'
+        }, {
+            status: result.batch.status,
+            batch_reference: result.batch.batchReference,
+            reason: result.batch.reversalReason
+        }, req.ip, req.get('User-Agent'));
+
+        res.json({
+            message: 'Deduction batch reversed successfully',
+            ...result
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Reverse deduction batch', 'An error occurred while reversing the deduction batch');
+    }
+};
+
+module.exports = {
+    uploadBatch,
+    getBatches,
+    getBatch,
+    confirmBatch,
+    reverseBatch
+};
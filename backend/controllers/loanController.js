@@ -0,0 +1,186 @@
+const Loan = require('../models/loanModel');
+const loanService = require('../services/loanService');
+const { logAuditTrail } = require('../utils/auditTrail');
+const { NotFoundError, handleControllerError } = require('../utils/errors');
+
+// Apply for a loan on behalf of a member
+const applyForLoan = async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        const loan = await loanService.applyForLoan(societyId, req.body);
+
+        await logAuditTrail(req.user.id, societyId, 'LOAN_APPLICATION', 'loans', loan.id, null, {
+            member_id: loan.memberId,
+            service_id: loan.serviceId,
+            principal: loan.principal,
+            term_months: loan.termMonths,
+            interest_method: loan.interestMethod
+        }, req.ip, req.get('User-Agent'));
+
+        res.status(201).json({
+            message: 'Loan application submitted successfully',
+            loan
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Loan application', 'An error occurred while submitting the loan application');
+    }
+};
+
+// List loans
+const getLoans = async (req, res, next) => {
+    try {
+        const { memberId, status } = req.query;
+        const loans = await Loan.findAll(req.tenant.societyId, { memberId, status });
+
+        res.json({
+            message: 'Loans retrieved successfully',
+            loans
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Get loans', 'An error occurred while retrieving loans');
+    }
+};
+
+// Get loan details with schedule and outstanding balances
+const getLoan = async (req, res, next) => {
+    try {
+        const { asOf } = req.query;
+
+        const loan = await Loan.findById(req.tenant.societyId, req.params.loanId);
+        if (!loan) {
+            throw new NotFoundError('Loan not found');
+        }
+
+        const schedule = await Loan.getInstallments(loan.id);
+        const repayments = await Loan.getRepayments(loan.id);
+
+        res.json({
+            message: 'Loan retrieved successfully',
+            loan,
+            summary: loanService.summarizeLoan(loan, schedule, asOf || undefined),
+            schedule,
+            repayments
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Get loan', 'An error occurred while retrieving the loan');
+    }
+};
+
+// Approve a pending loan
+const approveLoan = async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        const loan = await loanService.approveLoan(societyId, req.params.loanId, req.user.id, {
+            startDate: req.body.startDate,
+            reason: req.body.reason
+        });
+
+        await logAuditTrail(req.user.id, societyId, 'LOAN_APPROVE', 'loans', loan.id, {
+            status: 'pending'
+        }, {
+            status: loan.status,
+            reason: loan.decisionReason
+        }, req.ip, req.get('User-Agent'));
+
+        res.json({
+            message: 'Loan approved successfully',
+            loan,
+            schedule: await Loan.getInstallments(loan.id)
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Approve loan', 'An error occurred while approving the loan');
+    }
+};
+
+// Decline a pending loan
+const declineLoan = async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        const loan = await loanService.declineLoan(societyId, req.params.loanId, req.user.id, req.body.reason);
+
+        await logAuditTrail(req.user.id, societyId, 'LOAN_DECLINE', 'loans', loan.id, {
+            status: 'pending'
+        }, {
+            status: loan.status,
+            reason: loan.decisionReason
+        }, req.ip, req.get('User-Agent'));
+
+        res.json({
+            message: 'Loan declined successfully',
+            loan
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Decline loan', 'An error occurred while declining the loan');
+    }
+};
+
+// Disburse an approved loan
+const disburseLoan = async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        const { loan, transaction } = await loanService.disburseLoan(societyId, req.params.loanId);
+
+        await logAuditTrail(req.user.id, societyId, 'LOAN_DISBURSE', 'loans', loan.id, {
+            status: 'approved'
+        }, {
+            status: loan.status,
+            transaction_id: transaction.id,
+            amount: transaction.amount
+        }, req.ip, req.get('User-Agent'));
+
+        res.json({
+            message: 'Loan disbursed successfully',
+            loan,
+            transaction
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Disburse loan', 'An error occurred while disbursing the loan');
+    }
+};
+
+// Record a loan repayment
+const repayLoan = async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        const { amount, referenceNumber } = req.body;
+        const result = await loanService.repayLoan(societyId, req.params.loanId, { amount, referenceNumber });
+
+        if (!result.duplicate) {
+            await logAuditTrail(req.user.id, societyId, 'LOAN_REPAYMENT', 'loans', result.loan.id, null, {
+                repayment_id: result.repaymentId,
+                transaction_id: result.transaction.id,
+                amount: result.transaction.amount,
+                loan_status: result.loan.status
+            }, req.ip, req.get('User-Agent'));
+        }
+
+        const schedule = await Loan.getInstallments(result.loan.id);
+
+        res.status(result.duplicate ? 200 : 201).json({
+            message: result.duplicate ? 'Repayment already recorded' : 'Repayment recorded successfully',
+            duplicate: result.duplicate,
+            repaymentId: result.repaymentId,
+            transaction: result.transaction,
+            summary: loanService.summarizeLoan(result.loan, schedule)
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Loan repayment', 'An error occurred while recording the repayment');
+    }
+};
+
+module.exports = {
+    applyForLoan,
+    getLoans,
+    getLoan,
+    approveLoan,
+    declineLoan,
+    disburseLoan,
+    repayLoan
+};
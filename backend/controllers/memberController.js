@@ -0,0 +1,251 @@
+const Member = require('../models/memberModel');
+const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
+const { logAuditTrail } = require('../utils/auditTrail');
+const { ValidationError, NotFoundError, ConflictError, handleControllerError } = require('../utils/errors');
+
+// Map request body fields to member columns
+const toMemberColumns = (body) => ({
+    first_name: body.firstName,
+    last_name: body.lastName,
+    email: body.email,
+    phone: body.phone,
+    address: body.address,
+    date_of_birth: body.dateOfBirth,
+    join_date: body.joinDate
+});
+
+// Load a member of the tenant society or fail with a NotFoundError
+const findMember = async (societyId, memberId) => {
+    const member = await Member.findById(societyId, memberId);
+    if (!member) {
+        throw new NotFoundError('Member not found');
+    }
+    return member;
+};
+
+// Create member
+const createMember = async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        const member = await Member.create(societyId, req.body);
+
+        await logAuditTrail(req.user.id, societyId, 'MEMBER_CREATE', 'members', member.id, null,
+            member.toRow(), req.ip, req.get('User-Agent'));
+
+        res.status(201).json({
+            message: 'Member created successfully',
+            member
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error.code === 'ER_DUP_ENTRY'
+            ? new ConflictError('The generated member number is already in use, check the numbering prefix')
+            : error, 'Create member', 'An error occurred while creating the member');
+    }
+};
+
+// List and search members
+const getMembers = async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        const { search, status, page, limit } = req.query;
+        const result = await Member.findAll(societyId, { search, status, page, limit });
+
+        res.json({
+            message: 'Members retrieved successfully',
+            ...result
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Get members', 'An error occurred while retrieving members');
+    }
+};
+
+// Get member details
+const getMember = async (req, res, next) => {
+    try {
+        const member = await findMember(req.tenant.societyId, req.params.memberId);
+
+        res.json({
+            message: 'Member retrieved successfully',
+            member
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Get member', 'An error occurred while retrieving the member');
+    }
+};
+
+// Update member details
+const updateMember = async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        const member = await findMember(societyId, req.params.memberId);
+
+        const oldValues = member.toRow();
+        const updated = await member.update(toMemberColumns(req.body));
+
+        if (!updated) {
+            throw new ValidationError('No updatable fields were provided');
+        }
+
+        await logAuditTrail(req.user.id, societyId, 'MEMBER_UPDATE', 'members', member.id, oldValues,
+            member.toRow(), req.ip, req.get('User-Agent'));
+
+        res.json({
+            message: 'Member updated successfully',
+            member
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Update member', 'An error occurred while updating the member');
+    }
+};
+
+// Change member status (suspend/reactivate)
+const changeMemberStatus = (status, action) => async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        const member = await findMember(societyId, req.params.memberId);
+
+        if (member.status === status) {
+            throw new ConflictError(`Member is already ${status}`);
+        }
+
+        await Member.updateStatus(societyId, member.id, status);
+
+        // A member who is no longer active is signed out of self-service
+        if (status !== 'active') {
+            const login = await User.findByMemberId(member.id);
+            if (login) {
+                await Session.revokeAllForUser(login.id, `member_${status}`);
+            }
+        }
+
+        await logAuditTrail(req.user.id, societyId, action, 'members', member.id, {
+            status: member.status
+        }, {
+            status,
+            reason: req.body.reason || null
+        }, req.ip, req.get('User-Agent'));
+
+        res.json({
+            message: `Member ${status === 'active' ? 'reactivated' : status} successfully`,
+            memberId: member.id,
+            status
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Change member status', 'An error occurred while updating the member status');
+    }
+};
+
+const suspendMember = changeMemberStatus('suspended', 'MEMBER_SUSPEND');
+const reactivateMember = changeMemberStatus('active', 'MEMBER_REACTIVATE');
+
+// Create the self-service login of a member
+const createMemberLogin = async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        const member = await findMember(societyId, req.params.memberId);
+
+        const email = req.body.email || member.email;
+        const { password } = req.body;
+
+        if (!email) {
+            throw new ValidationError('One or more fields are invalid', [
+                { field: 'email', location: 'body', message: 'Email is required, the member has no email of their own' }
+            ]);
+        }
+
+        if (member.status === 'inactive') {
+            throw new ConflictError('Inactive members cannot be given a login');
+        }
+
+        if (await User.findByMemberId(member.id)) {
+            throw new ConflictError('This member already has a login');
+        }
+
+        if (await User.emailExists(email)) {
+            throw new ConflictError('A user with this email already exists');
+        }
+
+        const user = await User.createMemberUser({
+            email,
+            password,
+            name: `${member.firstName} ${member.lastName}`,
+            phone: member.phone
+        }, societyId, member.id);
+
+        await logAuditTrail(req.user.id, societyId, 'MEMBER_LOGIN_CREATE', 'users', user.id, null, {
+            email,
+            role: 'member',
+            member_id: member.id
+        }, req.ip, req.get('User-Agent'));
+
+        res.status(201).json({
+            message: 'Member login created successfully',
+            user: {
+                id: user.id,
+                email,
+                role: 'member',
+                memberId: member.id
+            }
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error.code === 'ER_DUP_ENTRY'
+            ? new ConflictError('This member or email already has a login')
+            : error, 'Create member login', 'An error occurred while creating the member login');
+    }
+};
+
+// Get member numbering settings
+const getNumberingSettings = async (req, res, next) => {
+    try {
+        const settings = await Member.getNumberingSettings(req.tenant.societyId);
+
+        res.json({
+            message: 'Member numbering settings retrieved successfully',
+            settings
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Get numbering settings', 'An error occurred while retrieving member numbering settings');
+    }
+};
+
+// Update member number prefix
+const updateNumberingSettings = async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        const { prefix } = req.body;
+
+        const settings = await Member.updateNumberPrefix(societyId, prefix);
+
+        await logAuditTrail(req.user.id, societyId, 'MEMBER_NUMBERING_UPDATE', 'member_number_sequences', societyId, null, {
+            prefix
+        }, req.ip, req.get('User-Agent'));
+
+        res.json({
+            message: 'Member numbering settings updated successfully',
+            settings
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Update numbering settings', 'An error occurred while updating member numbering settings');
+    }
+};
+
+module.exports = {
+    createMember,
+    getMembers,
+    getMember,
+    updateMember,
+    suspendMember,
+    reactivateMember,
+    createMemberLogin,
+    getNumberingSettings,
+    updateNumberingSettings
+};
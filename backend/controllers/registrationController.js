@@ -0,0 +1,120 @@
+const registrationService = require('../services/registrationService');
+const { logAuditTrail } = require('../utils/auditTrail');
+const { handleControllerError } = require('../utils/errors');
+
+// Get the signed-in admin's registration with its review state
+const getRegistration = async (req, res, next) => {
+    try {
+        const registration = await registrationService.getRegistration(req.tenant.societyId);
+
+        res.json({
+            message: 'Registration retrieved successfully',
+            ...registration
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Get registration', 'An error occurred while retrieving the registration');
+    }
+};
+
+// Upload a requested or replacement document to the admin's pending registration
+const uploadDocument = async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        const { requestId, replacesDocumentId, documentType } = req.body;
+
+        const document = await registrationService.resubmitDocument(societyId, req.user.id, {
+            requestId, replacesDocumentId, documentType, file: req.file
+        });
+
+        await logAuditTrail(req.user.id, societyId, 'DOCUMENT_RESUBMIT', 'society_documents', document.id, null, {
+            document_type: document.documentType,
+            file_name: document.fileName,
+            checksum: document.checksum,
+            replaces: document.replaces,
+            request_id: document.requestId
+        }, req.ip, req.get('User-Agent'));
+
+        res.status(201).json({
+            message: 'Document uploaded successfully',
+            document
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Upload registration document', 'An error occurred while uploading the document');
+    }
+};
+
+// Accept or reject a document of a pending registration (developer only)
+const reviewDocument = async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        const { status, comment } = req.body;
+
+        const document = await registrationService.reviewDocument(societyId, req.params.documentId, req.user.id, {
+            status, comment
+        });
+
+        await logAuditTrail(req.user.id, societyId, 'DOCUMENT_REVIEW', 'society_documents', document.id, null, {
+            review_status: document.reviewStatus,
+            comment: document.reviewComment
+        }, req.ip, req.get('User-Agent'));
+
+        res.json({
+            message: `Document ${document.reviewStatus} successfully`,
+            document
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Review document', 'An error occurred while reviewing the document');
+    }
+};
+
+// Ask the admin of a pending registration for a missing or corrected document (developer only)
+const requestDocument = async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        const { documentType, documentId, comment } = req.body;
+
+        const documentRequest = await registrationService.requestDocument(societyId, req.user.id, {
+            documentType, documentId, comment
+        });
+
+        await logAuditTrail(req.user.id, societyId, 'DOCUMENT_REQUEST', 'document_requests', documentRequest.id, null, {
+            document_type: documentRequest.documentType,
+            document_id: documentRequest.documentId,
+            comment
+        }, req.ip, req.get('User-Agent'));
+
+        res.status(201).json({
+            message: 'Document requested successfully',
+            documentRequest
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Request document', 'An error occurred while requesting the document');
+    }
+};
+
+// Get a registration's history: submission, reviews, requests, uploads and decision
+const getRegistrationHistory = async (req, res, next) => {
+    try {
+        const events = await registrationService.getRegistrationHistory(req.tenant.societyId);
+
+        res.json({
+            message: 'Registration history retrieved successfully',
+            events
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Get registration history', 'An error occurred while retrieving the registration history');
+    }
+};
+
+module.exports = {
+    getRegistration,
+    uploadDocument,
+    reviewDocument,
+    requestDocument,
+    getRegistrationHistory
+};
@@ -0,0 +1,232 @@
+const reportService = require('../services/reportService');
+const Society = require('../models/societyModel');
+const { logAuditTrail } = require('../utils/auditTrail');
+const { toCsv } = require('../utils/csv');
+const { renderTablePdf } = require('../utils/pdfTable');
+const { handleControllerError } = require('../utils/errors');
+
+const text = (key, label, width = 1) => ({ key, label, width });
+const count = (key, label, value) => ({ key, label, value, align: 'right', kind: 'count' });
+const money = (key, label) => ({ key, label, align: 'right', kind: 'money' });
+
+const cellValue = (column, row) => (column.value ? column.value(row) : row[column.key]);
+
+const formatCell = (column, row) => {
+    const value = cellValue(column, row);
+    if (value === null || value === undefined) {
+        return '';
+    }
+    return column.kind === 'money' ? Number(value).toFixed(2) : String(value);
+};
+
+// CSV headers are the JSON keys in snake_case
+const snakeCase = (key) => key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+
+const reconciliationNote = ({ reconciled, differences }) => (reconciled
+    ? 'Closing balances reconcile with the member account balances.'
+    : `Closing balances of ${differences.length} service(s) do not reconcile with the member account balances.`);
+
+// How each report is laid out as a table for CSV and PDF downloads
+const REPORT_TABLES = {
+    service_balances: {
+        title: 'Service balances',
+        columns: [
+            text('serviceName', 'Service', 2), text('serviceType', 'Type'), count('transactions', 'Entries'),
+            money('openingBalance', 'Opening'), money('deposits', 'Deposits'), money('withdrawals', 'Withdrawals'),
+            money('fees', 'Fees'), money('interest', 'Interest'), money('transfers', 'Transfers'),
+            money('closingBalance', 'Closing')
+        ],
+        rows: report => report.services,
+        totals: report => report.totals,
+        notes: report => ['Movements are signed: amounts that reduce a balance are negative.',
+            reconciliationNote(report.reconciliation)]
+    },
+    member_balances: {
+        title: 'Member balances',
+        columns: [
+            text('memberNumber', 'Member no.'), text('memberName', 'Member', 2), text('serviceName', 'Service', 2),
+            money('openingBalance', 'Opening'), money('credits', 'Credits'), money('debits', 'Debits'),
+            money('closingBalance', 'Closing')
+        ],
+        rows: report => report.balances,
+        totals: report => report.totals,
+        notes: report => [`${report.members} member(s).`, reconciliationNote(report.reconciliation)]
+    },
+    deposits_withdrawals: {
+        title: 'Deposits and withdrawals',
+        columns: [
+            text('serviceName', 'Service', 2), text('serviceType', 'Type'), count('depositCount', 'Deposits'),
+            money('deposits', 'Deposited'), count('withdrawalCount', 'Withdrawals'), money('withdrawals', 'Withdrawn'),
+            money('net', 'Net')
+        ],
+        rows: report => report.services,
+        totals: report => report.totals,
+        notes: () => ['On loan services deposits are repayments and withdrawals are disbursements.']
+    },
+    income: {
+        title: 'Fees and interest income',
+        columns: [
+            text('serviceName', 'Service', 2), text('serviceType', 'Type'), money('feeIncome', 'Fee income'),
+            money('interestIncome', 'Interest income'), money('interestPaid', 'Interest paid'),
+            money('netIncome', 'Net income')
+        ],
+        rows: report => report.services,
+        totals: report => report.totals,
+        notes: () => ['Interest paid covers interest and dividends credited to member accounts.']
+    },
+    loan_portfolio: {
+        title: 'Loan portfolio',
+        columns: [
+            text('serviceName', 'Service', 2), count('disbursedCount', 'Disbursed'),
+            money('disbursedPrincipal', 'Principal out'), count('repaymentCount', 'Repayments'),
+            money('principalRepaid', 'Principal in'), money('interestRepaid', 'Interest in'),
+            money('outstandingBalance', 'Outstanding'), count('activeLoans', 'Active', row => row.loans.disbursed),
+            count('loansInArrears', 'In arrears'), money('arrearsPrincipal', 'Arrears principal'),
+            money('arrearsInterest', 'Arrears interest')
+        ],
+        rows: report => report.services,
+        totals: report => ({ ...report.totals, loans: { disbursed: report.totals.activeLoans } }),
+        notes: report => [`Active loans and arrears as of ${report.asOf}; outstanding balances as of ${report.to}.`]
+    },
+    trial_balance: {
+        title: 'Trial balance',
+        columns: [text('account', 'Account', 4), text('category', 'Category'), money('debit', 'Debit'), money('credit', 'Credit')],
+        rows: report => report.lines,
+        totals: report => report.totals,
+        notes: report => [report.balanced ? 'Debits equal credits.' : 'Debits and credits do not balance.',
+            reconciliationNote(report.reconciliation)]
+    }
+};
+
+// Answer with the report as JSON, or with ?format=csv|pdf as a download (audited)
+const sendReport = async (req, res, name, report) => {
+    const format = req.query.format || 'json';
+    if (format === 'json') {
+        return res.json({
+            message: `${REPORT_TABLES[name].title} report generated successfully`,
+            ...report
+        });
+    }
+
+    const { societyId } = req.tenant;
+    const table = REPORT_TABLES[name];
+    const rows = table.rows(report);
+    const totals = { ...table.totals(report), [table.columns[0].key]: 'Total' };
+    const fileName = `${name.replace(/_/g, '-')}-${report.from}-to-${report.to}.${format}`;
+
+    await logAuditTrail(req.user.id, societyId, 'REPORT_EXPORT', 'transactions', null, null, {
+        report: name,
+        format,
+        from: report.from,
+        to: report.to,
+        rows: rows.length
+    }, req.ip, req.get('User-Agent'));
+
+    if (format === 'csv') {
+        const csv = toCsv(
+            table.columns.map(column => snakeCase(column.key)),
+            [...rows, totals].map(row => table.columns.map(column => formatCell(column, row)))
+        );
+
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.attachment(fileName);
+        return res.send(csv);
+    }
+
+    const society = await Society.findById(societyId);
+    const pdf = await renderTablePdf({
+        title: table.title,
+        subtitle: `${society ? society.name : societyId}, ${report.from} to ${report.to}`,
+        columns: table.columns,
+        rows: rows.map(row => table.columns.map(column => formatCell(column, row))),
+        totals: table.columns.map(column => formatCell(column, totals)),
+        notes: table.notes(report)
+    });
+
+    res.set('Content-Type', 'application/pdf');
+    res.attachment(fileName);
+    res.send(pdf);
+};
+
+const reportFilters = (req) => ({
+    from: req.query.from,
+    to: req.query.to
+});
+
+// Opening, movements and closing balance per service (from, to)
+const getServiceBalances = async (req, res, next) => {
+    try {
+        const report = await reportService.getServiceBalances(req.tenant.societyId, reportFilters(req));
+        await sendReport(req, res, 'service_balances', report);
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Get service balances report', 'An error occurred while generating the service balances report');
+    }
+};
+
+// Balances of every member on every service (from, to, serviceId)
+const getMemberBalances = async (req, res, next) => {
+    try {
+        const report = await reportService.getMemberBalances(req.tenant.societyId, {
+            ...reportFilters(req),
+            serviceId: req.query.serviceId
+        });
+        await sendReport(req, res, 'member_balances', report);
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Get member balances report', 'An error occurred while generating the member balances report');
+    }
+};
+
+// Deposits against withdrawals per service (from, to)
+const getDepositsWithdrawals = async (req, res, next) => {
+    try {
+        const report = await reportService.getDepositsWithdrawals(req.tenant.societyId, reportFilters(req));
+        await sendReport(req, res, 'deposits_withdrawals', report);
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Get deposits and withdrawals report', 'An error occurred while generating the deposits and withdrawals report');
+    }
+};
+
+// Fee and interest income per service (from, to)
+const getIncome = async (req, res, next) => {
+    try {
+        const report = await reportService.getIncome(req.tenant.societyId, reportFilters(req));
+        await sendReport(req, res, 'income', report);
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Get income report', 'An error occurred while generating the income report');
+    }
+};
+
+// Disbursements, repayments, outstanding balances and arrears per loan service (from, to)
+const getLoanPortfolio = async (req, res, next) => {
+    try {
+        const report = await reportService.getLoanPortfolio(req.tenant.societyId, reportFilters(req));
+        await sendReport(req, res, 'loan_portfolio', report);
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Get loan portfolio report', 'An error occurred while generating the loan portfolio report');
+    }
+};
+
+// Trial balance at the end of the period (from, to)
+const getTrialBalance = async (req, res, next) => {
+    try {
+        const report = await reportService.getTrialBalance(req.tenant.societyId, reportFilters(req));
+        await sendReport(req, res, 'trial_balance', report);
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Get trial balance', 'An error occurred while generating the trial balance');
+    }
+};
+
+module.exports = {
+    getServiceBalances,
+    getMemberBalances,
+    getDepositsWithdrawals,
+    getIncome,
+    getLoanPortfolio,
+    getTrialBalance
+};
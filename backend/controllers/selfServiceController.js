@@ -0,0 +1,123 @@
+const Transaction = require('../models/transactionModel');
+const TransactionRequest = require('../models/transactionRequestModel');
+const requestService = require('../services/transactionRequestService');
+const { logAuditTrail } = require('../utils/auditTrail');
+const { handleControllerError } = require('../utils/errors');
+
+// Every handler here reads req.member (set by memberContext) and never takes
+// a member ID from the request, so members only ever see their own data.
+
+// Get the signed-in member's profile
+const getProfile = async (req, res) => {
+    res.json({
+        message: 'Profile retrieved successfully',
+        member: req.member
+    });
+};
+
+// Get the signed-in member's service balances
+const getAccounts = async (req, res, next) => {
+    try {
+        const accounts = await Transaction.getMemberAccounts(req.tenant.societyId, req.member.id);
+
+        res.json({
+            message: 'Accounts retrieved successfully',
+            accounts
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Get own accounts', 'An error occurred while retrieving your accounts');
+    }
+};
+
+// Get the signed-in member's transaction history
+const getTransactions = async (req, res, next) => {
+    try {
+        const { serviceId, type, from, to, page, limit } = req.query;
+        const result = await Transaction.findAll(req.tenant.societyId, {
+            memberId: req.member.id, serviceId, type, from, to, page, limit
+        });
+
+        res.json({
+            message: 'Transactions retrieved successfully',
+            ...result
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Get own transactions', 'An error occurred while retrieving your transactions');
+    }
+};
+
+// List the signed-in member's deposit/withdrawal requests
+const getRequests = async (req, res, next) => {
+    try {
+        const requests = await TransactionRequest.findAll(req.tenant.societyId, {
+            memberId: req.member.id, status: req.query.status
+        });
+
+        res.json({
+            message: 'Transaction requests retrieved successfully',
+            requests
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Get own transaction requests', 'An error occurred while retrieving your requests');
+    }
+};
+
+// Submit a deposit/withdrawal request for admin approval
+const createRequest = async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        const { serviceId, transactionType, amount, description } = req.body;
+        const request = await requestService.submitRequest(societyId, req.member, {
+            serviceId, transactionType, amount, description
+        });
+
+        await logAuditTrail(req.user.id, societyId, 'TRANSACTION_REQUEST_SUBMIT', 'transaction_requests', request.id, null, {
+            member_id: request.memberId,
+            service_id: request.serviceId,
+            transaction_type: request.transactionType,
+            amount: request.amount
+        }, req.ip, req.get('User-Agent'));
+
+        res.status(201).json({
+            message: 'Request submitted for approval',
+            request
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Submit transaction request', 'An error occurred while submitting the request');
+    }
+};
+
+// Cancel one of the member's own pending requests
+const cancelRequest = async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        const request = await requestService.cancelRequest(societyId, req.member.id, req.params.requestId);
+
+        await logAuditTrail(req.user.id, societyId, 'TRANSACTION_REQUEST_CANCEL', 'transaction_requests', request.id, {
+            status: 'pending'
+        }, {
+            status: request.status
+        }, req.ip, req.get('User-Agent'));
+
+        res.json({
+            message: 'Request cancelled successfully',
+            request
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Cancel transaction request', 'An error occurred while cancelling the request');
+    }
+};
+
+module.exports = {
+    getProfile,
+    getAccounts,
+    getTransactions,
+    getRequests,
+    createRequest,
+    cancelRequest
+};
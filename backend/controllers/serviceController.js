@@ -0,0 +1,159 @@
+const Service = require('../models/serviceModel');
+const { logAuditTrail } = require('../utils/auditTrail');
+const { ValidationError, NotFoundError, ConflictError, handleControllerError } = require('../utils/errors');
+
+// Map request body fields to service columns, leaving out fields not provided
+const toServiceColumns = (body) => {
+    const columns = {
+        name: body.name,
+        type: body.type,
+        description: body.description,
+        interest_rate: body.interestRate,
+        interest_frequency: body.interestFrequency,
+        minimum_amount: body.minimumAmount,
+        maximum_amount: body.maximumAmount,
+        unit_price: body.unitPrice
+    };
+
+    return Object.fromEntries(Object.entries(columns).filter(([, value]) => value !== undefined));
+};
+
+// A service with a maximum must have it at or above its minimum (0 means no maximum).
+// Checked against the stored terms too, so it cannot be part of the request schema.
+const assertValidLimits = (service) => {
+    if (service.maximumAmount !== 0 && service.maximumAmount < service.minimumAmount) {
+        throw new ValidationError('One or more fields are invalid', [
+            { field: 'maximumAmount', location: 'body', message: 'Maximum amount must not be lower than minimum amount' }
+        ]);
+    }
+};
+
+// Load a service of the tenant society or fail with a NotFoundError
+const findService = async (societyId, serviceId) => {
+    const service = await Service.findById(societyId, serviceId);
+    if (!service) {
+        throw new NotFoundError('Service not found');
+    }
+    return service;
+};
+
+// Create service
+const createService = async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        assertValidLimits(new Service(toServiceColumns(req.body)));
+
+        const service = await Service.create(societyId, req.body);
+
+        await logAuditTrail(req.user.id, societyId, 'SERVICE_CREATE', 'services', service.id, null,
+            service.toRow(), req.ip, req.get('User-Agent'));
+
+        res.status(201).json({
+            message: 'Service created successfully',
+            service
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Create service', 'An error occurred while creating the service');
+    }
+};
+
+// List services
+const getServices = async (req, res, next) => {
+    try {
+        const { type, status } = req.query;
+        const services = await Service.findAll(req.tenant.societyId, { type, status });
+
+        res.json({
+            message: 'Services retrieved successfully',
+            services
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Get services', 'An error occurred while retrieving services');
+    }
+};
+
+// Get service details
+const getService = async (req, res, next) => {
+    try {
+        const service = await findService(req.tenant.societyId, req.params.serviceId);
+
+        res.json({
+            message: 'Service retrieved successfully',
+            service
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Get service', 'An error occurred while retrieving the service');
+    }
+};
+
+// Update service
+const updateService = async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        const service = await findService(societyId, req.params.serviceId);
+
+        const oldValues = service.toRow();
+        const changes = toServiceColumns(req.body);
+        assertValidLimits(new Service({ ...oldValues, ...changes }));
+
+        const updated = await service.update(changes);
+        if (!updated) {
+            throw new ValidationError('No updatable fields were provided');
+        }
+
+        await logAuditTrail(req.user.id, societyId, 'SERVICE_UPDATE', 'services', service.id, oldValues,
+            service.toRow(), req.ip, req.get('User-Agent'));
+
+        res.json({
+            message: 'Service updated successfully',
+            service
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Update service', 'An error occurred while updating the service');
+    }
+};
+
+// Activate/deactivate service
+const changeServiceStatus = (status, action) => async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        const service = await findService(societyId, req.params.serviceId);
+
+        if (service.status === status) {
+            throw new ConflictError(`Service is already ${status}`);
+        }
+
+        await Service.updateStatus(societyId, service.id, status);
+
+        await logAuditTrail(req.user.id, societyId, action, 'services', service.id, {
+            status: service.status
+        }, {
+            status
+        }, req.ip, req.get('User-Agent'));
+
+        res.json({
+            message: `Service ${status === 'active' ? 'activated' : 'deactivated'} successfully`,
+            serviceId: service.id,
+            status
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Change service status', 'An error occurred while updating the service status');
+    }
+};
+
+const activateService = changeServiceStatus('active', 'SERVICE_ACTIVATE');
+const deactivateService = changeServiceStatus('inactive', 'SERVICE_DEACTIVATE');
+
+module.exports = {
+    createService,
+    getServices,
+    getService,
+    updateService,
+    activateService,
+    deactivateService
+};
@@ -0,0 +1,176 @@
+const shareService = require('../services/shareService');
+const dividendService = require('../services/dividendService');
+const { logAuditTrail } = require('../utils/auditTrail');
+const { handleControllerError } = require('../utils/errors');
+
+// Record a share purchase or redemption and respond with the movement
+const moveShares = (movementType) => async (req, res, next) => {
+    const purchase = movementType === 'purchase';
+
+    try {
+        const { societyId } = req.tenant;
+        const { memberId, serviceId, quantity, referenceNumber } = req.body;
+        const move = purchase ? shareService.purchaseShares : shareService.redeemShares;
+        const { movement, transaction, duplicate } = await move(societyId, {
+            memberId, serviceId, quantity, referenceNumber
+        });
+
+        if (!duplicate) {
+            await logAuditTrail(req.user.id, societyId, purchase ? 'SHARE_PURCHASE' : 'SHARE_REDEMPTION', 'share_movements', movement.id, null, {
+                member_id: movement.memberId,
+                service_id: movement.serviceId,
+                quantity: movement.quantity,
+                unit_price: movement.unitPrice,
+                amount: movement.amount,
+                transaction_id: transaction.id
+            }, req.ip, req.get('User-Agent'));
+        }
+
+        res.status(duplicate ? 200 : 201).json({
+            message: duplicate
+                ? 'Share movement already recorded'
+                : `Shares ${purchase ? 'purchased' : 'redeemed'} successfully`,
+            duplicate,
+            movement,
+            transaction
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, purchase ? 'Share purchase' : 'Share redemption',
+            `An error occurred while ${purchase ? 'purchasing' : 'redeeming'} shares`);
+    }
+};
+
+// Buy shares for a member
+const purchaseShares = moveShares('purchase');
+
+// Redeem shares of a member
+const redeemShares = moveShares('redemption');
+
+// List current share holdings
+const getHoldings = async (req, res, next) => {
+    try {
+        const { serviceId, memberId } = req.query;
+        const holdings = await shareService.getHoldings(req.tenant.societyId, { serviceId, memberId });
+
+        res.json({
+            message: 'Share holdings retrieved successfully',
+            holdings
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Get share holdings', 'An error occurred while retrieving share holdings');
+    }
+};
+
+// Share purchase/redemption history of a member
+const getMemberMovements = async (req, res, next) => {
+    try {
+        const movements = await shareService.getMovements(req.tenant.societyId, req.params.memberId, req.query.serviceId);
+
+        res.json({
+            message: 'Share movements retrieved successfully',
+            memberId: req.params.memberId,
+            movements
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Get share movements', 'An error occurred while retrieving share movements');
+    }
+};
+
+// Compute a dividend run and keep it as a preview
+const previewDividendRun = async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        const { serviceId, creditServiceId, periodStart, periodEnd, rate, poolAmount } = req.body;
+        const preview = await dividendService.previewDividendRun(societyId, req.user.id, {
+            serviceId, creditServiceId, periodStart, periodEnd, rate, poolAmount
+        });
+
+        await logAuditTrail(req.user.id, societyId, 'DIVIDEND_RUN_PREVIEW', 'dividend_runs', preview.run.id, null, {
+            service_id: preview.run.serviceId,
+            period_start: preview.run.periodStart,
+            period_end: preview.run.periodEnd,
+            basis: preview.run.basis,
+            rate: preview.run.rate,
+            pool_amount: preview.run.poolAmount,
+            total_amount: preview.run.totalAmount,
+            members: preview.entitlements.length
+        }, req.ip, req.get('User-Agent'));
+
+        res.status(201).json({
+            message: 'Dividend run computed: ready to post',
+            ...preview
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Preview dividend run', 'An error occurred while computing the dividend run');
+    }
+};
+
+// List dividend runs
+const getDividendRuns = async (req, res, next) => {
+    try {
+        const { serviceId, status } = req.query;
+        const runs = await dividendService.listDividendRuns(req.tenant.societyId, { serviceId, status });
+
+        res.json({
+            message: 'Dividend runs retrieved successfully',
+            runs
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Get dividend runs', 'An error occurred while retrieving dividend runs');
+    }
+};
+
+// Get a dividend run with its entitlements and computation report
+const getDividendRun = async (req, res, next) => {
+    try {
+        const result = await dividendService.getDividendRun(req.tenant.societyId, req.params.runId);
+
+        res.json({
+            message: 'Dividend run retrieved successfully',
+            ...result
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Get dividend run', 'An error occurred while retrieving the dividend run');
+    }
+};
+
+// Credit the entitlements of a previewed run
+const postDividendRun = async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        const result = await dividendService.postDividendRun(societyId, req.params.runId, req.user.id);
+
+        await logAuditTrail(req.user.id, societyId, 'DIVIDEND_RUN_POST', 'dividend_runs', result.run.id, {
+            status: 'preview'
+        }, {
+            status: result.run.status,
+            total_amount: result.run.totalAmount,
+            members: result.entitlements.filter(entitlement => entitlement.transactionId).length
+        }, req.ip, req.get('User-Agent'));
+
+        res.json({
+            message: 'Dividend run posted successfully',
+            ...result
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Post dividend run', 'An error occurred while posting the dividend run');
+    }
+};
+
+module.exports = {
+    purchaseShares,
+    redeemShares,
+    getHoldings,
+    getMemberMovements,
+    previewDividendRun,
+    getDividendRuns,
+    getDividendRun,
+    postDividendRun
+};
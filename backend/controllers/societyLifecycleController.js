@@ -0,0 +1,78 @@
+const societyLifecycleService = require('../services/societyLifecycleService');
+const { handleControllerError } = require('../utils/errors');
+
+// Run a lifecycle action on a society for the signed-in user
+const transition = (req, societyId, action) => societyLifecycleService.transitionSociety(societyId, action, {
+    userId: req.user.id,
+    reason: req.body.reason,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+});
+
+// Suspend an approved society, with a reason; its users are signed out and
+// locked out until it is reactivated (developer only)
+const suspendSociety = async (req, res, next) => {
+    try {
+        const result = await transition(req, req.params.societyId, 'suspend');
+
+        res.json({
+            message: 'Society suspended successfully',
+            ...result
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Suspend society', 'An error occurred while suspending the society');
+    }
+};
+
+// Lift a suspension (developer only)
+const reactivateSociety = async (req, res, next) => {
+    try {
+        const result = await transition(req, req.params.societyId, 'reactivate');
+
+        res.json({
+            message: 'Society reactivated successfully',
+            ...result
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Reactivate society', 'An error occurred while reactivating the society');
+    }
+};
+
+// Archive a society: its data is kept but becomes read-only (developer only)
+const archiveSociety = async (req, res, next) => {
+    try {
+        const result = await transition(req, req.params.societyId, 'archive');
+
+        res.json({
+            message: 'Society archived successfully',
+            ...result
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Archive society', 'An error occurred while archiving the society');
+    }
+};
+
+// Put the signed-in admin's rejected registration back under review
+const reapplyRegistration = async (req, res, next) => {
+    try {
+        const result = await transition(req, req.tenant.societyId, 'reapply');
+
+        res.json({
+            message: 'Registration resubmitted for review',
+            ...result
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Reapply registration', 'An error occurred while reapplying');
+    }
+};
+
+module.exports = {
+    suspendSociety,
+    reactivateSociety,
+    archiveSociety,
+    reapplyRegistration
+};
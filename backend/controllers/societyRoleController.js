@@ -0,0 +1,89 @@
+const staffService = require('../services/staffService');
+const { logAuditTrail } = require('../utils/auditTrail');
+const { handleControllerError } = require('../utils/errors');
+
+// Audit snapshot of a role
+const roleRow = (role) => ({
+    name: role.name,
+    description: role.description,
+    permissions: role.permissions
+});
+
+// List the society's roles and the permissions a role can be given
+const getRoles = async (req, res, next) => {
+    try {
+        const result = await staffService.listRoles(req.tenant.societyId);
+
+        res.json({
+            message: 'Roles retrieved successfully',
+            ...result
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Get roles', 'An error occurred while retrieving roles');
+    }
+};
+
+// Create a role
+const createRole = async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        const role = await staffService.createRole(societyId, req.user, req.body);
+
+        await logAuditTrail(req.user.id, societyId, 'SOCIETY_ROLE_CREATE', 'society_roles', role.id, null,
+            roleRow(role), req.ip, req.get('User-Agent'));
+
+        res.status(201).json({
+            message: 'Role created successfully',
+            role
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Create role', 'An error occurred while creating the role');
+    }
+};
+
+// Rename a role or change its permissions
+const updateRole = async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        const { role, previous } = await staffService.updateRole(societyId, req.user, req.params.roleId, req.body);
+
+        await logAuditTrail(req.user.id, societyId, 'SOCIETY_ROLE_UPDATE', 'society_roles', role.id, roleRow(previous),
+            roleRow(role), req.ip, req.get('User-Agent'));
+
+        res.json({
+            message: 'Role updated successfully',
+            role
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Update role', 'An error occurred while updating the role');
+    }
+};
+
+// Delete a role no staff user holds
+const deleteRole = async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        const role = await staffService.deleteRole(societyId, req.user, req.params.roleId);
+
+        await logAuditTrail(req.user.id, societyId, 'SOCIETY_ROLE_DELETE', 'society_roles', role.id, roleRow(role),
+            null, req.ip, req.get('User-Agent'));
+
+        res.json({
+            message: 'Role deleted successfully',
+            roleId: role.id
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Delete role', 'An error occurred while deleting the role');
+    }
+};
+
+module.exports = {
+    getRoles,
+    createRole,
+    updateRole,
+    deleteRole
+};
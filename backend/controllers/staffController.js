@@ -0,0 +1,156 @@
+const staffService = require('../services/staffService');
+const loginProtectionService = require('../services/loginProtectionService');
+const { logAuditTrail } = require('../utils/auditTrail');
+const { handleControllerError } = require('../utils/errors');
+
+// List the society's admin and staff
+const getStaff = async (req, res, next) => {
+    try {
+        const staff = await staffService.listStaff(req.tenant.societyId);
+
+        res.json({
+            message: 'Staff retrieved successfully',
+            staff
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Get staff', 'An error occurred while retrieving staff');
+    }
+};
+
+// Invite a staff user by email with one of the society's roles
+const inviteStaff = async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        const staff = await staffService.inviteStaff(societyId, req.user, req.body);
+
+        await logAuditTrail(req.user.id, societyId, 'STAFF_INVITE', 'users', staff.id, null, {
+            email: staff.email,
+            name: staff.name,
+            society_role_id: staff.societyRoleId,
+            society_role: staff.societyRole
+        }, req.ip, req.get('User-Agent'));
+
+        res.status(201).json({
+            message: 'Staff user invited successfully',
+            staff
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Invite staff', 'An error occurred while inviting the staff user');
+    }
+};
+
+// Send a new invitation link to a staff user who has not accepted yet
+const resendInvitation = async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        const staff = await staffService.resendInvitation(societyId, req.user, req.params.userId);
+
+        await logAuditTrail(req.user.id, societyId, 'STAFF_INVITE_RESEND', 'users', staff.id, null, {
+            email: staff.email
+        }, req.ip, req.get('User-Agent'));
+
+        res.json({
+            message: 'Invitation sent again',
+            staff
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Resend invitation', 'An error occurred while resending the invitation');
+    }
+};
+
+// Give a staff user another role
+const changeStaffRole = async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        const { staff, previousRoleId } = await staffService.changeStaffRole(societyId, req.user,
+            req.params.userId, req.body.roleId);
+
+        await logAuditTrail(req.user.id, societyId, 'STAFF_ROLE_CHANGE', 'users', staff.id,
+            { society_role_id: previousRoleId },
+            { society_role_id: staff.societyRoleId, society_role: staff.societyRole },
+            req.ip, req.get('User-Agent'));
+
+        res.json({
+            message: 'Staff role changed successfully',
+            staff
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Change staff role', 'An error occurred while changing the staff role');
+    }
+};
+
+// Deactivate a staff user; their sessions end immediately
+const deactivateStaff = async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        const { staff, previousStatus } = await staffService.deactivateStaff(societyId, req.user, req.params.userId);
+
+        await logAuditTrail(req.user.id, societyId, 'STAFF_DEACTIVATE', 'users', staff.id,
+            { status: previousStatus }, { status: staff.status }, req.ip, req.get('User-Agent'));
+
+        res.json({
+            message: 'Staff user deactivated successfully',
+            staff
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Deactivate staff', 'An error occurred while deactivating the staff user');
+    }
+};
+
+// Reactivate a deactivated staff user
+const reactivateStaff = async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        const staff = await staffService.reactivateStaff(societyId, req.user, req.params.userId);
+
+        await logAuditTrail(req.user.id, societyId, 'STAFF_REACTIVATE', 'users', staff.id,
+            { status: 'inactive' }, { status: staff.status }, req.ip, req.get('User-Agent'));
+
+        res.json({
+            message: 'Staff user reactivated successfully',
+            staff
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Reactivate staff', 'An error occurred while reactivating the staff user');
+    }
+};
+
+// Clear a staff user's failed login attempts and lift a lockout
+const unlockStaff = async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        const previous = await loginProtectionService.unlockAccount(req.params.userId, {
+            societyId,
+            role: 'society_staff'
+        });
+
+        await logAuditTrail(req.user.id, societyId, 'ACCOUNT_UNLOCK', 'users', previous.id, {
+            failed_login_attempts: previous.failedAttempts,
+            locked_until: previous.lockedUntil
+        }, { failed_login_attempts: 0, locked_until: null }, req.ip, req.get('User-Agent'));
+
+        res.json({
+            message: 'Staff account unlocked successfully',
+            staff: await staffService.findStaff(societyId, previous.id)
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Unlock staff', 'An error occurred while unlocking the staff account');
+    }
+};
+
+module.exports = {
+    getStaff,
+    inviteStaff,
+    resendInvitation,
+    changeStaffRole,
+    deactivateStaff,
+    reactivateStaff,
+    unlockStaff
+};
@@ -0,0 +1,108 @@
+const Member = require('../models/memberModel');
+const Transaction = require('../models/transactionModel');
+const { postTransaction } = require('../services/postingService');
+const { logAuditTrail } = require('../utils/auditTrail');
+const { NotFoundError, handleControllerError } = require('../utils/errors');
+
+// Post a transaction
+const createTransaction = async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        const { memberId, serviceId, transactionType, amount, description, referenceNumber } = req.body;
+
+        const { transaction, duplicate } = await postTransaction({
+            societyId,
+            memberId,
+            serviceId,
+            transactionType,
+            amount,
+            description,
+            referenceNumber
+        });
+
+        if (!duplicate) {
+            await logAuditTrail(req.user.id, societyId, 'TRANSACTION_POST', 'transactions', transaction.id, null, {
+                member_id: memberId,
+                service_id: serviceId,
+                transaction_type: transactionType,
+                amount: transaction.amount,
+                balance_after: transaction.balanceAfter,
+                reference_number: transaction.referenceNumber
+            }, req.ip, req.get('User-Agent'));
+        }
+
+        res.status(duplicate ? 200 : 201).json({
+            message: duplicate ? 'Transaction already posted' : 'Transaction posted successfully',
+            duplicate,
+            transaction
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Post transaction', 'An error occurred while posting the transaction');
+    }
+};
+
+// List transactions
+const getTransactions = async (req, res, next) => {
+    try {
+        const { memberId, serviceId, type, from, to, page, limit } = req.query;
+        const result = await Transaction.findAll(req.tenant.societyId, {
+            memberId, serviceId, type, from, to, page, limit
+        });
+
+        res.json({
+            message: 'Transactions retrieved successfully',
+            ...result
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Get transactions', 'An error occurred while retrieving transactions');
+    }
+};
+
+// Get transaction details
+const getTransaction = async (req, res, next) => {
+    try {
+        const transaction = await Transaction.findById(req.tenant.societyId, req.params.transactionId);
+        if (!transaction) {
+            throw new NotFoundError('Transaction not found');
+        }
+
+        res.json({
+            message: 'Transaction retrieved successfully',
+            transaction
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Get transaction', 'An error occurred while retrieving the transaction');
+    }
+};
+
+// Get a member's service account balances
+const getMemberAccounts = async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        const member = await Member.findById(societyId, req.params.memberId);
+        if (!member) {
+            throw new NotFoundError('Member not found');
+        }
+
+        const accounts = await Transaction.getMemberAccounts(societyId, member.id);
+
+        res.json({
+            message: 'Member accounts retrieved successfully',
+            memberId: member.id,
+            accounts
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Get member accounts', 'An error occurred while retrieving member accounts');
+    }
+};
+
+module.exports = {
+    createTransaction,
+    getTransactions,
+    getTransaction,
+    getMemberAccounts
+};
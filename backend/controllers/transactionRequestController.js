@@ -0,0 +1,75 @@
+const TransactionRequest = require('../models/transactionRequestModel');
+const requestService = require('../services/transactionRequestService');
+const { logAuditTrail } = require('../utils/auditTrail');
+const { handleControllerError } = require('../utils/errors');
+
+// List member transaction requests
+const getRequests = async (req, res, next) => {
+    try {
+        const { memberId, status } = req.query;
+        const requests = await TransactionRequest.findAll(req.tenant.societyId, { memberId, status });
+
+        res.json({
+            message: 'Transaction requests retrieved successfully',
+            requests
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Get transaction requests', 'An error occurred while retrieving transaction requests');
+    }
+};
+
+// Approve a pending request and post its transaction
+const approveRequest = async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        const { request, transaction } = await requestService.approveRequest(societyId, req.params.requestId,
+            req.user.id, req.body.note);
+
+        await logAuditTrail(req.user.id, societyId, 'TRANSACTION_REQUEST_APPROVE', 'transaction_requests', request.id, {
+            status: 'pending'
+        }, {
+            status: request.status,
+            transaction_id: transaction.id,
+            note: request.reviewNote
+        }, req.ip, req.get('User-Agent'));
+
+        res.json({
+            message: 'Request approved and posted successfully',
+            request,
+            transaction
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Approve transaction request', 'An error occurred while approving the request');
+    }
+};
+
+// Reject a pending request
+const rejectRequest = async (req, res, next) => {
+    try {
+        const { societyId } = req.tenant;
+        const request = await requestService.rejectRequest(societyId, req.params.requestId, req.user.id, req.body.note);
+
+        await logAuditTrail(req.user.id, societyId, 'TRANSACTION_REQUEST_REJECT', 'transaction_requests', request.id, {
+            status: 'pending'
+        }, {
+            status: request.status,
+            note: request.reviewNote
+        }, req.ip, req.get('User-Agent'));
+
+        res.json({
+            message: 'Request rejected successfully',
+            request
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Reject transaction request', 'An error occurred while rejecting the request');
+    }
+};
+
+module.exports = {
+    getRequests,
+    approveRequest,
+    rejectRequest
+};
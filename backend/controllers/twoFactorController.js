@@ -0,0 +1,119 @@
+const twoFactorService = require('../services/twoFactorService');
+const { logAuditTrail } = require('../utils/auditTrail');
+const { handleControllerError } = require('../utils/errors');
+
+// Two-factor status of the signed-in user
+const getTwoFactorStatus = async (req, res, next) => {
+    try {
+        const status = await twoFactorService.getStatus(req.user);
+
+        res.json({
+            message: 'Two-factor status retrieved successfully',
+            ...status
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Get two-factor status', 'An error occurred while retrieving the two-factor status');
+    }
+};
+
+// Start enrolment: a new secret as text, otpauth URI and QR code
+const beginTwoFactorSetup = async (req, res, next) => {
+    try {
+        const enrolment = await twoFactorService.beginEnrolment(req.user);
+
+        await logAuditTrail(req.user.id, req.user.societyId || null, 'TWO_FACTOR_SETUP_START', 'users', req.user.id, null, null,
+            req.ip, req.get('User-Agent'));
+
+        res.json({
+            message: 'Scan the QR code with your authenticator app, then confirm with a code to enable two-factor authentication',
+            ...enrolment
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Begin two-factor setup', 'An error occurred while starting the two-factor setup');
+    }
+};
+
+// Confirm enrolment with a first code; answers with the recovery codes
+const enableTwoFactor = async (req, res, next) => {
+    try {
+        const recoveryCodes = await twoFactorService.confirmEnrolment(req.user, req.body.code);
+
+        await logAuditTrail(req.user.id, req.user.societyId || null, 'TWO_FACTOR_ENABLE', 'users', req.user.id, null, {
+            recovery_codes: recoveryCodes.length
+        }, req.ip, req.get('User-Agent'));
+
+        res.json({
+            message: 'Two-factor authentication enabled; store these recovery codes somewhere safe, they are shown only once',
+            recoveryCodes
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Enable two-factor', 'An error occurred while enabling two-factor authentication');
+    }
+};
+
+// Turn two-factor authentication off (password and a code or recovery code)
+const disableTwoFactor = async (req, res, next) => {
+    try {
+        await twoFactorService.disable(req.user, req.body);
+
+        await logAuditTrail(req.user.id, req.user.societyId || null, 'TWO_FACTOR_DISABLE', 'users', req.user.id, null, null,
+            req.ip, req.get('User-Agent'));
+
+        res.json({
+            message: 'Two-factor authentication disabled'
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Disable two-factor', 'An error occurred while disabling two-factor authentication');
+    }
+};
+
+// Replace the recovery codes; the old ones stop working
+const regenerateRecoveryCodes = async (req, res, next) => {
+    try {
+        const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user, req.body.code);
+
+        await logAuditTrail(req.user.id, req.user.societyId || null, 'TWO_FACTOR_RECOVERY_CODES_REGENERATE', 'users', req.user.id,
+            null, { recovery_codes: recoveryCodes.length }, req.ip, req.get('User-Agent'));
+
+        res.json({
+            message: 'New recovery codes generated; the previous codes no longer work',
+            recoveryCodes
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Regenerate recovery codes', 'An error occurred while generating recovery codes');
+    }
+};
+
+// Remove another user's two-factor authentication, e.g. after a lost phone (developer only)
+const resetTwoFactor = async (req, res, next) => {
+    try {
+        const user = await twoFactorService.reset(req.user, req.params.userId);
+
+        await logAuditTrail(req.user.id, user.societyId || null, 'TWO_FACTOR_RESET', 'users', user.id, null, {
+            email: user.email,
+            role: user.role
+        }, req.ip, req.get('User-Agent'));
+
+        res.json({
+            message: 'Two-factor authentication reset; the user can log in with their password and enrol again',
+            userId: user.id
+        });
+
+    } catch (error) {
+        handleControllerError(res, next, error, 'Reset two-factor', 'An error occurred while resetting two-factor authentication');
+    }
+};
+
+module.exports = {
+    getTwoFactorStatus,
+    beginTwoFactorSetup,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    resetTwoFactor
+};
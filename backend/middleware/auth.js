@@ -0,0 +1,84 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/userModel');
+const { isSessionActive } = require('../services/sessionService');
+const { isSetupPending } = require('../services/twoFactorService');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
+
+// Verify the bearer token and load the user it was issued to.
+// Sets req.user (User instance) and req.auth (decoded token claims).
+// Users who must change their password or set up two-factor authentication
+// can only reach routes built with `allowPasswordChangePending` (account
+// self-management: password, two-factor setup, logging out), and
+// registration-only sessions only routes built with `allowRegistrationScope`.
+const verifyAccessToken = ({ allowPasswordChangePending = false, allowRegistrationScope = false } = {}) => async (req, res, next) => {
+    try {
+        const [scheme, token] = (req.headers.authorization || '').split(' ');
+        if (scheme !== 'Bearer' || !token) {
+            throw new UnauthorizedError('Access token required');
+        }
+
+        let decoded;
+        try {
+            decoded = jwt.verify(token, process.env.JWT_SECRET);
+        } catch (error) {
+            throw new UnauthorizedError(error.name === 'TokenExpiredError'
+                ? 'Access token has expired'
+                : 'Invalid access token');
+        }
+
+        // Tokens stop working as soon as their session is logged out or revoked
+        if (!(await isSessionActive(decoded.sid))) {
+            throw new UnauthorizedError('Session has ended, please log in again');
+        }
+
+        const user = await User.findById(decoded.userId);
+        if (!user || user.status !== 'active') {
+            throw new UnauthorizedError('User account is not active');
+        }
+
+        if (user.mustChangePassword && !allowPasswordChangePending) {
+            throw new ForbiddenError('Password change required before continuing');
+        }
+
+        if (isSetupPending(user) && !allowPasswordChangePending) {
+            throw new ForbiddenError('Two-factor authentication must be set up before continuing');
+        }
+
+        if (decoded.scope === 'registration' && !allowRegistrationScope) {
+            throw new ForbiddenError('This session can only be used to manage the society registration');
+        }
+
+        req.user = user;
+        req.auth = decoded;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+const authenticate = verifyAccessToken();
+// Account self-management (password change, two-factor setup, logout), open to any signed-in user
+const authenticateAccount = verifyAccessToken({ allowPasswordChangePending: true, allowRegistrationScope: true });
+// The registration of a society under review, open to its registration-only sessions
+const authenticateRegistration = verifyAccessToken({ allowRegistrationScope: true });
+
+// Allow the request through if the authenticated user holds at least one
+// of the given permissions (see User.getPermissions()).
+const requirePermission = (...permissions) => (req, res, next) => {
+    if (!req.user) {
+        return next(new UnauthorizedError('Access token required'));
+    }
+
+    if (!permissions.some(permission => req.user.hasPermission(permission))) {
+        return next(new ForbiddenError('Access denied'));
+    }
+
+    next();
+};
+
+module.exports = {
+    authenticate,
+    authenticateAccount,
+    authenticateRegistration,
+    requirePermission
+};
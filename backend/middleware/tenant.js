@@ -0,0 +1,111 @@
+const Member = require('../models/memberModel');
+const Society = require('../models/societyModel');
+const { ForbiddenError, NotFoundError, UnauthorizedError } = require('../utils/errors');
+
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Enforce the society's lifecycle state on a request to it (see
+// services/societyLifecycleService.js). An archived society is read-only for
+// everyone; a suspended one is closed to its own users; a pending or rejected
+// one is only reachable with the admin's registration-only session.
+const checkSocietyAccess = async (req, societyId) => {
+    const society = await Society.findById(societyId);
+    if (!society) {
+        throw new NotFoundError('Society not found');
+    }
+
+    if (society.status === 'archived' && !READ_ONLY_METHODS.includes(req.method)) {
+        throw new ForbiddenError('Society is archived and read-only');
+    }
+
+    if (req.user.role === 'developer') {
+        return society;
+    }
+
+    if (society.status === 'suspended') {
+        throw new ForbiddenError(`Society is suspended: ${society.statusReason || 'no reason was given'}`);
+    }
+
+    const underReview = ['pending', 'rejected'].includes(society.status);
+    if (underReview && !(req.auth && req.auth.scope === 'registration')) {
+        throw new ForbiddenError(`Society registration is ${society.status}`);
+    }
+
+    return society;
+};
+
+// Resolve the society (tenant) a request operates on and store it on req.tenant.
+// Society-scoped users are always pinned to the society on their account; a
+// :societyId in the URL must match it. Only developers may cross tenants, and
+// only by naming the society explicitly in the URL.
+const tenantContext = async (req, res, next) => {
+    try {
+        if (!req.user) {
+            throw new UnauthorizedError('Access token required');
+        }
+
+        const requestedSocietyId = req.params.societyId;
+
+        if (req.user.role === 'developer') {
+            if (!requestedSocietyId) {
+                throw new ForbiddenError('A society must be specified explicitly');
+            }
+
+            const society = await checkSocietyAccess(req, requestedSocietyId);
+            req.tenant = { societyId: requestedSocietyId, crossTenant: true, status: society.status };
+            return next();
+        }
+
+        const ownSocietyId = req.user.societyId;
+        if (!ownSocietyId || (req.auth && req.auth.societyId && req.auth.societyId !== ownSocietyId)) {
+            throw new ForbiddenError('No society is associated with this account');
+        }
+
+        if (requestedSocietyId && requestedSocietyId !== ownSocietyId) {
+            throw new ForbiddenError('Access to another society is not allowed');
+        }
+
+        const society = await checkSocietyAccess(req, ownSocietyId);
+        req.tenant = { societyId: ownSocietyId, crossTenant: false, status: society.status };
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Resolve the member record a member login is linked to and pin the request
+// to it: req.tenant is the member's society and req.member the member itself.
+// Self-service handlers must only read and write data of req.member.
+const memberContext = async (req, res, next) => {
+    try {
+        if (!req.user) {
+            throw new UnauthorizedError('Access token required');
+        }
+
+        if (req.user.role !== 'member' || !req.user.memberId || !req.user.societyId) {
+            throw new ForbiddenError('No member record is associated with this account');
+        }
+
+        if (req.auth && req.auth.memberId && req.auth.memberId !== req.user.memberId) {
+            throw new ForbiddenError('No member record is associated with this account');
+        }
+
+        const society = await checkSocietyAccess(req, req.user.societyId);
+
+        const member = await Member.findById(req.user.societyId, req.user.memberId);
+        if (!member || member.status !== 'active') {
+            throw new ForbiddenError('Membership is not active');
+        }
+
+        req.tenant = { societyId: req.user.societyId, crossTenant: false, status: society.status };
+        req.member = member;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    tenantContext,
+    memberContext
+};
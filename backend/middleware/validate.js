@@ -0,0 +1,47 @@
+const multer = require('multer');
+const { checkSchema, validationResult } = require('express-validator');
+const { ValidationError } = require('../utils/errors');
+
+// Validate a request against an express-validator schema (see validators/).
+// Every invalid field is reported as { field, location, message } in the
+// details of a ValidationError, which the global handler answers with 400.
+const validate = (schema) => [
+    ...checkSchema(schema),
+    (req, res, next) => {
+        const result = validationResult(req);
+        if (result.isEmpty()) {
+            return next();
+        }
+
+        next(new ValidationError('One or more fields are invalid',
+            result.array({ onlyFirstError: true }).map(error => ({
+                field: error.path,
+                location: error.location,
+                message: error.msg
+            }))
+        ));
+    }
+];
+
+// Upload limits are reported like any other invalid field
+const UPLOAD_ERRORS = {
+    LIMIT_FILE_SIZE: 'File size exceeds the maximum allowed limit',
+    LIMIT_FILE_COUNT: 'Number of files exceeds the maximum allowed limit',
+    LIMIT_UNEXPECTED_FILE: 'Unexpected file field in the request'
+};
+
+// Error middleware for routers that accept multer uploads
+const uploadErrors = (error, req, res, next) => {
+    if (error instanceof multer.MulterError) {
+        return next(new ValidationError('One or more fields are invalid', [
+            { field: error.field || 'file', location: 'body', message: UPLOAD_ERRORS[error.code] || error.message }
+        ]));
+    }
+
+    next(error);
+};
+
+module.exports = {
+    validate,
+    uploadErrors
+};
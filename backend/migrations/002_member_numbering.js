@@ -0,0 +1,37 @@
+// Per-society member numbering (see Member.generateMemberNumber in
+// models/memberModel.js): each society numbers its members from its own
+// sequence, with a prefix it can change. Member numbers are unique within a
+// society, so societies may use the same prefix.
+
+const up = async (connection) => {
+    await connection.query(`
+        ALTER TABLE members
+            DROP INDEX member_number,
+            ADD UNIQUE KEY uq_members_society_number (society_id, member_number)
+    `);
+
+    // Create member_number_sequences table (per-society member numbering)
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS member_number_sequences (
+            society_id VARCHAR(36) PRIMARY KEY,
+            prefix VARCHAR(20) NOT NULL,
+            last_value INT NOT NULL DEFAULT 0,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            FOREIGN KEY (society_id) REFERENCES societies(id) ON DELETE CASCADE
+        )
+    `);
+};
+
+const down = async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS member_number_sequences');
+    await connection.query(`
+        ALTER TABLE members
+            DROP INDEX uq_members_society_number,
+            ADD UNIQUE KEY member_number (member_number)
+    `);
+};
+
+module.exports = {
+    up,
+    down
+};
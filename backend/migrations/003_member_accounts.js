@@ -0,0 +1,38 @@
+// Ledger balances for the posting engine (services/postingService.js).
+// member_accounts holds the current balance per member and service; its row
+// is locked while a posting is applied. A reference number identifies one
+// transaction per society, so replaying it posts nothing new.
+
+const up = async (connection) => {
+    await connection.query(`
+        ALTER TABLE transactions
+            ADD UNIQUE KEY uq_transactions_reference (society_id, reference_number)
+    `);
+
+    // Create member_accounts table (current balance per member and service)
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS member_accounts (
+            id VARCHAR(36) PRIMARY KEY,
+            society_id VARCHAR(36) NOT NULL,
+            member_id VARCHAR(36) NOT NULL,
+            service_id VARCHAR(36) NOT NULL,
+            balance DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_member_accounts_member_service (member_id, service_id),
+            FOREIGN KEY (society_id) REFERENCES societies(id) ON DELETE CASCADE,
+            FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+            FOREIGN KEY (service_id) REFERENCES services(id) ON DELETE CASCADE
+        )
+    `);
+};
+
+const down = async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS member_accounts');
+    await connection.query('ALTER TABLE transactions DROP INDEX uq_transactions_reference');
+};
+
+module.exports = {
+    up,
+    down
+};
@@ -0,0 +1,74 @@
+// Loans (see services/loanService.js): applications and their decision, the
+// amortization schedule fixed at disbursement, and repayments, each backed by
+// a ledger transaction.
+
+const up = async (connection) => {
+    // Create loans table
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS loans (
+            id VARCHAR(36) PRIMARY KEY,
+            society_id VARCHAR(36) NOT NULL,
+            member_id VARCHAR(36) NOT NULL,
+            service_id VARCHAR(36) NOT NULL,
+            principal DECIMAL(10,2) NOT NULL,
+            interest_rate DECIMAL(5,2) NOT NULL,
+            interest_method ENUM('flat', 'reducing_balance') NOT NULL,
+            term_months INT NOT NULL,
+            purpose TEXT,
+            status ENUM('pending', 'approved', 'declined', 'disbursed', 'closed') DEFAULT 'pending',
+            decision_reason TEXT,
+            decided_by VARCHAR(36),
+            decided_at TIMESTAMP NULL,
+            disbursed_at TIMESTAMP NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            FOREIGN KEY (society_id) REFERENCES societies(id) ON DELETE CASCADE,
+            FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+            FOREIGN KEY (service_id) REFERENCES services(id) ON DELETE CASCADE,
+            FOREIGN KEY (decided_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+    `);
+
+    // Create loan_installments table (amortization schedule)
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS loan_installments (
+            id VARCHAR(36) PRIMARY KEY,
+            loan_id VARCHAR(36) NOT NULL,
+            installment_number INT NOT NULL,
+            due_date DATE NOT NULL,
+            principal_due DECIMAL(10,2) NOT NULL,
+            interest_due DECIMAL(10,2) NOT NULL,
+            principal_paid DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+            interest_paid DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+            status ENUM('due', 'partial', 'paid') DEFAULT 'due',
+            UNIQUE KEY uq_loan_installments_number (loan_id, installment_number),
+            FOREIGN KEY (loan_id) REFERENCES loans(id) ON DELETE CASCADE
+        )
+    `);
+
+    // Create loan_repayments table
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS loan_repayments (
+            id VARCHAR(36) PRIMARY KEY,
+            loan_id VARCHAR(36) NOT NULL,
+            amount DECIMAL(10,2) NOT NULL,
+            principal_amount DECIMAL(10,2) NOT NULL,
+            interest_amount DECIMAL(10,2) NOT NULL,
+            transaction_id VARCHAR(36),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (loan_id) REFERENCES loans(id) ON DELETE CASCADE,
+            FOREIGN KEY (transaction_id) REFERENCES transactions(id) ON DELETE SET NULL
+        )
+    `);
+};
+
+const down = async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS loan_repayments');
+    await connection.query('DROP TABLE IF EXISTS loan_installments');
+    await connection.query('DROP TABLE IF EXISTS loans');
+};
+
+module.exports = {
+    up,
+    down
+};
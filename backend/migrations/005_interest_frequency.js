@@ -0,0 +1,18 @@
+// How often a savings service accrues interest (see services/interestService.js):
+// 'daily' posts one entry per day, 'monthly' one entry per month.
+
+const up = async (connection) => {
+    await connection.query(`
+        ALTER TABLE services
+            ADD COLUMN interest_frequency ENUM('daily', 'monthly') DEFAULT 'monthly' AFTER interest_rate
+    `);
+};
+
+const down = async (connection) => {
+    await connection.query('ALTER TABLE services DROP COLUMN interest_frequency');
+};
+
+module.exports = {
+    up,
+    down
+};
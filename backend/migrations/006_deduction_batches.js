@@ -0,0 +1,62 @@
+// Payroll deduction imports (see services/deductionService.js). A CSV
+// batch is kept as a preview until posted, with one item per line, and a
+// posted batch can be reversed as a whole.
+
+const up = async (connection) => {
+    // Create deduction_batches table (payroll deduction imports)
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS deduction_batches (
+            id VARCHAR(36) PRIMARY KEY,
+            society_id VARCHAR(36) NOT NULL,
+            service_id VARCHAR(36) NOT NULL,
+            period CHAR(7) NOT NULL,
+            batch_reference VARCHAR(50) UNIQUE NOT NULL,
+            file_name VARCHAR(255),
+            status ENUM('preview', 'posted', 'reversed') DEFAULT 'preview',
+            row_count INT NOT NULL DEFAULT 0,
+            error_count INT NOT NULL DEFAULT 0,
+            total_amount DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+            created_by VARCHAR(36),
+            posted_by VARCHAR(36),
+            posted_at TIMESTAMP NULL,
+            reversed_by VARCHAR(36),
+            reversed_at TIMESTAMP NULL,
+            reversal_reason TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (society_id) REFERENCES societies(id) ON DELETE CASCADE,
+            FOREIGN KEY (service_id) REFERENCES services(id) ON DELETE CASCADE,
+            FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+            FOREIGN KEY (posted_by) REFERENCES users(id) ON DELETE SET NULL,
+            FOREIGN KEY (reversed_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+    `);
+
+    // Create deduction_batch_items table (one row per CSV line)
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS deduction_batch_items (
+            id VARCHAR(36) PRIMARY KEY,
+            batch_id VARCHAR(36) NOT NULL,
+            line_number INT NOT NULL,
+            member_number VARCHAR(50),
+            member_id VARCHAR(36),
+            amount DECIMAL(10,2),
+            error TEXT,
+            transaction_id VARCHAR(36),
+            reversal_transaction_id VARCHAR(36),
+            FOREIGN KEY (batch_id) REFERENCES deduction_batches(id) ON DELETE CASCADE,
+            FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE SET NULL,
+            FOREIGN KEY (transaction_id) REFERENCES transactions(id) ON DELETE SET NULL,
+            FOREIGN KEY (reversal_transaction_id) REFERENCES transactions(id) ON DELETE SET NULL
+        )
+    `);
+};
+
+const down = async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS deduction_batch_items');
+    await connection.query('DROP TABLE IF EXISTS deduction_batches');
+};
+
+module.exports = {
+    up,
+    down
+};
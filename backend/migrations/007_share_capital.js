@@ -0,0 +1,85 @@
+// Share capital and dividends (see services/shareService.js and
+// services/dividendService.js). Shares are bought and redeemed whole at the
+// service's unit_price; a dividend run keeps its computation for audit.
+
+const up = async (connection) => {
+    await connection.query(`
+        ALTER TABLE services
+            ADD COLUMN unit_price DECIMAL(10,2) DEFAULT 0.00 AFTER maximum_amount
+    `);
+
+    // Create share_movements table (share capital purchases and redemptions)
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS share_movements (
+            id VARCHAR(36) PRIMARY KEY,
+            society_id VARCHAR(36) NOT NULL,
+            member_id VARCHAR(36) NOT NULL,
+            service_id VARCHAR(36) NOT NULL,
+            movement_type ENUM('purchase', 'redemption') NOT NULL,
+            quantity INT NOT NULL,
+            unit_price DECIMAL(10,2) NOT NULL,
+            amount DECIMAL(10,2) NOT NULL,
+            transaction_id VARCHAR(36),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (society_id) REFERENCES societies(id) ON DELETE CASCADE,
+            FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+            FOREIGN KEY (service_id) REFERENCES services(id) ON DELETE CASCADE,
+            FOREIGN KEY (transaction_id) REFERENCES transactions(id) ON DELETE SET NULL
+        )
+    `);
+
+    // Create dividend_runs table (computation report kept for audit)
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS dividend_runs (
+            id VARCHAR(36) PRIMARY KEY,
+            society_id VARCHAR(36) NOT NULL,
+            service_id VARCHAR(36) NOT NULL,
+            credit_service_id VARCHAR(36) NOT NULL,
+            period_start DATE NOT NULL,
+            period_end DATE NOT NULL,
+            basis ENUM('rate', 'pool') NOT NULL,
+            rate DECIMAL(7,4),
+            pool_amount DECIMAL(12,2),
+            total_amount DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+            status ENUM('preview', 'posted') DEFAULT 'preview',
+            report JSON,
+            created_by VARCHAR(36),
+            posted_by VARCHAR(36),
+            posted_at TIMESTAMP NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (society_id) REFERENCES societies(id) ON DELETE CASCADE,
+            FOREIGN KEY (service_id) REFERENCES services(id) ON DELETE CASCADE,
+            FOREIGN KEY (credit_service_id) REFERENCES services(id) ON DELETE CASCADE,
+            FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+            FOREIGN KEY (posted_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+    `);
+
+    // Create dividend_entitlements table
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS dividend_entitlements (
+            id VARCHAR(36) PRIMARY KEY,
+            run_id VARCHAR(36) NOT NULL,
+            member_id VARCHAR(36) NOT NULL,
+            share_days BIGINT NOT NULL,
+            capital_days DECIMAL(20,2) NOT NULL,
+            amount DECIMAL(10,2) NOT NULL,
+            transaction_id VARCHAR(36),
+            FOREIGN KEY (run_id) REFERENCES dividend_runs(id) ON DELETE CASCADE,
+            FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+            FOREIGN KEY (transaction_id) REFERENCES transactions(id) ON DELETE SET NULL
+        )
+    `);
+};
+
+const down = async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS dividend_entitlements');
+    await connection.query('DROP TABLE IF EXISTS dividend_runs');
+    await connection.query('DROP TABLE IF EXISTS share_movements');
+    await connection.query('ALTER TABLE services DROP COLUMN unit_price');
+};
+
+module.exports = {
+    up,
+    down
+};
@@ -0,0 +1,47 @@
+// Member logins and self-service. A user with role 'member' is linked to
+// exactly one member record of their society (see memberContext in
+// middleware/tenant.js); members ask for deposits and withdrawals through
+// transaction_requests, which staff approve or reject.
+
+const up = async (connection) => {
+    await connection.query(`
+        ALTER TABLE users
+            ADD COLUMN member_id VARCHAR(36) NULL AFTER society_id,
+            ADD UNIQUE KEY member_id (member_id)
+    `);
+
+    // Create transaction_requests table (member deposit/withdrawal requests awaiting approval)
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS transaction_requests (
+            id VARCHAR(36) PRIMARY KEY,
+            society_id VARCHAR(36) NOT NULL,
+            member_id VARCHAR(36) NOT NULL,
+            service_id VARCHAR(36) NOT NULL,
+            transaction_type ENUM('deposit', 'withdrawal') NOT NULL,
+            amount DECIMAL(10,2) NOT NULL,
+            description TEXT,
+            status ENUM('pending', 'approved', 'rejected', 'cancelled') DEFAULT 'pending',
+            transaction_id VARCHAR(36),
+            reviewed_by VARCHAR(36),
+            reviewed_at TIMESTAMP NULL,
+            review_note TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            FOREIGN KEY (society_id) REFERENCES societies(id) ON DELETE CASCADE,
+            FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+            FOREIGN KEY (service_id) REFERENCES services(id) ON DELETE CASCADE,
+            FOREIGN KEY (transaction_id) REFERENCES transactions(id) ON DELETE SET NULL,
+            FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+    `);
+};
+
+const down = async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS transaction_requests');
+    await connection.query('ALTER TABLE users DROP COLUMN member_id');
+};
+
+module.exports = {
+    up,
+    down
+};
@@ -0,0 +1,43 @@
+// Login sessions with rotating refresh tokens.
+// A session is one login on one device; each refresh replaces the session's
+// refresh token, and presenting a replaced token revokes the whole session.
+
+const up = async (connection) => {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS user_sessions (
+            id VARCHAR(36) PRIMARY KEY,
+            user_id VARCHAR(36) NOT NULL,
+            ip_address VARCHAR(45),
+            user_agent TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            expires_at TIMESTAMP NOT NULL,
+            revoked_at TIMESTAMP NULL,
+            revoked_reason VARCHAR(50),
+            INDEX idx_user_sessions_user (user_id, revoked_at),
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS refresh_tokens (
+            id VARCHAR(36) PRIMARY KEY,
+            session_id VARCHAR(36) NOT NULL,
+            token_hash CHAR(64) NOT NULL UNIQUE,
+            status ENUM('active', 'rotated', 'revoked') DEFAULT 'active',
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            used_at TIMESTAMP NULL,
+            FOREIGN KEY (session_id) REFERENCES user_sessions(id) ON DELETE CASCADE
+        )
+    `);
+};
+
+const down = async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS refresh_tokens');
+    await connection.query('DROP TABLE IF EXISTS user_sessions');
+};
+
+module.exports = {
+    up,
+    down
+};
@@ -0,0 +1,47 @@
+// Password reset and email verification.
+// Single-use, expiring tokens are stored hashed in user_tokens. Users that
+// exist before this migration count as verified; the seeded developer
+// account must change its published default password.
+
+const up = async (connection) => {
+    await connection.query(`
+        ALTER TABLE users
+            ADD COLUMN email_verified_at TIMESTAMP NULL AFTER status,
+            ADD COLUMN must_change_password BOOLEAN NOT NULL DEFAULT FALSE AFTER email_verified_at,
+            ADD COLUMN password_changed_at TIMESTAMP NULL AFTER must_change_password
+    `);
+
+    await connection.query('UPDATE users SET email_verified_at = created_at');
+    await connection.query(
+        `UPDATE users SET must_change_password = TRUE WHERE role = 'developer' AND email = 'admin@coopbase.com'`
+    );
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS user_tokens (
+            id VARCHAR(36) PRIMARY KEY,
+            user_id VARCHAR(36) NOT NULL,
+            purpose ENUM('password_reset', 'email_verification') NOT NULL,
+            token_hash CHAR(64) NOT NULL UNIQUE,
+            expires_at TIMESTAMP NOT NULL,
+            used_at TIMESTAMP NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_user_tokens_user (user_id, purpose),
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+    `);
+};
+
+const down = async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS user_tokens');
+    await connection.query(`
+        ALTER TABLE users
+            DROP COLUMN password_changed_at,
+            DROP COLUMN must_change_password,
+            DROP COLUMN email_verified_at
+    `);
+};
+
+module.exports = {
+    up,
+    down
+};
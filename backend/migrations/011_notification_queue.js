@@ -0,0 +1,38 @@
+// Outgoing email queue.
+// Notifications are rendered when queued and stored here, in the same unit of
+// work as the change that caused them; a background worker sends them and
+// retries with backoff, so an SMTP outage never fails the API call.
+// Emails carrying a single-use link reference its user_tokens row instead of
+// holding the token, which is only issued when the email is sent.
+
+const up = async (connection) => {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS notification_queue (
+            id VARCHAR(36) PRIMARY KEY,
+            template VARCHAR(100) NOT NULL,
+            recipient VARCHAR(255) NOT NULL,
+            subject VARCHAR(255) NOT NULL,
+            body TEXT NOT NULL,
+            user_token_id VARCHAR(36) NULL,
+            status ENUM('pending', 'sending', 'sent', 'failed') DEFAULT 'pending',
+            attempts INT NOT NULL DEFAULT 0,
+            max_attempts INT NOT NULL DEFAULT 5,
+            next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            locked_at TIMESTAMP NULL,
+            last_error TEXT,
+            sent_at TIMESTAMP NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_notification_queue_due (status, next_attempt_at),
+            FOREIGN KEY (user_token_id) REFERENCES user_tokens(id) ON DELETE CASCADE
+        )
+    `);
+};
+
+const down = async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS notification_queue');
+};
+
+module.exports = {
+    up,
+    down
+};
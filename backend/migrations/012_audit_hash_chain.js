@@ -0,0 +1,124 @@
+const { GENESIS_HASH, hashAuditEntry } = require('../utils/auditTrail');
+
+// Tamper-evident audit log.
+// Entries get a strict sequence number and are hash chained (see
+// utils/auditTrail.js); existing entries are chained in creation order.
+// Audit entries must outlive what they describe, and a foreign key that
+// deletes or nulls them would break the chain, so those keys are dropped.
+
+const BACKFILL_BATCH = 1000;
+
+const foreignKeys = async (connection) => {
+    const [keys] = await connection.query(
+        `SELECT DISTINCT CONSTRAINT_NAME as name FROM information_schema.KEY_COLUMN_USAGE
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'audit_logs' AND REFERENCED_TABLE_NAME IS NOT NULL`
+    );
+    return keys.map(key => key.name);
+};
+
+const up = async (connection) => {
+    for (const name of await foreignKeys(connection)) {
+        await connection.query(`ALTER TABLE audit_logs DROP FOREIGN KEY \`${name}\``);
+    }
+
+    await connection.query(`
+        ALTER TABLE audit_logs
+            ADD COLUMN seq BIGINT UNSIGNED NULL AFTER id,
+            ADD COLUMN prev_hash CHAR(64) NULL,
+            ADD COLUMN hash CHAR(64) NULL
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS audit_chain_head (
+            id TINYINT PRIMARY KEY,
+            last_seq BIGINT UNSIGNED NOT NULL,
+            last_hash CHAR(64) NOT NULL
+        )
+    `);
+
+    // Chain the existing entries in the order they were written
+    let seq = 0;
+    let prevHash = GENESIS_HASH;
+    for (;;) {
+        const [rows] = await connection.query(
+            `SELECT id, user_id, society_id, action, table_name, record_id, old_values, new_values,
+                    ip_address, user_agent, UNIX_TIMESTAMP(created_at) as created_at_epoch
+             FROM audit_logs WHERE seq IS NULL
+             ORDER BY created_at, id
+             LIMIT ${BACKFILL_BATCH}`
+        );
+        if (rows.length === 0) {
+            break;
+        }
+
+        for (const row of rows) {
+            seq++;
+            const hash = hashAuditEntry({
+                seq,
+                id: row.id,
+                userId: row.user_id,
+                societyId: row.society_id,
+                action: row.action,
+                tableName: row.table_name,
+                recordId: row.record_id,
+                oldValues: row.old_values,
+                newValues: row.new_values,
+                ipAddress: row.ip_address,
+                userAgent: row.user_agent,
+                createdAt: row.created_at_epoch
+            }, prevHash);
+
+            await connection.query(
+                'UPDATE audit_logs SET seq = ?, prev_hash = ?, hash = ? WHERE id = ?',
+                [seq, prevHash, hash, row.id]
+            );
+            prevHash = hash;
+        }
+    }
+
+    await connection.query(
+        'INSERT INTO audit_chain_head (id, last_seq, last_hash) VALUES (1, ?, ?)',
+        [seq, prevHash]
+    );
+
+    await connection.query(`
+        ALTER TABLE audit_logs
+            MODIFY seq BIGINT UNSIGNED NOT NULL,
+            MODIFY prev_hash CHAR(64) NOT NULL,
+            MODIFY hash CHAR(64) NOT NULL,
+            ADD UNIQUE INDEX idx_audit_logs_seq (seq),
+            ADD INDEX idx_audit_logs_society (society_id, created_at),
+            ADD INDEX idx_audit_logs_user (user_id, created_at),
+            ADD INDEX idx_audit_logs_action (action, created_at),
+            ADD INDEX idx_audit_logs_table (table_name, created_at)
+    `);
+};
+
+const down = async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS audit_chain_head');
+    await connection.query(`
+        ALTER TABLE audit_logs
+            DROP INDEX idx_audit_logs_table,
+            DROP INDEX idx_audit_logs_action,
+            DROP INDEX idx_audit_logs_user,
+            DROP INDEX idx_audit_logs_society,
+            DROP INDEX idx_audit_logs_seq,
+            DROP COLUMN hash,
+            DROP COLUMN prev_hash,
+            DROP COLUMN seq
+    `);
+
+    // Entries of users and societies deleted since can no longer be linked
+    await connection.query('UPDATE audit_logs SET user_id = NULL WHERE user_id NOT IN (SELECT id FROM users)');
+    await connection.query('DELETE FROM audit_logs WHERE society_id IS NOT NULL AND society_id NOT IN (SELECT id FROM societies)');
+    await connection.query(`
+        ALTER TABLE audit_logs
+            ADD FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+            ADD FOREIGN KEY (society_id) REFERENCES societies(id) ON DELETE CASCADE
+    `);
+};
+
+module.exports = {
+    up,
+    down
+};
@@ -0,0 +1,41 @@
+// Society documents behind the storage drivers (services/storage).
+// file_path becomes storage_key: a key for the driver recorded in
+// storage_driver. Files uploaded so far sit on local disk in
+// UPLOAD_PATH/societies, so their keys are societies/<file name>.
+// checksum_sha256 is recorded for new uploads, whose mime_type is detected
+// from their content; it is NULL for older ones, whose mime_type is the type
+// the client sent, so they are never served inline.
+
+const up = async (connection) => {
+    await connection.query(`
+        ALTER TABLE society_documents
+            CHANGE file_path storage_key VARCHAR(500) NOT NULL,
+            ADD COLUMN storage_driver VARCHAR(20) NOT NULL DEFAULT 'local' AFTER storage_key,
+            ADD COLUMN checksum_sha256 CHAR(64) NULL AFTER mime_type
+    `);
+
+    await connection.query(
+        `UPDATE society_documents
+         SET storage_key = CONCAT('societies/', SUBSTRING_INDEX(REPLACE(storage_key, '\\\\', '/'), '/', -1))`
+    );
+};
+
+const down = async (connection) => {
+    const uploadPath = (process.env.UPLOAD_PATH || './uploads').replace(/^\.\//, '').replace(/\/+$/, '');
+
+    await connection.query(
+        `UPDATE society_documents SET storage_key = CONCAT(?, '/', storage_key) WHERE storage_driver = 'local'`,
+        [uploadPath]
+    );
+    await connection.query(`
+        ALTER TABLE society_documents
+            DROP COLUMN checksum_sha256,
+            DROP COLUMN storage_driver,
+            CHANGE storage_key file_path VARCHAR(500) NOT NULL
+    `);
+};
+
+module.exports = {
+    up,
+    down
+};
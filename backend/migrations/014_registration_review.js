@@ -0,0 +1,91 @@
+// Per-document review of society registrations.
+// Each document is accepted or rejected with a comment; developers can ask
+// for missing or corrected documents (document_requests), and the society
+// admin uploads replacements that supersede, never overwrite, the original.
+// society_registration_events keeps the registration's history.
+// Admins of a pending society sign in with a registration-only session
+// (user_sessions.scope) that reaches nothing but their registration.
+
+const up = async (connection) => {
+    await connection.query(`
+        ALTER TABLE society_documents
+            ADD COLUMN review_status ENUM('pending', 'accepted', 'rejected') NOT NULL DEFAULT 'pending',
+            ADD COLUMN review_comment TEXT NULL,
+            ADD COLUMN reviewed_by VARCHAR(36) NULL,
+            ADD COLUMN reviewed_at TIMESTAMP NULL,
+            ADD COLUMN superseded_by VARCHAR(36) NULL,
+            ADD INDEX idx_society_documents_current (society_id, superseded_by)
+    `);
+
+    // Documents of societies already approved count as accepted
+    await connection.query(
+        `UPDATE society_documents d
+         JOIN societies s ON d.society_id = s.id
+         SET d.review_status = 'accepted', d.reviewed_at = s.updated_at
+         WHERE s.status = 'approved'`
+    );
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS document_requests (
+            id VARCHAR(36) PRIMARY KEY,
+            society_id VARCHAR(36) NOT NULL,
+            document_type ENUM('registration_certificate', 'bylaws', 'additional') NOT NULL,
+            document_id VARCHAR(36) NULL,
+            comment TEXT NOT NULL,
+            status ENUM('open', 'fulfilled', 'cancelled') DEFAULT 'open',
+            requested_by VARCHAR(36) NULL,
+            fulfilled_document_id VARCHAR(36) NULL,
+            fulfilled_at TIMESTAMP NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_document_requests_society (society_id, status),
+            FOREIGN KEY (society_id) REFERENCES societies(id) ON DELETE CASCADE
+        )
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS society_registration_events (
+            id VARCHAR(36) PRIMARY KEY,
+            society_id VARCHAR(36) NOT NULL,
+            event_type VARCHAR(50) NOT NULL,
+            user_id VARCHAR(36) NULL,
+            document_id VARCHAR(36) NULL,
+            details JSON,
+            created_at TIMESTAMP(3) DEFAULT CURRENT_TIMESTAMP(3),
+            INDEX idx_registration_events_society (society_id, created_at),
+            FOREIGN KEY (society_id) REFERENCES societies(id) ON DELETE CASCADE
+        )
+    `);
+
+    // Start the history of existing registrations with their submission
+    await connection.query(
+        `INSERT INTO society_registration_events (id, society_id, event_type, user_id, created_at)
+         SELECT UUID(), s.id, 'submitted', u.id, s.created_at
+         FROM societies s
+         LEFT JOIN users u ON s.id = u.society_id AND u.role = 'society_admin'`
+    );
+
+    await connection.query(`
+        ALTER TABLE user_sessions
+            ADD COLUMN scope VARCHAR(20) NULL AFTER user_agent
+    `);
+};
+
+const down = async (connection) => {
+    await connection.query('ALTER TABLE user_sessions DROP COLUMN scope');
+    await connection.query('DROP TABLE IF EXISTS society_registration_events');
+    await connection.query('DROP TABLE IF EXISTS document_requests');
+    await connection.query(`
+        ALTER TABLE society_documents
+            DROP INDEX idx_society_documents_current,
+            DROP COLUMN superseded_by,
+            DROP COLUMN reviewed_at,
+            DROP COLUMN reviewed_by,
+            DROP COLUMN review_comment,
+            DROP COLUMN review_status
+    `);
+};
+
+module.exports = {
+    up,
+    down
+};
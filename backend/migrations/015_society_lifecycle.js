@@ -0,0 +1,32 @@
+// Society lifecycle (see services/societyLifecycleService.js).
+// Adds the suspended and archived states and records why and when the
+// status last changed and who changed it. Societies are archived, never
+// deleted.
+
+const up = async (connection) => {
+    await connection.query(`
+        ALTER TABLE societies
+            MODIFY status ENUM('pending', 'approved', 'rejected', 'suspended', 'archived') DEFAULT 'pending',
+            ADD COLUMN status_reason TEXT NULL AFTER status,
+            ADD COLUMN status_changed_at TIMESTAMP NULL AFTER status_reason,
+            ADD COLUMN status_changed_by VARCHAR(36) NULL AFTER status_changed_at
+    `);
+};
+
+const down = async (connection) => {
+    // The old enum cannot hold the new states; suspended societies were approved ones
+    await connection.query(`UPDATE societies SET status = 'approved' WHERE status = 'suspended'`);
+    await connection.query(`UPDATE societies SET status = 'rejected' WHERE status = 'archived'`);
+    await connection.query(`
+        ALTER TABLE societies
+            DROP COLUMN status_changed_by,
+            DROP COLUMN status_changed_at,
+            DROP COLUMN status_reason,
+            MODIFY status ENUM('pending', 'approved', 'rejected') DEFAULT 'pending'
+    `);
+};
+
+module.exports = {
+    up,
+    down
+};
@@ -0,0 +1,82 @@
+// Society staff and society-level roles.
+// Besides the society_admin who registered it, a society has staff users
+// (role society_staff), each holding one of the society's roles. A role is a
+// named, editable permission set; every society starts with president,
+// treasurer, secretary and clerk. Staff are invited by email (status
+// 'invited', no password until they accept) and deactivated, never deleted.
+
+// The default roles as of this migration; new societies get theirs from
+// SocietyRole.DEFAULTS (models/societyRoleModel.js)
+const DEFAULT_ROLES = [
+    ['president', 'Runs the society day to day', ['manage_staff', 'manage_members', 'manage_services', 'record_transactions',
+        'approve_transactions', 'manage_loans', 'manage_deductions', 'manage_dividends', 'view_audit_logs']],
+    ['treasurer', 'Handles money: transactions, loans, deductions and dividends', ['record_transactions', 'approve_transactions',
+        'manage_loans', 'manage_deductions', 'manage_dividends', 'view_audit_logs']],
+    ['secretary', 'Keeps the member register', ['manage_members', 'view_audit_logs']],
+    ['clerk', 'Records deposits, withdrawals and repayments', ['record_transactions']]
+];
+
+const up = async (connection) => {
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS society_roles (
+            id VARCHAR(36) PRIMARY KEY,
+            society_id VARCHAR(36) NOT NULL,
+            name VARCHAR(50) NOT NULL,
+            description VARCHAR(255) NULL,
+            permissions JSON NOT NULL,
+            created_by VARCHAR(36) NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_society_roles_name (society_id, name),
+            FOREIGN KEY (society_id) REFERENCES societies(id) ON DELETE CASCADE
+        )
+    `);
+
+    for (const [name, description, permissions] of DEFAULT_ROLES) {
+        await connection.query(
+            `INSERT INTO society_roles (id, society_id, name, description, permissions)
+             SELECT UUID(), id, ?, ?, ? FROM societies`,
+            [name, description, JSON.stringify(permissions)]
+        );
+    }
+
+    await connection.query(`
+        ALTER TABLE users
+            MODIFY password VARCHAR(255) NULL,
+            MODIFY role ENUM('developer', 'society_admin', 'society_staff', 'member') NOT NULL,
+            MODIFY status ENUM('invited', 'active', 'inactive', 'suspended') DEFAULT 'active',
+            ADD COLUMN society_role_id VARCHAR(36) NULL AFTER member_id,
+            ADD COLUMN invited_by VARCHAR(36) NULL AFTER society_role_id,
+            ADD CONSTRAINT fk_users_society_role FOREIGN KEY (society_role_id) REFERENCES society_roles(id)
+    `);
+
+    await connection.query(`
+        ALTER TABLE user_tokens
+            MODIFY purpose ENUM('password_reset', 'email_verification', 'invitation') NOT NULL
+    `);
+};
+
+const down = async (connection) => {
+    // Staff cannot be represented without roles; their accounts are removed
+    await connection.query(`DELETE FROM user_tokens WHERE purpose = 'invitation'`);
+    await connection.query(`DELETE FROM users WHERE role = 'society_staff'`);
+    await connection.query(`
+        ALTER TABLE user_tokens
+            MODIFY purpose ENUM('password_reset', 'email_verification') NOT NULL
+    `);
+    await connection.query(`
+        ALTER TABLE users
+            DROP FOREIGN KEY fk_users_society_role,
+            DROP COLUMN invited_by,
+            DROP COLUMN society_role_id,
+            MODIFY status ENUM('active', 'inactive', 'suspended') DEFAULT 'active',
+            MODIFY role ENUM('developer', 'society_admin', 'member') NOT NULL,
+            MODIFY password VARCHAR(255) NOT NULL
+    `);
+    await connection.query('DROP TABLE IF EXISTS society_roles');
+};
+
+module.exports = {
+    up,
+    down
+};
@@ -0,0 +1,57 @@
+// TOTP two-factor authentication for developer and society accounts.
+// The TOTP secret is stored encrypted on the user while enrolment is pending
+// and after it is confirmed (two_factor_enabled_at). Recovery codes and the
+// challenges of half-finished logins are stored hashed.
+
+const up = async (connection) => {
+    await connection.query(`
+        ALTER TABLE users
+            ADD COLUMN two_factor_secret VARCHAR(255) NULL AFTER password_changed_at,
+            ADD COLUMN two_factor_enabled_at TIMESTAMP NULL AFTER two_factor_secret,
+            ADD COLUMN two_factor_last_step BIGINT NULL AFTER two_factor_enabled_at
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS user_recovery_codes (
+            id VARCHAR(36) PRIMARY KEY,
+            user_id VARCHAR(36) NOT NULL,
+            code_hash CHAR(64) NOT NULL,
+            used_at TIMESTAMP NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_user_recovery_codes_user (user_id, code_hash),
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS login_challenges (
+            id VARCHAR(36) PRIMARY KEY,
+            user_id VARCHAR(36) NOT NULL,
+            login_type ENUM('developer', 'society') NOT NULL,
+            token_hash CHAR(64) NOT NULL UNIQUE,
+            attempts INT NOT NULL DEFAULT 0,
+            ip_address VARCHAR(45) NULL,
+            expires_at TIMESTAMP NOT NULL,
+            used_at TIMESTAMP NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_login_challenges_user (user_id),
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+    `);
+};
+
+const down = async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS login_challenges');
+    await connection.query('DROP TABLE IF EXISTS user_recovery_codes');
+    await connection.query(`
+        ALTER TABLE users
+            DROP COLUMN two_factor_last_step,
+            DROP COLUMN two_factor_enabled_at,
+            DROP COLUMN two_factor_secret
+    `);
+};
+
+module.exports = {
+    up,
+    down
+};
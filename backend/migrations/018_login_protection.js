@@ -0,0 +1,44 @@
+// Per-account brute-force protection and known login devices.
+// Failed password or two-factor attempts are counted on the user; each one
+// makes the next attempt wait longer, and too many lock the account for a
+// while (see services/loginProtectionService.js). Every successful login
+// records its IP and browser so a login from a new one can be emailed.
+
+const up = async (connection) => {
+    await connection.query(`
+        ALTER TABLE users
+            ADD COLUMN failed_login_attempts INT NOT NULL DEFAULT 0 AFTER two_factor_last_step,
+            ADD COLUMN last_failed_login_at TIMESTAMP NULL AFTER failed_login_attempts,
+            ADD COLUMN locked_until TIMESTAMP NULL AFTER last_failed_login_at
+    `);
+
+    await connection.query(`
+        CREATE TABLE IF NOT EXISTS user_login_devices (
+            id VARCHAR(36) PRIMARY KEY,
+            user_id VARCHAR(36) NOT NULL,
+            ip_address VARCHAR(45) NOT NULL,
+            user_agent_hash CHAR(64) NOT NULL,
+            user_agent TEXT NULL,
+            first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            login_count INT NOT NULL DEFAULT 1,
+            UNIQUE KEY uq_user_login_devices (user_id, ip_address, user_agent_hash),
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+    `);
+};
+
+const down = async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS user_login_devices');
+    await connection.query(`
+        ALTER TABLE users
+            DROP COLUMN locked_until,
+            DROP COLUMN last_failed_login_at,
+            DROP COLUMN failed_login_attempts
+    `);
+};
+
+module.exports = {
+    up,
+    down
+};
@@ -0,0 +1,134 @@
+const { query } = require('../config/db');
+
+// Most rows a single CSV export returns
+const MAX_EXPORT_ROWS = 10000;
+
+class AuditLog {
+    constructor(data) {
+        this.id = data.id;
+        this.seq = Number(data.seq);
+        this.userId = data.user_id;
+        this.societyId = data.society_id;
+        this.action = data.action;
+        this.tableName = data.table_name;
+        this.recordId = data.record_id;
+        this.oldValues = data.old_values;
+        this.newValues = data.new_values;
+        this.ipAddress = data.ip_address;
+        this.userAgent = data.user_agent;
+        this.createdAt = data.created_at;
+        this.hash = data.hash;
+    }
+
+    // WHERE clause for the list filters. A society-scoped caller must always
+    // pass societyId; only developers list across societies.
+    static buildFilters(filters) {
+        let where = ' WHERE 1=1';
+        const params = [];
+
+        if (filters.societyId) {
+            where += ' AND a.society_id = ?';
+            params.push(filters.societyId);
+        }
+
+        if (filters.userId) {
+            where += ' AND a.user_id = ?';
+            params.push(filters.userId);
+        }
+
+        if (filters.action) {
+            where += ' AND a.action = ?';
+            params.push(filters.action);
+        }
+
+        if (filters.tableName) {
+            where += ' AND a.table_name = ?';
+            params.push(filters.tableName);
+        }
+
+        if (filters.from) {
+            where += ' AND a.created_at >= ?';
+            params.push(filters.from);
+        }
+
+        if (filters.to) {
+            where += ' AND a.created_at < DATE_ADD(?, INTERVAL 1 DAY)';
+            params.push(filters.to);
+        }
+
+        return { where, params };
+    }
+
+    static fromRow(row) {
+        return {
+            ...new AuditLog(row),
+            userName: row.user_name,
+            userEmail: row.user_email,
+            societyName: row.society_name
+        };
+    }
+
+    // Get audit log entries with optional filters and pagination, newest first
+    static async findAll(filters = {}) {
+        try {
+            const { where, params } = AuditLog.buildFilters(filters);
+
+            const limit = Math.min(Math.max(parseInt(filters.limit) || 50, 1), 200);
+            const page = Math.max(parseInt(filters.page) || 1, 1);
+            const offset = (page - 1) * limit;
+
+            const [countRows] = await query(`SELECT COUNT(*) as total FROM audit_logs a${where}`, params);
+            const [entries] = await query(
+                `SELECT a.*, u.name as user_name, u.email as user_email, s.name as society_name
+                 FROM audit_logs a
+                 LEFT JOIN users u ON a.user_id = u.id
+                 LEFT JOIN societies s ON a.society_id = s.id
+                 ${where}
+                 ORDER BY a.seq DESC
+                 LIMIT ${limit} OFFSET ${offset}`,
+                params
+            );
+
+            return {
+                auditLogs: entries.map(AuditLog.fromRow),
+                pagination: {
+                    page,
+                    limit,
+                    total: countRows[0].total
+                }
+            };
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Get every entry matching the filters for export, oldest first. Resolves
+    // to { auditLogs, truncated }; truncated is set past MAX_EXPORT_ROWS.
+    static async findForExport(filters = {}) {
+        try {
+            const { where, params } = AuditLog.buildFilters(filters);
+
+            const [entries] = await query(
+                `SELECT a.*, u.name as user_name, u.email as user_email, s.name as society_name
+                 FROM audit_logs a
+                 LEFT JOIN users u ON a.user_id = u.id
+                 LEFT JOIN societies s ON a.society_id = s.id
+                 ${where}
+                 ORDER BY a.seq
+                 LIMIT ${MAX_EXPORT_ROWS + 1}`,
+                params
+            );
+
+            return {
+                auditLogs: entries.slice(0, MAX_EXPORT_ROWS).map(AuditLog.fromRow),
+                truncated: entries.length > MAX_EXPORT_ROWS
+            };
+        } catch (error) {
+            throw error;
+        }
+    }
+}
+
+AuditLog.MAX_EXPORT_ROWS = MAX_EXPORT_ROWS;
+
+module.exports = AuditLog;
@@ -0,0 +1,131 @@
+const { query } = require('../config/db');
+const { assertTenant } = require('../utils/tenant');
+
+const LOAN_STATUSES = ['pending', 'approved', 'declined', 'disbursed', 'closed'];
+
+class Loan {
+    constructor(data) {
+        this.id = data.id;
+        this.societyId = data.society_id;
+        this.memberId = data.member_id;
+        this.serviceId = data.service_id;
+        this.principal = Number(data.principal);
+        this.interestRate = Number(data.interest_rate);
+        this.interestMethod = data.interest_method;
+        this.termMonths = data.term_months;
+        this.purpose = data.purpose;
+        this.status = data.status;
+        this.decisionReason = data.decision_reason;
+        this.decidedBy = data.decided_by;
+        this.decidedAt = data.decided_at;
+        this.disbursedAt = data.disbursed_at;
+        this.createdAt = data.created_at;
+        this.updatedAt = data.updated_at;
+    }
+
+    // Find loan by ID within a society. Pass `forUpdate` with a connection to lock the row.
+    static async findById(societyId, id, connection = null, forUpdate = false) {
+        try {
+            assertTenant(societyId);
+
+            const execute = connection ? connection.execute.bind(connection) : query;
+            const [loans] = await execute(
+                `SELECT * FROM loans WHERE id = ? AND society_id = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+                [id, societyId]
+            );
+
+            if (loans.length === 0) {
+                return null;
+            }
+
+            return new Loan(loans[0]);
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Get loans of a society with optional filters
+    static async findAll(societyId, filters = {}) {
+        try {
+            assertTenant(societyId);
+
+            let sql = `SELECT l.*, m.member_number, CONCAT(m.first_name, ' ', m.last_name) as member_name, s.name as service_name
+                       FROM loans l
+                       JOIN members m ON l.member_id = m.id
+                       JOIN services s ON l.service_id = s.id
+                       WHERE l.society_id = ?`;
+            const params = [societyId];
+
+            if (filters.memberId) {
+                sql += ' AND l.member_id = ?';
+                params.push(filters.memberId);
+            }
+
+            if (filters.status) {
+                sql += ' AND l.status = ?';
+                params.push(filters.status);
+            }
+
+            sql += ' ORDER BY l.created_at DESC';
+
+            const [loans] = await query(sql, params);
+            return loans.map(loan => ({
+                ...new Loan(loan),
+                memberNumber: loan.member_number,
+                memberName: loan.member_name,
+                serviceName: loan.service_name
+            }));
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Get the amortization schedule of a loan
+    static async getInstallments(loanId, connection = null, forUpdate = false) {
+        try {
+            const execute = connection ? connection.execute.bind(connection) : query;
+            const [installments] = await execute(
+                `SELECT * FROM loan_installments WHERE loan_id = ? ORDER BY installment_number${forUpdate ? ' FOR UPDATE' : ''}`,
+                [loanId]
+            );
+
+            return installments.map(installment => ({
+                id: installment.id,
+                installmentNumber: installment.installment_number,
+                dueDate: installment.due_date,
+                principalDue: Number(installment.principal_due),
+                interestDue: Number(installment.interest_due),
+                principalPaid: Number(installment.principal_paid),
+                interestPaid: Number(installment.interest_paid),
+                status: installment.status
+            }));
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Get the repayments made on a loan
+    static async getRepayments(loanId) {
+        try {
+            const [repayments] = await query(
+                'SELECT * FROM loan_repayments WHERE loan_id = ? ORDER BY created_at',
+                [loanId]
+            );
+
+            return repayments.map(repayment => ({
+                id: repayment.id,
+                amount: Number(repayment.amount),
+                principalAmount: Number(repayment.principal_amount),
+                interestAmount: Number(repayment.interest_amount),
+                transactionId: repayment.transaction_id,
+                createdAt: repayment.created_at
+            }));
+        } catch (error) {
+            throw error;
+        }
+    }
+}
+
+Loan.STATUSES = LOAN_STATUSES;
+
+module.exports = Loan;
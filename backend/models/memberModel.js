@@ -0,0 +1,306 @@
+const { query, withTransaction } = require('../config/db');
+const { v4: uuidv4 } = require('uuid');
+const { assertTenant } = require('../utils/tenant');
+
+const MEMBER_NUMBER_PADDING = 5;
+const MEMBER_STATUSES = ['active', 'inactive', 'suspended'];
+
+class Member {
+    constructor(data) {
+        this.id = data.id || uuidv4();
+        this.societyId = data.society_id;
+        this.memberNumber = data.member_number;
+        this.firstName = data.first_name;
+        this.lastName = data.last_name;
+        this.email = data.email;
+        this.phone = data.phone;
+        this.address = data.address;
+        this.dateOfBirth = data.date_of_birth;
+        this.joinDate = data.join_date;
+        this.status = data.status || 'active';
+        this.createdAt = data.created_at;
+        this.updatedAt = data.updated_at;
+    }
+
+    // Create a new member with a generated member number. The number is
+    // reserved in the same transaction, so a failed insert leaves no gap.
+    static async create(societyId, memberData) {
+        try {
+            assertTenant(societyId);
+
+            const memberId = uuidv4();
+
+            await withTransaction(async (connection) => {
+                const memberNumber = await this.generateMemberNumber(societyId, connection);
+
+                await connection.execute(
+                    `INSERT INTO members (id, society_id, member_number, first_name, last_name, email, phone, address, date_of_birth, join_date, status)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'active')`,
+                    [
+                        memberId,
+                        societyId,
+                        memberNumber,
+                        memberData.firstName,
+                        memberData.lastName,
+                        memberData.email || null,
+                        memberData.phone || null,
+                        memberData.address || null,
+                        memberData.dateOfBirth || null,
+                        memberData.joinDate || new Date().toISOString().slice(0, 10)
+                    ]
+                );
+            });
+
+            return await this.findById(societyId, memberId);
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Find member by ID within a society
+    static async findById(societyId, id) {
+        try {
+            assertTenant(societyId);
+
+            const [members] = await query(
+                'SELECT * FROM members WHERE id = ? AND society_id = ?',
+                [id, societyId]
+            );
+
+            if (members.length === 0) {
+                return null;
+            }
+
+            return new Member(members[0]);
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Find member by member number within a society
+    static async findByMemberNumber(societyId, memberNumber) {
+        try {
+            assertTenant(societyId);
+
+            const [members] = await query(
+                'SELECT * FROM members WHERE member_number = ? AND society_id = ?',
+                [memberNumber, societyId]
+            );
+
+            if (members.length === 0) {
+                return null;
+            }
+
+            return new Member(members[0]);
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // List/search members of a society with optional filters and pagination
+    static async findAll(societyId, filters = {}) {
+        try {
+            assertTenant(societyId);
+
+            let where = ' WHERE society_id = ?';
+            const params = [societyId];
+
+            if (filters.status) {
+                where += ' AND status = ?';
+                params.push(filters.status);
+            }
+
+            if (filters.search) {
+                const term = `%${filters.search}%`;
+                where += ` AND (member_number LIKE ? OR first_name LIKE ? OR last_name LIKE ?
+                           OR CONCAT(first_name, ' ', last_name) LIKE ? OR email LIKE ? OR phone LIKE ?)`;
+                params.push(term, term, term, term, term, term);
+            }
+
+            const limit = Math.min(Math.max(parseInt(filters.limit) || 25, 1), 100);
+            const page = Math.max(parseInt(filters.page) || 1, 1);
+            const offset = (page - 1) * limit;
+
+            const [countRows] = await query(`SELECT COUNT(*) as total FROM members${where}`, params);
+            const [members] = await query(
+                `SELECT * FROM members${where} ORDER BY created_at DESC LIMIT ${limit} OFFSET ${offset}`,
+                params
+            );
+
+            return {
+                members: members.map(member => new Member(member)),
+                pagination: {
+                    page,
+                    limit,
+                    total: countRows[0].total
+                }
+            };
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Update member information
+    async update(updateData) {
+        try {
+            const allowedFields = ['first_name', 'last_name', 'email', 'phone', 'address', 'date_of_birth', 'join_date'];
+            const updates = [];
+            const values = [];
+            const changes = {};
+
+            for (const [key, value] of Object.entries(updateData)) {
+                if (allowedFields.includes(key) && value !== undefined) {
+                    updates.push(`${key} = ?`);
+                    values.push(value);
+                    changes[key] = value;
+                }
+            }
+
+            if (updates.length === 0) {
+                return false;
+            }
+
+            values.push(this.id, this.societyId);
+            const sql = `UPDATE members SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND society_id = ?`;
+
+            const [result] = await query(sql, values);
+
+            if (result.affectedRows > 0) {
+                // Update local instance
+                Object.assign(this, new Member({ ...this.toRow(), ...changes }));
+                return true;
+            }
+
+            return false;
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Update member status (active, inactive, suspended)
+    static async updateStatus(societyId, id, status) {
+        try {
+            assertTenant(societyId);
+
+            const [result] = await query(
+                'UPDATE members SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND society_id = ?',
+                [status, id, societyId]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Get the member numbering settings of a society, creating the defaults if needed
+    static async getNumberingSettings(societyId) {
+        try {
+            assertTenant(societyId);
+
+            await query(
+                'INSERT IGNORE INTO member_number_sequences (society_id, prefix, last_value) VALUES (?, ?, 0)',
+                [societyId, await this.defaultPrefix(societyId)]
+            );
+
+            const [settings] = await query(
+                'SELECT prefix, last_value FROM member_number_sequences WHERE society_id = ?',
+                [societyId]
+            );
+
+            return {
+                prefix: settings[0].prefix,
+                lastValue: settings[0].last_value,
+                nextMemberNumber: this.formatMemberNumber(settings[0].prefix, settings[0].last_value + 1)
+            };
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Change the prefix used for new member numbers
+    static async updateNumberPrefix(societyId, prefix) {
+        try {
+            assertTenant(societyId);
+
+            await query(
+                `INSERT INTO member_number_sequences (society_id, prefix, last_value) VALUES (?, ?, 0)
+                 ON DUPLICATE KEY UPDATE prefix = VALUES(prefix)`,
+                [societyId, prefix]
+            );
+
+            return await this.getNumberingSettings(societyId);
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Atomically reserve the next member number of a society. Within a
+    // connection's transaction the sequence row stays locked until it ends.
+    static async generateMemberNumber(societyId, connection = null) {
+        try {
+            assertTenant(societyId);
+            const execute = connection ? connection.execute.bind(connection) : query;
+
+            // LAST_INSERT_ID(expr) makes the incremented value come back as insertId,
+            // so concurrent registrations never receive the same number
+            const [result] = await execute(
+                `INSERT INTO member_number_sequences (society_id, prefix, last_value) VALUES (?, ?, 1)
+                 ON DUPLICATE KEY UPDATE last_value = LAST_INSERT_ID(last_value + 1)`,
+                [societyId, await this.defaultPrefix(societyId)]
+            );
+            const sequence = result.insertId || 1;
+
+            const [settings] = await execute(
+                'SELECT prefix FROM member_number_sequences WHERE society_id = ?',
+                [societyId]
+            );
+
+            return this.formatMemberNumber(settings[0].prefix, sequence);
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Default prefix: the society's registration number, which is unique across tenants
+    static async defaultPrefix(societyId) {
+        try {
+            const [societies] = await query(
+                'SELECT registration_number FROM societies WHERE id = ?',
+                [societyId]
+            );
+
+            const registrationNumber = societies.length > 0 ? societies[0].registration_number : '';
+            return registrationNumber.toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 20) || 'MEM';
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    static formatMemberNumber(prefix, sequence) {
+        return `${prefix}-${String(sequence).padStart(MEMBER_NUMBER_PADDING, '0')}`;
+    }
+
+    // Map back to column names
+    toRow() {
+        return {
+            id: this.id,
+            society_id: this.societyId,
+            member_number: this.memberNumber,
+            first_name: this.firstName,
+            last_name: this.lastName,
+            email: this.email,
+            phone: this.phone,
+            address: this.address,
+            date_of_birth: this.dateOfBirth,
+            join_date: this.joinDate,
+            status: this.status,
+            created_at: this.createdAt,
+            updated_at: this.updatedAt
+        };
+    }
+}
+
+Member.STATUSES = MEMBER_STATUSES;
+
+module.exports = Member;
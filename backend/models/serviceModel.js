@@ -0,0 +1,195 @@
+const { query } = require('../config/db');
+const { v4: uuidv4 } = require('uuid');
+const { assertTenant } = require('../utils/tenant');
+const { ValidationError } = require('../utils/errors');
+
+const SERVICE_TYPES = ['savings', 'share_capital', 'monthly_deduction', 'loan', 'other'];
+const INTEREST_FREQUENCIES = ['daily', 'monthly'];
+
+class Service {
+    constructor(data) {
+        this.id = data.id || uuidv4();
+        this.societyId = data.society_id;
+        this.name = data.name;
+        this.type = data.type;
+        this.description = data.description;
+        this.interestRate = Number(data.interest_rate || 0);
+        this.interestFrequency = data.interest_frequency || 'monthly';
+        this.minimumAmount = Number(data.minimum_amount || 0);
+        this.maximumAmount = Number(data.maximum_amount || 0);
+        this.unitPrice = Number(data.unit_price || 0);
+        this.status = data.status || 'active';
+        this.createdAt = data.created_at;
+        this.updatedAt = data.updated_at;
+    }
+
+    // Create a new service for a society
+    static async create(societyId, serviceData) {
+        try {
+            assertTenant(societyId);
+
+            const serviceId = uuidv4();
+            await query(
+                `INSERT INTO services (id, society_id, name, type, description, interest_rate, interest_frequency, minimum_amount, maximum_amount, unit_price, status)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    serviceId,
+                    societyId,
+                    serviceData.name,
+                    serviceData.type,
+                    serviceData.description || null,
+                    serviceData.interestRate || 0,
+                    serviceData.interestFrequency || 'monthly',
+                    serviceData.minimumAmount || 0,
+                    serviceData.maximumAmount || 0,
+                    serviceData.unitPrice || 0,
+                    serviceData.status || 'active'
+                ]
+            );
+
+            return await this.findById(societyId, serviceId);
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Find service by ID within a society
+    static async findById(societyId, id) {
+        try {
+            assertTenant(societyId);
+
+            const [services] = await query(
+                'SELECT * FROM services WHERE id = ? AND society_id = ?',
+                [id, societyId]
+            );
+
+            if (services.length === 0) {
+                return null;
+            }
+
+            return new Service(services[0]);
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Get all services of a society with optional filters
+    static async findAll(societyId, filters = {}) {
+        try {
+            assertTenant(societyId);
+
+            let sql = 'SELECT * FROM services WHERE society_id = ?';
+            const params = [societyId];
+
+            if (filters.type) {
+                sql += ' AND type = ?';
+                params.push(filters.type);
+            }
+
+            if (filters.status) {
+                sql += ' AND status = ?';
+                params.push(filters.status);
+            }
+
+            sql += ' ORDER BY created_at DESC';
+
+            const [services] = await query(sql, params);
+            return services.map(service => new Service(service));
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Update service information
+    async update(updateData) {
+        try {
+            const allowedFields = ['name', 'type', 'description', 'interest_rate', 'interest_frequency', 'minimum_amount', 'maximum_amount', 'unit_price'];
+            const updates = [];
+            const values = [];
+            const changes = {};
+
+            for (const [key, value] of Object.entries(updateData)) {
+                if (allowedFields.includes(key) && value !== undefined) {
+                    updates.push(`${key} = ?`);
+                    values.push(value);
+                    changes[key] = value;
+                }
+            }
+
+            if (updates.length === 0) {
+                return false;
+            }
+
+            values.push(this.id, this.societyId);
+            const sql = `UPDATE services SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND society_id = ?`;
+
+            const [result] = await query(sql, values);
+
+            if (result.affectedRows > 0) {
+                // Update local instance
+                Object.assign(this, new Service({ ...this.toRow(), ...changes }));
+                return true;
+            }
+
+            return false;
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Activate/deactivate service
+    static async updateStatus(societyId, id, status) {
+        try {
+            assertTenant(societyId);
+
+            const [result] = await query(
+                'UPDATE services SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND society_id = ?',
+                [status, id, societyId]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Check that a transaction of the given amount may be made against this service.
+    // A maximum_amount of 0 means the service has no upper limit.
+    assertTransactable(amount) {
+        if (this.status !== 'active') {
+            throw new ValidationError(`Service "${this.name}" is not active`);
+        }
+
+        if (this.minimumAmount > 0 && amount < this.minimumAmount) {
+            throw new ValidationError(`Amount is below the minimum of ${this.minimumAmount.toFixed(2)} for "${this.name}"`);
+        }
+
+        if (this.maximumAmount > 0 && amount > this.maximumAmount) {
+            throw new ValidationError(`Amount exceeds the maximum of ${this.maximumAmount.toFixed(2)} for "${this.name}"`);
+        }
+    }
+
+    // Map back to column names
+    toRow() {
+        return {
+            id: this.id,
+            society_id: this.societyId,
+            name: this.name,
+            type: this.type,
+            description: this.description,
+            interest_rate: this.interestRate,
+            interest_frequency: this.interestFrequency,
+            minimum_amount: this.minimumAmount,
+            maximum_amount: this.maximumAmount,
+            unit_price: this.unitPrice,
+            status: this.status,
+            created_at: this.createdAt,
+            updated_at: this.updatedAt
+        };
+    }
+}
+
+Service.TYPES = SERVICE_TYPES;
+Service.INTEREST_FREQUENCIES = INTEREST_FREQUENCIES;
+
+module.exports = Service;
@@ -0,0 +1,123 @@
+const { query } = require('../config/db');
+
+class Session {
+    constructor(data) {
+        this.id = data.id;
+        this.userId = data.user_id;
+        this.ipAddress = data.ip_address;
+        this.userAgent = data.user_agent;
+        this.scope = data.scope || null;
+        this.createdAt = data.created_at;
+        this.lastUsedAt = data.last_used_at;
+        this.expiresAt = data.expires_at;
+        this.revokedAt = data.revoked_at;
+        this.revokedReason = data.revoked_reason;
+    }
+
+    // Find session by ID
+    static async findById(id) {
+        try {
+            const [sessions] = await query(
+                'SELECT * FROM user_sessions WHERE id = ?',
+                [id]
+            );
+
+            if (sessions.length === 0) {
+                return null;
+            }
+
+            return new Session(sessions[0]);
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Sessions of a user that are neither revoked nor expired, most recent first
+    static async findActiveByUser(userId) {
+        try {
+            const [sessions] = await query(
+                `SELECT * FROM user_sessions
+                 WHERE user_id = ? AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+                 ORDER BY last_used_at DESC`,
+                [userId]
+            );
+
+            return sessions.map(session => new Session(session));
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Revoke one session of a user and its refresh tokens
+    static async revoke(userId, id, reason) {
+        try {
+            const [result] = await query(
+                `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+                 WHERE id = ? AND user_id = ? AND revoked_at IS NULL`,
+                [reason, id, userId]
+            );
+            await query(
+                `UPDATE refresh_tokens SET status = 'revoked' WHERE session_id = ? AND status = 'active'`,
+                [id]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Revoke every session of a user, optionally keeping one (the caller's own)
+    static async revokeAllForUser(userId, reason, exceptSessionId = null) {
+        try {
+            const [result] = await query(
+                `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+                 WHERE user_id = ? AND revoked_at IS NULL AND id <> ?`,
+                [reason, userId, exceptSessionId || '']
+            );
+            await query(
+                `UPDATE refresh_tokens rt JOIN user_sessions s ON rt.session_id = s.id
+                 SET rt.status = 'revoked'
+                 WHERE s.user_id = ? AND s.revoked_at IS NOT NULL AND rt.status = 'active'`,
+                [userId]
+            );
+
+            return result.affectedRows;
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Revoke every session of every user of a society (admins and members).
+    // Pass a connection to run inside a unit of work.
+    static async revokeAllForSociety(societyId, reason, connection = null) {
+        try {
+            const execute = connection ? connection.execute.bind(connection) : query;
+            const [result] = await execute(
+                `UPDATE user_sessions s JOIN users u ON s.user_id = u.id
+                 SET s.revoked_at = CURRENT_TIMESTAMP, s.revoked_reason = ?
+                 WHERE u.society_id = ? AND s.revoked_at IS NULL`,
+                [reason, societyId]
+            );
+            await execute(
+                `UPDATE refresh_tokens rt
+                 JOIN user_sessions s ON rt.session_id = s.id
+                 JOIN users u ON s.user_id = u.id
+                 SET rt.status = 'revoked'
+                 WHERE u.society_id = ? AND s.revoked_at IS NOT NULL AND rt.status = 'active'`,
+                [societyId]
+            );
+
+            return result.affectedRows;
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // True while the session can still authorize requests
+    isActive() {
+        return !this.revokedAt && new Date(this.expiresAt) > new Date();
+    }
+}
+
+module.exports = Session;
@@ -1,5 +1,6 @@
 const { query } = require('../config/db');
 const { v4: uuidv4 } = require('uuid');
+const { assertTenant } = require('../utils/tenant');
 
 class Society {
     constructor(data) {
@@ -10,6 +11,8 @@ class Society {
         this.establishmentDate = data.establishment_date;
         this.address = data.address;
         this.status = data.status || 'pending';
+        this.statusReason = data.status_reason;
+        this.statusChangedAt = data.status_changed_at;
         this.createdAt = data.created_at;
         this.updatedAt = data.updated_at;
     }
@@ -119,20 +122,6 @@ class Society {
         }
     }
 
-    // Update society status
-    static async updateStatus(id, status) {
-        try {
-            const result = await query(
-                'UPDATE societies SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-                [status, id]
-            );
-
-            return result.affectedRows > 0;
-        } catch (error) {
-            throw error;
-        }
-    }
-
     // Update society information
     async update(updateData) {
         try {
@@ -168,16 +157,6 @@ class Society {
         }
     }
 
-    // Delete society
-    static async delete(id) {
-        try {
-            const result = await query('DELETE FROM societies WHERE id = ?', [id]);
-            return result.affectedRows > 0;
-        } catch (error) {
-            throw error;
-        }
-    }
-
     // Get society statistics
     static async getStatistics() {
         try {
@@ -187,6 +166,8 @@ class Society {
                     COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_societies,
                     COUNT(CASE WHEN status = 'approved' THEN 1 END) as approved_societies,
                     COUNT(CASE WHEN status = 'rejected' THEN 1 END) as rejected_societies,
+                    COUNT(CASE WHEN status = 'suspended' THEN 1 END) as suspended_societies,
+                    COUNT(CASE WHEN status = 'archived' THEN 1 END) as archived_societies,
                     COUNT(CASE WHEN society_type = 'credit' THEN 1 END) as credit_societies,
                     COUNT(CASE WHEN society_type = 'consumer' THEN 1 END) as consumer_societies,
                     COUNT(CASE WHEN society_type = 'producer' THEN 1 END) as producer_societies,
@@ -223,11 +204,16 @@ class Society {
         }
     }
 
-    // Get society documents
+    // Get society documents with their review state (storage location left out).
+    // Replaced documents are kept, with superseded_by naming their replacement.
     static async getDocuments(societyId) {
         try {
+            assertTenant(societyId);
+
             const [documents] = await query(
-                'SELECT * FROM society_documents WHERE society_id = ? ORDER BY uploaded_at DESC',
+                `SELECT id, society_id, document_type, file_name, file_size, mime_type, checksum_sha256, uploaded_at,
+                        review_status, review_comment, reviewed_at, superseded_by
+                 FROM society_documents WHERE society_id = ? ORDER BY uploaded_at DESC`,
                 [societyId]
             );
 
@@ -237,21 +223,43 @@ class Society {
         }
     }
 
-    // Add document to society
-    static async addDocument(societyId, documentData) {
+    // Find a society document, including where it is stored
+    static async findDocument(societyId, documentId) {
         try {
+            assertTenant(societyId);
+
+            const [documents] = await query(
+                'SELECT * FROM society_documents WHERE id = ? AND society_id = ?',
+                [documentId, societyId]
+            );
+
+            return documents.length > 0 ? documents[0] : null;
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Add document to society. Pass a connection to run inside a unit of work.
+    static async addDocument(societyId, documentData, connection = null) {
+        try {
+            assertTenant(societyId);
+
+            const execute = connection ? connection.execute.bind(connection) : query;
             const documentId = uuidv4();
-            const result = await query(
-                `INSERT INTO society_documents (id, society_id, document_type, file_name, file_path, file_size, mime_type) 
-                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            await execute(
+                `INSERT INTO society_documents (id, society_id, document_type, file_name, storage_key, storage_driver,
+                                                file_size, mime_type, checksum_sha256)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
                 [
                     documentId,
                     societyId,
                     documentData.documentType,
                     documentData.fileName,
-                    documentData.filePath,
+                    documentData.storageKey,
+                    documentData.storageDriver,
                     documentData.fileSize,
-                    documentData.mimeType
+                    documentData.mimeType,
+                    documentData.checksum
                 ]
             );
 
@@ -262,4 +270,9 @@ class Society {
     }
 }
 
+Society.TYPES = ['credit', 'consumer', 'producer', 'housing', 'worker', 'other'];
+
+// Status changes go through services/societyLifecycleService.js, never a plain UPDATE
+Society.STATUSES = ['pending', 'approved', 'rejected', 'suspended', 'archived'];
+
 module.exports = Society; 
\ No newline at end of file
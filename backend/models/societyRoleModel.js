@@ -0,0 +1,180 @@
+const { query } = require('../config/db');
+const { v4: uuidv4 } = require('uuid');
+const { assertTenant } = require('../utils/tenant');
+
+// Roles every new society starts with; admins can edit them or add their own
+const DEFAULT_ROLES = [
+    {
+        name: 'president',
+        description: 'Runs the society day to day',
+        permissions: ['manage_staff', 'manage_members', 'manage_services', 'record_transactions', 'approve_transactions',
+            'manage_loans', 'manage_deductions', 'manage_dividends', 'view_audit_logs']
+    },
+    {
+        name: 'treasurer',
+        description: 'Handles money: transactions, loans, deductions and dividends',
+        permissions: ['record_transactions', 'approve_transactions', 'manage_loans', 'manage_deductions',
+            'manage_dividends', 'view_audit_logs']
+    },
+    {
+        name: 'secretary',
+        description: 'Keeps the member register',
+        permissions: ['manage_members', 'view_audit_logs']
+    },
+    {
+        name: 'clerk',
+        description: 'Records deposits, withdrawals and repayments',
+        permissions: ['record_transactions']
+    }
+];
+
+const parsePermissions = (value) => (typeof value === 'string' ? JSON.parse(value) : value) || [];
+
+// A society-level staff role: a named permission set (see User.SOCIETY_PERMISSIONS)
+class SocietyRole {
+    constructor(data) {
+        this.id = data.id || uuidv4();
+        this.societyId = data.society_id;
+        this.name = data.name;
+        this.description = data.description;
+        this.permissions = parsePermissions(data.permissions);
+        this.staffCount = data.staff_count === undefined ? undefined : Number(data.staff_count);
+        this.createdBy = data.created_by;
+        this.createdAt = data.created_at;
+        this.updatedAt = data.updated_at;
+    }
+
+    // Create a role. Pass a connection to run inside a unit of work.
+    static async create(societyId, roleData, connection = null) {
+        try {
+            assertTenant(societyId);
+            const execute = connection ? connection.execute.bind(connection) : query;
+
+            const roleId = uuidv4();
+            await execute(
+                `INSERT INTO society_roles (id, society_id, name, description, permissions, created_by)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [
+                    roleId,
+                    societyId,
+                    roleData.name,
+                    roleData.description || null,
+                    JSON.stringify(roleData.permissions),
+                    roleData.createdBy || null
+                ]
+            );
+
+            return roleId;
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Give a new society the default roles
+    static async createDefaults(societyId, connection = null) {
+        try {
+            for (const role of DEFAULT_ROLES) {
+                await this.create(societyId, role, connection);
+            }
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Find a role of a society
+    static async findById(societyId, id) {
+        try {
+            assertTenant(societyId);
+
+            const [roles] = await query(
+                `SELECT r.*, (SELECT COUNT(*) FROM users u WHERE u.society_role_id = r.id) as staff_count
+                 FROM society_roles r WHERE r.id = ? AND r.society_id = ?`,
+                [id, societyId]
+            );
+
+            if (roles.length === 0) {
+                return null;
+            }
+
+            return new SocietyRole(roles[0]);
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Find a role of a society by name
+    static async findByName(societyId, name) {
+        try {
+            assertTenant(societyId);
+
+            const [roles] = await query(
+                'SELECT * FROM society_roles WHERE society_id = ? AND name = ?',
+                [societyId, name]
+            );
+
+            return roles.length === 0 ? null : new SocietyRole(roles[0]);
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // All roles of a society with the number of staff holding each
+    static async findAll(societyId) {
+        try {
+            assertTenant(societyId);
+
+            const [roles] = await query(
+                `SELECT r.*, COUNT(u.id) as staff_count
+                 FROM society_roles r
+                 LEFT JOIN users u ON u.society_role_id = r.id
+                 WHERE r.society_id = ?
+                 GROUP BY r.id
+                 ORDER BY r.name`,
+                [societyId]
+            );
+
+            return roles.map(role => new SocietyRole(role));
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Update a role's name, description or permissions
+    static async update(societyId, id, roleData) {
+        try {
+            assertTenant(societyId);
+
+            const [result] = await query(
+                `UPDATE society_roles SET name = ?, description = ?, permissions = ?, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ? AND society_id = ?`,
+                [roleData.name, roleData.description || null, JSON.stringify(roleData.permissions), id, societyId]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Delete a role no staff user holds
+    static async delete(societyId, id) {
+        try {
+            assertTenant(societyId);
+
+            const [result] = await query(
+                `DELETE FROM society_roles
+                 WHERE id = ? AND society_id = ?
+                   AND NOT EXISTS (SELECT 1 FROM users u WHERE u.society_role_id = society_roles.id)`,
+                [id, societyId]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            throw error;
+        }
+    }
+}
+
+SocietyRole.DEFAULTS = DEFAULT_ROLES;
+
+module.exports = SocietyRole;
@@ -0,0 +1,160 @@
+const { query } = require('../config/db');
+const { assertTenant } = require('../utils/tenant');
+
+const TRANSACTION_TYPES = ['deposit', 'withdrawal', 'transfer', 'fee', 'interest'];
+
+class Transaction {
+    constructor(data) {
+        this.id = data.id;
+        this.societyId = data.society_id;
+        this.memberId = data.member_id;
+        this.serviceId = data.service_id;
+        this.transactionType = data.transaction_type;
+        this.amount = Number(data.amount);
+        this.balanceBefore = Number(data.balance_before);
+        this.balanceAfter = Number(data.balance_after);
+        this.description = data.description;
+        this.referenceNumber = data.reference_number;
+        this.status = data.status;
+        this.createdAt = data.created_at;
+    }
+
+    // Find transaction by ID within a society
+    static async findById(societyId, id, connection = null) {
+        try {
+            assertTenant(societyId);
+
+            const execute = connection ? connection.execute.bind(connection) : query;
+            const [transactions] = await execute(
+                'SELECT * FROM transactions WHERE id = ? AND society_id = ?',
+                [id, societyId]
+            );
+
+            if (transactions.length === 0) {
+                return null;
+            }
+
+            return new Transaction(transactions[0]);
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Find transaction by its reference number within a society
+    static async findByReference(societyId, referenceNumber, connection = null) {
+        try {
+            assertTenant(societyId);
+
+            const execute = connection ? connection.execute.bind(connection) : query;
+            const [transactions] = await execute(
+                'SELECT * FROM transactions WHERE society_id = ? AND reference_number = ?',
+                [societyId, referenceNumber]
+            );
+
+            if (transactions.length === 0) {
+                return null;
+            }
+
+            return new Transaction(transactions[0]);
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Get transactions of a society with optional filters and pagination
+    static async findAll(societyId, filters = {}) {
+        try {
+            assertTenant(societyId);
+
+            let where = ' WHERE t.society_id = ?';
+            const params = [societyId];
+
+            if (filters.memberId) {
+                where += ' AND t.member_id = ?';
+                params.push(filters.memberId);
+            }
+
+            if (filters.serviceId) {
+                where += ' AND t.service_id = ?';
+                params.push(filters.serviceId);
+            }
+
+            if (filters.type) {
+                where += ' AND t.transaction_type = ?';
+                params.push(filters.type);
+            }
+
+            if (filters.from) {
+                where += ' AND t.created_at >= ?';
+                params.push(filters.from);
+            }
+
+            if (filters.to) {
+                where += ' AND t.created_at < DATE_ADD(?, INTERVAL 1 DAY)';
+                params.push(filters.to);
+            }
+
+            const limit = Math.min(Math.max(parseInt(filters.limit) || 50, 1), 200);
+            const page = Math.max(parseInt(filters.page) || 1, 1);
+            const offset = (page - 1) * limit;
+
+            const [countRows] = await query(`SELECT COUNT(*) as total FROM transactions t${where}`, params);
+            const [transactions] = await query(
+                `SELECT t.*, m.member_number, CONCAT(m.first_name, ' ', m.last_name) as member_name, s.name as service_name
+                 FROM transactions t
+                 LEFT JOIN members m ON t.member_id = m.id
+                 LEFT JOIN services s ON t.service_id = s.id
+                 ${where}
+                 ORDER BY t.created_at DESC
+                 LIMIT ${limit} OFFSET ${offset}`,
+                params
+            );
+
+            return {
+                transactions: transactions.map(transaction => ({
+                    ...new Transaction(transaction),
+                    memberNumber: transaction.member_number,
+                    memberName: transaction.member_name,
+                    serviceName: transaction.service_name
+                })),
+                pagination: {
+                    page,
+                    limit,
+                    total: countRows[0].total
+                }
+            };
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Get the accounts (balance per service) of a member
+    static async getMemberAccounts(societyId, memberId) {
+        try {
+            assertTenant(societyId);
+
+            const [accounts] = await query(
+                `SELECT a.service_id, a.balance, a.updated_at, s.name as service_name, s.type as service_type
+                 FROM member_accounts a
+                 JOIN services s ON a.service_id = s.id
+                 WHERE a.society_id = ? AND a.member_id = ?
+                 ORDER BY s.name`,
+                [societyId, memberId]
+            );
+
+            return accounts.map(account => ({
+                serviceId: account.service_id,
+                serviceName: account.service_name,
+                serviceType: account.service_type,
+                balance: Number(account.balance),
+                updatedAt: account.updated_at
+            }));
+        } catch (error) {
+            throw error;
+        }
+    }
+}
+
+Transaction.TYPES = TRANSACTION_TYPES;
+
+module.exports = Transaction;
@@ -0,0 +1,86 @@
+const { query } = require('../config/db');
+const { assertTenant } = require('../utils/tenant');
+
+const REQUEST_TYPES = ['deposit', 'withdrawal'];
+const REQUEST_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+class TransactionRequest {
+    constructor(data) {
+        this.id = data.id;
+        this.societyId = data.society_id;
+        this.memberId = data.member_id;
+        this.serviceId = data.service_id;
+        this.transactionType = data.transaction_type;
+        this.amount = Number(data.amount);
+        this.description = data.description;
+        this.status = data.status;
+        this.transactionId = data.transaction_id;
+        this.reviewedBy = data.reviewed_by;
+        this.reviewedAt = data.reviewed_at;
+        this.reviewNote = data.review_note;
+        this.createdAt = data.created_at;
+        this.updatedAt = data.updated_at;
+    }
+
+    // Find request by ID within a society. Pass `forUpdate` with a connection to lock the row.
+    static async findById(societyId, id, connection = null, forUpdate = false) {
+        try {
+            assertTenant(societyId);
+
+            const execute = connection ? connection.execute.bind(connection) : query;
+            const [requests] = await execute(
+                `SELECT * FROM transaction_requests WHERE id = ? AND society_id = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+                [id, societyId]
+            );
+
+            if (requests.length === 0) {
+                return null;
+            }
+
+            return new TransactionRequest(requests[0]);
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Get requests of a society with optional filters
+    static async findAll(societyId, filters = {}) {
+        try {
+            assertTenant(societyId);
+
+            let sql = `SELECT r.*, m.member_number, CONCAT(m.first_name, ' ', m.last_name) as member_name, s.name as service_name
+                       FROM transaction_requests r
+                       JOIN members m ON r.member_id = m.id
+                       JOIN services s ON r.service_id = s.id
+                       WHERE r.society_id = ?`;
+            const params = [societyId];
+
+            if (filters.memberId) {
+                sql += ' AND r.member_id = ?';
+                params.push(filters.memberId);
+            }
+
+            if (filters.status) {
+                sql += ' AND r.status = ?';
+                params.push(filters.status);
+            }
+
+            sql += ' ORDER BY r.created_at DESC';
+
+            const [requests] = await query(sql, params);
+            return requests.map(request => ({
+                ...new TransactionRequest(request),
+                memberNumber: request.member_number,
+                memberName: request.member_name,
+                serviceName: request.service_name
+            }));
+        } catch (error) {
+            throw error;
+        }
+    }
+}
+
+TransactionRequest.TYPES = REQUEST_TYPES;
+TransactionRequest.STATUSES = REQUEST_STATUSES;
+
+module.exports = TransactionRequest;
@@ -1,6 +1,27 @@
 const { query } = require('../config/db');
 const bcrypt = require('bcryptjs');
 const { v4: uuidv4 } = require('uuid');
+const Session = require('./sessionModel');
+
+// Permissions a society's staff roles can be given (see SocietyRole).
+// manage_society stays with the society_admin who registered the society.
+const SOCIETY_PERMISSIONS = {
+    manage_staff: 'Invite staff, assign their roles and deactivate them',
+    manage_members: 'Add and update members, suspend them and create their logins',
+    manage_services: 'Create and change savings, share and loan services',
+    record_transactions: 'Post deposits, withdrawals and fees, record loan repayments and buy or redeem shares',
+    approve_transactions: 'Approve or reject deposit and withdrawal requests from members',
+    manage_loans: 'Take loan applications, approve, decline and disburse loans',
+    manage_deductions: 'Upload, confirm and reverse payroll deduction batches',
+    manage_dividends: 'Compute and post dividend runs',
+    view_audit_logs: "View and export the society's audit trail"
+};
+
+// JSON columns arrive parsed from mysql2, or as text from older drivers
+const parsePermissions = (value) => {
+    const permissions = typeof value === 'string' ? JSON.parse(value) : value;
+    return Array.isArray(permissions) ? permissions.filter(permission => SOCIETY_PERMISSIONS[permission]) : [];
+};
 
 class User {
     constructor(data) {
@@ -11,7 +32,15 @@ class User {
         this.phone = data.phone;
         this.role = data.role;
         this.societyId = data.society_id;
+        this.memberId = data.member_id;
+        this.societyRoleId = data.society_role_id || null;
+        this.societyRoleName = data.society_role_name || null;
+        this.societyRolePermissions = parsePermissions(data.society_role_permissions);
         this.status = data.status || 'active';
+        this.emailVerifiedAt = data.email_verified_at;
+        this.mustChangePassword = Boolean(data.must_change_password);
+        this.passwordChangedAt = data.password_changed_at;
+        this.twoFactorEnabledAt = data.two_factor_enabled_at || null;
         this.createdAt = data.created_at;
         this.updatedAt = data.updated_at;
     }
@@ -28,8 +57,8 @@ class User {
             }
 
             const result = await query(
-                `INSERT INTO users (id, email, password, name, phone, role, society_id, status) 
-                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                `INSERT INTO users (id, email, password, name, phone, role, society_id, member_id, status) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
                 [
                     userId,
                     userData.email,
@@ -38,6 +67,7 @@ class User {
                     userData.phone,
                     userData.role,
                     userData.societyId || null,
+                    userData.memberId || null,
                     userData.status || 'active'
                 ]
             );
@@ -48,11 +78,14 @@ class User {
         }
     }
 
-    // Find user by ID
+    // Find user by ID, with the permissions of a staff user's society role
     static async findById(id) {
         try {
             const [users] = await query(
-                'SELECT * FROM users WHERE id = ?',
+                `SELECT u.*, r.name as society_role_name, r.permissions as society_role_permissions
+                 FROM users u
+                 LEFT JOIN society_roles r ON u.society_role_id = r.id AND r.society_id = u.society_id
+                 WHERE u.id = ?`,
                 [id]
             );
 
@@ -102,7 +135,8 @@ class User {
         }
     }
 
-    // Find society admin by society ID
+    // Find the society admin (the user who registered the society; other
+    // users of the society are staff, see services/staffService.js)
     static async findSocietyAdmin(societyId) {
         try {
             const [users] = await query(
@@ -171,9 +205,14 @@ class User {
             values.push(this.id);
             const sql = `UPDATE users SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
             
-            const result = await query(sql, values);
+            const [result] = await query(sql, values);
             
             if (result.affectedRows > 0) {
+                // A user who is no longer active loses every open session at once
+                if (updateData.status && updateData.status !== 'active') {
+                    await Session.revokeAllForUser(this.id, `user_${updateData.status}`);
+                }
+
                 // Update local instance
                 Object.assign(this, updateData);
                 return true;
@@ -185,12 +224,14 @@ class User {
         }
     }
 
-    // Update user password
-    static async updatePassword(userId, newPassword) {
+    // Update user password. Pass a connection to run inside a unit of work.
+    static async updatePassword(userId, newPassword, connection = null) {
         try {
             const hashedPassword = await bcrypt.hash(newPassword, 12);
-            const result = await query(
-                'UPDATE users SET password = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            const execute = connection ? connection.execute.bind(connection) : query;
+            const [result] = await execute(
+                `UPDATE users SET password = ?, must_change_password = FALSE, password_changed_at = CURRENT_TIMESTAMP,
+                 updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
                 [hashedPassword, userId]
             );
 
@@ -200,6 +241,21 @@ class User {
         }
     }
 
+    // Mark the user's email address as verified. Pass a connection to run inside a unit of work.
+    static async markEmailVerified(userId, connection = null) {
+        try {
+            const execute = connection ? connection.execute.bind(connection) : query;
+            const [result] = await execute(
+                'UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) WHERE id = ?',
+                [userId]
+            );
+
+            return result.affectedRows > 0;
+        } catch (error) {
+            throw error;
+        }
+    }
+
     // Verify password
     async verifyPassword(password) {
         try {
@@ -227,7 +283,9 @@ class User {
                     COUNT(*) as total_users,
                     COUNT(CASE WHEN role = 'developer' THEN 1 END) as developer_users,
                     COUNT(CASE WHEN role = 'society_admin' THEN 1 END) as society_admin_users,
+                    COUNT(CASE WHEN role = 'society_staff' THEN 1 END) as society_staff_users,
                     COUNT(CASE WHEN role = 'member' THEN 1 END) as member_users,
+                    COUNT(CASE WHEN status = 'invited' THEN 1 END) as invited_users,
                     COUNT(CASE WHEN status = 'active' THEN 1 END) as active_users,
                     COUNT(CASE WHEN status = 'inactive' THEN 1 END) as inactive_users,
                     COUNT(CASE WHEN status = 'suspended' THEN 1 END) as suspended_users
@@ -328,11 +386,57 @@ class User {
         }
     }
 
-    // Get user permissions (for future use)
+    // Create the login of a society member, linked to the member record
+    static async createMemberUser(userData, societyId, memberId) {
+        try {
+            // Check if email already exists
+            const existingUser = await this.findByEmail(userData.email);
+            if (existingUser) {
+                throw new Error('User with this email already exists');
+            }
+
+            const existingLogin = await this.findByMemberId(memberId);
+            if (existingLogin) {
+                throw new Error('Member already has a login');
+            }
+
+            return await this.create({
+                ...userData,
+                role: 'member',
+                societyId,
+                memberId,
+                status: 'active'
+            });
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Find the login linked to a member record
+    static async findByMemberId(memberId) {
+        try {
+            const [users] = await query(
+                'SELECT * FROM users WHERE member_id = ?',
+                [memberId]
+            );
+
+            if (users.length === 0) {
+                return null;
+            }
+
+            return new User(users[0]);
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Get user permissions. A society admin holds every society permission;
+    // staff can view their society's data plus whatever their role grants.
     getPermissions() {
         const permissions = {
             developer: ['manage_societies', 'approve_registrations', 'view_all_data', 'system_admin'],
-            society_admin: ['manage_society', 'manage_members', 'manage_services', 'view_society_data'],
+            society_admin: ['manage_society', 'view_society_data', ...Object.keys(SOCIETY_PERMISSIONS)],
+            society_staff: ['view_society_data', ...this.societyRolePermissions],
             member: ['view_own_data', 'make_transactions']
         };
 
@@ -345,4 +449,6 @@ class User {
     }
 }
 
-module.exports = User; 
\ No newline at end of file
+User.SOCIETY_PERMISSIONS = SOCIETY_PERMISSIONS;
+
+module.exports = User;
\ No newline at end of file
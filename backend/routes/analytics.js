@@ -0,0 +1,20 @@
+const express = require('express');
+const analyticsController = require('../controllers/analyticsController');
+
+// Platform analytics, mounted under /api/analytics for developers (see server.js).
+// Date ranges are inclusive YYYY-MM-DD `from`/`to`, defaulting to the last 30 days.
+const router = express.Router();
+
+// Society and user counts
+router.get('/overview', analyticsController.getOverview);
+
+// Registrations, approvals, rejections and time to approval; granularity: day|week|month
+router.get('/registrations', analyticsController.getRegistrationTrends);
+
+// Active members per society
+router.get('/members', analyticsController.getMembersBySociety);
+
+// Completed transaction volume per society
+router.get('/transactions', analyticsController.getTransactionVolume);
+
+module.exports = router;
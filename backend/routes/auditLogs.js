@@ -0,0 +1,18 @@
+const express = require('express');
+const auditLogController = require('../controllers/auditLogController');
+const { requirePermission } = require('../middleware/auth');
+
+// Mounted under /api/societies/:societyId/audit-logs (see routes/societies.js),
+// limited to the tenant, and under /api/audit-logs for developers across all
+// societies (see server.js)
+const router = express.Router({ mergeParams: true });
+
+const canView = requirePermission('view_audit_logs', 'view_all_data');
+
+// List entries; filters: societyId (developers), userId, action, table, from, to, page, limit
+router.get('/', canView, auditLogController.getAuditLogs);
+
+// Same filters as a CSV download
+router.get('/export', canView, auditLogController.exportAuditLogs);
+
+module.exports = router;
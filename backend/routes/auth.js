@@ -1,55 +1,20 @@
 const express = require('express');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-const { v4: uuidv4 } = require('uuid');
 const authController = require('../controllers/authController');
+const registrationController = require('../controllers/registrationController');
+const societyLifecycleController = require('../controllers/societyLifecycleController');
+const twoFactorController = require('../controllers/twoFactorController');
+const { authenticate, authenticateAccount, authenticateRegistration, requirePermission } = require('../middleware/auth');
+const { tenantContext } = require('../middleware/tenant');
+const { validate, uploadErrors } = require('../middleware/validate');
+const schemas = require('../validators/auth');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        const uploadPath = process.env.UPLOAD_PATH || './uploads';
-        const societyPath = path.join(uploadPath, 'societies');
-        
-        // Create directories if they don't exist
-        if (!fs.existsSync(uploadPath)) {
-            fs.mkdirSync(uploadPath, { recursive: true });
-        }
-        if (!fs.existsSync(societyPath)) {
-            fs.mkdirSync(societyPath, { recursive: true });
-        }
-        
-        cb(null, societyPath);
-    },
-    filename: (req, file, cb) => {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        const ext = path.extname(file.originalname);
-        cb(null, file.fieldname + '-' + uniqueSuffix + ext);
-    }
-});
-
-const fileFilter = (req, file, cb) => {
-    const allowedTypes = {
-        'registration_certificate': ['image/jpeg', 'image/jpg', 'image/png', 'application/pdf'],
-        'bylaws': ['application/pdf'],
-        'additional_docs': ['image/jpeg', 'image/jpg', 'image/png', 'application/pdf']
-    };
-    
-    const fieldName = file.fieldname;
-    const allowedMimeTypes = allowedTypes[fieldName] || allowedTypes['additional_docs'];
-    
-    if (allowedMimeTypes.includes(file.mimetype)) {
-        cb(null, true);
-    } else {
-        cb(new Error(`Invalid file type for ${fieldName}. Allowed types: ${allowedMimeTypes.join(', ')}`), false);
-    }
-};
-
+// Registration documents are held in memory, checked by content and then
+// written to the configured storage driver (see services/documentService.js)
 const upload = multer({
-    storage: storage,
-    fileFilter: fileFilter,
+    storage: multer.memoryStorage(),
     limits: {
         fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB default
         files: 5 // Maximum 5 files per request
@@ -57,10 +22,17 @@ const upload = multer({
 });
 
 // Developer login route
-router.post('/developer/login', authController.developerLogin);
+router.post('/developer/login', validate(schemas.login), authController.developerLogin);
 
 // Society login route
-router.post('/society/login', authController.societyLogin);
+router.post('/society/login', validate(schemas.login), authController.societyLogin);
+
+// Member login route
+router.post('/member/login', validate(schemas.login), authController.memberLogin);
+
+// Second login step for developer and society accounts with two-factor
+// authentication: the challenge from the password login plus a code
+router.post('/login/two-factor', validate(schemas.twoFactorLogin), authController.completeTwoFactorLogin);
 
 // Society registration route with file uploads
 router.post('/society/register', 
@@ -69,52 +41,169 @@ router.post('/society/register',
         { name: 'bylaws', maxCount: 1 },
         { name: 'additionalDocs', maxCount: 3 }
     ]),
+    validate(schemas.societyRegistration),
     authController.societyRegister
 );
 
 // Get pending society registrations (developer only)
-router.get('/pending-societies', authController.getPendingSocieties);
+router.get('/pending-societies',
+    authenticate,
+    requirePermission('approve_registrations'),
+    authController.getPendingSocieties
+);
 
 // Approve/reject society registration (developer only)
-router.put('/society/:societyId/approval', authController.updateSocietyApproval);
+router.put('/society/:societyId/approval',
+    authenticate,
+    requirePermission('approve_registrations'),
+    validate(schemas.societyApproval),
+    authController.updateSocietyApproval
+);
+
+// Suspend ({ reason } required), reactivate or archive a society (developer only)
+router.post('/society/:societyId/suspend',
+    authenticate,
+    requirePermission('manage_societies'),
+    validate(schemas.societySuspension),
+    societyLifecycleController.suspendSociety
+);
+router.post('/society/:societyId/reactivate',
+    authenticate,
+    requirePermission('manage_societies'),
+    validate(schemas.societyTransition),
+    societyLifecycleController.reactivateSociety
+);
+router.post('/society/:societyId/archive',
+    authenticate,
+    requirePermission('manage_societies'),
+    validate(schemas.societyTransition),
+    societyLifecycleController.archiveSociety
+);
 
 // Get society registration details
-router.get('/society/:societyId', authController.getSocietyDetails);
-
-// Logout route
-router.post('/logout', authController.logout);
-
-// Error handling middleware for multer
-router.use((error, req, res, next) => {
-    if (error instanceof multer.MulterError) {
-        if (error.code === 'LIMIT_FILE_SIZE') {
-            return res.status(400).json({
-                error: 'File too large',
-                message: 'File size exceeds the maximum allowed limit'
-            });
-        }
-        if (error.code === 'LIMIT_FILE_COUNT') {
-            return res.status(400).json({
-                error: 'Too many files',
-                message: 'Number of files exceeds the maximum allowed limit'
-            });
-        }
-        if (error.code === 'LIMIT_UNEXPECTED_FILE') {
-            return res.status(400).json({
-                error: 'Unexpected file field',
-                message: 'Unexpected file field in the request'
-            });
-        }
-    }
-    
-    if (error.message.includes('Invalid file type')) {
-        return res.status(400).json({
-            error: 'Invalid file type',
-            message: error.message
-        });
-    }
-    
-    next(error);
-});
+router.get('/society/:societyId',
+    authenticate,
+    requirePermission('view_all_data', 'view_society_data'),
+    tenantContext,
+    validate(schemas.society),
+    authController.getSocietyDetails
+);
+
+// Download a society document; ?inline=true previews it in the browser
+router.get('/society/:societyId/documents/:documentId',
+    authenticate,
+    requirePermission('view_all_data', 'view_society_data'),
+    tenantContext,
+    validate(schemas.documentDownload),
+    authController.downloadSocietyDocument
+);
+
+// Review a document of a pending registration (developer only)
+router.put('/society/:societyId/documents/:documentId/review',
+    authenticate,
+    requirePermission('approve_registrations'),
+    tenantContext,
+    validate(schemas.documentReview),
+    registrationController.reviewDocument
+);
+
+// Ask the society admin for a missing or corrected document (developer only)
+router.post('/society/:societyId/document-requests',
+    authenticate,
+    requirePermission('approve_registrations'),
+    tenantContext,
+    validate(schemas.documentRequest),
+    registrationController.requestDocument
+);
+
+// Registration history (developers, and the society's own admin)
+router.get('/society/:societyId/registration-history',
+    authenticateRegistration,
+    requirePermission('view_all_data', 'view_society_data'),
+    tenantContext,
+    validate(schemas.society),
+    registrationController.getRegistrationHistory
+);
+
+// The signed-in admin's registration: status, documents with review state, requests.
+// Reachable with the registration-only session of a society under review.
+router.get('/registration',
+    authenticateRegistration,
+    requirePermission('manage_society'),
+    tenantContext,
+    registrationController.getRegistration
+);
+
+// Upload a requested or replacement document (`document` file; requestId and/or replacesDocumentId)
+router.post('/registration/documents',
+    authenticateRegistration,
+    requirePermission('manage_society'),
+    tenantContext,
+    upload.single('document'),
+    validate(schemas.documentResubmission),
+    registrationController.uploadDocument
+);
+
+// Put a rejected registration back under review (optional { reason } for the reviewers)
+router.post('/registration/reapply',
+    authenticateRegistration,
+    requirePermission('manage_society'),
+    tenantContext,
+    validate(schemas.reapplication),
+    societyLifecycleController.reapplyRegistration
+);
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', validate(schemas.refresh), authController.refreshToken);
+
+// Logout the current session, or every session of the user
+router.post('/logout', authenticateAccount, authController.logout);
+router.post('/logout-all', authenticateAccount, authController.logoutAll);
+
+// Change password (also reachable while a password change is required)
+router.post('/password/change', authenticateAccount, validate(schemas.passwordChange), authController.changePassword);
+
+// Forgotten password: email a single-use reset link, then set a new password with it
+router.post('/password/forgot', validate(schemas.passwordForgotten), authController.forgotPassword);
+router.post('/password/reset', validate(schemas.passwordReset), authController.resetPassword);
+
+// Staff invitation: the invited user chooses a password with the emailed token
+router.post('/invitation/accept', validate(schemas.invitationAcceptance), authController.acceptInvitation);
+
+// Email verification
+router.get('/email/verify', validate(schemas.emailVerification), authController.verifyEmail);
+router.post('/email/verify', validate(schemas.emailVerification), authController.verifyEmail);
+router.post('/email/verify/resend', validate(schemas.verificationResend), authController.resendVerification);
+
+// Two-factor authentication of the signed-in user (also reachable while a
+// developer still has to set it up)
+router.get('/two-factor', authenticateAccount, twoFactorController.getTwoFactorStatus);
+router.post('/two-factor/setup', authenticateAccount, twoFactorController.beginTwoFactorSetup);
+router.post('/two-factor/enable', authenticateAccount, validate(schemas.twoFactorCode), twoFactorController.enableTwoFactor);
+router.post('/two-factor/disable', authenticateAccount, validate(schemas.twoFactorDisable), twoFactorController.disableTwoFactor);
+router.post('/two-factor/recovery-codes', authenticateAccount, validate(schemas.twoFactorCode), twoFactorController.regenerateRecoveryCodes);
+
+// Remove a user's two-factor authentication after a lost device (developer only)
+router.post('/users/:userId/two-factor/reset',
+    authenticate,
+    requirePermission('manage_societies'),
+    validate(schemas.userAccount),
+    twoFactorController.resetTwoFactor
+);
+
+// Clear failed login attempts and lift a lockout (developer only)
+router.post('/users/:userId/unlock',
+    authenticate,
+    requirePermission('manage_societies'),
+    validate(schemas.userAccount),
+    authController.unlockAccount
+);
+
+// Active sessions of the signed-in user
+router.get('/sessions', authenticate, authController.getSessions);
+router.delete('/sessions/:sessionId', authenticate, validate(schemas.session), authController.revokeSession);
+
+// Rejected uploads get the same 400 contract as any other invalid field
+router.use(uploadErrors);
 
 module.exports = router; 
\ No newline at end of file
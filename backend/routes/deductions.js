@@ -0,0 +1,52 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const deductionController = require('../controllers/deductionController');
+const { requirePermission } = require('../middleware/auth');
+const { validate, uploadErrors } = require('../middleware/validate');
+const { ValidationError } = require('../utils/errors');
+const schemas = require('../validators/deductions');
+
+// Mounted under /api/societies/:societyId/deductions (see routes/societies.js)
+const router = express.Router({ mergeParams: true });
+
+// Payroll files are parsed in memory and never written to disk
+const upload = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: (req, file, cb) => {
+        if (path.extname(file.originalname).toLowerCase() === '.csv') {
+            cb(null, true);
+        } else {
+            cb(new ValidationError('One or more fields are invalid', [
+                { field: file.fieldname, location: 'body', message: 'Invalid file type. Allowed types: .csv' }
+            ]), false);
+        }
+    },
+    limits: {
+        fileSize: 2 * 1024 * 1024,
+        files: 1
+    }
+});
+
+const canView = requirePermission('view_society_data', 'view_all_data');
+const canManage = requirePermission('manage_deductions');
+
+// List deduction batches
+router.get('/', canView, validate(schemas.batchList), deductionController.getBatches);
+
+// Upload a payroll CSV (member_number, amount) and get a dry-run preview
+router.post('/', canManage, upload.single('file'), validate(schemas.upload), deductionController.uploadBatch);
+
+// Get a batch with its lines
+router.get('/:batchId', canView, validate(schemas.batch), deductionController.getBatch);
+
+// Post the previewed batch
+router.post('/:batchId/confirm', canManage, validate(schemas.batch), deductionController.confirmBatch);
+
+// Reverse a posted batch as a unit
+router.post('/:batchId/reverse', canManage, validate(schemas.reversal), deductionController.reverseBatch);
+
+// Rejected uploads get the same 400 contract as any other invalid field
+router.use(uploadErrors);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const loanController = require('../controllers/loanController');
+const { requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/loans');
+
+// Mounted under /api/societies/:societyId/loans (see routes/societies.js)
+const router = express.Router({ mergeParams: true });
+
+const canView = requirePermission('view_society_data', 'view_all_data');
+const canManage = requirePermission('manage_loans');
+const canRepay = requirePermission('record_transactions');
+
+// List loans
+router.get('/', canView, validate(schemas.loanList), loanController.getLoans);
+
+// Apply for a loan on behalf of a member
+router.post('/', canManage, validate(schemas.application), loanController.applyForLoan);
+
+// Loan details, amortization schedule and outstanding balances
+router.get('/:loanId', canView, validate(schemas.loanDetail), loanController.getLoan);
+
+// Approve/decline a pending loan
+router.post('/:loanId/approve', canManage, validate(schemas.approval), loanController.approveLoan);
+router.post('/:loanId/decline', canManage, validate(schemas.decision), loanController.declineLoan);
+
+// Disburse an approved loan
+router.post('/:loanId/disburse', canManage, validate(schemas.loan), loanController.disburseLoan);
+
+// Record a repayment
+router.post('/:loanId/repayments', canRepay, validate(schemas.repayment), loanController.repayLoan);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const selfServiceController = require('../controllers/selfServiceController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { memberContext } = require('../middleware/tenant');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/transactionRequests');
+
+// Member self-service API, mounted under /api/me.
+// Every route below is pinned to the signed-in member (req.member).
+const router = express.Router();
+
+router.use(authenticate, requirePermission('view_own_data'), memberContext);
+
+// Profile, balances and history
+router.get('/profile', selfServiceController.getProfile);
+router.get('/accounts', selfServiceController.getAccounts);
+router.get('/transactions', validate(schemas.ownTransactions), selfServiceController.getTransactions);
+
+// Deposit/withdrawal requests awaiting admin approval
+router.get('/transaction-requests', validate(schemas.ownRequests), selfServiceController.getRequests);
+router.post('/transaction-requests', requirePermission('make_transactions'), validate(schemas.submission),
+    selfServiceController.createRequest);
+router.post('/transaction-requests/:requestId/cancel', requirePermission('make_transactions'),
+    validate(schemas.transactionRequest), selfServiceController.cancelRequest);
+
+module.exports = router;
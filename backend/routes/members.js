@@ -0,0 +1,40 @@
+const express = require('express');
+const memberController = require('../controllers/memberController');
+const transactionController = require('../controllers/transactionController');
+const { requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/members');
+
+// Mounted under /api/societies/:societyId/members (see routes/societies.js)
+const router = express.Router({ mergeParams: true });
+
+const canView = requirePermission('manage_members', 'view_society_data', 'view_all_data');
+const canManage = requirePermission('manage_members');
+
+// Member numbering settings
+router.get('/settings/numbering', canView, memberController.getNumberingSettings);
+router.put('/settings/numbering', canManage, validate(schemas.numbering), memberController.updateNumberingSettings);
+
+// List/search members
+router.get('/', canView, validate(schemas.memberList), memberController.getMembers);
+
+// Create member
+router.post('/', canManage, validate(schemas.memberCreation), memberController.createMember);
+
+// Get member details
+router.get('/:memberId', canView, validate(schemas.member), memberController.getMember);
+
+// Update member details
+router.put('/:memberId', canManage, validate(schemas.memberUpdate), memberController.updateMember);
+
+// Member service account balances
+router.get('/:memberId/accounts', canView, validate(schemas.member), transactionController.getMemberAccounts);
+
+// Suspend/reactivate member
+router.post('/:memberId/suspend', canManage, validate(schemas.statusChange), memberController.suspendMember);
+router.post('/:memberId/reactivate', canManage, validate(schemas.statusChange), memberController.reactivateMember);
+
+// Create the member's self-service login
+router.post('/:memberId/login', canManage, validate(schemas.memberLogin), memberController.createMemberLogin);
+
+module.exports = router;
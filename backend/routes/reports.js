@@ -0,0 +1,32 @@
+const express = require('express');
+const reportController = require('../controllers/reportController');
+const { requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/reports');
+
+// Mounted under /api/societies/:societyId/reports (see routes/societies.js).
+// Periods are inclusive YYYY-MM-DD `from`/`to`, defaulting to the current year
+// to date; ?format=csv or ?format=pdf downloads the report instead of JSON.
+const router = express.Router({ mergeParams: true });
+
+const canView = requirePermission('view_society_data', 'view_all_data');
+
+// Opening, movements and closing balance per service
+router.get('/service-balances', canView, validate(schemas.report), reportController.getServiceBalances);
+
+// Balances of every member per service; serviceId narrows it to one service
+router.get('/member-balances', canView, validate(schemas.memberBalances), reportController.getMemberBalances);
+
+// Deposits against withdrawals per service
+router.get('/deposits-withdrawals', canView, validate(schemas.report), reportController.getDepositsWithdrawals);
+
+// Fee and interest income
+router.get('/income', canView, validate(schemas.report), reportController.getIncome);
+
+// Disbursements, repayments, outstanding balances and arrears per loan service
+router.get('/loan-portfolio', canView, validate(schemas.report), reportController.getLoanPortfolio);
+
+// Trial balance at the end of the period
+router.get('/trial-balance', canView, validate(schemas.report), reportController.getTrialBalance);
+
+module.exports = router;
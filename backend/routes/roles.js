@@ -0,0 +1,21 @@
+const express = require('express');
+const societyRoleController = require('../controllers/societyRoleController');
+const { requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/staff');
+
+// Mounted under /api/societies/:societyId/roles (see routes/societies.js)
+const router = express.Router({ mergeParams: true });
+
+const canView = requirePermission('manage_staff', 'view_all_data');
+const canManage = requirePermission('manage_staff');
+
+// List roles and the permission catalogue
+router.get('/', canView, societyRoleController.getRoles);
+
+// Create, update and delete roles
+router.post('/', canManage, validate(schemas.role), societyRoleController.createRole);
+router.put('/:roleId', canManage, validate(schemas.roleUpdate), societyRoleController.updateRole);
+router.delete('/:roleId', canManage, validate(schemas.roleId), societyRoleController.deleteRole);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const serviceController = require('../controllers/serviceController');
+const { requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/services');
+
+// Mounted under /api/societies/:societyId/services (see routes/societies.js)
+const router = express.Router({ mergeParams: true });
+
+const canView = requirePermission('manage_services', 'view_society_data', 'view_all_data');
+const canManage = requirePermission('manage_services');
+
+// List services
+router.get('/', canView, validate(schemas.serviceList), serviceController.getServices);
+
+// Create service
+router.post('/', canManage, validate(schemas.serviceCreation), serviceController.createService);
+
+// Get service details
+router.get('/:serviceId', canView, validate(schemas.service), serviceController.getService);
+
+// Update service
+router.put('/:serviceId', canManage, validate(schemas.serviceUpdate), serviceController.updateService);
+
+// Activate/deactivate service
+router.post('/:serviceId/activate', canManage, validate(schemas.service), serviceController.activateService);
+router.post('/:serviceId/deactivate', canManage, validate(schemas.service), serviceController.deactivateService);
+
+module.exports = router;
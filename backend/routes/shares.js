@@ -0,0 +1,30 @@
+const express = require('express');
+const shareController = require('../controllers/shareController');
+const { requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/shares');
+
+// Mounted under /api/societies/:societyId/shares (see routes/societies.js)
+const router = express.Router({ mergeParams: true });
+
+const canView = requirePermission('view_society_data', 'view_all_data');
+const canTrade = requirePermission('record_transactions');
+const canPayDividends = requirePermission('manage_dividends');
+
+// Current holdings per member and share service
+router.get('/holdings', canView, validate(schemas.holdings), shareController.getHoldings);
+
+// Purchase/redemption history of a member
+router.get('/members/:memberId/movements', canView, validate(schemas.memberMovements), shareController.getMemberMovements);
+
+// Buy or redeem shares at the service's unit price
+router.post('/purchase', canTrade, validate(schemas.movement), shareController.purchaseShares);
+router.post('/redeem', canTrade, validate(schemas.movement), shareController.redeemShares);
+
+// Dividend runs: compute a preview, then post it
+router.get('/dividends', canView, validate(schemas.runList), shareController.getDividendRuns);
+router.post('/dividends', canPayDividends, validate(schemas.dividendRun), shareController.previewDividendRun);
+router.get('/dividends/:runId', canView, validate(schemas.run), shareController.getDividendRun);
+router.post('/dividends/:runId/post', canPayDividends, validate(schemas.run), shareController.postDividendRun);
+
+module.exports = router;
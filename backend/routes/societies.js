@@ -0,0 +1,34 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { tenantContext } = require('../middleware/tenant');
+const memberRoutes = require('./members');
+const serviceRoutes = require('./services');
+const transactionRoutes = require('./transactions');
+const loanRoutes = require('./loans');
+const deductionRoutes = require('./deductions');
+const shareRoutes = require('./shares');
+const transactionRequestRoutes = require('./transactionRequests');
+const auditLogRoutes = require('./auditLogs');
+const staffRoutes = require('./staff');
+const roleRoutes = require('./roles');
+const reportRoutes = require('./reports');
+
+// Society-scoped API, mounted under /api/societies/:societyId.
+// Every route below runs with an authenticated user and a resolved req.tenant.
+const router = express.Router({ mergeParams: true });
+
+router.use(authenticate, tenantContext);
+
+router.use('/members', memberRoutes);
+router.use('/services', serviceRoutes);
+router.use('/transactions', transactionRoutes);
+router.use('/loans', loanRoutes);
+router.use('/deductions', deductionRoutes);
+router.use('/shares', shareRoutes);
+router.use('/transaction-requests', transactionRequestRoutes);
+router.use('/audit-logs', auditLogRoutes);
+router.use('/staff', staffRoutes);
+router.use('/roles', roleRoutes);
+router.use('/reports', reportRoutes);
+
+module.exports = router;
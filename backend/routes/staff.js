@@ -0,0 +1,32 @@
+const express = require('express');
+const staffController = require('../controllers/staffController');
+const { requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/staff');
+
+// Mounted under /api/societies/:societyId/staff (see routes/societies.js)
+const router = express.Router({ mergeParams: true });
+
+const canView = requirePermission('manage_staff', 'view_all_data');
+const canManage = requirePermission('manage_staff');
+
+// List the society admin and staff
+router.get('/', canView, staffController.getStaff);
+
+// Invite a staff user by email
+router.post('/', canManage, validate(schemas.invitation), staffController.inviteStaff);
+
+// Assign another role
+router.put('/:userId', canManage, validate(schemas.roleChange), staffController.changeStaffRole);
+
+// Deactivate/reactivate a staff user
+router.post('/:userId/deactivate', canManage, validate(schemas.staffUser), staffController.deactivateStaff);
+router.post('/:userId/reactivate', canManage, validate(schemas.staffUser), staffController.reactivateStaff);
+
+// Clear failed login attempts and lift a lockout
+router.post('/:userId/unlock', canManage, validate(schemas.staffUser), staffController.unlockStaff);
+
+// Send the invitation email again
+router.post('/:userId/invitation', canManage, validate(schemas.staffUser), staffController.resendInvitation);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const transactionRequestController = require('../controllers/transactionRequestController');
+const { requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/transactionRequests');
+
+// Mounted under /api/societies/:societyId/transaction-requests (see routes/societies.js)
+const router = express.Router({ mergeParams: true });
+
+const canView = requirePermission('view_society_data', 'view_all_data');
+const canManage = requirePermission('approve_transactions');
+
+// List member deposit/withdrawal requests
+router.get('/', canView, validate(schemas.requestList), transactionRequestController.getRequests);
+
+// Approve (and post) or reject a pending request
+router.post('/:requestId/approve', canManage, validate(schemas.review), transactionRequestController.approveRequest);
+router.post('/:requestId/reject', canManage, validate(schemas.review), transactionRequestController.rejectRequest);
+
+module.exports = router;
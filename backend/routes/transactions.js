@@ -0,0 +1,22 @@
+const express = require('express');
+const transactionController = require('../controllers/transactionController');
+const { requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/transactions');
+
+// Mounted under /api/societies/:societyId/transactions (see routes/societies.js)
+const router = express.Router({ mergeParams: true });
+
+const canView = requirePermission('view_society_data', 'view_all_data');
+const canPost = requirePermission('record_transactions');
+
+// List transactions
+router.get('/', canView, validate(schemas.transactionList), transactionController.getTransactions);
+
+// Post a deposit, withdrawal, fee or interest entry
+router.post('/', canPost, validate(schemas.posting), transactionController.createTransaction);
+
+// Get transaction details
+router.get('/:transactionId', canView, validate(schemas.transaction), transactionController.getTransaction);
+
+module.exports = router;
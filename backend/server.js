@@ -7,9 +7,16 @@ require('dotenv').config();
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const societyRoutes = require('./routes/societies');
+const memberSelfServiceRoutes = require('./routes/me');
+const auditLogRoutes = require('./routes/auditLogs');
+const analyticsRoutes = require('./routes/analytics');
+const { authenticate, requirePermission } = require('./middleware/auth');
 
 // Import database connection
 const db = require('./config/db');
+const { migrate } = require('./config/migrator');
+const { startNotificationWorker } = require('./services/notificationService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -42,6 +49,10 @@ app.use(express.static(path.join(__dirname, '../frontend')));
 
 // API Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/societies/:societyId', societyRoutes);
+app.use('/api/me', memberSelfServiceRoutes);
+app.use('/api/audit-logs', authenticate, requirePermission('view_all_data'), auditLogRoutes);
+app.use('/api/analytics', authenticate, requirePermission('view_all_data'), analyticsRoutes);
 
 // Serve frontend pages
 app.get('/', (req, res) => {
@@ -89,15 +100,23 @@ app.use((err, req, res, next) => {
         error.message = 'Validation Error';
         error.status = 400;
         error.details = err.details;
+        error.reason = err.message;
     } else if (err.name === 'UnauthorizedError') {
         error.message = 'Unauthorized';
         error.status = 401;
+        error.reason = err.message;
     } else if (err.name === 'ForbiddenError') {
         error.message = 'Forbidden';
         error.status = 403;
+        error.reason = err.message;
     } else if (err.name === 'NotFoundError') {
         error.message = 'Not Found';
         error.status = 404;
+        error.reason = err.message;
+    } else if (err.name === 'ConflictError') {
+        error.message = 'Conflict';
+        error.status = 409;
+        error.reason = err.message;
     } else if (err.code === 'ER_DUP_ENTRY') {
         error.message = 'Duplicate entry';
         error.status = 409;
@@ -105,6 +124,7 @@ app.use((err, req, res, next) => {
 
     res.status(error.status).json({
         error: error.message,
+        ...(error.reason && { message: error.reason }),
         ...(error.details && { details: error.details }),
         ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
     });
@@ -117,9 +137,12 @@ const startServer = async () => {
         await db.query('SELECT 1');
         console.log('✅ Database connected successfully');
 
-        // Initialize database tables
-        await db.initializeDatabase();
-        console.log('✅ Database tables initialized');
+        // Apply pending schema migrations
+        const applied = await migrate();
+        console.log(`✅ Database schema up to date (${applied.length} migration(s) applied)`);
+
+        // Send queued email notifications in the background
+        startNotificationWorker();
 
         app.listen(PORT, () => {
             console.log(`🚀 CoopBase server running on port ${PORT}`);
@@ -133,27 +156,32 @@ const startServer = async () => {
     }
 };
 
-// Handle graceful shutdown
-process.on('SIGTERM', () => {
-    console.log('SIGTERM received, shutting down gracefully');
-    process.exit(0);
-});
+// Start when run directly (npm start); tests load the app without listening
+if (require.main === module) {
+    // Handle graceful shutdown
+    process.on('SIGTERM', () => {
+        console.log('SIGTERM received, shutting down gracefully');
+        process.exit(0);
+    });
 
-process.on('SIGINT', () => {
-    console.log('SIGINT received, shutting down gracefully');
-    process.exit(0);
-});
+    process.on('SIGINT', () => {
+        console.log('SIGINT received, shutting down gracefully');
+        process.exit(0);
+    });
 
-// Handle unhandled promise rejections
-process.on('unhandledRejection', (err, promise) => {
-    console.error('Unhandled Rejection at:', promise, 'reason:', err);
-    process.exit(1);
-});
+    // Handle unhandled promise rejections
+    process.on('unhandledRejection', (err, promise) => {
+        console.error('Unhandled Rejection at:', promise, 'reason:', err);
+        process.exit(1);
+    });
 
-// Handle uncaught exceptions
-process.on('uncaughtException', (err) => {
-    console.error('Uncaught Exception:', err);
-    process.exit(1);
-});
+    // Handle uncaught exceptions
+    process.on('uncaughtException', (err) => {
+        console.error('Uncaught Exception:', err);
+        process.exit(1);
+    });
+
+    startServer();
+}
 
-startServer(); 
\ No newline at end of file
+module.exports = app;
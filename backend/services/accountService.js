@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { v4: uuidv4 } = require('uuid');
+const { withTransaction } = require('../config/db');
+const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
+const { queueTokenNotification, flushNotifications } = require('./notificationService');
+const { assertStrongPassword } = require('../utils/passwords');
+const { ValidationError } = require('../utils/errors');
+
+// Lifetime of single-use tokens, per purpose
+const TOKEN_TTL_MINUTES = {
+    password_reset: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+    email_verification: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || 48) * 60,
+    invitation: parseInt(process.env.STAFF_INVITATION_TTL_HOURS || 72) * 60
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Create a single-use token row for a user; its token is issued when the
+// email carrying it is sent (see queueTokenNotification). Earlier unused
+// tokens for the same purpose stop working, so only the latest link is valid.
+const createUserToken = async (connection, userId, purpose) => {
+    const id = uuidv4();
+    const expiresAt = new Date(Date.now() + TOKEN_TTL_MINUTES[purpose] * 60 * 1000);
+
+    await connection.execute(
+        `UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND purpose = ? AND used_at IS NULL`,
+        [userId, purpose]
+    );
+    // Until the email is sent the hash belongs to a token nobody holds
+    await connection.execute(
+        'INSERT INTO user_tokens (id, user_id, purpose, token_hash, expires_at) VALUES (?, ?, ?, ?, ?)',
+        [id, userId, purpose, hashToken(crypto.randomBytes(32).toString('base64url')), expiresAt]
+    );
+
+    return id;
+};
+
+// Create a token and queue the email carrying its link in one unit of work,
+// so a mail server outage only delays the email. With a connection the
+// caller's unit of work is used and the caller flushes the queue once it commits.
+const queueTokenEmail = async (user, purpose, template, data, connection = null) => {
+    const queue = async (connection) => {
+        const userTokenId = await createUserToken(connection, user.id, purpose);
+        await queueTokenNotification(template, user.email, userTokenId, data, connection);
+    };
+
+    if (connection) {
+        return await queue(connection);
+    }
+
+    await withTransaction(async (connection, hooks) => {
+        await queue(connection);
+        hooks.onCommit(flushNotifications);
+    });
+};
+
+// Use up a token inside a unit of work; resolves to the user ID it was issued to
+const consumeUserToken = async (connection, token, purpose) => {
+    if (!token || typeof token !== 'string') {
+        throw new ValidationError('Token is required');
+    }
+
+    const [tokens] = await connection.execute(
+        'SELECT * FROM user_tokens WHERE token_hash = ? AND purpose = ? FOR UPDATE',
+        [hashToken(token), purpose]
+    );
+    if (tokens.length === 0 || tokens[0].used_at || new Date(tokens[0].expires_at) <= new Date()) {
+        throw new ValidationError('This link is invalid or has expired');
+    }
+
+    await connection.execute(
+        'UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [tokens[0].id]
+    );
+
+    return tokens[0].user_id;
+};
+
+// Email a password reset link. Unknown or inactive addresses are ignored so
+// the response does not reveal which emails have accounts.
+const requestPasswordReset = async (email) => {
+    const user = email ? await User.findByEmail(email) : null;
+    if (!user || user.status !== 'active') {
+        return null;
+    }
+
+    await queueTokenEmail(user, 'password_reset', 'password_reset', {
+        name: user.name,
+        expiresInMinutes: TOKEN_TTL_MINUTES.password_reset
+    });
+
+    return user;
+};
+
+// Set a new password with a reset token. Every session of the user is
+// revoked, since whoever held the old password may still be signed in.
+const resetPassword = async (token, newPassword) => {
+    assertStrongPassword(newPassword);
+
+    const userId = await withTransaction(async (connection) => {
+        const tokenUserId = await consumeUserToken(connection, token, 'password_reset');
+        await User.updatePassword(tokenUserId, newPassword, connection);
+        return tokenUserId;
+    });
+
+    await Session.revokeAllForUser(userId, 'password_reset');
+
+    return await User.findById(userId);
+};
+
+// Change the password of a signed-in user; other sessions are revoked
+const changePassword = async (user, currentPassword, newPassword, currentSessionId) => {
+    if (!currentPassword || !(await bcrypt.compare(currentPassword, user.password))) {
+        throw new ValidationError('Current password is incorrect');
+    }
+
+    assertStrongPassword(newPassword);
+
+    if (await bcrypt.compare(newPassword, user.password)) {
+        throw new ValidationError('New password must be different from the current password');
+    }
+
+    await User.updatePassword(user.id, newPassword);
+    await Session.revokeAllForUser(user.id, 'password_change', currentSessionId);
+};
+
+// Email an address verification link. Pass the unit of work's connection to
+// queue it with the change that created the address (see queueTokenEmail).
+const sendEmailVerification = async (user, connection = null) => {
+    await queueTokenEmail(user, 'email_verification', 'email_verification', {
+        name: user.name,
+        expiresInHours: TOKEN_TTL_MINUTES.email_verification / 60
+    }, connection);
+};
+
+// Mark an email address verified with a verification token
+const verifyEmail = async (token) => {
+    const userId = await withTransaction(async (connection) => {
+        const tokenUserId = await consumeUserToken(connection, token, 'email_verification');
+        await User.markEmailVerified(tokenUserId, connection);
+        return tokenUserId;
+    });
+
+    return await User.findById(userId);
+};
+
+// Email an invited staff user the link to accept their invitation. Pass the
+// unit of work's connection to queue it with the invitation (see queueTokenEmail).
+const sendInvitation = async (user, { societyName, inviterName, roleName }, connection = null) => {
+    await queueTokenEmail(user, 'invitation', 'staff_invitation', {
+        staffName: user.name,
+        societyName,
+        inviterName,
+        roleName,
+        expiresInHours: TOKEN_TTL_MINUTES.invitation / 60
+    }, connection);
+};
+
+// Accept a staff invitation: the invited user chooses a password, and the
+// email address counts as verified since the link reached it
+const acceptInvitation = async (token, newPassword) => {
+    assertStrongPassword(newPassword);
+
+    const userId = await withTransaction(async (connection) => {
+        const tokenUserId = await consumeUserToken(connection, token, 'invitation');
+        const [users] = await connection.execute(
+            'SELECT status FROM users WHERE id = ? FOR UPDATE',
+            [tokenUserId]
+        );
+        if (users.length === 0 || users[0].status !== 'invited') {
+            throw new ValidationError('This invitation is no longer valid');
+        }
+
+        await User.updatePassword(tokenUserId, newPassword, connection);
+        await User.markEmailVerified(tokenUserId, connection);
+        await connection.execute(
+            `UPDATE users SET status = 'active' WHERE id = ?`,
+            [tokenUserId]
+        );
+        return tokenUserId;
+    });
+
+    return await User.findById(userId);
+};
+
+module.exports = {
+    requestPasswordReset,
+    resetPassword,
+    changePassword,
+    sendEmailVerification,
+    verifyEmail,
+    sendInvitation,
+    acceptInvitation
+};
@@ -0,0 +1,235 @@
+const { query } = require('../config/db');
+const Society = require('../models/societyModel');
+const User = require('../models/userModel');
+const { today, isIsoDate } = require('../utils/dates');
+const { ValidationError } = require('../utils/errors');
+
+// Platform-wide analytics for developers. These queries deliberately read
+// across every society; they are only reachable with view_all_data.
+
+const GRANULARITIES = ['day', 'week', 'month'];
+const DEFAULT_RANGE_DAYS = 30;
+// Most periods a single time series may span
+const MAX_PERIODS = 400;
+
+// SQL expression for the period (YYYY-MM-DD of its first day) a timestamp falls
+// in. Weeks start on Monday.
+const PERIOD_SQL = {
+    day: (column) => `DATE_FORMAT(${column}, '%Y-%m-%d')`,
+    week: (column) => `DATE_FORMAT(DATE_SUB(DATE(${column}), INTERVAL WEEKDAY(${column}) DAY), '%Y-%m-%d')`,
+    month: (column) => `DATE_FORMAT(${column}, '%Y-%m-01')`
+};
+
+const parseDay = (value) => new Date(`${value}T00:00:00Z`);
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+const addDays = (value, days) => {
+    const date = parseDay(value);
+    date.setUTCDate(date.getUTCDate() + days);
+    return formatDay(date);
+};
+
+// First day of the period a YYYY-MM-DD date falls in
+const periodStart = (value, granularity) => {
+    if (granularity === 'week') {
+        return addDays(value, -((parseDay(value).getUTCDay() + 6) % 7));
+    }
+    if (granularity === 'month') {
+        return `${value.slice(0, 7)}-01`;
+    }
+    return value;
+};
+
+const nextPeriod = (value, granularity) => {
+    if (granularity === 'week') {
+        return addDays(value, 7);
+    }
+    if (granularity === 'month') {
+        const date = parseDay(value);
+        date.setUTCMonth(date.getUTCMonth() + 1);
+        return formatDay(date);
+    }
+    return addDays(value, 1);
+};
+
+// Every period from the one containing `from` to the one containing `to`
+const listPeriods = (from, to, granularity) => {
+    const periods = [];
+    for (let period = periodStart(from, granularity); period <= to; period = nextPeriod(period, granularity)) {
+        periods.push(period);
+    }
+    return periods;
+};
+
+// Validate the query's date range and granularity. Both dates are inclusive;
+// the range defaults to the last 30 days and the granularity to 'day'.
+const parseRange = ({ from, to, granularity } = {}) => {
+    to = to || today();
+    from = from || addDays(to, -(DEFAULT_RANGE_DAYS - 1));
+    granularity = granularity || 'day';
+
+    if (!isIsoDate(from) || !isIsoDate(to) || from > to) {
+        throw new ValidationError('from and to must be YYYY-MM-DD dates, with from on or before to');
+    }
+
+    if (!GRANULARITIES.includes(granularity)) {
+        throw new ValidationError(`Granularity must be one of: ${GRANULARITIES.join(', ')}`);
+    }
+
+    const periods = listPeriods(from, to, granularity);
+    if (periods.length > MAX_PERIODS) {
+        throw new ValidationError(`The range spans ${periods.length} ${granularity}s; at most ${MAX_PERIODS} are allowed, choose a coarser granularity`);
+    }
+
+    return { from, to, granularity, periods };
+};
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Snapshot counts of societies and users
+const getOverview = async () => {
+    const [societies, users] = await Promise.all([Society.getStatistics(), User.getStatistics()]);
+
+    return { societies, users };
+};
+
+// Registrations, approvals, rejections and reapplications per period, from the
+// registration history, with the average time from (re)submission to approval
+const getRegistrationTrends = async (filters) => {
+    const range = parseRange(filters);
+    const period = PERIOD_SQL[range.granularity]('e.created_at');
+
+    const [counts] = await query(
+        `SELECT ${period} as period, e.event_type, COUNT(*) as count
+         FROM society_registration_events e
+         WHERE e.event_type IN ('submitted', 'approved', 'rejected', 'reapplied')
+           AND e.created_at >= ? AND e.created_at < DATE_ADD(?, INTERVAL 1 DAY)
+         GROUP BY period, e.event_type`,
+        [range.from, range.to]
+    );
+
+    // Each approval is measured from the latest submission or reapplication before it
+    const [approvalTimes] = await query(
+        `SELECT ${period} as period, COUNT(*) as approvals,
+                SUM(TIMESTAMPDIFF(SECOND, (
+                    SELECT MAX(s.created_at) FROM society_registration_events s
+                    WHERE s.society_id = e.society_id AND s.event_type IN ('submitted', 'reapplied')
+                      AND s.created_at <= e.created_at
+                ), e.created_at)) as total_seconds
+         FROM society_registration_events e
+         WHERE e.event_type = 'approved'
+           AND e.created_at >= ? AND e.created_at < DATE_ADD(?, INTERVAL 1 DAY)
+         GROUP BY period`,
+        [range.from, range.to]
+    );
+
+    const series = new Map(range.periods.map(start => [start, {
+        period: start,
+        registrations: 0,
+        approvals: 0,
+        rejections: 0,
+        reapplications: 0,
+        averageHoursToApproval: null
+    }]));
+    const field = { submitted: 'registrations', approved: 'approvals', rejected: 'rejections', reapplied: 'reapplications' };
+
+    for (const row of counts) {
+        const point = series.get(row.period);
+        if (point) {
+            point[field[row.event_type]] = Number(row.count);
+        }
+    }
+
+    let approvals = 0;
+    let totalSeconds = 0;
+    for (const row of approvalTimes) {
+        const seconds = Number(row.total_seconds) || 0;
+        const point = series.get(row.period);
+        if (point && row.approvals > 0) {
+            point.averageHoursToApproval = round(seconds / row.approvals / 3600);
+        }
+        approvals += Number(row.approvals);
+        totalSeconds += seconds;
+    }
+
+    return {
+        from: range.from,
+        to: range.to,
+        granularity: range.granularity,
+        series: [...series.values()],
+        timeToApproval: {
+            approvals,
+            averageHours: approvals > 0 ? round(totalSeconds / approvals / 3600) : null
+        }
+    };
+};
+
+// Active and total members of every society, busiest first
+const getMembersBySociety = async () => {
+    const [rows] = await query(
+        `SELECT s.id, s.name, s.status,
+                COUNT(CASE WHEN m.status = 'active' THEN 1 END) as active_members,
+                COUNT(m.id) as total_members
+         FROM societies s
+         LEFT JOIN members m ON m.society_id = s.id
+         GROUP BY s.id, s.name, s.status
+         ORDER BY active_members DESC, s.name`
+    );
+
+    return rows.map(row => ({
+        societyId: row.id,
+        societyName: row.name,
+        societyStatus: row.status,
+        activeMembers: Number(row.active_members),
+        totalMembers: Number(row.total_members)
+    }));
+};
+
+// Completed transactions per society within a date range: count, value and
+// deposit/withdrawal split, largest first
+const getTransactionVolume = async (filters) => {
+    const range = parseRange(filters);
+
+    const [rows] = await query(
+        `SELECT s.id, s.name, s.status,
+                COUNT(t.id) as transactions,
+                COALESCE(SUM(t.amount), 0) as total_amount,
+                COALESCE(SUM(CASE WHEN t.transaction_type = 'deposit' THEN t.amount END), 0) as deposits,
+                COALESCE(SUM(CASE WHEN t.transaction_type = 'withdrawal' THEN t.amount END), 0) as withdrawals
+         FROM societies s
+         LEFT JOIN transactions t ON t.society_id = s.id AND t.status = 'completed'
+              AND t.created_at >= ? AND t.created_at < DATE_ADD(?, INTERVAL 1 DAY)
+         GROUP BY s.id, s.name, s.status
+         ORDER BY total_amount DESC, s.name`,
+        [range.from, range.to]
+    );
+
+    const societies = rows.map(row => ({
+        societyId: row.id,
+        societyName: row.name,
+        societyStatus: row.status,
+        transactions: Number(row.transactions),
+        totalAmount: Number(row.total_amount),
+        deposits: Number(row.deposits),
+        withdrawals: Number(row.withdrawals)
+    }));
+
+    return {
+        from: range.from,
+        to: range.to,
+        societies,
+        totals: {
+            transactions: societies.reduce((sum, society) => sum + society.transactions, 0),
+            totalAmount: round(societies.reduce((sum, society) => sum + society.totalAmount, 0))
+        }
+    };
+};
+
+module.exports = {
+    GRANULARITIES,
+    parseRange,
+    getOverview,
+    getRegistrationTrends,
+    getMembersBySociety,
+    getTransactionVolume
+};
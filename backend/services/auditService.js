@@ -0,0 +1,109 @@
+const { query } = require('../config/db');
+const { GENESIS_HASH, hashAuditEntry } = require('../utils/auditTrail');
+
+const VERIFY_BATCH = 1000;
+
+// Walk the audit hash chain in sequence order and report every entry that
+// was edited (its content no longer matches its hash), deleted (a gap in the
+// sequence or a missing tail) or re-linked (its prev_hash does not match the
+// entry before it). Resolves to { ok, checked, lastSeq, problems }.
+const verifyAuditChain = async ({ onProgress = () => {} } = {}) => {
+    const problems = [];
+    let checked = 0;
+    let expectedSeq = 1;
+    let prevHash = GENESIS_HASH;
+
+    for (;;) {
+        const [rows] = await query(
+            `SELECT id, seq, user_id, society_id, action, table_name, record_id, old_values, new_values,
+                    ip_address, user_agent, UNIX_TIMESTAMP(created_at) as created_at_epoch, prev_hash, hash
+             FROM audit_logs WHERE seq >= ?
+             ORDER BY seq
+             LIMIT ${VERIFY_BATCH}`,
+            [expectedSeq]
+        );
+        if (rows.length === 0) {
+            break;
+        }
+
+        for (const row of rows) {
+            const seq = Number(row.seq);
+
+            if (seq > expectedSeq) {
+                problems.push({
+                    type: 'deleted',
+                    seq: expectedSeq === seq - 1 ? expectedSeq : `${expectedSeq}-${seq - 1}`,
+                    message: `${seq - expectedSeq} entry(ies) missing before seq ${seq}`
+                });
+            } else if (row.prev_hash !== prevHash) {
+                problems.push({
+                    type: 'relinked',
+                    seq,
+                    id: row.id,
+                    message: 'prev_hash does not match the hash of the previous entry'
+                });
+            }
+
+            const expectedHash = hashAuditEntry({
+                seq,
+                id: row.id,
+                userId: row.user_id,
+                societyId: row.society_id,
+                action: row.action,
+                tableName: row.table_name,
+                recordId: row.record_id,
+                oldValues: row.old_values,
+                newValues: row.new_values,
+                ipAddress: row.ip_address,
+                userAgent: row.user_agent,
+                createdAt: row.created_at_epoch
+            }, row.prev_hash);
+
+            if (expectedHash !== row.hash) {
+                problems.push({
+                    type: 'edited',
+                    seq,
+                    id: row.id,
+                    message: `Entry content does not match its hash (action ${row.action})`
+                });
+            }
+
+            prevHash = row.hash;
+            expectedSeq = seq + 1;
+            checked++;
+        }
+
+        onProgress(checked);
+    }
+
+    // Entries deleted from the end of the chain leave the head pointing past it
+    const [heads] = await query('SELECT last_seq, last_hash FROM audit_chain_head WHERE id = 1');
+    const lastSeq = expectedSeq - 1;
+    if (heads.length > 0) {
+        const headSeq = Number(heads[0].last_seq);
+        if (headSeq > lastSeq) {
+            problems.push({
+                type: 'deleted',
+                seq: headSeq === lastSeq + 1 ? headSeq : `${lastSeq + 1}-${headSeq}`,
+                message: `${headSeq - lastSeq} entry(ies) missing at the end of the chain`
+            });
+        } else if (headSeq === lastSeq && heads[0].last_hash !== prevHash) {
+            problems.push({
+                type: 'edited',
+                seq: lastSeq,
+                message: 'Last entry hash does not match the chain head'
+            });
+        }
+    }
+
+    return {
+        ok: problems.length === 0,
+        checked,
+        lastSeq,
+        problems
+    };
+};
+
+module.exports = {
+    verifyAuditChain
+};
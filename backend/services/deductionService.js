@@ -0,0 +1,369 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { query, withTransaction } = require('../config/db');
+const Service = require('../models/serviceModel');
+const { postTransaction } = require('./postingService');
+const { parseCsv } = require('../utils/csv');
+const { toCents, fromCents, isValidAmount } = require('../utils/money');
+const { assertTenant } = require('../utils/tenant');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+const MAX_ROWS = 5000;
+const MEMBER_NUMBER_COLUMNS = ['member_number', 'membernumber', 'member_no', 'member'];
+const AMOUNT_COLUMNS = ['amount', 'deduction'];
+
+const normalizeHeader = (value) => value.trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+// Read the member number and amount columns of an uploaded CSV file
+const parseDeductionFile = (buffer) => {
+    const rows = parseCsv(buffer.toString('utf8'));
+    if (rows.length < 2) {
+        throw new ValidationError('The file must have a header row and at least one deduction');
+    }
+
+    const header = rows[0].map(normalizeHeader);
+    const memberColumn = header.findIndex(name => MEMBER_NUMBER_COLUMNS.includes(name));
+    const amountColumn = header.findIndex(name => AMOUNT_COLUMNS.includes(name));
+    if (memberColumn === -1 || amountColumn === -1) {
+        throw new ValidationError('The file must have member_number and amount columns');
+    }
+
+    if (rows.length - 1 > MAX_ROWS) {
+        throw new ValidationError(`A batch can contain at most ${MAX_ROWS} deductions`);
+    }
+
+    return rows.slice(1).map((cells, index) => ({
+        lineNumber: index + 2,
+        memberNumber: (cells[memberColumn] || '').trim(),
+        amount: (cells[amountColumn] || '').trim()
+    }));
+};
+
+const mapBatch = (batch) => ({
+    id: batch.id,
+    serviceId: batch.service_id,
+    period: batch.period,
+    batchReference: batch.batch_reference,
+    fileName: batch.file_name,
+    status: batch.status,
+    rowCount: batch.row_count,
+    errorCount: batch.error_count,
+    totalAmount: Number(batch.total_amount),
+    createdBy: batch.created_by,
+    postedBy: batch.posted_by,
+    postedAt: batch.posted_at,
+    reversedBy: batch.reversed_by,
+    reversedAt: batch.reversed_at,
+    reversalReason: batch.reversal_reason,
+    createdAt: batch.created_at
+});
+
+const mapItem = (item) => ({
+    lineNumber: item.line_number,
+    memberNumber: item.member_number,
+    memberId: item.member_id,
+    amount: item.amount === null ? null : Number(item.amount),
+    error: item.error,
+    transactionId: item.transaction_id,
+    reversalTransactionId: item.reversal_transaction_id
+});
+
+// Load a deduction service of the society
+const findDeductionService = async (societyId, serviceId) => {
+    const service = await Service.findById(societyId, serviceId);
+    if (!service || service.type !== 'monthly_deduction') {
+        throw new NotFoundError('Monthly deduction service not found');
+    }
+    return service;
+};
+
+// Another batch already posted for the same service and period, if any
+const findPostedBatch = async (execute, societyId, serviceId, period, excludeBatchId) => {
+    const [batches] = await execute(
+        `SELECT id, batch_reference FROM deduction_batches
+         WHERE society_id = ? AND service_id = ? AND period = ? AND status = 'posted' AND id <> ?`,
+        [societyId, serviceId, period, excludeBatchId || '']
+    );
+    return batches.length > 0 ? batches[0] : null;
+};
+
+// Load a batch inside a unit of work, locked, and check its status
+const lockBatch = async (connection, societyId, batchId, expectedStatus) => {
+    const [batches] = await connection.execute(
+        'SELECT * FROM deduction_batches WHERE id = ? AND society_id = ? FOR UPDATE',
+        [batchId, societyId]
+    );
+    if (batches.length === 0) {
+        throw new NotFoundError('Deduction batch not found');
+    }
+
+    const batch = batches[0];
+    if (batch.status !== expectedStatus) {
+        throw new ValidationError(`Deduction batch is ${batch.status}, expected ${expectedStatus}`);
+    }
+
+    return batch;
+};
+
+// Validate an uploaded payroll file and store it as a preview batch.
+// Nothing is posted until the batch is confirmed.
+const previewBatch = async (societyId, userId, { serviceId, period, fileName, buffer }) => {
+    assertTenant(societyId);
+
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(period || '')) {
+        throw new ValidationError('Period must be in YYYY-MM format');
+    }
+
+    if (!buffer || buffer.length === 0) {
+        throw new ValidationError('A CSV file is required');
+    }
+
+    const service = await findDeductionService(societyId, serviceId);
+    const rows = parseDeductionFile(buffer);
+
+    // Look up every member number of the file in one query
+    const memberNumbers = [...new Set(rows.map(row => row.memberNumber).filter(Boolean))];
+    const members = new Map();
+    if (memberNumbers.length > 0) {
+        const [found] = await query(
+            `SELECT id, member_number, status FROM members
+             WHERE society_id = ? AND member_number IN (${memberNumbers.map(() => '?').join(', ')})`,
+            [societyId, ...memberNumbers]
+        );
+        found.forEach(member => members.set(member.member_number, member));
+    }
+
+    const seen = new Set();
+    let totalCents = 0;
+    const items = rows.map(row => {
+        const member = members.get(row.memberNumber);
+        let error = null;
+
+        if (!row.memberNumber) {
+            error = 'Member number is missing';
+        } else if (!member) {
+            error = 'Member not found';
+        } else if (member.status !== 'active') {
+            error = `Member is ${member.status}`;
+        } else if (seen.has(row.memberNumber)) {
+            error = 'Member appears more than once in the file';
+        } else if (!isValidAmount(row.amount)) {
+            error = 'Amount must be a positive number with at most two decimal places';
+        } else {
+            try {
+                service.assertTransactable(Number(row.amount));
+            } catch (limitError) {
+                error = limitError.message;
+            }
+        }
+
+        seen.add(row.memberNumber);
+        if (!error) {
+            totalCents += toCents(row.amount);
+        }
+
+        return {
+            lineNumber: row.lineNumber,
+            memberNumber: row.memberNumber || null,
+            memberId: member ? member.id : null,
+            amount: isValidAmount(row.amount) ? fromCents(toCents(row.amount)) : null,
+            error
+        };
+    });
+
+    const errorCount = items.filter(item => item.error).length;
+    const batchId = uuidv4();
+    const batchReference = `PAY-${period.replace('-', '')}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+    await withTransaction(async (connection) => {
+        await connection.execute(
+            `INSERT INTO deduction_batches (id, society_id, service_id, period, batch_reference, file_name, status, row_count, error_count, total_amount, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, 'preview', ?, ?, ?, ?)`,
+            [batchId, societyId, service.id, period, batchReference, fileName || null,
+             items.length, errorCount, fromCents(totalCents), userId]
+        );
+
+        for (const item of items) {
+            await connection.execute(
+                `INSERT INTO deduction_batch_items (id, batch_id, line_number, member_number, member_id, amount, error)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [uuidv4(), batchId, item.lineNumber, item.memberNumber, item.memberId, item.amount, item.error]
+            );
+        }
+    });
+
+    const postedBatch = await findPostedBatch(query, societyId, service.id, period, batchId);
+
+    return {
+        ...(await getBatch(societyId, batchId)),
+        warnings: postedBatch
+            ? [`Batch ${postedBatch.batch_reference} is already posted for ${period}`]
+            : []
+    };
+};
+
+// Post every deduction of a preview batch in one database transaction.
+// If any line fails, nothing is posted.
+const confirmBatch = async (societyId, batchId, userId) => {
+    assertTenant(societyId);
+
+    await withTransaction(async (connection) => {
+        const batch = await lockBatch(connection, societyId, batchId, 'preview');
+
+        if (batch.error_count > 0) {
+            throw new ValidationError('The batch has lines with errors; correct the file and upload it again');
+        }
+
+        const execute = connection.execute.bind(connection);
+        const postedBatch = await findPostedBatch(execute, societyId, batch.service_id, batch.period, batch.id);
+        if (postedBatch) {
+            throw new ValidationError(`Batch ${postedBatch.batch_reference} is already posted for ${batch.period}`);
+        }
+
+        // Lock member accounts in a stable order to avoid deadlocks with other postings
+        const [items] = await connection.execute(
+            'SELECT * FROM deduction_batch_items WHERE batch_id = ? ORDER BY member_id, line_number',
+            [batch.id]
+        );
+
+        for (const item of items) {
+            let result;
+            try {
+                result = await postTransaction({
+                    societyId,
+                    memberId: item.member_id,
+                    serviceId: batch.service_id,
+                    transactionType: 'deposit',
+                    amount: item.amount,
+                    description: `Payroll deduction ${batch.period} (${batch.batch_reference})`,
+                    referenceNumber: `${batch.batch_reference}-${item.line_number}`
+                }, { connection });
+            } catch (error) {
+                if (error instanceof ValidationError || error instanceof NotFoundError) {
+                    throw new ValidationError(`Line ${item.line_number}: ${error.message}`);
+                }
+                throw error;
+            }
+
+            await connection.execute(
+                'UPDATE deduction_batch_items SET transaction_id = ? WHERE id = ?',
+                [result.transaction.id, item.id]
+            );
+        }
+
+        await connection.execute(
+            `UPDATE deduction_batches SET status = 'posted', posted_by = ?, posted_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [userId, batch.id]
+        );
+    });
+
+    return await getBatch(societyId, batchId);
+};
+
+// Reverse a posted batch as a unit: every deduction is offset by a reversal
+// entry in one database transaction
+const reverseBatch = async (societyId, batchId, userId, reason) => {
+    assertTenant(societyId);
+
+    await withTransaction(async (connection) => {
+        const batch = await lockBatch(connection, societyId, batchId, 'posted');
+
+        const [items] = await connection.execute(
+            'SELECT * FROM deduction_batch_items WHERE batch_id = ? AND transaction_id IS NOT NULL ORDER BY member_id, line_number',
+            [batch.id]
+        );
+
+        for (const item of items) {
+            let result;
+            try {
+                result = await postTransaction({
+                    societyId,
+                    memberId: item.member_id,
+                    serviceId: batch.service_id,
+                    transactionType: 'withdrawal',
+                    amount: item.amount,
+                    description: `Reversal of payroll deduction ${batch.period} (${batch.batch_reference})`,
+                    referenceNumber: `${batch.batch_reference}-${item.line_number}-REV`,
+                    reversalOf: item.transaction_id
+                }, { connection });
+            } catch (error) {
+                if (error instanceof ValidationError || error instanceof NotFoundError) {
+                    throw new ValidationError(`Line ${item.line_number}: ${error.message}`);
+                }
+                throw error;
+            }
+
+            await connection.execute(
+                'UPDATE deduction_batch_items SET reversal_transaction_id = ? WHERE id = ?',
+                [result.transaction.id, item.id]
+            );
+        }
+
+        await connection.execute(
+            `UPDATE deduction_batches SET status = 'reversed', reversed_by = ?, reversed_at = CURRENT_TIMESTAMP,
+             reversal_reason = ? WHERE id = ?`,
+            [userId, reason || null, batch.id]
+        );
+    });
+
+    return await getBatch(societyId, batchId);
+};
+
+// Get a batch with its lines
+const getBatch = async (societyId, batchId) => {
+    assertTenant(societyId);
+
+    const [batches] = await query(
+        'SELECT * FROM deduction_batches WHERE id = ? AND society_id = ?',
+        [batchId, societyId]
+    );
+    if (batches.length === 0) {
+        throw new NotFoundError('Deduction batch not found');
+    }
+
+    const [items] = await query(
+        'SELECT * FROM deduction_batch_items WHERE batch_id = ? ORDER BY line_number',
+        [batchId]
+    );
+
+    return {
+        batch: mapBatch(batches[0]),
+        items: items.map(mapItem)
+    };
+};
+
+// List batches of a society
+const listBatches = async (societyId, filters = {}) => {
+    assertTenant(societyId);
+
+    let sql = 'SELECT * FROM deduction_batches WHERE society_id = ?';
+    const params = [societyId];
+
+    if (filters.serviceId) {
+        sql += ' AND service_id = ?';
+        params.push(filters.serviceId);
+    }
+
+    if (filters.period) {
+        sql += ' AND period = ?';
+        params.push(filters.period);
+    }
+
+    if (filters.status) {
+        sql += ' AND status = ?';
+        params.push(filters.status);
+    }
+
+    sql += ' ORDER BY created_at DESC';
+
+    const [batches] = await query(sql, params);
+    return batches.map(mapBatch);
+};
+
+module.exports = {
+    previewBatch,
+    confirmBatch,
+    reverseBatch,
+    getBatch,
+    listBatches
+};
@@ -0,0 +1,363 @@
+const { v4: uuidv4 } = require('uuid');
+const { query, withTransaction } = require('../config/db');
+const Service = require('../models/serviceModel');
+const { postTransaction } = require('./postingService');
+const { findShareService } = require('./shareService');
+const { toCents, fromCents, isValidAmount } = require('../utils/money');
+const { toIsoDate, isIsoDate } = require('../utils/dates');
+const { assertTenant } = require('../utils/tenant');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+// Whole days from one YYYY-MM-DD date to another
+const daysBetween = (from, to) =>
+    Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+
+const mapRun = (run) => ({
+    id: run.id,
+    serviceId: run.service_id,
+    creditServiceId: run.credit_service_id,
+    periodStart: toIsoDate(run.period_start),
+    periodEnd: toIsoDate(run.period_end),
+    basis: run.basis,
+    rate: run.rate === null ? null : Number(run.rate),
+    poolAmount: run.pool_amount === null ? null : Number(run.pool_amount),
+    totalAmount: Number(run.total_amount),
+    status: run.status,
+    createdBy: run.created_by,
+    postedBy: run.posted_by,
+    postedAt: run.posted_at,
+    createdAt: run.created_at
+});
+
+const mapEntitlement = (entitlement) => ({
+    memberId: entitlement.member_id,
+    memberNumber: entitlement.member_number,
+    memberName: entitlement.member_name,
+    shareDays: Number(entitlement.share_days),
+    capitalDays: Number(entitlement.capital_days),
+    amount: Number(entitlement.amount),
+    transactionId: entitlement.transaction_id
+});
+
+const parseReport = (report) => (typeof report === 'string' ? JSON.parse(report) : report);
+
+// Share-days and capital-days held by every member over the period. A share
+// counts from the day it was bought through the period end, so holdings are
+// weighted by both size and time held.
+const weighHoldings = async (societyId, serviceId, periodStart, periodEnd) => {
+    const [movements] = await query(
+        `SELECT sm.member_id, m.member_number, CONCAT(m.first_name, ' ', m.last_name) as member_name,
+                m.status as member_status, DATE(sm.created_at) as day, sm.movement_type, sm.quantity, sm.amount
+         FROM share_movements sm
+         JOIN members m ON sm.member_id = m.id
+         WHERE sm.society_id = ? AND sm.service_id = ? AND sm.created_at < DATE_ADD(?, INTERVAL 1 DAY)
+         ORDER BY sm.created_at`,
+        [societyId, serviceId, periodEnd]
+    );
+
+    const holders = new Map();
+    for (const movement of movements) {
+        if (!holders.has(movement.member_id)) {
+            holders.set(movement.member_id, {
+                memberId: movement.member_id,
+                memberNumber: movement.member_number,
+                memberName: movement.member_name,
+                memberStatus: movement.member_status,
+                closingShares: 0,
+                shareDays: 0,
+                capitalCentDays: 0
+            });
+        }
+
+        const holder = holders.get(movement.member_id);
+        const sign = movement.movement_type === 'purchase' ? 1 : -1;
+        const day = toIsoDate(movement.day);
+        const daysHeld = daysBetween(day < periodStart ? periodStart : day, periodEnd) + 1;
+
+        holder.closingShares += sign * movement.quantity;
+        holder.shareDays += sign * movement.quantity * daysHeld;
+        holder.capitalCentDays += sign * toCents(movement.amount) * daysHeld;
+    }
+
+    return Array.from(holders.values()).filter(holder => holder.shareDays > 0);
+};
+
+// Split a pool (in cents) pro rata by weight; leftover cents go to the
+// largest remainders so the shares add up to the pool exactly
+const allocatePool = (poolCents, weights) => {
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    if (totalWeight === 0) {
+        return weights.map(() => 0);
+    }
+
+    const exact = weights.map(weight => poolCents * weight / totalWeight);
+    const amounts = exact.map(Math.floor);
+    let leftover = poolCents - amounts.reduce((sum, amount) => sum + amount, 0);
+
+    const byRemainder = exact
+        .map((value, index) => ({ index, remainder: value - amounts[index] }))
+        .sort((a, b) => b.remainder - a.remainder);
+
+    for (const { index } of byRemainder) {
+        if (leftover <= 0) {
+            break;
+        }
+        amounts[index] += 1;
+        leftover -= 1;
+    }
+
+    return amounts;
+};
+
+// Load the savings service that dividends are credited to
+const findCreditService = async (societyId, serviceId) => {
+    const service = await Service.findById(societyId, serviceId);
+    if (!service || service.type !== 'savings') {
+        throw new NotFoundError('Savings service to credit not found');
+    }
+
+    if (service.status !== 'active') {
+        throw new ValidationError(`Service "${service.name}" is not active`);
+    }
+
+    return service;
+};
+
+// Another posted run of the share service whose period overlaps, if any
+const findOverlappingRun = async (execute, societyId, serviceId, periodStart, periodEnd, excludeRunId) => {
+    const [runs] = await execute(
+        `SELECT id, period_start, period_end FROM dividend_runs
+         WHERE society_id = ? AND service_id = ? AND status = 'posted'
+           AND period_start <= ? AND period_end >= ? AND id <> ?`,
+        [societyId, serviceId, periodEnd, periodStart, excludeRunId || '']
+    );
+    return runs.length > 0 ? runs[0] : null;
+};
+
+// Compute every member's dividend for a period and store it as a preview run.
+// The dividend is either a declared rate on capital held (basis 'rate') or a
+// declared pool shared pro rata by share-days (basis 'pool').
+const previewDividendRun = async (societyId, userId, { serviceId, creditServiceId, periodStart, periodEnd, rate, poolAmount }) => {
+    assertTenant(societyId);
+
+    if (!isIsoDate(periodStart) || !isIsoDate(periodEnd) || periodStart > periodEnd) {
+        throw new ValidationError('periodStart and periodEnd must be YYYY-MM-DD dates, with periodStart on or before periodEnd');
+    }
+
+    const hasRate = rate !== undefined && rate !== null && rate !== '';
+    const hasPool = poolAmount !== undefined && poolAmount !== null && poolAmount !== '';
+    if (hasRate === hasPool) {
+        throw new ValidationError('Provide either a dividend rate or a pool amount');
+    }
+
+    if (hasRate && !(Number(rate) > 0 && Number(rate) <= 100)) {
+        throw new ValidationError('Dividend rate must be a percentage between 0 and 100');
+    }
+
+    if (hasPool && !isValidAmount(poolAmount)) {
+        throw new ValidationError('Pool amount must be a positive number with at most two decimal places');
+    }
+
+    const service = await findShareService(societyId, serviceId);
+    const creditService = await findCreditService(societyId, creditServiceId);
+
+    const periodDays = daysBetween(periodStart, periodEnd) + 1;
+    const holders = await weighHoldings(societyId, service.id, periodStart, periodEnd);
+    const eligible = holders.filter(holder => holder.memberStatus === 'active');
+    const excluded = holders
+        .filter(holder => holder.memberStatus !== 'active')
+        .map(holder => ({
+            memberId: holder.memberId,
+            memberNumber: holder.memberNumber,
+            reason: `Member is ${holder.memberStatus}`
+        }));
+
+    const basis = hasRate ? 'rate' : 'pool';
+    const amounts = basis === 'rate'
+        ? eligible.map(holder => Math.max(Math.round(holder.capitalCentDays * Number(rate) / 100 / periodDays), 0))
+        : allocatePool(toCents(poolAmount), eligible.map(holder => holder.shareDays));
+
+    const entitlements = eligible.map((holder, index) => ({
+        memberId: holder.memberId,
+        memberNumber: holder.memberNumber,
+        memberName: holder.memberName,
+        closingShares: holder.closingShares,
+        shareDays: holder.shareDays,
+        capitalDays: fromCents(holder.capitalCentDays),
+        amount: fromCents(amounts[index])
+    }));
+    const totalCents = amounts.reduce((sum, amount) => sum + amount, 0);
+
+    const report = {
+        serviceId: service.id,
+        serviceName: service.name,
+        creditServiceId: creditService.id,
+        creditServiceName: creditService.name,
+        periodStart,
+        periodEnd,
+        periodDays,
+        basis,
+        rate: hasRate ? Number(rate) : null,
+        poolAmount: hasPool ? fromCents(toCents(poolAmount)) : null,
+        method: basis === 'rate'
+            ? 'amount = capital-days x rate / 100 / period days'
+            : 'amount = pool x member share-days / total share-days, largest remainder rounding',
+        totalShareDays: eligible.reduce((sum, holder) => sum + holder.shareDays, 0),
+        totalAmount: fromCents(totalCents),
+        entitlements,
+        excluded,
+        computedAt: new Date().toISOString()
+    };
+
+    const runId = uuidv4();
+    await withTransaction(async (connection) => {
+        await connection.execute(
+            `INSERT INTO dividend_runs (id, society_id, service_id, credit_service_id, period_start, period_end, basis, rate, pool_amount, total_amount, status, report, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'preview', ?, ?)`,
+            [runId, societyId, service.id, creditService.id, periodStart, periodEnd, basis,
+             report.rate, report.poolAmount, report.totalAmount, JSON.stringify(report), userId]
+        );
+
+        for (const entitlement of entitlements) {
+            await connection.execute(
+                `INSERT INTO dividend_entitlements (id, run_id, member_id, share_days, capital_days, amount)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [uuidv4(), runId, entitlement.memberId, entitlement.shareDays, entitlement.capitalDays, entitlement.amount]
+            );
+        }
+    });
+
+    const overlapping = await findOverlappingRun(query, societyId, service.id, periodStart, periodEnd, runId);
+
+    return {
+        ...(await getDividendRun(societyId, runId)),
+        warnings: overlapping
+            ? [`A dividend run is already posted for ${toIsoDate(overlapping.period_start)} to ${toIsoDate(overlapping.period_end)}`]
+            : []
+    };
+};
+
+// Credit every entitlement of a preview run to the members' savings accounts
+// in one database transaction. If any credit fails, nothing is posted.
+const postDividendRun = async (societyId, runId, userId) => {
+    assertTenant(societyId);
+
+    await withTransaction(async (connection) => {
+        const [runs] = await connection.execute(
+            'SELECT * FROM dividend_runs WHERE id = ? AND society_id = ? FOR UPDATE',
+            [runId, societyId]
+        );
+        if (runs.length === 0) {
+            throw new NotFoundError('Dividend run not found');
+        }
+
+        const run = runs[0];
+        if (run.status !== 'preview') {
+            throw new ValidationError(`Dividend run is ${run.status}, expected preview`);
+        }
+
+        const periodStart = toIsoDate(run.period_start);
+        const periodEnd = toIsoDate(run.period_end);
+        const overlapping = await findOverlappingRun(connection.execute.bind(connection),
+            societyId, run.service_id, periodStart, periodEnd, run.id);
+        if (overlapping) {
+            throw new ValidationError(`A dividend run is already posted for ${toIsoDate(overlapping.period_start)} to ${toIsoDate(overlapping.period_end)}`);
+        }
+
+        // Lock member accounts in a stable order to avoid deadlocks with other postings
+        const [entitlements] = await connection.execute(
+            'SELECT * FROM dividend_entitlements WHERE run_id = ? AND amount > 0 ORDER BY member_id',
+            [run.id]
+        );
+
+        for (const entitlement of entitlements) {
+            let result;
+            try {
+                result = await postTransaction({
+                    societyId,
+                    memberId: entitlement.member_id,
+                    serviceId: run.credit_service_id,
+                    transactionType: 'interest',
+                    amount: entitlement.amount,
+                    description: `Dividend for ${periodStart} to ${periodEnd}`,
+                    referenceNumber: `DIV-${run.id}-${entitlement.member_id}`
+                }, { connection });
+            } catch (error) {
+                if (error instanceof ValidationError || error instanceof NotFoundError) {
+                    throw new ValidationError(`Member ${entitlement.member_id}: ${error.message}`);
+                }
+                throw error;
+            }
+
+            await connection.execute(
+                'UPDATE dividend_entitlements SET transaction_id = ? WHERE id = ?',
+                [result.transaction.id, entitlement.id]
+            );
+        }
+
+        await connection.execute(
+            `UPDATE dividend_runs SET status = 'posted', posted_by = ?, posted_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [userId, run.id]
+        );
+    });
+
+    return await getDividendRun(societyId, runId);
+};
+
+// Get a run with its entitlements and the stored computation report
+const getDividendRun = async (societyId, runId) => {
+    assertTenant(societyId);
+
+    const [runs] = await query(
+        'SELECT * FROM dividend_runs WHERE id = ? AND society_id = ?',
+        [runId, societyId]
+    );
+    if (runs.length === 0) {
+        throw new NotFoundError('Dividend run not found');
+    }
+
+    const [entitlements] = await query(
+        `SELECT de.*, m.member_number, CONCAT(m.first_name, ' ', m.last_name) as member_name
+         FROM dividend_entitlements de
+         JOIN members m ON de.member_id = m.id
+         WHERE de.run_id = ?
+         ORDER BY m.member_number`,
+        [runId]
+    );
+
+    return {
+        run: mapRun(runs[0]),
+        entitlements: entitlements.map(mapEntitlement),
+        report: parseReport(runs[0].report)
+    };
+};
+
+// List dividend runs of a society
+const listDividendRuns = async (societyId, filters = {}) => {
+    assertTenant(societyId);
+
+    let sql = 'SELECT * FROM dividend_runs WHERE society_id = ?';
+    const params = [societyId];
+
+    if (filters.serviceId) {
+        sql += ' AND service_id = ?';
+        params.push(filters.serviceId);
+    }
+
+    if (filters.status) {
+        sql += ' AND status = ?';
+        params.push(filters.status);
+    }
+
+    sql += ' ORDER BY period_end DESC, created_at DESC';
+
+    const [runs] = await query(sql, params);
+    return runs.map(mapRun);
+};
+
+module.exports = {
+    previewDividendRun,
+    postDividendRun,
+    getDividendRun,
+    listDividendRuns
+};
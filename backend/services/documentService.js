@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const Society = require('../models/societyModel');
+const { getStorage } = require('./storage');
+const { sniffFileType } = require('../utils/fileType');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+const PDF = 'application/pdf';
+const IMAGES = ['image/jpeg', 'image/png'];
+
+// File types accepted per document type, judged by content rather than
+// the client's mimetype
+const DOCUMENT_TYPES = {
+    registration_certificate: [PDF, ...IMAGES],
+    bylaws: [PDF],
+    additional: [PDF, ...IMAGES]
+};
+
+// Registration upload fields and the document type they are stored as
+const UPLOAD_FIELDS = {
+    registrationCertificate: 'registration_certificate',
+    bylaws: 'bylaws',
+    additionalDocs: 'additional'
+};
+
+// Describe one in-memory upload as { documentType, file, mimeType, extension,
+// checksum }, or as { error } if its content is not accepted
+const inspectFile = (documentType, file) => {
+    const mimeTypes = DOCUMENT_TYPES[documentType];
+    const detected = sniffFileType(file.buffer);
+    if (!detected || !mimeTypes.includes(detected.mimeType)) {
+        return { error: `File content must be one of: ${mimeTypes.join(', ')}` };
+    }
+
+    return {
+        documentType,
+        file,
+        mimeType: detected.mimeType,
+        extension: detected.extension,
+        checksum: crypto.createHash('sha256').update(file.buffer).digest('hex')
+    };
+};
+
+// Check a single upload for a document type; throws a ValidationError if its
+// content is not accepted
+const inspectDocument = (documentType, file) => {
+    if (!DOCUMENT_TYPES[documentType]) {
+        throw new ValidationError(`Document type must be one of: ${Object.keys(DOCUMENT_TYPES).join(', ')}`);
+    }
+    if (!file) {
+        throw new ValidationError('A document file is required');
+    }
+
+    const upload = inspectFile(documentType, file);
+    if (upload.error) {
+        throw new ValidationError('Invalid document type', [{ fileName: file.originalname, message: upload.error }]);
+    }
+
+    return upload;
+};
+
+// Check multer's in-memory registration uploads (see inspectFile). Throws a
+// ValidationError listing every file whose content is not an accepted type.
+const inspectUploads = (files = {}) => {
+    const uploads = [];
+    const invalid = [];
+
+    for (const [field, documentType] of Object.entries(UPLOAD_FIELDS)) {
+        for (const file of files[field] || []) {
+            const upload = inspectFile(documentType, file);
+            if (upload.error) {
+                invalid.push({ field, fileName: file.originalname, message: upload.error });
+            } else {
+                uploads.push(upload);
+            }
+        }
+    }
+
+    if (invalid.length > 0) {
+        throw new ValidationError('Invalid document type', invalid);
+    }
+
+    return uploads;
+};
+
+// Store an inspected upload and record it, inside the registration's unit of
+// work. The stored file is removed again if the unit of work rolls back.
+const storeDocument = async (connection, hooks, societyId, upload) => {
+    const storage = getStorage();
+    // The key never contains client input; the original name is kept in the row
+    const storageKey = `societies/${societyId}/${uuidv4()}${upload.extension}`;
+
+    await storage.put(storageKey, upload.file.buffer, { contentType: upload.mimeType, checksum: upload.checksum });
+    hooks.onRollback(() => storage.remove(storageKey));
+
+    return await Society.addDocument(societyId, {
+        documentType: upload.documentType,
+        fileName: upload.file.originalname,
+        storageKey,
+        storageDriver: storage.name,
+        fileSize: upload.file.size,
+        mimeType: upload.mimeType,
+        checksum: upload.checksum
+    }, connection);
+};
+
+// Open a society document for reading: resolves to { document, stream, size }
+const openDocument = async (societyId, documentId) => {
+    const document = await Society.findDocument(societyId, documentId);
+    if (!document) {
+        throw new NotFoundError('Document not found');
+    }
+
+    const { stream, size } = await getStorage(document.storage_driver).get(document.storage_key);
+
+    return { document, stream, size };
+};
+
+module.exports = {
+    DOCUMENT_TYPES,
+    inspectDocument,
+    inspectUploads,
+    storeDocument,
+    openDocument
+};
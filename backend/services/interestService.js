@@ -0,0 +1,232 @@
+const { query } = require('../config/db');
+const Service = require('../models/serviceModel');
+const Transaction = require('../models/transactionModel');
+const { postTransaction } = require('./postingService');
+const { toCents, fromCents } = require('../utils/money');
+const { toIsoDate, today } = require('../utils/dates');
+const { logAuditTrail } = require('../utils/auditTrail');
+const { ValidationError } = require('../utils/errors');
+
+const DAYS_IN_YEAR = 365;
+
+// Every calendar day (YYYY-MM-DD) of a YYYY-MM period
+const daysOfPeriod = (period) => {
+    const [year, month] = period.split('-').map(Number);
+    const count = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return Array.from({ length: count }, (_, index) =>
+        `${period}-${String(index + 1).padStart(2, '0')}`);
+};
+
+// The period a run accrues when none is given. A monthly service accrues the
+// month that has ended; a daily one the current month up to yesterday, which
+// on the 1st is still last month, so its last day is not skipped.
+const defaultPeriod = (frequency) => {
+    const now = new Date();
+    const date = frequency === 'daily'
+        ? new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1)
+        : new Date(now.getFullYear(), now.getMonth() - 1, 1);
+    return toIsoDate(date).slice(0, 7);
+};
+
+// Closing balance (in cents) of every member account of a savings service for
+// each day of the period, rebuilt from the completed ledger entries
+const dailyBalances = async (service, days) => {
+    const [opening] = await query(
+        `SELECT t.member_id,
+                SUM(CASE WHEN t.transaction_type IN ('deposit', 'interest') THEN t.amount ELSE -t.amount END) as balance
+         FROM transactions t
+         JOIN members m ON t.member_id = m.id
+         WHERE t.society_id = ? AND t.service_id = ? AND t.status = 'completed' AND m.status = 'active'
+           AND t.created_at < ?
+         GROUP BY t.member_id`,
+        [service.societyId, service.id, days[0]]
+    );
+    const [movements] = await query(
+        `SELECT t.member_id, DATE(t.created_at) as day,
+                SUM(CASE WHEN t.transaction_type IN ('deposit', 'interest') THEN t.amount ELSE -t.amount END) as amount
+         FROM transactions t
+         JOIN members m ON t.member_id = m.id
+         WHERE t.society_id = ? AND t.service_id = ? AND t.status = 'completed' AND m.status = 'active'
+           AND t.created_at >= ? AND t.created_at < DATE_ADD(?, INTERVAL 1 DAY)
+         GROUP BY t.member_id, DATE(t.created_at)`,
+        [service.societyId, service.id, days[0], days[days.length - 1]]
+    );
+
+    const running = new Map(opening.map(row => [row.member_id, toCents(row.balance)]));
+    const changes = new Map();
+    for (const row of movements) {
+        changes.set(`${row.member_id}|${toIsoDate(row.day)}`, toCents(row.amount));
+        if (!running.has(row.member_id)) {
+            running.set(row.member_id, 0);
+        }
+    }
+
+    const balances = new Map();
+    for (const memberId of running.keys()) {
+        let balance = running.get(memberId);
+        balances.set(memberId, days.map(day => {
+            balance += changes.get(`${memberId}|${day}`) || 0;
+            return balance;
+        }));
+    }
+
+    return balances;
+};
+
+// Post one interest entry, booked on the last day it accrues for; re-running
+// the same period hits the same reference. Resolves to the cents it posted.
+const postInterest = async (service, memberId, periodKey, valueDate, amountCents, summary) => {
+    if (amountCents <= 0) {
+        return 0;
+    }
+
+    const referenceNumber = `INT-${service.id}-${memberId}-${periodKey}`;
+
+    try {
+        // Skip periods that already have an entry, even if the balances it was
+        // computed on have changed since
+        if (await Transaction.findByReference(service.societyId, referenceNumber)) {
+            summary.alreadyPosted += 1;
+            return 0;
+        }
+
+        const { duplicate } = await postTransaction({
+            societyId: service.societyId,
+            memberId,
+            serviceId: service.id,
+            transactionType: 'interest',
+            amount: fromCents(amountCents),
+            description: `Interest for ${periodKey} at ${service.interestRate}% p.a.`,
+            referenceNumber,
+            valueDate
+        });
+
+        if (duplicate) {
+            summary.alreadyPosted += 1;
+            return 0;
+        }
+
+        summary.posted += 1;
+        summary.totalInterest += amountCents;
+        return amountCents;
+    } catch (error) {
+        summary.errors.push({ memberId, period: periodKey, message: error.message });
+        return 0;
+    }
+};
+
+// Accrue and post interest for one savings service over a period.
+// Daily services get one entry per elapsed day, booked on that day; monthly
+// services get one entry for the month, computed on the daily balances and
+// booked on its last day, once the month is over.
+const accrueService = async (service, period) => {
+    const summary = {
+        serviceId: service.id,
+        serviceName: service.name,
+        interestRate: service.interestRate,
+        frequency: service.interestFrequency,
+        period,
+        accounts: 0,
+        posted: 0,
+        alreadyPosted: 0,
+        totalInterest: 0,
+        errors: []
+    };
+
+    const allDays = daysOfPeriod(period);
+    const elapsedDays = allDays.filter(day => day < today());
+
+    if (elapsedDays.length === 0 || (service.interestFrequency === 'monthly' && elapsedDays.length < allDays.length)) {
+        summary.skipped = 'Period has not ended yet';
+        return summary;
+    }
+
+    const dailyRate = service.interestRate / 100 / DAYS_IN_YEAR;
+    const balances = await dailyBalances(service, elapsedDays);
+    summary.accounts = balances.size;
+
+    for (const [memberId, closing] of balances) {
+        if (service.interestFrequency === 'daily') {
+            // The balances were read before this run posted anything; interest
+            // it posts for a day earns interest from the next day on, as it
+            // would had each day been accrued on its own run
+            let credited = 0;
+            for (let index = 0; index < elapsedDays.length; index++) {
+                const interest = Math.round(Math.max(closing[index] + credited, 0) * dailyRate);
+                credited += await postInterest(service, memberId, elapsedDays[index], elapsedDays[index], interest, summary);
+            }
+        } else {
+            const interest = Math.round(closing.reduce((sum, balance) => sum + Math.max(balance, 0), 0) * dailyRate);
+            await postInterest(service, memberId, period, allDays[allDays.length - 1], interest, summary);
+        }
+    }
+
+    summary.totalInterest = fromCents(summary.totalInterest);
+    return summary;
+};
+
+// Run interest accrual for a period (YYYY-MM) across all approved societies,
+// or one society. Without a period each service accrues its default period
+// (see defaultPeriod). Safe to re-run: entries already posted for a service,
+// member and period are skipped.
+// Resolves to one summary report per society.
+const runInterestAccrual = async ({ period = null, societyId = null } = {}) => {
+    if (period && !/^\d{4}-(0[1-9]|1[0-2])$/.test(period)) {
+        throw new ValidationError('Period must be in YYYY-MM format');
+    }
+
+    let sql = `SELECT s.id as society_id, s.name as society_name, sv.*
+               FROM services sv
+               JOIN societies s ON sv.society_id = s.id
+               WHERE s.status = 'approved' AND sv.type = 'savings' AND sv.status = 'active' AND sv.interest_rate > 0`;
+    const params = [];
+
+    if (societyId) {
+        sql += ' AND s.id = ?';
+        params.push(societyId);
+    }
+
+    sql += ' ORDER BY s.name, sv.name';
+
+    const [rows] = await query(sql, params);
+    const reports = new Map();
+
+    for (const row of rows) {
+        if (!reports.has(row.society_id)) {
+            reports.set(row.society_id, {
+                societyId: row.society_id,
+                societyName: row.society_name,
+                services: [],
+                posted: 0,
+                totalInterest: 0
+            });
+        }
+
+        const report = reports.get(row.society_id);
+        const service = new Service(row);
+        const summary = await accrueService(service, period || defaultPeriod(service.interestFrequency));
+        report.services.push(summary);
+        report.posted += summary.posted;
+        report.totalInterest = fromCents(toCents(report.totalInterest) + toCents(summary.totalInterest));
+    }
+
+    for (const report of reports.values()) {
+        await logAuditTrail(null, report.societyId, 'INTEREST_ACCRUAL_RUN', 'transactions', null, null, {
+            posted: report.posted,
+            total_interest: report.totalInterest,
+            services: report.services.map(service => ({
+                service_id: service.serviceId,
+                period: service.period,
+                posted: service.posted,
+                already_posted: service.alreadyPosted,
+                errors: service.errors.length
+            }))
+        }, null, 'interest-accrual');
+    }
+
+    return Array.from(reports.values());
+};
+
+module.exports = {
+    runInterestAccrual
+};
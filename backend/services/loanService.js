@@ -0,0 +1,326 @@
+const { v4: uuidv4 } = require('uuid');
+const { query, withTransaction } = require('../config/db');
+const Loan = require('../models/loanModel');
+const Member = require('../models/memberModel');
+const Service = require('../models/serviceModel');
+const Transaction = require('../models/transactionModel');
+const { postTransaction } = require('./postingService');
+const { INTEREST_METHODS, buildSchedule } = require('../utils/amortization');
+const { toCents, fromCents, isValidAmount } = require('../utils/money');
+const { toIsoDate, today, isIsoDate } = require('../utils/dates');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+const MAX_TERM_MONTHS = 360;
+
+// Load a loan inside a unit of work, locked, and check its status
+const lockLoan = async (connection, societyId, loanId, expectedStatus) => {
+    const loan = await Loan.findById(societyId, loanId, connection, true);
+    if (!loan) {
+        throw new NotFoundError('Loan not found');
+    }
+
+    if (loan.status !== expectedStatus) {
+        throw new ValidationError(`Loan is ${loan.status}, expected ${expectedStatus}`);
+    }
+
+    return loan;
+};
+
+// Record a member's application for a loan against a loan service
+const applyForLoan = async (societyId, application) => {
+    const { memberId, serviceId, principal, termMonths, purpose } = application;
+    const interestMethod = application.interestMethod || 'reducing_balance';
+
+    if (!isValidAmount(principal)) {
+        throw new ValidationError('Principal must be a positive number with at most two decimal places');
+    }
+
+    const term = Number(termMonths);
+    if (!Number.isInteger(term) || term < 1 || term > MAX_TERM_MONTHS) {
+        throw new ValidationError(`Term must be a whole number of months between 1 and ${MAX_TERM_MONTHS}`);
+    }
+
+    if (!INTEREST_METHODS.includes(interestMethod)) {
+        throw new ValidationError(`Interest method must be one of: ${INTEREST_METHODS.join(', ')}`);
+    }
+
+    const member = await Member.findById(societyId, memberId);
+    if (!member) {
+        throw new NotFoundError('Member not found');
+    }
+    if (member.status !== 'active') {
+        throw new ValidationError('Member is not active');
+    }
+
+    const service = await Service.findById(societyId, serviceId);
+    if (!service || service.type !== 'loan') {
+        throw new NotFoundError('Loan service not found');
+    }
+    service.assertTransactable(Number(principal));
+
+    const loanId = uuidv4();
+    await query(
+        `INSERT INTO loans (id, society_id, member_id, service_id, principal, interest_rate, interest_method, term_months, purpose, status)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')`,
+        [loanId, societyId, member.id, service.id, fromCents(toCents(principal)), service.interestRate, interestMethod, term, purpose || null]
+    );
+
+    return await Loan.findById(societyId, loanId);
+};
+
+// Approve a pending loan and generate its amortization schedule.
+// Installments fall due monthly from startDate (default: today).
+const approveLoan = async (societyId, loanId, userId, options = {}) => {
+    const startDate = options.startDate || today();
+    if (!isIsoDate(startDate)) {
+        throw new ValidationError('Start date must be a valid YYYY-MM-DD date');
+    }
+
+    return await withTransaction(async (connection) => {
+        const loan = await lockLoan(connection, societyId, loanId, 'pending');
+
+        const schedule = buildSchedule({
+            principalCents: toCents(loan.principal),
+            annualRate: loan.interestRate,
+            termMonths: loan.termMonths,
+            interestMethod: loan.interestMethod,
+            startDate
+        });
+
+        for (const installment of schedule) {
+            await connection.execute(
+                `INSERT INTO loan_installments (id, loan_id, installment_number, due_date, principal_due, interest_due)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [uuidv4(), loan.id, installment.installmentNumber, installment.dueDate,
+                 fromCents(installment.principalCents), fromCents(installment.interestCents)]
+            );
+        }
+
+        await connection.execute(
+            `UPDATE loans SET status = 'approved', decided_by = ?, decided_at = CURRENT_TIMESTAMP,
+             decision_reason = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [userId, options.reason || null, loan.id]
+        );
+
+        return await Loan.findById(societyId, loan.id, connection);
+    });
+};
+
+// Decline a pending loan
+const declineLoan = async (societyId, loanId, userId, reason) => {
+    return await withTransaction(async (connection) => {
+        const loan = await lockLoan(connection, societyId, loanId, 'pending');
+
+        await connection.execute(
+            `UPDATE loans SET status = 'declined', decided_by = ?, decided_at = CURRENT_TIMESTAMP,
+             decision_reason = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [userId, reason || null, loan.id]
+        );
+
+        return await Loan.findById(societyId, loan.id, connection);
+    });
+};
+
+// Pay out an approved loan: the principal is withdrawn from the member's loan account
+const disburseLoan = async (societyId, loanId) => {
+    return await withTransaction(async (connection) => {
+        const loan = await lockLoan(connection, societyId, loanId, 'approved');
+
+        const { transaction } = await postTransaction({
+            societyId,
+            memberId: loan.memberId,
+            serviceId: loan.serviceId,
+            loanId: loan.id,
+            transactionType: 'withdrawal',
+            amount: loan.principal,
+            description: 'Loan disbursement',
+            referenceNumber: `LOAN-${loan.id}-DISB`
+        }, { connection });
+
+        await connection.execute(
+            `UPDATE loans SET status = 'disbursed', disbursed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [loan.id]
+        );
+
+        return {
+            loan: await Loan.findById(societyId, loan.id, connection),
+            transaction
+        };
+    });
+};
+
+// Record a repayment. It settles installments oldest first, interest before
+// principal. The interest part is charged to the loan account and the full
+// amount is deposited, so the account balance stays at -(outstanding principal).
+const repayLoan = async (societyId, loanId, { amount, referenceNumber }) => {
+    if (!isValidAmount(amount)) {
+        throw new ValidationError('Amount must be a positive number with at most two decimal places');
+    }
+
+    return await withTransaction(async (connection) => {
+        const loan = await lockLoan(connection, societyId, loanId, 'disbursed');
+
+        // Replayed repayment: return what was recorded the first time
+        if (referenceNumber) {
+            const existing = await Transaction.findByReference(societyId, referenceNumber, connection);
+            if (existing) {
+                const [repayments] = await connection.execute(
+                    'SELECT * FROM loan_repayments WHERE loan_id = ? AND transaction_id = ?',
+                    [loan.id, existing.id]
+                );
+                if (repayments.length === 0) {
+                    throw new ValidationError(`Reference number ${referenceNumber} is already used by a different transaction`);
+                }
+                return { loan, repaymentId: repayments[0].id, transaction: existing, duplicate: true };
+            }
+        }
+
+        const installments = await Loan.getInstallments(loan.id, connection, true);
+        let remaining = toCents(amount);
+        let interestCents = 0;
+        let principalCents = 0;
+        const updates = [];
+
+        for (const installment of installments) {
+            if (remaining === 0) {
+                break;
+            }
+
+            const interestOwed = toCents(installment.interestDue) - toCents(installment.interestPaid);
+            const principalOwed = toCents(installment.principalDue) - toCents(installment.principalPaid);
+            if (interestOwed + principalOwed === 0) {
+                continue;
+            }
+
+            const interestPart = Math.min(remaining, interestOwed);
+            remaining -= interestPart;
+            const principalPart = Math.min(remaining, principalOwed);
+            remaining -= principalPart;
+
+            interestCents += interestPart;
+            principalCents += principalPart;
+            updates.push({
+                id: installment.id,
+                interestPaid: toCents(installment.interestPaid) + interestPart,
+                principalPaid: toCents(installment.principalPaid) + principalPart,
+                settled: interestPart === interestOwed && principalPart === principalOwed
+            });
+        }
+
+        if (remaining > 0) {
+            throw new ValidationError('Repayment exceeds the outstanding loan amount', {
+                excess: fromCents(remaining)
+            });
+        }
+
+        if (interestCents > 0) {
+            await postTransaction({
+                societyId,
+                memberId: loan.memberId,
+                serviceId: loan.serviceId,
+                loanId: loan.id,
+                transactionType: 'interest',
+                amount: fromCents(interestCents),
+                description: 'Loan interest charged on repayment',
+                referenceNumber: referenceNumber ? `${referenceNumber}-INT` : null
+            }, { connection });
+        }
+
+        const { transaction } = await postTransaction({
+            societyId,
+            memberId: loan.memberId,
+            serviceId: loan.serviceId,
+            loanId: loan.id,
+            transactionType: 'deposit',
+            amount: fromCents(toCents(amount)),
+            description: 'Loan repayment',
+            referenceNumber: referenceNumber || null
+        }, { connection });
+
+        for (const update of updates) {
+            await connection.execute(
+                `UPDATE loan_installments SET interest_paid = ?, principal_paid = ?, status = ? WHERE id = ?`,
+                [fromCents(update.interestPaid), fromCents(update.principalPaid), update.settled ? 'paid' : 'partial', update.id]
+            );
+        }
+
+        const repaymentId = uuidv4();
+        await connection.execute(
+            `INSERT INTO loan_repayments (id, loan_id, amount, principal_amount, interest_amount, transaction_id)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [repaymentId, loan.id, fromCents(toCents(amount)), fromCents(principalCents), fromCents(interestCents), transaction.id]
+        );
+
+        const [open] = await connection.execute(
+            `SELECT COUNT(*) as count FROM loan_installments WHERE loan_id = ? AND status <> 'paid'`,
+            [loan.id]
+        );
+        if (open[0].count === 0) {
+            await connection.execute(
+                `UPDATE loans SET status = 'closed', updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [loan.id]
+            );
+        }
+
+        return {
+            loan: await Loan.findById(societyId, loan.id, connection),
+            repaymentId,
+            transaction,
+            duplicate: false
+        };
+    });
+};
+
+// Outstanding principal and interest of a loan, overall and due as of a date
+const summarizeLoan = (loan, installments, asOf = today()) => {
+    const totals = {
+        principalDue: 0, interestDue: 0, principalPaid: 0, interestPaid: 0,
+        overduePrincipal: 0, overdueInterest: 0
+    };
+    let nextInstallment = null;
+
+    for (const installment of installments) {
+        const principalOwed = toCents(installment.principalDue) - toCents(installment.principalPaid);
+        const interestOwed = toCents(installment.interestDue) - toCents(installment.interestPaid);
+
+        totals.principalDue += toCents(installment.principalDue);
+        totals.interestDue += toCents(installment.interestDue);
+        totals.principalPaid += toCents(installment.principalPaid);
+        totals.interestPaid += toCents(installment.interestPaid);
+
+        if (toIsoDate(installment.dueDate) <= asOf) {
+            totals.overduePrincipal += principalOwed;
+            totals.overdueInterest += interestOwed;
+        } else if (!nextInstallment && principalOwed + interestOwed > 0) {
+            nextInstallment = installment;
+        }
+    }
+
+    // Nothing is owed until the loan has been paid out
+    const owed = loan.status === 'disbursed' || loan.status === 'closed';
+
+    return {
+        asOf,
+        principal: loan.principal,
+        totalInterest: fromCents(totals.interestDue),
+        principalPaid: fromCents(totals.principalPaid),
+        interestPaid: fromCents(totals.interestPaid),
+        outstandingPrincipal: owed ? fromCents(totals.principalDue - totals.principalPaid) : 0,
+        outstandingInterest: owed ? fromCents(totals.interestDue - totals.interestPaid) : 0,
+        dueAsOf: {
+            principal: owed ? fromCents(totals.overduePrincipal) : 0,
+            interest: owed ? fromCents(totals.overdueInterest) : 0
+        },
+        nextInstallment: owed ? nextInstallment : null
+    };
+};
+
+module.exports = {
+    MAX_TERM_MONTHS,
+    applyForLoan,
+    approveLoan,
+    declineLoan,
+    disburseLoan,
+    repayLoan,
+    summarizeLoan
+};
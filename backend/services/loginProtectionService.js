@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { query, withTransaction } = require('../config/db');
+const notificationService = require('./notificationService');
+const { logAuditTrail } = require('../utils/auditTrail');
+const { ConflictError, NotFoundError } = require('../utils/errors');
+
+// Per-account brute-force protection for the developer, society and member logins.
+// Every wrong password or two-factor code counts against the account: after
+// n consecutive failures the next attempt must wait DELAY_BASE_SECONDS * 2^(n-1)
+// seconds, and MAX_FAILED_ATTEMPTS lock the account for LOCKOUT_MINUTES (or
+// until an admin unlocks it). Attempts refused while waiting or locked are not
+// counted, so nobody can keep an account locked by guessing. Successful logins
+// reset the counter and remember the device; a login from an IP or browser
+// the account has not used before is emailed to its owner.
+
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const DELAY_BASE_SECONDS = parseInt(process.env.LOGIN_DELAY_BASE_SECONDS) || 1;
+
+const hashUserAgent = (userAgent) => crypto.createHash('sha256').update(userAgent || '').digest('hex');
+
+// Seconds to wait after a number of consecutive failures: 1, 2, 4, 8...
+const delaySeconds = (attempts) => (attempts > 0 ? DELAY_BASE_SECONDS * 2 ** (attempts - 1) : 0);
+
+const isLocked = (user, now = new Date()) => Boolean(user.locked_until && new Date(user.locked_until) > now);
+
+// Why a user may not try a password now, as { locked, retryAfter } (seconds),
+// or null if they may. Takes a users row.
+const loginBlock = (user, now = new Date()) => {
+    if (isLocked(user, now)) {
+        return {
+            locked: true,
+            retryAfter: Math.ceil((new Date(user.locked_until) - now) / 1000)
+        };
+    }
+
+    // Once a lock has run out the account starts afresh
+    if (user.locked_until || !user.failed_login_attempts || !user.last_failed_login_at) {
+        return null;
+    }
+
+    const waitUntil = new Date(user.last_failed_login_at).getTime() + delaySeconds(user.failed_login_attempts) * 1000;
+    if (waitUntil > now.getTime()) {
+        return {
+            locked: false,
+            retryAfter: Math.ceil((waitUntil - now.getTime()) / 1000)
+        };
+    }
+
+    return null;
+};
+
+// Count a wrong password or two-factor code. `reason` is recorded in the
+// audit log. Resolves to the block now in force, as loginBlock() does.
+const recordFailedLogin = async (userId, { loginType, reason, ip, userAgent }) => {
+    const result = await withTransaction(async (connection, hooks) => {
+        const [users] = await connection.execute(
+            `SELECT id, email, name, society_id, failed_login_attempts, locked_until FROM users WHERE id = ? FOR UPDATE`,
+            [userId]
+        );
+        if (users.length === 0) {
+            return null;
+        }
+
+        const user = users[0];
+        const expired = user.locked_until && !isLocked(user);
+        const attempts = (expired ? 0 : user.failed_login_attempts) + 1;
+        const lockedUntil = attempts >= MAX_FAILED_ATTEMPTS
+            ? new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000)
+            : null;
+
+        await connection.execute(
+            `UPDATE users SET failed_login_attempts = ?, last_failed_login_at = CURRENT_TIMESTAMP, locked_until = ?
+             WHERE id = ?`,
+            [attempts, lockedUntil, user.id]
+        );
+
+        if (lockedUntil) {
+            // Half-finished two-factor logins cannot be completed while locked
+            await connection.execute(
+                'UPDATE login_challenges SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL',
+                [user.id]
+            );
+            await notificationService.queueNotification('account_locked', user.email, {
+                name: user.name,
+                email: user.email,
+                attempts,
+                lockedUntil: lockedUntil.toISOString(),
+                ipAddress: ip || 'unknown'
+            }, connection);
+            hooks.onCommit(notificationService.flushNotifications);
+        }
+
+        return { user, attempts, lockedUntil };
+    });
+
+    if (!result) {
+        return null;
+    }
+
+    const { user, attempts, lockedUntil } = result;
+    await logAuditTrail(user.id, user.society_id || null, 'LOGIN_FAILED', 'users', user.id, null, {
+        email: user.email,
+        login_type: loginType,
+        reason,
+        attempts
+    }, ip, userAgent);
+
+    if (lockedUntil) {
+        await logAuditTrail(user.id, user.society_id || null, 'ACCOUNT_LOCKED', 'users', user.id, null, {
+            attempts,
+            locked_until: lockedUntil.toISOString()
+        }, ip, userAgent);
+    }
+
+    return loginBlock({ failed_login_attempts: attempts, last_failed_login_at: new Date(), locked_until: lockedUntil });
+};
+
+// Record a login attempt for an email with no matching account
+const recordUnknownAccount = async (email, { loginType, ip, userAgent }) => {
+    await logAuditTrail(null, null, 'LOGIN_FAILED', 'users', null, null, {
+        email,
+        login_type: loginType,
+        reason: 'unknown_account'
+    }, ip, userAgent);
+};
+
+// After a successful login: reset the failure counter and remember the
+// device. Emails the user when the IP or browser is new to the account
+// (not on its very first login). Resolves to { newDevice }.
+const recordSuccessfulLogin = async (user, { ip, userAgent }) => {
+    if (user.failed_login_attempts || user.locked_until) {
+        await query(
+            'UPDATE users SET failed_login_attempts = 0, last_failed_login_at = NULL, locked_until = NULL WHERE id = ?',
+            [user.id]
+        );
+    }
+
+    const ipAddress = ip || 'unknown';
+    const userAgentHash = hashUserAgent(userAgent);
+
+    const [seen] = await query(
+        `SELECT COUNT(*) as devices,
+                COALESCE(SUM(ip_address = ?), 0) as same_ip,
+                COALESCE(SUM(user_agent_hash = ?), 0) as same_browser
+         FROM user_login_devices WHERE user_id = ?`,
+        [ipAddress, userAgentHash, user.id]
+    );
+    const known = seen[0];
+    const newDevice = Number(known.devices) > 0 && (Number(known.same_ip) === 0 || Number(known.same_browser) === 0);
+
+    await query(
+        `INSERT INTO user_login_devices (id, user_id, ip_address, user_agent_hash, user_agent)
+         VALUES (?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE last_seen_at = CURRENT_TIMESTAMP, login_count = login_count + 1`,
+        [uuidv4(), user.id, ipAddress, userAgentHash, userAgent || null]
+    );
+
+    if (newDevice) {
+        await notificationService.queueNotification('new_login_device', user.email, {
+            name: user.name,
+            email: user.email,
+            time: new Date().toISOString(),
+            ipAddress,
+            userAgent: userAgent || 'unknown'
+        });
+        notificationService.flushNotifications();
+
+        await logAuditTrail(user.id, user.society_id || null, 'LOGIN_NEW_DEVICE', 'users', user.id, null, {
+            new_ip: Number(known.same_ip) === 0,
+            new_browser: Number(known.same_browser) === 0
+        }, ip, userAgent);
+    }
+
+    return { newDevice };
+};
+
+// Clear a user's failed attempts and lock. `societyId` and `role` limit who
+// may be unlocked (e.g. to one society's staff). Resolves to the user's id and
+// society with the previous { failedAttempts, lockedUntil }.
+const unlockAccount = async (userId, { societyId = null, role = null } = {}) => await withTransaction(async (connection) => {
+    const [users] = await connection.execute(
+        `SELECT id, role, society_id, failed_login_attempts, locked_until FROM users WHERE id = ? FOR UPDATE`,
+        [userId]
+    );
+    const user = users[0];
+    if (!user || (societyId && user.society_id !== societyId) || (role && user.role !== role)) {
+        throw new NotFoundError('User not found');
+    }
+
+    if (!user.failed_login_attempts && !user.locked_until) {
+        throw new ConflictError('Account has no failed login attempts to clear');
+    }
+
+    await connection.execute(
+        'UPDATE users SET failed_login_attempts = 0, last_failed_login_at = NULL, locked_until = NULL WHERE id = ?',
+        [user.id]
+    );
+
+    return {
+        id: user.id,
+        societyId: user.society_id,
+        failedAttempts: user.failed_login_attempts,
+        lockedUntil: isLocked(user) ? new Date(user.locked_until).toISOString() : null
+    };
+});
+
+module.exports = {
+    loginBlock,
+    isLocked,
+    recordFailedLogin,
+    recordUnknownAccount,
+    recordSuccessfulLogin,
+    unlockAccount
+};
@@ -0,0 +1,43 @@
+const nodemailer = require('nodemailer');
+
+// Outgoing email over SMTP, configured by the EMAIL_* settings. In development
+// point EMAIL_HOST/EMAIL_PORT at a local SMTP capture tool (e.g. MailHog) to
+// read messages without delivering them.
+let transporter = null;
+
+const getTransporter = () => {
+    if (!transporter) {
+        const port = parseInt(process.env.EMAIL_PORT) || 587;
+        transporter = nodemailer.createTransport({
+            host: process.env.EMAIL_HOST || 'localhost',
+            port,
+            secure: port === 465,
+            ...(process.env.EMAIL_USER && {
+                auth: {
+                    user: process.env.EMAIL_USER,
+                    pass: process.env.EMAIL_PASS
+                }
+            })
+        });
+    }
+
+    return transporter;
+};
+
+// Base URL for links in emails
+const appUrl = () => (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+
+// Send a plain-text email
+const sendMail = async ({ to, subject, text }) => {
+    return await getTransporter().sendMail({
+        from: process.env.EMAIL_FROM || process.env.EMAIL_USER || 'no-reply@coopbase.local',
+        to,
+        subject,
+        text
+    });
+};
+
+module.exports = {
+    appUrl,
+    sendMail
+};
@@ -0,0 +1,323 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { query, withTransaction } = require('../config/db');
+const { appUrl, sendMail } = require('./mailer');
+
+// Templated email notifications, sent through a retrying queue.
+// Templates are text files named <template>.txt whose first line is
+// "Subject: ..."; `{{name}}` placeholders are filled from the data passed
+// when queueing. A file of the same name in EMAIL_TEMPLATE_DIR overrides
+// the built-in one in backend/templates/email.
+// Emails carrying a single-use link never hold its token while queued: they
+// reference the user_tokens row, and the token is created as the email is
+// sent (see queueTokenNotification).
+
+const DEFAULT_TEMPLATE_DIR = path.join(__dirname, '..', 'templates', 'email');
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5;
+const POLL_INTERVAL_MS = parseInt(process.env.NOTIFICATION_POLL_INTERVAL_MS) || 30 * 1000;
+const BATCH_SIZE = 20;
+// A notification stuck in 'sending' this long belongs to a worker that died
+const STALE_LOCK_MINUTES = 10;
+// Left in a queued token email's body, and replaced by the token when sent
+const TOKEN_PLACEHOLDER = '{{token}}';
+
+const templatePath = (template) => {
+    if (!/^[\w-]+$/.test(template)) {
+        throw new Error(`Invalid email template name "${template}"`);
+    }
+
+    const file = `${template}.txt`;
+    if (process.env.EMAIL_TEMPLATE_DIR) {
+        const override = path.join(process.env.EMAIL_TEMPLATE_DIR, file);
+        if (fs.existsSync(override)) {
+            return override;
+        }
+    }
+
+    return path.join(DEFAULT_TEMPLATE_DIR, file);
+};
+
+// Render a template to { subject, text }
+const renderTemplate = (template, data = {}) => {
+    const source = fs.readFileSync(templatePath(template), 'utf8');
+    const values = { appUrl: appUrl(), ...data };
+    const fill = (text) => text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+        values[key] === undefined || values[key] === null ? '' : String(values[key]));
+
+    const [firstLine, ...rest] = source.split(/\r?\n/);
+    const subject = firstLine.match(/^Subject:\s*(.*)$/i);
+    if (!subject) {
+        throw new Error(`Email template ${template} must start with a "Subject:" line`);
+    }
+
+    return {
+        subject: fill(subject[1]).trim(),
+        text: fill(rest.join('\n')).trim() + '\n'
+    };
+};
+
+const insertNotification = async (template, recipient, { subject, text }, userTokenId, connection) => {
+    const execute = connection ? connection.execute.bind(connection) : query;
+    const id = uuidv4();
+
+    await execute(
+        `INSERT INTO notification_queue (id, template, recipient, subject, body, user_token_id, max_attempts)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [id, template, recipient, subject, text, userTokenId, MAX_ATTEMPTS]
+    );
+
+    return id;
+};
+
+// Render and queue an email. Pass the unit of work's connection so the email
+// is only sent if the change that caused it commits.
+const queueNotification = async (template, recipient, data = {}, connection = null) => {
+    return await insertNotification(template, recipient, renderTemplate(template, data), null, connection);
+};
+
+// Queue an email whose `{{token}}` is the token of a user_tokens row. The
+// token is issued when the email is sent; until then the row's hash matches
+// no token, and an email whose row was used or expired is not sent at all.
+const queueTokenNotification = async (template, recipient, userTokenId, data = {}, connection = null) => {
+    const rendered = renderTemplate(template, { ...data, token: TOKEN_PLACEHOLDER });
+    return await insertNotification(template, recipient, rendered, userTokenId, connection);
+};
+
+// Give a user_tokens row a fresh token and resolve to it, or to null if the
+// row is gone, used or expired. Every send attempt replaces the token, so
+// only the link in the email that went out works.
+const issueQueuedToken = async (userTokenId) => {
+    return await withTransaction(async (connection) => {
+        const [tokens] = await connection.execute(
+            'SELECT used_at, expires_at FROM user_tokens WHERE id = ? FOR UPDATE',
+            [userTokenId]
+        );
+        if (tokens.length === 0 || tokens[0].used_at || new Date(tokens[0].expires_at) <= new Date()) {
+            return null;
+        }
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        await connection.execute(
+            'UPDATE user_tokens SET token_hash = ? WHERE id = ?',
+            [crypto.createHash('sha256').update(token).digest('hex'), userTokenId]
+        );
+        return token;
+    });
+};
+
+// Wait before retry n: 1, 2, 4, 8... minutes, capped at an hour
+const retryDelayMinutes = (attempts) => Math.min(2 ** (attempts - 1), 60);
+
+// Send one claimed notification and record the outcome
+const deliver = async (notification) => {
+    const attempts = notification.attempts + 1;
+
+    try {
+        let text = notification.body;
+        if (notification.user_token_id) {
+            const token = await issueQueuedToken(notification.user_token_id);
+            if (!token) {
+                await query(
+                    `UPDATE notification_queue SET status = 'failed', attempts = ?, locked_at = NULL, last_error = ?
+                     WHERE id = ?`,
+                    [attempts, 'The link was used, replaced or expired before it could be sent', notification.id]
+                );
+                return false;
+            }
+            text = text.split(TOKEN_PLACEHOLDER).join(token);
+        }
+
+        await sendMail({ to: notification.recipient, subject: notification.subject, text });
+        await query(
+            `UPDATE notification_queue
+             SET status = 'sent', attempts = ?, sent_at = CURRENT_TIMESTAMP, locked_at = NULL, last_error = NULL
+             WHERE id = ?`,
+            [attempts, notification.id]
+        );
+        return true;
+    } catch (error) {
+        const giveUp = attempts >= notification.max_attempts;
+        await query(
+            `UPDATE notification_queue
+             SET status = ?, attempts = ?, locked_at = NULL, last_error = ?,
+                 next_attempt_at = DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ? MINUTE)
+             WHERE id = ?`,
+            [giveUp ? 'failed' : 'pending', attempts, error.message, retryDelayMinutes(attempts), notification.id]
+        );
+        console.error(`Notification ${notification.id} (${notification.template}) attempt ${attempts} failed` +
+            `${giveUp ? ', giving up' : ''}:`, error.message);
+        return false;
+    }
+};
+
+// Send the notifications that are due. Each one is claimed with a conditional
+// update first, so several server instances can drain the queue together.
+const processNotificationQueue = async ({ limit = BATCH_SIZE } = {}) => {
+    const [due] = await query(
+        `SELECT * FROM notification_queue
+         WHERE (status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP)
+            OR (status = 'sending' AND locked_at < DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ${STALE_LOCK_MINUTES} MINUTE))
+         ORDER BY next_attempt_at
+         LIMIT ${parseInt(limit)}`
+    );
+
+    const summary = { sent: 0, failed: 0 };
+    for (const notification of due) {
+        const [claim] = await query(
+            `UPDATE notification_queue SET status = 'sending', locked_at = CURRENT_TIMESTAMP
+             WHERE id = ? AND status = ? AND attempts = ?`,
+            [notification.id, notification.status, notification.attempts]
+        );
+        if (claim.affectedRows === 0) {
+            continue;
+        }
+
+        if (await deliver(notification)) {
+            summary.sent++;
+        } else {
+            summary.failed++;
+        }
+    }
+
+    return summary;
+};
+
+// Background draining: a poll timer plus an immediate run after new
+// notifications are committed. Runs never overlap within one process.
+let running = false;
+let rerun = false;
+
+const drainQueue = async () => {
+    if (running) {
+        rerun = true;
+        return;
+    }
+
+    running = true;
+    try {
+        do {
+            rerun = false;
+            await processNotificationQueue();
+        } while (rerun);
+    } catch (error) {
+        console.error('Notification queue run failed:', error);
+    } finally {
+        running = false;
+    }
+};
+
+// Ask the worker to send queued notifications now, without waiting for it
+const flushNotifications = () => {
+    setImmediate(drainQueue);
+};
+
+const startNotificationWorker = () => {
+    const timer = setInterval(drainQueue, POLL_INTERVAL_MS);
+    timer.unref();
+    flushNotifications();
+    return timer;
+};
+
+// Developers review registrations, so they get registration alerts
+const activeDevelopers = async (connection) => {
+    const [developers] = await connection.execute(
+        `SELECT name, email FROM users WHERE role = 'developer' AND status = 'active'`
+    );
+    return developers;
+};
+
+const documentTypeLabel = (documentType) => documentType.replace(/_/g, ' ');
+
+// Society registration: a receipt for the admin and an alert for every developer
+const notifySocietyRegistered = async ({ society, admin }, connection) => {
+    const data = {
+        societyName: society.name,
+        registrationNumber: society.registrationNumber,
+        societyType: society.societyType,
+        adminName: admin.name,
+        adminEmail: admin.email
+    };
+
+    await queueNotification('society_registration_received', admin.email, data, connection);
+
+    for (const developer of await activeDevelopers(connection)) {
+        await queueNotification('society_registration_pending', developer.email, {
+            ...data,
+            developerName: developer.name
+        }, connection);
+    }
+};
+
+// Approval or rejection of a registration, with the reviewer's reason
+const notifySocietyDecision = async ({ society, admin, status, reason }, connection) => {
+    await queueNotification(status === 'approved' ? 'society_approved' : 'society_rejected', admin.email, {
+        societyName: society.name,
+        adminName: admin.name,
+        reason: reason || (status === 'approved' ? 'none' : 'No reason was given')
+    }, connection);
+};
+
+// Suspension, reactivation and archival are emailed to the admin;
+// a rejected society reapplying alerts the developers
+const notifySocietyStatusChange = async ({ society, admin, action, reason }, connection) => {
+    const data = {
+        societyName: society.name,
+        adminName: admin.name,
+        reason: reason || 'none'
+    };
+
+    if (action === 'reapply') {
+        for (const developer of await activeDevelopers(connection)) {
+            await queueNotification('society_reapplied', developer.email, {
+                ...data,
+                developerName: developer.name
+            }, connection);
+        }
+        return;
+    }
+
+    const templates = { suspend: 'society_suspended', reactivate: 'society_reactivated', archive: 'society_archived' };
+    if (templates[action] && admin.email) {
+        await queueNotification(templates[action], admin.email, data, connection);
+    }
+};
+
+// A developer asks the admin of a pending registration for a document
+const notifyDocumentRequested = async ({ society, admin, documentType, comment }, connection) => {
+    await queueNotification('society_documents_requested', admin.email, {
+        societyName: society.name,
+        adminName: admin.name,
+        documentType: documentTypeLabel(documentType),
+        comment
+    }, connection);
+};
+
+// The admin of a pending registration uploaded a new or replacement document
+const notifyDocumentResubmitted = async ({ society, admin, documentType, fileName, replaces }, connection) => {
+    for (const developer of await activeDevelopers(connection)) {
+        await queueNotification('society_document_resubmitted', developer.email, {
+            societyName: society.name,
+            adminName: admin.name,
+            developerName: developer.name,
+            documentType: documentTypeLabel(documentType),
+            fileName,
+            replaces: replaces || 'nothing (new document)'
+        }, connection);
+    }
+};
+
+module.exports = {
+    renderTemplate,
+    queueNotification,
+    queueTokenNotification,
+    notifySocietyRegistered,
+    notifySocietyDecision,
+    notifySocietyStatusChange,
+    notifyDocumentRequested,
+    notifyDocumentResubmitted,
+    processNotificationQueue,
+    flushNotifications,
+    startNotificationWorker
+};
@@ -0,0 +1,231 @@
+const { v4: uuidv4 } = require('uuid');
+const { withTransaction } = require('../config/db');
+const Service = require('../models/serviceModel');
+const Transaction = require('../models/transactionModel');
+const { toCents, fromCents, isValidAmount } = require('../utils/money');
+const { isIsoDate } = require('../utils/dates');
+const { assertTenant } = require('../utils/tenant');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+// Entry types the engine can post, and which of them credit the account
+const POSTING_TYPES = ['deposit', 'withdrawal', 'fee', 'interest'];
+const CREDIT_TYPES = ['deposit', 'interest'];
+const DEADLOCK_RETRIES = 3;
+
+// +1 when the entry increases the account balance, -1 when it decreases it.
+// Loan accounts run negative (the amount owed): the disbursement is a withdrawal,
+// interest is charged to the account and repayments are deposits.
+const direction = (transactionType, serviceType) => {
+    if (serviceType === 'loan') {
+        return transactionType === 'deposit' ? 1 : -1;
+    }
+
+    return CREDIT_TYPES.includes(transactionType) ? 1 : -1;
+};
+
+const validateEntry = (entry) => {
+    assertTenant(entry.societyId);
+
+    if (!entry.memberId || !entry.serviceId) {
+        throw new ValidationError('Member and service are required');
+    }
+
+    if (!POSTING_TYPES.includes(entry.transactionType)) {
+        throw new ValidationError(`Transaction type must be one of: ${POSTING_TYPES.join(', ')}`);
+    }
+
+    if (!isValidAmount(entry.amount)) {
+        throw new ValidationError('Amount must be a positive number with at most two decimal places');
+    }
+
+    if (entry.referenceNumber !== undefined && entry.referenceNumber !== null &&
+        (typeof entry.referenceNumber !== 'string' || !entry.referenceNumber.trim() || entry.referenceNumber.length > 100)) {
+        throw new ValidationError('Reference number must be a non-empty string of at most 100 characters');
+    }
+
+    if (entry.valueDate !== undefined && entry.valueDate !== null && !isIsoDate(entry.valueDate)) {
+        throw new ValidationError('Value date must be a valid YYYY-MM-DD date');
+    }
+};
+
+// A repeated reference is only a replay if it describes the same entry
+const assertSameEntry = (existing, entry) => {
+    if (existing.memberId !== entry.memberId ||
+        existing.serviceId !== entry.serviceId ||
+        existing.transactionType !== entry.transactionType ||
+        toCents(existing.amount) !== toCents(entry.amount)) {
+        throw new ValidationError(`Reference number ${entry.referenceNumber} is already used by a different transaction`);
+    }
+};
+
+// Create a member's account for a service on first use and lock it for the
+// rest of the transaction; resolves to { id, balance }. The upsert takes an
+// exclusive lock on the row whether it inserts it or finds it, so first
+// postings racing for a new account queue up instead of deadlocking, as they
+// can when INSERT IGNORE's shared lock is upgraded by a later FOR UPDATE.
+const lockAccount = async (connection, { societyId, memberId, serviceId }) => {
+    await connection.execute(
+        `INSERT INTO member_accounts (id, society_id, member_id, service_id, balance) VALUES (?, ?, ?, ?, 0)
+         ON DUPLICATE KEY UPDATE id = id`,
+        [uuidv4(), societyId, memberId, serviceId]
+    );
+    const [accounts] = await connection.execute(
+        'SELECT id, balance FROM member_accounts WHERE member_id = ? AND service_id = ? AND society_id = ? FOR UPDATE',
+        [memberId, serviceId, societyId]
+    );
+    return accounts[0];
+};
+
+// Post one entry on the given connection. The caller owns the database
+// transaction; the member's account row stays locked until it commits.
+const postWithConnection = async (connection, entry) => {
+    const { societyId, memberId, serviceId, transactionType } = entry;
+    const referenceNumber = entry.referenceNumber || null;
+
+    if (referenceNumber) {
+        const existing = await Transaction.findByReference(societyId, referenceNumber, connection);
+        if (existing) {
+            assertSameEntry(existing, entry);
+            return { transaction: existing, duplicate: true };
+        }
+    }
+
+    const [members] = await connection.execute(
+        'SELECT id, status FROM members WHERE id = ? AND society_id = ?',
+        [memberId, societyId]
+    );
+    if (members.length === 0) {
+        throw new NotFoundError('Member not found');
+    }
+    if (members[0].status !== 'active' && !entry.reversalOf) {
+        throw new ValidationError('Member is not active');
+    }
+
+    const [services] = await connection.execute(
+        'SELECT * FROM services WHERE id = ? AND society_id = ?',
+        [serviceId, societyId]
+    );
+    if (services.length === 0) {
+        throw new NotFoundError('Service not found');
+    }
+    const service = new Service(services[0]);
+    const isLoan = service.type === 'loan';
+
+    // Loan accounts only move through the loan lifecycle (see loanService)
+    if (isLoan && !entry.loanId) {
+        throw new ValidationError('Loan services are posted through the loan endpoints');
+    }
+
+    // Member-initiated movements must respect the service limits; fees and
+    // interest are charged by the society and are not bound by them. Loan limits
+    // apply to the principal when the loan is applied for, and reversals undo
+    // an entry that was already checked.
+    if (!isLoan && !entry.reversalOf && (transactionType === 'deposit' || transactionType === 'withdrawal')) {
+        service.assertTransactable(Number(entry.amount));
+    }
+
+    const account = await lockAccount(connection, entry);
+
+    const amountCents = toCents(entry.amount);
+    const balanceBefore = toCents(account.balance);
+    const balanceAfter = balanceBefore + direction(transactionType, service.type) * amountCents;
+
+    if (!isLoan && balanceAfter < 0) {
+        throw new ValidationError('Insufficient balance', {
+            balance: fromCents(balanceBefore),
+            amount: fromCents(amountCents)
+        });
+    }
+
+    if (isLoan && balanceAfter > 0) {
+        throw new ValidationError('Repayment exceeds the outstanding loan balance', {
+            balance: fromCents(balanceBefore),
+            amount: fromCents(amountCents)
+        });
+    }
+
+    // An entry booked for an earlier day is stamped with the end of that day;
+    // any other entry with the time the database records it
+    const bookedAt = entry.valueDate ? [new Date(`${entry.valueDate}T23:59:59`)] : [];
+
+    const transactionId = uuidv4();
+    try {
+        await connection.execute(
+            `INSERT INTO transactions (id, society_id, member_id, service_id, transaction_type, amount, balance_before, balance_after, description, reference_number, status${bookedAt.length > 0 ? ', created_at' : ''})
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'completed'${bookedAt.length > 0 ? ', ?' : ''})`,
+            [
+                transactionId,
+                societyId,
+                memberId,
+                serviceId,
+                transactionType,
+                fromCents(amountCents),
+                fromCents(balanceBefore),
+                fromCents(balanceAfter),
+                entry.description || null,
+                referenceNumber,
+                ...bookedAt
+            ]
+        );
+    } catch (error) {
+        // A concurrent posting with the same reference committed first. It is
+        // outside this transaction's snapshot, so only a locking read sees it;
+        // a shared lock, since every loser of the race reads the same row.
+        if (error.code === 'ER_DUP_ENTRY' && referenceNumber) {
+            const [rows] = await connection.execute(
+                'SELECT * FROM transactions WHERE society_id = ? AND reference_number = ? LOCK IN SHARE MODE',
+                [societyId, referenceNumber]
+            );
+            const existing = new Transaction(rows[0]);
+            assertSameEntry(existing, entry);
+            return { transaction: existing, duplicate: true };
+        }
+        throw error;
+    }
+
+    await connection.execute(
+        'UPDATE member_accounts SET balance = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [fromCents(balanceAfter), account.id]
+    );
+
+    return {
+        transaction: await Transaction.findById(societyId, transactionId, connection),
+        duplicate: false
+    };
+};
+
+// Post a deposit, withdrawal, fee or interest entry on a member's service account.
+//
+// entry: { societyId, memberId, serviceId, transactionType, amount, description, referenceNumber,
+//          loanId, reversalOf, valueDate }
+// valueDate (YYYY-MM-DD) books the entry on an earlier day, such as the day interest accrued
+// options.connection: post within the caller's open database transaction
+//
+// Resolves to { transaction, duplicate }. Posting the same referenceNumber again
+// returns the original transaction with duplicate = true instead of posting twice.
+// A posting in its own transaction is retried if InnoDB picks it as a deadlock
+// victim; within the caller's transaction the caller has to retry its whole unit of work.
+const postTransaction = async (entry, options = {}) => {
+    validateEntry(entry);
+
+    if (options.connection) {
+        return await postWithConnection(options.connection, entry);
+    }
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await withTransaction(connection => postWithConnection(connection, entry));
+        } catch (error) {
+            if (error.code !== 'ER_LOCK_DEADLOCK' || attempt >= DEADLOCK_RETRIES) {
+                throw error;
+            }
+        }
+    }
+};
+
+module.exports = {
+    POSTING_TYPES,
+    direction,
+    lockAccount,
+    postTransaction
+};
@@ -0,0 +1,292 @@
+const { v4: uuidv4 } = require('uuid');
+const { query, withTransaction } = require('../config/db');
+const Society = require('../models/societyModel');
+const documentService = require('./documentService');
+const notificationService = require('./notificationService');
+const { assertTenant } = require('../utils/tenant');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+
+// Review of a pending society registration, document by document.
+// Developers accept or reject each document with a comment and can request
+// missing or corrected ones; the society admin answers with uploads that
+// supersede the original. Nothing is deleted, and every step is recorded in
+// society_registration_events.
+
+const REVIEW_STATUSES = ['accepted', 'rejected'];
+
+// Append an entry to a registration's history
+const recordEvent = async (connection, societyId, eventType, userId, documentId = null, details = null) => {
+    await connection.execute(
+        `INSERT INTO society_registration_events (id, society_id, event_type, user_id, document_id, details)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [uuidv4(), societyId, eventType, userId || null, documentId, details ? JSON.stringify(details) : null]
+    );
+};
+
+// Lock a society with its admin inside a unit of work and check it is still under review
+const lockPendingSociety = async (connection, societyId) => {
+    const [societies] = await connection.execute(
+        `SELECT s.id, s.name, s.status, u.id as admin_id, u.name as admin_name, u.email as admin_email
+         FROM societies s
+         LEFT JOIN users u ON s.id = u.society_id AND u.role = 'society_admin'
+         WHERE s.id = ?
+         FOR UPDATE`,
+        [societyId]
+    );
+    if (societies.length === 0) {
+        throw new NotFoundError('Society not found');
+    }
+
+    const society = societies[0];
+    if (society.status !== 'pending') {
+        throw new ConflictError(`Society registration is ${society.status}, expected pending`);
+    }
+
+    return society;
+};
+
+// Lock a document of the society that has not been replaced
+const lockCurrentDocument = async (connection, societyId, documentId) => {
+    const [documents] = await connection.execute(
+        'SELECT * FROM society_documents WHERE id = ? AND society_id = ? FOR UPDATE',
+        [documentId, societyId]
+    );
+    if (documents.length === 0) {
+        throw new NotFoundError('Document not found');
+    }
+
+    if (documents[0].superseded_by) {
+        throw new ConflictError('Document has been replaced; use its replacement instead');
+    }
+
+    return documents[0];
+};
+
+// Accept or reject one document of a pending registration
+const reviewDocument = async (societyId, documentId, reviewerId, { status, comment }) => {
+    assertTenant(societyId);
+
+    if (!REVIEW_STATUSES.includes(status)) {
+        throw new ValidationError(`Review status must be one of: ${REVIEW_STATUSES.join(', ')}`);
+    }
+
+    if (status === 'rejected' && !comment) {
+        throw new ValidationError('A comment is required when rejecting a document');
+    }
+
+    return await withTransaction(async (connection) => {
+        await lockPendingSociety(connection, societyId);
+        const document = await lockCurrentDocument(connection, societyId, documentId);
+
+        await connection.execute(
+            `UPDATE society_documents
+             SET review_status = ?, review_comment = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [status, comment || null, reviewerId, document.id]
+        );
+        await recordEvent(connection, societyId, 'document_reviewed', reviewerId, document.id, {
+            document_type: document.document_type,
+            file_name: document.file_name,
+            previous_status: document.review_status,
+            status,
+            comment: comment || null
+        });
+
+        return {
+            id: document.id,
+            documentType: document.document_type,
+            fileName: document.file_name,
+            reviewStatus: status,
+            reviewComment: comment || null
+        };
+    });
+};
+
+// Ask the admin of a pending registration for a missing document, or for a
+// corrected version of an existing one (documentId)
+const requestDocument = async (societyId, requesterId, { documentType, documentId, comment }) => {
+    assertTenant(societyId);
+
+    if (!comment) {
+        throw new ValidationError('A comment explaining what is needed is required');
+    }
+
+    return await withTransaction(async (connection, hooks) => {
+        const society = await lockPendingSociety(connection, societyId);
+
+        let type = documentType;
+        if (documentId) {
+            const document = await lockCurrentDocument(connection, societyId, documentId);
+            type = document.document_type;
+        }
+
+        if (!documentService.DOCUMENT_TYPES[type]) {
+            throw new ValidationError(`Document type must be one of: ${Object.keys(documentService.DOCUMENT_TYPES).join(', ')}`);
+        }
+
+        const requestId = uuidv4();
+        await connection.execute(
+            `INSERT INTO document_requests (id, society_id, document_type, document_id, comment, requested_by)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [requestId, societyId, type, documentId || null, comment, requesterId]
+        );
+        await recordEvent(connection, societyId, 'document_requested', requesterId, documentId || null, {
+            request_id: requestId,
+            document_type: type,
+            comment
+        });
+
+        if (society.admin_email) {
+            await notificationService.notifyDocumentRequested({
+                society: { name: society.name },
+                admin: { name: society.admin_name, email: society.admin_email },
+                documentType: type,
+                comment
+            }, connection);
+            hooks.onCommit(notificationService.flushNotifications);
+        }
+
+        return {
+            id: requestId,
+            documentType: type,
+            documentId: documentId || null,
+            comment,
+            status: 'open'
+        };
+    });
+};
+
+// Upload a document to a pending registration, answering an open request
+// (requestId) and/or replacing a document that was not accepted
+// (replacesDocumentId). The replaced document is kept, marked superseded.
+const resubmitDocument = async (societyId, adminId, { requestId, replacesDocumentId, documentType, file }) => {
+    assertTenant(societyId);
+
+    if (!requestId && !replacesDocumentId) {
+        throw new ValidationError('Name the request the upload answers (requestId) or the document it replaces (replacesDocumentId)');
+    }
+
+    return await withTransaction(async (connection, hooks) => {
+        const society = await lockPendingSociety(connection, societyId);
+
+        let request = null;
+        if (requestId) {
+            const [requests] = await connection.execute(
+                'SELECT * FROM document_requests WHERE id = ? AND society_id = ? FOR UPDATE',
+                [requestId, societyId]
+            );
+            if (requests.length === 0) {
+                throw new NotFoundError('Document request not found');
+            }
+            if (requests[0].status !== 'open') {
+                throw new ConflictError(`Document request is ${requests[0].status}, expected open`);
+            }
+            request = requests[0];
+        }
+
+        let replaced = null;
+        const replacedId = replacesDocumentId || (request && request.document_id);
+        if (replacedId) {
+            replaced = await lockCurrentDocument(connection, societyId, replacedId);
+            if (replaced.review_status === 'accepted') {
+                throw new ConflictError('An accepted document cannot be replaced');
+            }
+        }
+
+        const type = (replaced && replaced.document_type) || (request && request.document_type) || documentType;
+        const upload = documentService.inspectDocument(type, file);
+        const document = await documentService.storeDocument(connection, hooks, societyId, upload);
+
+        if (replaced) {
+            await connection.execute(
+                'UPDATE society_documents SET superseded_by = ? WHERE id = ?',
+                [document.id, replaced.id]
+            );
+        }
+
+        // The upload answers the named request and any open request for the replaced document
+        await connection.execute(
+            `UPDATE document_requests
+             SET status = 'fulfilled', fulfilled_document_id = ?, fulfilled_at = CURRENT_TIMESTAMP
+             WHERE society_id = ? AND status = 'open' AND (id = ? OR (document_id IS NOT NULL AND document_id = ?))`,
+            [document.id, societyId, requestId || null, replaced ? replaced.id : null]
+        );
+
+        await recordEvent(connection, societyId, 'document_resubmitted', adminId, document.id, {
+            document_type: type,
+            file_name: document.fileName,
+            checksum: document.checksum,
+            replaces: replaced ? replaced.id : null,
+            request_id: requestId || null
+        });
+
+        await notificationService.notifyDocumentResubmitted({
+            society: { name: society.name },
+            admin: { name: society.admin_name },
+            documentType: type,
+            fileName: document.fileName,
+            replaces: replaced ? replaced.file_name : null
+        }, connection);
+        hooks.onCommit(notificationService.flushNotifications);
+
+        return {
+            id: document.id,
+            documentType: type,
+            fileName: document.fileName,
+            checksum: document.checksum,
+            replaces: replaced ? replaced.id : null,
+            requestId: requestId || null
+        };
+    });
+};
+
+// A registration as its admin sees it: status, documents with their review
+// state (replaced ones included) and document requests
+const getRegistration = async (societyId) => {
+    const society = await Society.findById(assertTenant(societyId));
+    if (!society) {
+        throw new NotFoundError('Society not found');
+    }
+
+    const [requests] = await query(
+        `SELECT id, document_type, document_id, comment, status, fulfilled_document_id, fulfilled_at, created_at
+         FROM document_requests WHERE society_id = ? ORDER BY created_at DESC`,
+        [societyId]
+    );
+
+    return {
+        society: {
+            id: society.id,
+            name: society.name,
+            registrationNumber: society.registrationNumber,
+            status: society.status
+        },
+        documents: await Society.getDocuments(societyId),
+        documentRequests: requests
+    };
+};
+
+// The registration's history, oldest first
+const getRegistrationHistory = async (societyId) => {
+    assertTenant(societyId);
+
+    const [events] = await query(
+        `SELECT e.id, e.event_type, e.user_id, u.name as user_name, u.role as user_role, e.document_id, e.details, e.created_at
+         FROM society_registration_events e
+         LEFT JOIN users u ON e.user_id = u.id
+         WHERE e.society_id = ?
+         ORDER BY e.created_at, e.id`,
+        [societyId]
+    );
+
+    return events;
+};
+
+module.exports = {
+    recordEvent,
+    reviewDocument,
+    requestDocument,
+    resubmitDocument,
+    getRegistration,
+    getRegistrationHistory
+};
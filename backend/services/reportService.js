@@ -0,0 +1,559 @@
+const { query } = require('../config/db');
+const { toCents, fromCents } = require('../utils/money');
+const { today, isIsoDate } = require('../utils/dates');
+const { assertTenant } = require('../utils/tenant');
+const { ValidationError } = require('../utils/errors');
+
+// Financial reports of one society over an inclusive date range, computed from
+// its completed transactions. Every figure is derived from the ledger: an
+// entry moves its member account by balance_after - balance_before, so the
+// balances here are the ones member_accounts holds, and each balance report
+// checks itself against member_accounts (see reconcile()).
+//
+// Signs follow member_accounts: savings, share and other accounts are positive
+// (the society owes the member), loan accounts negative (the member owes the
+// society).
+
+const MOVEMENT_SQL = '(t.balance_after - t.balance_before)';
+
+// The service name shown for entries whose service has since been deleted
+const DELETED_SERVICE = 'Deleted service';
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+// Validate the report period. Both dates are inclusive; the period defaults to
+// the current calendar year up to today.
+const parsePeriod = ({ from, to } = {}) => {
+    to = to || today();
+    from = from || `${to.slice(0, 4)}-01-01`;
+
+    if (!isIsoDate(from) || !isIsoDate(to) || from > to) {
+        throw new ValidationError('from and to must be YYYY-MM-DD dates, with from on or before to');
+    }
+
+    return { from, to };
+};
+
+// The society's services by id, including one entry for deleted services
+const loadServices = async (societyId) => {
+    const [rows] = await query(
+        'SELECT id, name, type, status FROM services WHERE society_id = ? ORDER BY name',
+        [societyId]
+    );
+
+    const services = new Map(rows.map(row => [row.id, {
+        serviceId: row.id,
+        serviceName: row.name,
+        serviceType: row.type,
+        serviceStatus: row.status
+    }]));
+    services.set(null, { serviceId: null, serviceName: DELETED_SERVICE, serviceType: null, serviceStatus: null });
+
+    return services;
+};
+
+// Completed entries up to the end of the period, grouped by service and
+// type and split into before the period and within it. Amounts in cents.
+const loadMovements = async (societyId, period) => {
+    const [rows] = await query(
+        `SELECT t.service_id, t.transaction_type, t.created_at >= ? as in_period,
+                COUNT(*) as count, SUM(t.amount) as amount, SUM(${MOVEMENT_SQL}) as movement
+         FROM transactions t
+         WHERE t.society_id = ? AND t.status = 'completed' AND t.created_at < DATE_ADD(?, INTERVAL 1 DAY)
+         GROUP BY t.service_id, t.transaction_type, in_period`,
+        [period.from, societyId, period.to]
+    );
+
+    return rows.map(row => ({
+        serviceId: row.service_id,
+        transactionType: row.transaction_type,
+        inPeriod: Boolean(Number(row.in_period)),
+        count: Number(row.count),
+        amount: toCents(row.amount),
+        movement: toCents(row.movement)
+    }));
+};
+
+// Check the ledger's closing balance of each service against member_accounts:
+// today's account balances less everything posted after the period must equal
+// the closing balance the transactions add up to. `closing` maps service ids
+// to cents. Resolves to the per-service differences and an overall verdict.
+const reconcile = async (societyId, period, closing) => {
+    const [[accounts], [later]] = await Promise.all([
+        query(
+            'SELECT service_id, SUM(balance) as balance FROM member_accounts WHERE society_id = ? GROUP BY service_id',
+            [societyId]
+        ),
+        query(
+            `SELECT t.service_id, SUM(${MOVEMENT_SQL}) as movement
+             FROM transactions t
+             WHERE t.society_id = ? AND t.status = 'completed' AND t.created_at >= DATE_ADD(?, INTERVAL 1 DAY)
+             GROUP BY t.service_id`,
+            [societyId, period.to]
+        )
+    ]);
+
+    const expected = new Map();
+    for (const row of accounts) {
+        expected.set(row.service_id, (expected.get(row.service_id) || 0) + toCents(row.balance));
+    }
+    for (const row of later) {
+        expected.set(row.service_id, (expected.get(row.service_id) || 0) - toCents(row.movement));
+    }
+
+    // Entries of deleted services have no accounts left to check against
+    const serviceIds = new Set([...expected.keys(), ...closing.keys()].filter(id => id !== null));
+    const differences = [...serviceIds]
+        .map(serviceId => ({
+            serviceId,
+            ledgerBalance: closing.get(serviceId) || 0,
+            accountBalance: expected.get(serviceId) || 0
+        }))
+        .filter(check => check.ledgerBalance !== check.accountBalance)
+        .map(check => ({
+            serviceId: check.serviceId,
+            ledgerBalance: fromCents(check.ledgerBalance),
+            accountBalance: fromCents(check.accountBalance),
+            difference: fromCents(check.ledgerBalance - check.accountBalance)
+        }));
+
+    return {
+        reconciled: differences.length === 0,
+        differences
+    };
+};
+
+// Opening balance, movements by type and closing balance of every service.
+// Movements are signed like balances, so opening plus movements is closing.
+const getServiceBalances = async (societyId, filters = {}) => {
+    assertTenant(societyId);
+    const period = parsePeriod(filters);
+    const [services, movements] = await Promise.all([loadServices(societyId), loadMovements(societyId, period)]);
+
+    const balances = new Map();
+    const balanceOf = (serviceId) => {
+        if (!balances.has(serviceId)) {
+            balances.set(serviceId, {
+                opening: 0, deposits: 0, withdrawals: 0, fees: 0, interest: 0, transfers: 0, closing: 0, transactions: 0
+            });
+        }
+        return balances.get(serviceId);
+    };
+    const field = { deposit: 'deposits', withdrawal: 'withdrawals', fee: 'fees', interest: 'interest', transfer: 'transfers' };
+
+    for (const movement of movements) {
+        const balance = balanceOf(movement.serviceId);
+        balance.closing += movement.movement;
+        if (movement.inPeriod) {
+            balance[field[movement.transactionType]] += movement.movement;
+            balance.transactions += movement.count;
+        } else {
+            balance.opening += movement.movement;
+        }
+    }
+
+    // Services without entries still appear, with zero balances
+    for (const serviceId of services.keys()) {
+        if (serviceId !== null) {
+            balanceOf(serviceId);
+        }
+    }
+
+    const rows = [...balances.entries()]
+        .map(([serviceId, balance]) => ({
+            ...services.get(serviceId) || { ...services.get(null), serviceId },
+            transactions: balance.transactions,
+            openingBalance: fromCents(balance.opening),
+            deposits: fromCents(balance.deposits),
+            withdrawals: fromCents(balance.withdrawals),
+            fees: fromCents(balance.fees),
+            interest: fromCents(balance.interest),
+            transfers: fromCents(balance.transfers),
+            closingBalance: fromCents(balance.closing)
+        }))
+        .sort((a, b) => a.serviceName.localeCompare(b.serviceName));
+
+    const closing = new Map([...balances.entries()].map(([serviceId, balance]) => [serviceId, balance.closing]));
+    const total = (key) => fromCents(sum(rows.map(row => toCents(row[key]))));
+
+    return {
+        from: period.from,
+        to: period.to,
+        services: rows,
+        totals: {
+            transactions: sum(rows.map(row => row.transactions)),
+            openingBalance: total('openingBalance'),
+            deposits: total('deposits'),
+            withdrawals: total('withdrawals'),
+            fees: total('fees'),
+            interest: total('interest'),
+            transfers: total('transfers'),
+            closingBalance: total('closingBalance')
+        },
+        reconciliation: await reconcile(societyId, period, closing)
+    };
+};
+
+// Every member's opening balance, credits, debits and closing balance on each
+// service they have used, optionally for one service
+const getMemberBalances = async (societyId, filters = {}) => {
+    assertTenant(societyId);
+    const period = parsePeriod(filters);
+    const serviceId = filters.serviceId || null;
+
+    const [rows] = await query(
+        `SELECT m.id as member_id, m.member_number, m.first_name, m.last_name, m.status as member_status,
+                s.id as service_id, s.name as service_name, s.type as service_type,
+                SUM(CASE WHEN t.created_at < ? THEN ${MOVEMENT_SQL} ELSE 0 END) as opening,
+                SUM(CASE WHEN t.created_at >= ? AND ${MOVEMENT_SQL} > 0 THEN ${MOVEMENT_SQL} ELSE 0 END) as credits,
+                SUM(CASE WHEN t.created_at >= ? AND ${MOVEMENT_SQL} < 0 THEN -${MOVEMENT_SQL} ELSE 0 END) as debits,
+                SUM(${MOVEMENT_SQL}) as closing
+         FROM transactions t
+         JOIN members m ON m.id = t.member_id
+         JOIN services s ON s.id = t.service_id
+         WHERE t.society_id = ? AND t.status = 'completed' AND t.created_at < DATE_ADD(?, INTERVAL 1 DAY)
+           ${serviceId ? 'AND t.service_id = ?' : ''}
+         GROUP BY m.id, m.member_number, m.first_name, m.last_name, m.status, s.id, s.name, s.type
+         ORDER BY m.member_number, s.name`,
+        [period.from, period.from, period.from, societyId, period.to, ...(serviceId ? [serviceId] : [])]
+    );
+
+    const balances = rows.map(row => ({
+        memberId: row.member_id,
+        memberNumber: row.member_number,
+        memberName: `${row.first_name} ${row.last_name}`,
+        memberStatus: row.member_status,
+        serviceId: row.service_id,
+        serviceName: row.service_name,
+        serviceType: row.service_type,
+        openingBalance: fromCents(toCents(row.opening)),
+        credits: fromCents(toCents(row.credits)),
+        debits: fromCents(toCents(row.debits)),
+        closingBalance: fromCents(toCents(row.closing))
+    }));
+
+    const closing = new Map();
+    for (const balance of balances) {
+        closing.set(balance.serviceId, (closing.get(balance.serviceId) || 0) + toCents(balance.closingBalance));
+    }
+
+    const reconciliation = await reconcile(societyId, period, closing);
+    if (serviceId) {
+        reconciliation.differences = reconciliation.differences.filter(check => check.serviceId === serviceId);
+        reconciliation.reconciled = reconciliation.differences.length === 0;
+    }
+
+    const total = (key) => fromCents(sum(balances.map(balance => toCents(balance[key]))));
+
+    return {
+        from: period.from,
+        to: period.to,
+        serviceId,
+        members: new Set(balances.map(balance => balance.memberId)).size,
+        balances,
+        totals: {
+            openingBalance: total('openingBalance'),
+            credits: total('credits'),
+            debits: total('debits'),
+            closingBalance: total('closingBalance')
+        },
+        reconciliation
+    };
+};
+
+// Deposits against withdrawals per service within the period. On loan
+// services deposits are repayments and withdrawals disbursements.
+const getDepositsWithdrawals = async (societyId, filters = {}) => {
+    assertTenant(societyId);
+    const period = parsePeriod(filters);
+    const [services, movements] = await Promise.all([loadServices(societyId), loadMovements(societyId, period)]);
+
+    const totals = new Map();
+    for (const movement of movements) {
+        if (!movement.inPeriod || !['deposit', 'withdrawal'].includes(movement.transactionType)) {
+            continue;
+        }
+
+        const entry = totals.get(movement.serviceId) || { depositCount: 0, deposits: 0, withdrawalCount: 0, withdrawals: 0 };
+        if (movement.transactionType === 'deposit') {
+            entry.depositCount += movement.count;
+            entry.deposits += movement.amount;
+        } else {
+            entry.withdrawalCount += movement.count;
+            entry.withdrawals += movement.amount;
+        }
+        totals.set(movement.serviceId, entry);
+    }
+
+    const rows = [...totals.entries()]
+        .map(([serviceId, entry]) => ({
+            ...services.get(serviceId) || { ...services.get(null), serviceId },
+            depositCount: entry.depositCount,
+            deposits: fromCents(entry.deposits),
+            withdrawalCount: entry.withdrawalCount,
+            withdrawals: fromCents(entry.withdrawals),
+            net: fromCents(entry.deposits - entry.withdrawals)
+        }))
+        .sort((a, b) => a.serviceName.localeCompare(b.serviceName));
+
+    const entries = [...totals.values()];
+
+    return {
+        from: period.from,
+        to: period.to,
+        services: rows,
+        totals: {
+            depositCount: sum(entries.map(entry => entry.depositCount)),
+            deposits: fromCents(sum(entries.map(entry => entry.deposits))),
+            withdrawalCount: sum(entries.map(entry => entry.withdrawalCount)),
+            withdrawals: fromCents(sum(entries.map(entry => entry.withdrawals))),
+            net: fromCents(sum(entries.map(entry => entry.deposits - entry.withdrawals)))
+        }
+    };
+};
+
+// Fee and interest income per service within the period. Fees and interest
+// charged to members are income; interest and dividends credited to savings
+// and share accounts are paid out to members.
+const getIncome = async (societyId, filters = {}) => {
+    assertTenant(societyId);
+    const period = parsePeriod(filters);
+    const [services, movements] = await Promise.all([loadServices(societyId), loadMovements(societyId, period)]);
+
+    const totals = new Map();
+    for (const movement of movements) {
+        if (!movement.inPeriod || !['fee', 'interest'].includes(movement.transactionType)) {
+            continue;
+        }
+
+        const entry = totals.get(movement.serviceId) || { feeIncome: 0, interestIncome: 0, interestPaid: 0 };
+        // Charges lower the member's balance, credits raise it
+        if (movement.transactionType === 'fee') {
+            entry.feeIncome -= movement.movement;
+        } else if (movement.movement < 0) {
+            entry.interestIncome -= movement.movement;
+        } else {
+            entry.interestPaid += movement.movement;
+        }
+        totals.set(movement.serviceId, entry);
+    }
+
+    const rows = [...totals.entries()]
+        .map(([serviceId, entry]) => ({
+            ...services.get(serviceId) || { ...services.get(null), serviceId },
+            feeIncome: fromCents(entry.feeIncome),
+            interestIncome: fromCents(entry.interestIncome),
+            interestPaid: fromCents(entry.interestPaid),
+            netIncome: fromCents(entry.feeIncome + entry.interestIncome - entry.interestPaid)
+        }))
+        .sort((a, b) => a.serviceName.localeCompare(b.serviceName));
+
+    const entries = [...totals.values()];
+
+    return {
+        from: period.from,
+        to: period.to,
+        services: rows,
+        totals: {
+            feeIncome: fromCents(sum(entries.map(entry => entry.feeIncome))),
+            interestIncome: fromCents(sum(entries.map(entry => entry.interestIncome))),
+            interestPaid: fromCents(sum(entries.map(entry => entry.interestPaid))),
+            netIncome: fromCents(sum(entries.map(entry => entry.feeIncome + entry.interestIncome - entry.interestPaid)))
+        }
+    };
+};
+
+// Loans per loan service: disbursements and repayments within the period,
+// the balance outstanding at its end, and today's loan counts and arrears
+const getLoanPortfolio = async (societyId, filters = {}) => {
+    assertTenant(societyId);
+    const period = parsePeriod(filters);
+    const asOf = today();
+
+    const [[disbursed], [repaid], [statuses], [arrears], movements, services] = await Promise.all([
+        query(
+            `SELECT service_id, COUNT(*) as count, SUM(principal) as principal
+             FROM loans
+             WHERE society_id = ? AND disbursed_at >= ? AND disbursed_at < DATE_ADD(?, INTERVAL 1 DAY)
+             GROUP BY service_id`,
+            [societyId, period.from, period.to]
+        ),
+        query(
+            `SELECT l.service_id, COUNT(*) as count, SUM(r.amount) as amount,
+                    SUM(r.principal_amount) as principal, SUM(r.interest_amount) as interest
+             FROM loan_repayments r
+             JOIN loans l ON l.id = r.loan_id
+             WHERE l.society_id = ? AND r.created_at >= ? AND r.created_at < DATE_ADD(?, INTERVAL 1 DAY)
+             GROUP BY l.service_id`,
+            [societyId, period.from, period.to]
+        ),
+        query(
+            `SELECT service_id, status, COUNT(*) as count FROM loans WHERE society_id = ? GROUP BY service_id, status`,
+            [societyId]
+        ),
+        query(
+            `SELECT l.service_id, COUNT(DISTINCT l.id) as loans,
+                    SUM(i.principal_due - i.principal_paid) as principal, SUM(i.interest_due - i.interest_paid) as interest
+             FROM loan_installments i
+             JOIN loans l ON l.id = i.loan_id
+             WHERE l.society_id = ? AND l.status = 'disbursed' AND i.status <> 'paid' AND i.due_date < ?
+             GROUP BY l.service_id`,
+            [societyId, asOf]
+        ),
+        loadMovements(societyId, period),
+        loadServices(societyId)
+    ]);
+
+    const byService = (rows) => new Map(rows.map(row => [row.service_id, row]));
+    const disbursements = byService(disbursed);
+    const repayments = byService(repaid);
+    const overdue = byService(arrears);
+
+    const outstanding = new Map();
+    for (const movement of movements) {
+        outstanding.set(movement.serviceId, (outstanding.get(movement.serviceId) || 0) - movement.movement);
+    }
+
+    const loanCounts = new Map();
+    for (const row of statuses) {
+        const counts = loanCounts.get(row.service_id) ||
+            { pending: 0, approved: 0, declined: 0, disbursed: 0, closed: 0 };
+        counts[row.status] = Number(row.count);
+        loanCounts.set(row.service_id, counts);
+    }
+
+    const rows = [...services.values()]
+        .filter(service => service.serviceType === 'loan')
+        .map(service => {
+            const id = service.serviceId;
+            const disbursement = disbursements.get(id) || {};
+            const repayment = repayments.get(id) || {};
+            const arrear = overdue.get(id) || {};
+
+            return {
+                ...service,
+                disbursedCount: Number(disbursement.count || 0),
+                disbursedPrincipal: fromCents(toCents(disbursement.principal || 0)),
+                repaymentCount: Number(repayment.count || 0),
+                repaid: fromCents(toCents(repayment.amount || 0)),
+                principalRepaid: fromCents(toCents(repayment.principal || 0)),
+                interestRepaid: fromCents(toCents(repayment.interest || 0)),
+                outstandingBalance: fromCents(outstanding.get(id) || 0),
+                loans: loanCounts.get(id) || { pending: 0, approved: 0, declined: 0, disbursed: 0, closed: 0 },
+                loansInArrears: Number(arrear.loans || 0),
+                arrearsPrincipal: fromCents(toCents(arrear.principal || 0)),
+                arrearsInterest: fromCents(toCents(arrear.interest || 0))
+            };
+        });
+
+    const total = (key) => fromCents(sum(rows.map(row => toCents(row[key]))));
+
+    return {
+        from: period.from,
+        to: period.to,
+        // Loan counts and arrears describe the portfolio today, not at `to`
+        asOf,
+        services: rows,
+        totals: {
+            disbursedCount: sum(rows.map(row => row.disbursedCount)),
+            disbursedPrincipal: total('disbursedPrincipal'),
+            repaymentCount: sum(rows.map(row => row.repaymentCount)),
+            repaid: total('repaid'),
+            principalRepaid: total('principalRepaid'),
+            interestRepaid: total('interestRepaid'),
+            outstandingBalance: total('outstandingBalance'),
+            activeLoans: sum(rows.map(row => row.loans.disbursed)),
+            loansInArrears: sum(rows.map(row => row.loansInArrears)),
+            arrearsPrincipal: total('arrearsPrincipal'),
+            arrearsInterest: total('arrearsInterest')
+        }
+    };
+};
+
+// A trial balance at the end of the period. Each ledger entry is read as a
+// double entry: the member account on one side and, on the other, cash for
+// deposits, withdrawals and transfers, income for fees and loan interest, and
+// an expense for interest credited to members. Balance sheet accounts are
+// cumulative to `to`; income and expenses cover the period, with earlier ones
+// brought forward as the accumulated surplus. Debits always equal credits.
+const getTrialBalance = async (societyId, filters = {}) => {
+    assertTenant(societyId);
+    const period = parsePeriod(filters);
+    const [services, movements] = await Promise.all([loadServices(societyId), loadMovements(societyId, period)]);
+
+    // Account balances in cents, debit positive
+    let cash = 0;
+    let feeIncome = 0;
+    let interestIncome = 0;
+    let interestExpense = 0;
+    let broughtForward = 0;
+    const memberAccounts = new Map();
+
+    for (const movement of movements) {
+        memberAccounts.set(movement.serviceId, (memberAccounts.get(movement.serviceId) || 0) - movement.movement);
+
+        if (!['fee', 'interest'].includes(movement.transactionType)) {
+            cash += movement.movement;
+        } else if (!movement.inPeriod) {
+            broughtForward += movement.movement;
+        } else if (movement.transactionType === 'fee') {
+            feeIncome += movement.movement;
+        } else if (movement.movement < 0) {
+            interestIncome += movement.movement;
+        } else {
+            interestExpense += movement.movement;
+        }
+    }
+
+    const line = (account, category, balance, serviceId = null) => ({
+        account,
+        category,
+        serviceId,
+        debit: balance > 0 ? fromCents(balance) : 0,
+        credit: balance < 0 ? fromCents(-balance) : 0
+    });
+
+    const serviceLines = [...memberAccounts.entries()]
+        .map(([serviceId, balance]) => {
+            const service = services.get(serviceId) || services.get(null);
+            return service.serviceType === 'loan'
+                ? line(`Loans receivable: ${service.serviceName}`, 'asset', balance, serviceId)
+                : line(`Member accounts: ${service.serviceName}`, 'liability', balance, serviceId);
+        })
+        .sort((a, b) => a.category.localeCompare(b.category) || a.account.localeCompare(b.account));
+
+    const lines = [
+        line('Cash and bank', 'asset', cash),
+        ...serviceLines,
+        line('Accumulated surplus brought forward', 'equity', broughtForward),
+        line('Fee income', 'income', feeIncome),
+        line('Loan interest income', 'income', interestIncome),
+        line('Interest and dividends paid to members', 'expense', interestExpense)
+    ];
+
+    const debit = sum(lines.map(entry => toCents(entry.debit)));
+    const credit = sum(lines.map(entry => toCents(entry.credit)));
+    const closing = new Map([...memberAccounts.entries()].map(([serviceId, balance]) => [serviceId, -balance]));
+
+    return {
+        from: period.from,
+        to: period.to,
+        lines,
+        totals: {
+            debit: fromCents(debit),
+            credit: fromCents(credit)
+        },
+        balanced: debit === credit,
+        reconciliation: await reconcile(societyId, period, closing)
+    };
+};
+
+module.exports = {
+    parsePeriod,
+    getServiceBalances,
+    getMemberBalances,
+    getDepositsWithdrawals,
+    getIncome,
+    getLoanPortfolio,
+    getTrialBalance
+};
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { withTransaction } = require('../config/db');
+const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
+const { logAuditTrail } = require('../utils/auditTrail');
+const { UnauthorizedError } = require('../utils/errors');
+
+// Access tokens are short-lived JWTs tied to a session (`sid` claim).
+// Refresh tokens are random strings stored hashed; every refresh rotates
+// them, and presenting an already rotated token revokes the session, since
+// it means the token was copied.
+// A session may be limited to a scope (`scope` claim, e.g. 'registration'
+// for admins of a society still under review); refreshes keep the scope.
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const sessionExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Claims carried by the access token of a user
+const accessClaims = (user) => ({
+    userId: user.id,
+    email: user.email,
+    role: user.role,
+    ...(user.societyId && { societyId: user.societyId }),
+    ...(user.memberId && { memberId: user.memberId })
+});
+
+// Store a new refresh token for a session and return it in clear
+const issueRefreshToken = async (connection, sessionId) => {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    await connection.execute(
+        'INSERT INTO refresh_tokens (id, session_id, token_hash) VALUES (?, ?, ?)',
+        [uuidv4(), sessionId, hashToken(refreshToken)]
+    );
+    return refreshToken;
+};
+
+const tokenPair = (user, sessionId, refreshToken, scope = null) => ({
+    token: jwt.sign({ ...accessClaims(user), sid: sessionId, ...(scope && { scope }) }, process.env.JWT_SECRET, {
+        expiresIn: ACCESS_TOKEN_TTL
+    }),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    sessionId,
+    scope
+});
+
+// Open a session for a user who just logged in
+const startSession = async (user, { ip, userAgent, scope = null } = {}) => {
+    const sessionId = uuidv4();
+
+    const refreshToken = await withTransaction(async (connection) => {
+        await connection.execute(
+            `INSERT INTO user_sessions (id, user_id, ip_address, user_agent, scope, expires_at)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [sessionId, user.id, ip || null, userAgent || null, scope, sessionExpiry()]
+        );
+        return await issueRefreshToken(connection, sessionId);
+    });
+
+    return tokenPair(user, sessionId, refreshToken, scope);
+};
+
+// Exchange a refresh token for a new access/refresh token pair
+const refreshSession = async (refreshToken, { ip, userAgent } = {}) => {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+        throw new UnauthorizedError('Refresh token required');
+    }
+
+    // Revocations must be committed even though the request fails, so the
+    // unit of work returns the failure instead of throwing it
+    const outcome = await withTransaction(async (connection) => {
+        const [tokens] = await connection.execute(
+            `SELECT rt.id, rt.status, rt.session_id, s.user_id, s.scope, s.revoked_at, s.expires_at
+             FROM refresh_tokens rt
+             JOIN user_sessions s ON rt.session_id = s.id
+             WHERE rt.token_hash = ?
+             FOR UPDATE`,
+            [hashToken(refreshToken)]
+        );
+        if (tokens.length === 0) {
+            return { error: 'Invalid refresh token' };
+        }
+
+        const stored = tokens[0];
+        const revokeSession = async (reason) => {
+            await connection.execute(
+                `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+                 WHERE id = ? AND revoked_at IS NULL`,
+                [reason, stored.session_id]
+            );
+            await connection.execute(
+                `UPDATE refresh_tokens SET status = 'revoked' WHERE session_id = ? AND status = 'active'`,
+                [stored.session_id]
+            );
+        };
+
+        if (stored.revoked_at || new Date(stored.expires_at) <= new Date()) {
+            return { error: 'Session has ended, please log in again' };
+        }
+
+        if (stored.status !== 'active') {
+            await revokeSession('refresh_token_reuse');
+            return {
+                error: 'Refresh token was already used; the session has been revoked',
+                reuse: { userId: stored.user_id, sessionId: stored.session_id }
+            };
+        }
+
+        const user = await User.findById(stored.user_id);
+        if (!user || user.status !== 'active') {
+            await revokeSession('user_inactive');
+            return { error: 'User account is not active' };
+        }
+
+        await connection.execute(
+            `UPDATE refresh_tokens SET status = 'rotated', used_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [stored.id]
+        );
+        await connection.execute(
+            `UPDATE user_sessions SET last_used_at = CURRENT_TIMESTAMP, expires_at = ?, ip_address = ?, user_agent = ?
+             WHERE id = ?`,
+            [sessionExpiry(), ip || null, userAgent || null, stored.session_id]
+        );
+
+        return {
+            user,
+            sessionId: stored.session_id,
+            scope: stored.scope,
+            refreshToken: await issueRefreshToken(connection, stored.session_id)
+        };
+    });
+
+    if (outcome.reuse) {
+        await logAuditTrail(outcome.reuse.userId, null, 'REFRESH_TOKEN_REUSE', 'user_sessions', outcome.reuse.sessionId, null, {
+            revoked: true
+        }, ip, userAgent);
+    }
+
+    if (outcome.error) {
+        throw new UnauthorizedError(outcome.error);
+    }
+
+    return tokenPair(outcome.user, outcome.sessionId, outcome.refreshToken, outcome.scope);
+};
+
+// True if the session behind an access token can still be used
+const isSessionActive = async (sessionId) => {
+    if (!sessionId) {
+        return false;
+    }
+
+    const session = await Session.findById(sessionId);
+    return Boolean(session && session.isActive());
+};
+
+module.exports = {
+    startSession,
+    refreshSession,
+    isSessionActive
+};
@@ -0,0 +1,179 @@
+const { v4: uuidv4 } = require('uuid');
+const { query, withTransaction } = require('../config/db');
+const Service = require('../models/serviceModel');
+const Transaction = require('../models/transactionModel');
+const { lockAccount, postTransaction } = require('./postingService');
+const { toCents, fromCents } = require('../utils/money');
+const { assertTenant } = require('../utils/tenant');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+const mapMovement = (movement) => ({
+    id: movement.id,
+    memberId: movement.member_id,
+    serviceId: movement.service_id,
+    movementType: movement.movement_type,
+    quantity: movement.quantity,
+    unitPrice: Number(movement.unit_price),
+    amount: Number(movement.amount),
+    transactionId: movement.transaction_id,
+    createdAt: movement.created_at
+});
+
+// Load a share capital service of the society that has a unit price
+const findShareService = async (societyId, serviceId) => {
+    const service = await Service.findById(societyId, serviceId);
+    if (!service || service.type !== 'share_capital') {
+        throw new NotFoundError('Share capital service not found');
+    }
+
+    if (service.unitPrice <= 0) {
+        throw new ValidationError(`Service "${service.name}" has no share unit price`);
+    }
+
+    return service;
+};
+
+const parseQuantity = (quantity) => {
+    const value = Number(quantity);
+    if (!Number.isInteger(value) || value < 1) {
+        throw new ValidationError('Quantity must be a positive whole number of shares');
+    }
+    return value;
+};
+
+// Number of shares a member holds in a service
+const countHoldings = async (execute, memberId, serviceId) => {
+    const [rows] = await execute(
+        `SELECT COALESCE(SUM(CASE WHEN movement_type = 'purchase' THEN quantity ELSE -quantity END), 0) as quantity
+         FROM share_movements WHERE member_id = ? AND service_id = ?`,
+        [memberId, serviceId]
+    );
+    return Number(rows[0].quantity);
+};
+
+// Buy or redeem shares at the service's current unit price. The money side
+// goes through the ledger; the share movement is recorded with it.
+const moveShares = async (societyId, movementType, { memberId, serviceId, quantity, referenceNumber }) => {
+    assertTenant(societyId);
+
+    const shares = parseQuantity(quantity);
+    const service = await findShareService(societyId, serviceId);
+    const amount = fromCents(toCents(service.unitPrice) * shares);
+
+    return await withTransaction(async (connection) => {
+        // Replayed request: return the movement recorded the first time
+        if (referenceNumber) {
+            const existing = await Transaction.findByReference(societyId, referenceNumber, connection);
+            if (existing) {
+                const [movements] = await connection.execute(
+                    'SELECT * FROM share_movements WHERE transaction_id = ?',
+                    [existing.id]
+                );
+                if (movements.length === 0 || movements[0].movement_type !== movementType) {
+                    throw new ValidationError(`Reference number ${referenceNumber} is already used by a different transaction`);
+                }
+                return { movement: mapMovement(movements[0]), transaction: existing, duplicate: true };
+            }
+        }
+
+        // Serialize share movements of this member by locking the account first
+        await lockAccount(connection, { societyId, memberId, serviceId: service.id });
+
+        if (movementType === 'redemption') {
+            const held = await countHoldings(connection.execute.bind(connection), memberId, service.id);
+            if (shares > held) {
+                throw new ValidationError(`Member holds only ${held} shares`);
+            }
+        }
+
+        const { transaction } = await postTransaction({
+            societyId,
+            memberId,
+            serviceId: service.id,
+            transactionType: movementType === 'purchase' ? 'deposit' : 'withdrawal',
+            amount,
+            description: `${movementType === 'purchase' ? 'Purchase' : 'Redemption'} of ${shares} shares at ${service.unitPrice.toFixed(2)}`,
+            referenceNumber: referenceNumber || null
+        }, { connection });
+
+        const movementId = uuidv4();
+        await connection.execute(
+            `INSERT INTO share_movements (id, society_id, member_id, service_id, movement_type, quantity, unit_price, amount, transaction_id)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [movementId, societyId, memberId, service.id, movementType, shares, service.unitPrice, amount, transaction.id]
+        );
+
+        const [movements] = await connection.execute('SELECT * FROM share_movements WHERE id = ?', [movementId]);
+        return { movement: mapMovement(movements[0]), transaction, duplicate: false };
+    });
+};
+
+const purchaseShares = (societyId, request) => moveShares(societyId, 'purchase', request);
+const redeemShares = (societyId, request) => moveShares(societyId, 'redemption', request);
+
+// Current share holdings of a society, optionally for one service or member
+const getHoldings = async (societyId, filters = {}) => {
+    assertTenant(societyId);
+
+    let sql = `SELECT sm.member_id, sm.service_id, m.member_number,
+                      CONCAT(m.first_name, ' ', m.last_name) as member_name, s.name as service_name, s.unit_price,
+                      SUM(CASE WHEN sm.movement_type = 'purchase' THEN sm.quantity ELSE -sm.quantity END) as quantity,
+                      SUM(CASE WHEN sm.movement_type = 'purchase' THEN sm.amount ELSE -sm.amount END) as capital,
+                      MIN(CASE WHEN sm.movement_type = 'purchase' THEN sm.created_at END) as first_purchased_at
+               FROM share_movements sm
+               JOIN members m ON sm.member_id = m.id
+               JOIN services s ON sm.service_id = s.id
+               WHERE sm.society_id = ?`;
+    const params = [societyId];
+
+    if (filters.serviceId) {
+        sql += ' AND sm.service_id = ?';
+        params.push(filters.serviceId);
+    }
+
+    if (filters.memberId) {
+        sql += ' AND sm.member_id = ?';
+        params.push(filters.memberId);
+    }
+
+    sql += ' GROUP BY sm.member_id, sm.service_id HAVING quantity > 0 ORDER BY m.member_number';
+
+    const [holdings] = await query(sql, params);
+    return holdings.map(holding => ({
+        memberId: holding.member_id,
+        memberNumber: holding.member_number,
+        memberName: holding.member_name,
+        serviceId: holding.service_id,
+        serviceName: holding.service_name,
+        quantity: Number(holding.quantity),
+        unitPrice: Number(holding.unit_price),
+        capital: Number(holding.capital),
+        firstPurchasedAt: holding.first_purchased_at
+    }));
+};
+
+// Purchase/redemption history of a member
+const getMovements = async (societyId, memberId, serviceId = null) => {
+    assertTenant(societyId);
+
+    let sql = 'SELECT * FROM share_movements WHERE society_id = ? AND member_id = ?';
+    const params = [societyId, memberId];
+
+    if (serviceId) {
+        sql += ' AND service_id = ?';
+        params.push(serviceId);
+    }
+
+    sql += ' ORDER BY created_at';
+
+    const [movements] = await query(sql, params);
+    return movements.map(mapMovement);
+};
+
+module.exports = {
+    findShareService,
+    purchaseShares,
+    redeemShares,
+    getHoldings,
+    getMovements
+};
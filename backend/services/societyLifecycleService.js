@@ -0,0 +1,126 @@
+const { withTransaction } = require('../config/db');
+const Session = require('../models/sessionModel');
+const notificationService = require('./notificationService');
+const registrationService = require('./registrationService');
+const { logAuditTrail } = require('../utils/auditTrail');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+
+// The society state machine. A society's status only changes through one of
+// these actions, each allowed from a fixed set of states:
+//
+//   pending   --approve-->    approved   --suspend-->     suspended
+//   pending   --reject-->     rejected   --reapply-->     pending
+//   suspended --reactivate--> approved
+//   any state --archive-->    archived   (final, read-only)
+//
+// Every transition is recorded in the audit trail as SOCIETY_STATUS_CHANGE.
+const TRANSITIONS = {
+    approve: { from: ['pending'], to: 'approved' },
+    reject: { from: ['pending'], to: 'rejected' },
+    suspend: { from: ['approved'], to: 'suspended', reasonRequired: true, endsSessions: true },
+    reactivate: { from: ['suspended'], to: 'approved' },
+    reapply: { from: ['rejected'], to: 'pending' },
+    archive: { from: ['pending', 'approved', 'rejected', 'suspended'], to: 'archived', endsSessions: true }
+};
+
+// Transitions that belong to the registration's history as well
+const REGISTRATION_EVENTS = {
+    approve: 'approved',
+    reject: 'rejected',
+    reapply: 'reapplied'
+};
+
+// Apply `action` to a society inside one unit of work: the status change,
+// its audit entry, registration history, session revocation and the emails
+// all commit or roll back together. Resolves to { societyId, action,
+// previousStatus, status, reason }.
+const transitionSociety = async (societyId, action, { userId, reason, ipAddress, userAgent } = {}) => {
+    const transition = TRANSITIONS[action];
+    if (!transition) {
+        throw new ValidationError(`Action must be one of: ${Object.keys(TRANSITIONS).join(', ')}`);
+    }
+
+    reason = typeof reason === 'string' ? reason.trim() : '';
+    if (transition.reasonRequired && !reason) {
+        throw new ValidationError(`A reason is required to ${action} a society`);
+    }
+
+    return await withTransaction(async (connection, hooks) => {
+        const [societies] = await connection.execute(
+            `SELECT s.id, s.name, s.status, s.status_reason, u.name as admin_name, u.email as admin_email
+             FROM societies s
+             LEFT JOIN users u ON s.id = u.society_id AND u.role = 'society_admin'
+             WHERE s.id = ?
+             FOR UPDATE`,
+            [societyId]
+        );
+        if (societies.length === 0) {
+            throw new NotFoundError('Society not found');
+        }
+
+        const society = societies[0];
+        if (!transition.from.includes(society.status)) {
+            throw new ConflictError(`Cannot ${action} a society that is ${society.status}`);
+        }
+
+        await connection.execute(
+            `UPDATE societies
+             SET status = ?, status_reason = ?, status_changed_at = CURRENT_TIMESTAMP, status_changed_by = ?,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [transition.to, reason || null, userId || null, societyId]
+        );
+
+        await logAuditTrail(userId, societyId, 'SOCIETY_STATUS_CHANGE', 'societies', societyId, {
+            status: society.status,
+            reason: society.status_reason
+        }, {
+            status: transition.to,
+            action,
+            reason: reason || null
+        }, ipAddress, userAgent, connection);
+
+        if (REGISTRATION_EVENTS[action]) {
+            await registrationService.recordEvent(connection, societyId, REGISTRATION_EVENTS[action], userId, null, {
+                reason: reason || null
+            });
+        }
+
+        if (transition.endsSessions) {
+            await Session.revokeAllForSociety(societyId, `society_${transition.to}`, connection);
+        }
+
+        const admin = { name: society.admin_name, email: society.admin_email };
+        if (action === 'approve' || action === 'reject') {
+            if (admin.email) {
+                await notificationService.notifySocietyDecision({
+                    society: { name: society.name },
+                    admin,
+                    status: transition.to,
+                    reason
+                }, connection);
+            }
+        } else {
+            await notificationService.notifySocietyStatusChange({
+                society: { name: society.name },
+                admin,
+                action,
+                reason
+            }, connection);
+        }
+        hooks.onCommit(notificationService.flushNotifications);
+
+        return {
+            societyId,
+            action,
+            previousStatus: society.status,
+            status: transition.to,
+            reason: reason || null
+        };
+    });
+};
+
+module.exports = {
+    TRANSITIONS,
+    transitionSociety
+};
@@ -0,0 +1,301 @@
+const { v4: uuidv4 } = require('uuid');
+const { query, withTransaction } = require('../config/db');
+const User = require('../models/userModel');
+const Session = require('../models/sessionModel');
+const SocietyRole = require('../models/societyRoleModel');
+const accountService = require('./accountService');
+const { flushNotifications } = require('./notificationService');
+const { assertTenant } = require('../utils/tenant');
+const { ConflictError, ForbiddenError, NotFoundError, ValidationError } = require('../utils/errors');
+
+// Society staff: users of a society besides its admin, each holding one of
+// the society's roles (models/societyRoleModel.js). Staff are invited by
+// email, can have their role changed and are deactivated, never deleted.
+// Nobody can grant a permission they do not hold themselves.
+
+const mapStaff = (user) => ({
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    phone: user.phone,
+    role: user.role,
+    societyRoleId: user.society_role_id,
+    societyRole: user.society_role_name || null,
+    status: user.status,
+    invitedBy: user.invited_by,
+    emailVerifiedAt: user.email_verified_at,
+    createdAt: user.created_at
+});
+
+// Refuse permissions the acting user does not hold
+const assertCanGrant = (actor, permissions) => {
+    const missing = permissions.filter(permission => !actor.hasPermission(permission));
+    if (missing.length > 0) {
+        throw new ForbiddenError(`You cannot grant permissions you do not hold: ${missing.join(', ')}`);
+    }
+};
+
+// Check a role's permission set against the catalogue in User.SOCIETY_PERMISSIONS
+const checkPermissions = (permissions) => {
+    if (!Array.isArray(permissions)) {
+        throw new ValidationError('Permissions must be a list');
+    }
+
+    const unknown = permissions.filter(permission => !User.SOCIETY_PERMISSIONS[permission]);
+    if (unknown.length > 0) {
+        throw new ValidationError(`Unknown permissions: ${unknown.join(', ')}`);
+    }
+
+    return [...new Set(permissions)];
+};
+
+const findRole = async (societyId, roleId) => {
+    const role = await SocietyRole.findById(societyId, roleId);
+    if (!role) {
+        throw new NotFoundError('Role not found');
+    }
+
+    return role;
+};
+
+// Lock a staff user of the society inside a unit of work. The society admin
+// is not staff and cannot be changed here, and nobody changes their own access.
+const lockStaff = async (connection, societyId, userId, actor) => {
+    const [users] = await connection.execute(
+        `SELECT * FROM users WHERE id = ? AND society_id = ? AND role = 'society_staff' FOR UPDATE`,
+        [userId, societyId]
+    );
+    if (users.length === 0) {
+        throw new NotFoundError('Staff user not found');
+    }
+
+    if (users[0].id === actor.id) {
+        throw new ForbiddenError('You cannot change your own role or status');
+    }
+
+    return users[0];
+};
+
+// The society's admin and staff, admin first
+const listStaff = async (societyId) => {
+    assertTenant(societyId);
+
+    const [users] = await query(
+        `SELECT u.*, r.name as society_role_name
+         FROM users u
+         LEFT JOIN society_roles r ON u.society_role_id = r.id
+         WHERE u.society_id = ? AND u.role IN ('society_admin', 'society_staff')
+         ORDER BY u.role = 'society_admin' DESC, u.name`,
+        [societyId]
+    );
+
+    return users.map(mapStaff);
+};
+
+// Invite a staff user by email with a role; they choose a password through
+// the emailed link (see accountService.acceptInvitation)
+const inviteStaff = async (societyId, actor, { email, name, phone, roleId }) => {
+    assertTenant(societyId);
+
+    const role = await findRole(societyId, roleId);
+    assertCanGrant(actor, role.permissions);
+
+    const userId = await withTransaction(async (connection, hooks) => {
+        const [existing] = await connection.execute('SELECT id FROM users WHERE email = ?', [email]);
+        if (existing.length > 0) {
+            throw new ConflictError('A user with this email is already registered');
+        }
+
+        const [societies] = await connection.execute('SELECT name FROM societies WHERE id = ?', [societyId]);
+
+        const id = uuidv4();
+        await connection.execute(
+            `INSERT INTO users (id, email, password, name, phone, role, society_id, society_role_id, invited_by, status)
+             VALUES (?, ?, NULL, ?, ?, 'society_staff', ?, ?, ?, 'invited')`,
+            [id, email, name, phone || null, societyId, role.id, actor.id]
+        );
+
+        await accountService.sendInvitation({ id, email, name }, {
+            societyName: societies[0].name,
+            inviterName: actor.name,
+            roleName: role.name
+        }, connection);
+        hooks.onCommit(flushNotifications);
+
+        return id;
+    });
+
+    return await findStaff(societyId, userId);
+};
+
+// Email a new invitation link to a staff user who has not accepted yet
+const resendInvitation = async (societyId, actor, userId) => {
+    const staff = await findStaff(societyId, userId);
+    if (staff.role !== 'society_staff' || staff.status !== 'invited') {
+        throw new ConflictError('Only pending invitations can be resent');
+    }
+
+    const [societies] = await query('SELECT name FROM societies WHERE id = ?', [societyId]);
+    await accountService.sendInvitation(staff, {
+        societyName: societies[0].name,
+        inviterName: actor.name,
+        roleName: staff.societyRole
+    });
+
+    return staff;
+};
+
+// A staff user or the admin of the society
+const findStaff = async (societyId, userId) => {
+    assertTenant(societyId);
+
+    const [users] = await query(
+        `SELECT u.*, r.name as society_role_name
+         FROM users u
+         LEFT JOIN society_roles r ON u.society_role_id = r.id
+         WHERE u.id = ? AND u.society_id = ? AND u.role IN ('society_admin', 'society_staff')`,
+        [userId, societyId]
+    );
+    if (users.length === 0) {
+        throw new NotFoundError('Staff user not found');
+    }
+
+    return mapStaff(users[0]);
+};
+
+// Give a staff user another role. Resolves to { staff, previousRoleId }.
+const changeStaffRole = async (societyId, actor, userId, roleId) => {
+    assertTenant(societyId);
+
+    const role = await findRole(societyId, roleId);
+    assertCanGrant(actor, role.permissions);
+
+    const previousRoleId = await withTransaction(async (connection) => {
+        const staff = await lockStaff(connection, societyId, userId, actor);
+        await connection.execute(
+            'UPDATE users SET society_role_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [role.id, staff.id]
+        );
+        return staff.society_role_id;
+    });
+
+    return { staff: await findStaff(societyId, userId), previousRoleId };
+};
+
+// Deactivate a staff user: they are signed out everywhere and cannot log in
+// or accept a pending invitation. Resolves to { staff, previousStatus }.
+const deactivateStaff = async (societyId, actor, userId) => {
+    assertTenant(societyId);
+
+    const previousStatus = await withTransaction(async (connection) => {
+        const staff = await lockStaff(connection, societyId, userId, actor);
+        if (staff.status === 'inactive') {
+            throw new ConflictError('Staff user is already inactive');
+        }
+
+        await connection.execute(
+            `UPDATE users SET status = 'inactive', updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [staff.id]
+        );
+        await connection.execute(
+            `UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL`,
+            [staff.id]
+        );
+        return staff.status;
+    });
+
+    await Session.revokeAllForUser(userId, 'staff_deactivated');
+
+    return { staff: await findStaff(societyId, userId), previousStatus };
+};
+
+// Reactivate a staff user. One who never accepted their invitation goes back
+// to 'invited' and needs a new invitation link.
+const reactivateStaff = async (societyId, actor, userId) => {
+    assertTenant(societyId);
+
+    await withTransaction(async (connection) => {
+        const staff = await lockStaff(connection, societyId, userId, actor);
+        if (staff.status !== 'inactive') {
+            throw new ConflictError(`Staff user is ${staff.status}, expected inactive`);
+        }
+
+        const [roles] = await connection.execute('SELECT permissions FROM society_roles WHERE id = ?', [staff.society_role_id]);
+        assertCanGrant(actor, new SocietyRole(roles[0] || {}).permissions);
+
+        await connection.execute(
+            `UPDATE users SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [staff.password ? 'active' : 'invited', staff.id]
+        );
+    });
+
+    return await findStaff(societyId, userId);
+};
+
+// The society's roles and the permissions roles can be given
+const listRoles = async (societyId) => ({
+    roles: await SocietyRole.findAll(societyId),
+    permissions: User.SOCIETY_PERMISSIONS
+});
+
+const createRole = async (societyId, actor, { name, description, permissions }) => {
+    assertTenant(societyId);
+
+    permissions = checkPermissions(permissions);
+    assertCanGrant(actor, permissions);
+
+    if (await SocietyRole.findByName(societyId, name)) {
+        throw new ConflictError(`A role named "${name}" already exists`);
+    }
+
+    const roleId = await SocietyRole.create(societyId, { name, description, permissions, createdBy: actor.id });
+    return await SocietyRole.findById(societyId, roleId);
+};
+
+// Change a role; staff holding it get the new permissions on their next request.
+// Resolves to { role, previous }.
+const updateRole = async (societyId, actor, roleId, { name, description, permissions }) => {
+    const previous = await findRole(societyId, roleId);
+
+    permissions = checkPermissions(permissions);
+    // Adding or removing a permission both change what its holders can do
+    const changed = [
+        ...permissions.filter(permission => !previous.permissions.includes(permission)),
+        ...previous.permissions.filter(permission => !permissions.includes(permission))
+    ];
+    assertCanGrant(actor, changed);
+
+    const sameName = await SocietyRole.findByName(societyId, name);
+    if (sameName && sameName.id !== roleId) {
+        throw new ConflictError(`A role named "${name}" already exists`);
+    }
+
+    await SocietyRole.update(societyId, roleId, { name, description, permissions });
+    return { role: await SocietyRole.findById(societyId, roleId), previous };
+};
+
+// Delete a role nobody holds
+const deleteRole = async (societyId, actor, roleId) => {
+    const role = await findRole(societyId, roleId);
+    assertCanGrant(actor, role.permissions);
+
+    if (!(await SocietyRole.delete(societyId, roleId))) {
+        throw new ConflictError('Role is still assigned to staff; give them another role first');
+    }
+
+    return role;
+};
+
+module.exports = {
+    listStaff,
+    findStaff,
+    inviteStaff,
+    resendInvitation,
+    changeStaffRole,
+    deactivateStaff,
+    reactivateStaff,
+    listRoles,
+    createRole,
+    updateRole,
+    deleteRole
+};
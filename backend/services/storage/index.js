@@ -0,0 +1,23 @@
+// Pluggable file storage.
+// A driver exports `name` and:
+//   put(key, buffer, { contentType, checksum })  store an object
+//   get(key)                                      resolve to { stream, size }; NotFoundError if missing
+//   remove(key)                                   delete an object; missing objects are ignored
+// New files go to the driver named by STORAGE_DRIVER (default local). Each
+// stored file records its driver, so files written before a switch stay readable.
+const DRIVERS = {
+    local: () => require('./localStorage'),
+    s3: () => require('./s3Storage')
+};
+
+const getStorage = (name = process.env.STORAGE_DRIVER || 'local') => {
+    if (!DRIVERS[name]) {
+        throw new Error(`Unknown storage driver "${name}"; use one of: ${Object.keys(DRIVERS).join(', ')}`);
+    }
+
+    return DRIVERS[name]();
+};
+
+module.exports = {
+    getStorage
+};
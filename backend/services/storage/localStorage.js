@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+const { NotFoundError } = require('../../utils/errors');
+
+// Stores objects as files under UPLOAD_PATH; keys are relative paths
+const root = () => path.resolve(process.env.UPLOAD_PATH || './uploads');
+
+// Map a key to a path inside the storage root, refusing anything that escapes it
+const resolveKey = (key) => {
+    const filePath = path.resolve(root(), key);
+    if (!filePath.startsWith(root() + path.sep)) {
+        throw new Error(`Invalid storage key "${key}"`);
+    }
+    return filePath;
+};
+
+const put = async (key, buffer) => {
+    const filePath = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    // 'wx' never overwrites: keys are unique per upload
+    await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+};
+
+// Resolves to { stream, size }
+const get = async (key) => {
+    const filePath = resolveKey(key);
+
+    let stats;
+    try {
+        stats = await fs.promises.stat(filePath);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new NotFoundError('Stored file not found');
+        }
+        throw error;
+    }
+
+    return { stream: fs.createReadStream(filePath), size: stats.size };
+};
+
+const remove = async (key) => {
+    try {
+        await fs.promises.unlink(resolveKey(key));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    }
+};
+
+module.exports = {
+    name: 'local',
+    put,
+    get,
+    remove
+};
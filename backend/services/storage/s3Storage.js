@@ -0,0 +1,73 @@
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { NotFoundError } = require('../../utils/errors');
+
+// Stores objects in an S3-compatible bucket. S3_ENDPOINT with
+// S3_FORCE_PATH_STYLE=true points it at a self-hosted or local stand-in
+// such as MinIO instead of AWS.
+let client = null;
+
+const getClient = () => {
+    if (!client) {
+        client = new S3Client({
+            region: process.env.S3_REGION || 'us-east-1',
+            ...(process.env.S3_ENDPOINT && { endpoint: process.env.S3_ENDPOINT }),
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+            ...(process.env.S3_ACCESS_KEY_ID && {
+                credentials: {
+                    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+                    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+                }
+            })
+        });
+    }
+
+    return client;
+};
+
+const bucket = () => {
+    if (!process.env.S3_BUCKET) {
+        throw new Error('S3_BUCKET must be set to use the s3 storage driver');
+    }
+    return process.env.S3_BUCKET;
+};
+
+// Optional key prefix, so several environments can share a bucket
+const objectKey = (key) => {
+    const prefix = (process.env.S3_PREFIX || '').replace(/\/+$/, '');
+    return prefix ? `${prefix}/${key}` : key;
+};
+
+const put = async (key, buffer, { contentType, checksum } = {}) => {
+    await getClient().send(new PutObjectCommand({
+        Bucket: bucket(),
+        Key: objectKey(key),
+        Body: buffer,
+        ContentType: contentType,
+        // The service rejects the upload if the body arrives altered
+        ...(checksum && { ChecksumSHA256: Buffer.from(checksum, 'hex').toString('base64') })
+    }));
+};
+
+// Resolves to { stream, size }
+const get = async (key) => {
+    try {
+        const object = await getClient().send(new GetObjectCommand({ Bucket: bucket(), Key: objectKey(key) }));
+        return { stream: object.Body, size: object.ContentLength };
+    } catch (error) {
+        if (error.name === 'NoSuchKey' || error.name === 'NotFound') {
+            throw new NotFoundError('Stored file not found');
+        }
+        throw error;
+    }
+};
+
+const remove = async (key) => {
+    await getClient().send(new DeleteObjectCommand({ Bucket: bucket(), Key: objectKey(key) }));
+};
+
+module.exports = {
+    name: 's3',
+    put,
+    get,
+    remove
+};
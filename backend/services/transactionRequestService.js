@@ -0,0 +1,139 @@
+const { v4: uuidv4 } = require('uuid');
+const { query, withTransaction } = require('../config/db');
+const Service = require('../models/serviceModel');
+const TransactionRequest = require('../models/transactionRequestModel');
+const { postTransaction } = require('./postingService');
+const { toCents, fromCents, isValidAmount } = require('../utils/money');
+const { assertTenant } = require('../utils/tenant');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+// Loans and share capital have their own flows (repayments, share purchases)
+const REQUESTABLE_SERVICE_TYPES = ['savings', 'monthly_deduction', 'other'];
+
+// Load a request inside a unit of work, locked, and check it is still pending
+const lockPendingRequest = async (connection, societyId, requestId, memberId = null) => {
+    const request = await TransactionRequest.findById(societyId, requestId, connection, true);
+    if (!request || (memberId && request.memberId !== memberId)) {
+        throw new NotFoundError('Transaction request not found');
+    }
+
+    if (request.status !== 'pending') {
+        throw new ValidationError(`Transaction request is ${request.status}, expected pending`);
+    }
+
+    return request;
+};
+
+// Record a member's deposit or withdrawal request. Nothing is posted until an
+// admin approves it; the balance is checked again at that point.
+const submitRequest = async (societyId, member, { serviceId, transactionType, amount, description }) => {
+    assertTenant(societyId);
+
+    if (member.status !== 'active') {
+        throw new ValidationError('Member is not active');
+    }
+
+    if (!TransactionRequest.TYPES.includes(transactionType)) {
+        throw new ValidationError(`Transaction type must be one of: ${TransactionRequest.TYPES.join(', ')}`);
+    }
+
+    if (!isValidAmount(amount)) {
+        throw new ValidationError('Amount must be a positive number with at most two decimal places');
+    }
+
+    const service = await Service.findById(societyId, serviceId);
+    if (!service || !REQUESTABLE_SERVICE_TYPES.includes(service.type)) {
+        throw new NotFoundError('Service not found');
+    }
+    service.assertTransactable(Number(amount));
+
+    if (transactionType === 'withdrawal') {
+        const [accounts] = await query(
+            'SELECT balance FROM member_accounts WHERE society_id = ? AND member_id = ? AND service_id = ?',
+            [societyId, member.id, service.id]
+        );
+        const balance = accounts.length > 0 ? toCents(accounts[0].balance) : 0;
+        if (toCents(amount) > balance) {
+            throw new ValidationError(`Insufficient balance: available ${fromCents(balance).toFixed(2)}`);
+        }
+    }
+
+    const requestId = uuidv4();
+    await query(
+        `INSERT INTO transaction_requests (id, society_id, member_id, service_id, transaction_type, amount, description, status)
+         VALUES (?, ?, ?, ?, ?, ?, ?, 'pending')`,
+        [requestId, societyId, member.id, service.id, transactionType, fromCents(toCents(amount)), description || null]
+    );
+
+    return await TransactionRequest.findById(societyId, requestId);
+};
+
+// Approve a pending request and post it to the ledger in the same unit of work
+const approveRequest = async (societyId, requestId, userId, note) => {
+    assertTenant(societyId);
+
+    return await withTransaction(async (connection) => {
+        const request = await lockPendingRequest(connection, societyId, requestId);
+
+        const { transaction } = await postTransaction({
+            societyId,
+            memberId: request.memberId,
+            serviceId: request.serviceId,
+            transactionType: request.transactionType,
+            amount: request.amount,
+            description: request.description || `Member ${request.transactionType} request`,
+            referenceNumber: `REQ-${request.id}`
+        }, { connection });
+
+        await connection.execute(
+            `UPDATE transaction_requests SET status = 'approved', transaction_id = ?, reviewed_by = ?,
+             reviewed_at = CURRENT_TIMESTAMP, review_note = ? WHERE id = ?`,
+            [transaction.id, userId, note || null, request.id]
+        );
+
+        return {
+            request: await TransactionRequest.findById(societyId, request.id, connection),
+            transaction
+        };
+    });
+};
+
+// Reject a pending request
+const rejectRequest = async (societyId, requestId, userId, note) => {
+    assertTenant(societyId);
+
+    return await withTransaction(async (connection) => {
+        const request = await lockPendingRequest(connection, societyId, requestId);
+
+        await connection.execute(
+            `UPDATE transaction_requests SET status = 'rejected', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP,
+             review_note = ? WHERE id = ?`,
+            [userId, note || null, request.id]
+        );
+
+        return await TransactionRequest.findById(societyId, request.id, connection);
+    });
+};
+
+// Withdraw a pending request; members may only cancel their own
+const cancelRequest = async (societyId, memberId, requestId) => {
+    assertTenant(societyId);
+
+    return await withTransaction(async (connection) => {
+        const request = await lockPendingRequest(connection, societyId, requestId, memberId);
+
+        await connection.execute(
+            `UPDATE transaction_requests SET status = 'cancelled' WHERE id = ?`,
+            [request.id]
+        );
+
+        return await TransactionRequest.findById(societyId, request.id, connection);
+    });
+};
+
+module.exports = {
+    submitRequest,
+    approveRequest,
+    rejectRequest,
+    cancelRequest
+};
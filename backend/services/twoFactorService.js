@@ -0,0 +1,364 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const QRCode = require('qrcode');
+const { v4: uuidv4 } = require('uuid');
+const { query, withTransaction } = require('../config/db');
+const loginProtectionService = require('./loginProtectionService');
+const totp = require('../utils/totp');
+const { ConflictError, ForbiddenError, NotFoundError, UnauthorizedError, ValidationError } = require('../utils/errors');
+
+// TOTP two-factor authentication for developer and society accounts.
+// Enrolment stores an encrypted secret and is confirmed with a first code,
+// which also issues one-time recovery codes (stored hashed). Once enabled,
+// a correct password only opens a short-lived login challenge; the session
+// is started when the challenge is answered with a code or a recovery code.
+// Developers can be required to enrol (REQUIRE_DEVELOPER_TWO_FACTOR); until
+// they do, their sessions only reach account self-management routes.
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'CoopBase';
+const CHALLENGE_TTL_MINUTES = parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_MINUTES) || 5;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+
+// Roles that sign in through the developer or society login
+const TWO_FACTOR_ROLES = ['developer', 'society_admin', 'society_staff'];
+
+const hashValue = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// TOTP secrets must be readable to check codes, so they are encrypted
+// (AES-256-GCM) rather than hashed
+const encryptionKey = () => crypto.createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+};
+
+const decryptSecret = (stored) => {
+    const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Recovery codes look like 1f3a9-c04be; dashes and case are ignored when entered
+const normalizeRecoveryCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+
+const generateRecoveryCode = () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+};
+
+// Replace a user's recovery codes inside a unit of work; resolves to the new codes in clear
+const replaceRecoveryCodes = async (connection, userId) => {
+    await connection.execute('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const code = generateRecoveryCode();
+        await connection.execute(
+            'INSERT INTO user_recovery_codes (id, user_id, code_hash) VALUES (?, ?, ?)',
+            [uuidv4(), userId, hashValue(normalizeRecoveryCode(code))]
+        );
+        codes.push(code);
+    }
+
+    return codes;
+};
+
+const countRecoveryCodes = async (execute, userId) => {
+    const [rows] = await execute(
+        'SELECT COUNT(*) as remaining FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+        [userId]
+    );
+    return Number(rows[0].remaining);
+};
+
+// Lock a user's two-factor state inside a unit of work
+const lockUser = async (connection, userId) => {
+    const [users] = await connection.execute(
+        `SELECT id, email, role, society_id, password, two_factor_secret, two_factor_enabled_at, two_factor_last_step,
+                locked_until
+         FROM users WHERE id = ? FOR UPDATE`,
+        [userId]
+    );
+    if (users.length === 0) {
+        throw new NotFoundError('User not found');
+    }
+
+    return users[0];
+};
+
+// Check a second factor for a locked, enrolled user and use it up: a TOTP
+// code cannot be replayed and a recovery code works once. Resolves to the
+// method that matched ('totp' or 'recovery_code'), or null.
+const useSecondFactor = async (connection, user, { code, recoveryCode }) => {
+    if (code) {
+        const step = totp.verifyCode(decryptSecret(user.two_factor_secret), code, {
+            afterStep: user.two_factor_last_step === null ? null : Number(user.two_factor_last_step)
+        });
+        if (step === null) {
+            return null;
+        }
+
+        await connection.execute('UPDATE users SET two_factor_last_step = ? WHERE id = ?', [step, user.id]);
+        return 'totp';
+    }
+
+    if (recoveryCode) {
+        const [codes] = await connection.execute(
+            `SELECT id FROM user_recovery_codes WHERE user_id = ? AND code_hash = ? AND used_at IS NULL FOR UPDATE`,
+            [user.id, hashValue(normalizeRecoveryCode(recoveryCode))]
+        );
+        if (codes.length === 0) {
+            return null;
+        }
+
+        await connection.execute('UPDATE user_recovery_codes SET used_at = CURRENT_TIMESTAMP WHERE id = ?', [codes[0].id]);
+        return 'recovery_code';
+    }
+
+    return null;
+};
+
+const clearTwoFactor = async (connection, userId) => {
+    await connection.execute(
+        `UPDATE users SET two_factor_secret = NULL, two_factor_enabled_at = NULL, two_factor_last_step = NULL,
+            updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [userId]
+    );
+    await connection.execute('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+    await connection.execute(
+        'UPDATE login_challenges SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL',
+        [userId]
+    );
+};
+
+// True if the user must have two-factor authentication enabled
+const isRequired = (user) => user.role === 'developer' && process.env.REQUIRE_DEVELOPER_TWO_FACTOR === 'true';
+
+const isEnabled = (user) => Boolean(user.twoFactorEnabledAt);
+
+// True while a user who must enrol has not done so yet
+const isSetupPending = (user) => isRequired(user) && !isEnabled(user);
+
+const getStatus = async (user) => ({
+    enabled: isEnabled(user),
+    enabledAt: user.twoFactorEnabledAt || null,
+    required: isRequired(user),
+    recoveryCodesRemaining: isEnabled(user) ? await countRecoveryCodes(query, user.id) : 0
+});
+
+// Start enrolment: store a new secret and return it as text, otpauth URI and
+// QR code (PNG data URL). Nothing changes at login until it is confirmed.
+const beginEnrolment = async (user) => {
+    if (!TWO_FACTOR_ROLES.includes(user.role)) {
+        throw new ForbiddenError('Two-factor authentication is not available for this account');
+    }
+
+    if (isEnabled(user)) {
+        throw new ConflictError('Two-factor authentication is already enabled; disable it before enrolling a new device');
+    }
+
+    const secret = totp.generateSecret();
+    await query(
+        'UPDATE users SET two_factor_secret = ?, two_factor_last_step = NULL WHERE id = ?',
+        [encryptSecret(secret), user.id]
+    );
+
+    const otpauthUri = totp.otpauthUri(secret, { issuer: ISSUER, account: user.email });
+
+    return {
+        secret,
+        otpauthUri,
+        qrCode: await QRCode.toDataURL(otpauthUri)
+    };
+};
+
+// Confirm enrolment with a code from the app; resolves to the recovery codes,
+// which are shown this once
+const confirmEnrolment = async (user, code) => await withTransaction(async (connection) => {
+    const stored = await lockUser(connection, user.id);
+    if (stored.two_factor_enabled_at) {
+        throw new ConflictError('Two-factor authentication is already enabled');
+    }
+    if (!stored.two_factor_secret) {
+        throw new ValidationError('Start the two-factor setup first');
+    }
+
+    if (!(await useSecondFactor(connection, stored, { code }))) {
+        throw new ValidationError('Invalid authentication code');
+    }
+
+    await connection.execute(
+        'UPDATE users SET two_factor_enabled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [user.id]
+    );
+
+    return await replaceRecoveryCodes(connection, user.id);
+});
+
+// Turn two-factor authentication off with the password and a code or recovery code
+const disable = async (user, { password, code, recoveryCode }) => {
+    if (isRequired(user)) {
+        throw new ForbiddenError('Two-factor authentication is required for this account');
+    }
+
+    await withTransaction(async (connection) => {
+        const stored = await lockUser(connection, user.id);
+        if (!stored.two_factor_enabled_at) {
+            throw new ConflictError('Two-factor authentication is not enabled');
+        }
+
+        if (!password || !(await bcrypt.compare(password, stored.password))) {
+            throw new ValidationError('Current password is incorrect');
+        }
+
+        if (!(await useSecondFactor(connection, stored, { code, recoveryCode }))) {
+            throw new ValidationError('Invalid authentication code');
+        }
+
+        await clearTwoFactor(connection, user.id);
+    });
+};
+
+// Replace the recovery codes, confirmed with a code from the app
+const regenerateRecoveryCodes = async (user, code) => await withTransaction(async (connection) => {
+    const stored = await lockUser(connection, user.id);
+    if (!stored.two_factor_enabled_at) {
+        throw new ConflictError('Two-factor authentication is not enabled');
+    }
+
+    if (!(await useSecondFactor(connection, stored, { code }))) {
+        throw new ValidationError('Invalid authentication code');
+    }
+
+    return await replaceRecoveryCodes(connection, user.id);
+});
+
+// Remove another user's two-factor authentication, e.g. after a lost phone
+// (developer only). Resolves to the user's { id, email, role, societyId }.
+const reset = async (actor, userId) => {
+    if (actor.id === userId) {
+        throw new ForbiddenError('Use the disable endpoint to turn off your own two-factor authentication');
+    }
+
+    return await withTransaction(async (connection) => {
+        const stored = await lockUser(connection, userId);
+        if (!stored.two_factor_secret) {
+            throw new ConflictError('Two-factor authentication is not set up for this user');
+        }
+
+        await clearTwoFactor(connection, userId);
+
+        return { id: stored.id, email: stored.email, role: stored.role, societyId: stored.society_id };
+    });
+};
+
+// Open a login challenge for a user whose password was correct.
+// `loginType` is the login that must be completed: 'developer' or 'society'.
+const startChallenge = async (user, loginType, { ip } = {}) => {
+    const challengeToken = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + CHALLENGE_TTL_MINUTES * 60 * 1000);
+
+    await query(
+        `INSERT INTO login_challenges (id, user_id, login_type, token_hash, ip_address, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [uuidv4(), user.id, loginType, hashValue(challengeToken), ip || null, expiresAt]
+    );
+
+    return {
+        challengeToken,
+        expiresIn: CHALLENGE_TTL_MINUTES * 60
+    };
+};
+
+// Answer a login challenge with a TOTP code or a recovery code. A challenge
+// works once and is closed after MAX_CHALLENGE_ATTEMPTS wrong codes; wrong
+// codes also count towards locking the account (see loginProtectionService).
+// Resolves to { userId, loginType, method, recoveryCodesRemaining }.
+const completeChallenge = async (challengeToken, { code, recoveryCode }, { ip, userAgent } = {}) => {
+    if (!challengeToken || typeof challengeToken !== 'string') {
+        throw new UnauthorizedError('Login challenge required');
+    }
+
+    // Failed attempts must be counted even though the request fails, so the
+    // unit of work returns the failure instead of throwing it
+    const outcome = await withTransaction(async (connection) => {
+        const [challenges] = await connection.execute(
+            'SELECT * FROM login_challenges WHERE token_hash = ? FOR UPDATE',
+            [hashValue(challengeToken)]
+        );
+        const challenge = challenges[0];
+        if (!challenge || challenge.used_at || new Date(challenge.expires_at) <= new Date()) {
+            return { error: 'Login challenge is invalid or has expired, please log in again' };
+        }
+
+        const user = await lockUser(connection, challenge.user_id);
+        if (!user.two_factor_enabled_at || loginProtectionService.isLocked(user)) {
+            return { error: 'Login challenge is invalid or has expired, please log in again' };
+        }
+
+        const method = await useSecondFactor(connection, user, { code, recoveryCode });
+        if (!method) {
+            const attempts = challenge.attempts + 1;
+            await connection.execute(
+                `UPDATE login_challenges SET attempts = ?, used_at = IF(? >= ?, CURRENT_TIMESTAMP, NULL) WHERE id = ?`,
+                [attempts, attempts, MAX_CHALLENGE_ATTEMPTS, challenge.id]
+            );
+            return {
+                error: attempts >= MAX_CHALLENGE_ATTEMPTS
+                    ? 'Too many invalid codes, please log in again'
+                    : 'Invalid authentication code',
+                failure: { userId: user.id, loginType: challenge.login_type }
+            };
+        }
+
+        await connection.execute('UPDATE login_challenges SET used_at = CURRENT_TIMESTAMP WHERE id = ?', [challenge.id]);
+
+        return {
+            userId: user.id,
+            loginType: challenge.login_type,
+            method,
+            recoveryCodesRemaining: await countRecoveryCodes(connection.execute.bind(connection), user.id)
+        };
+    });
+
+    if (outcome.failure) {
+        const block = await loginProtectionService.recordFailedLogin(outcome.failure.userId, {
+            loginType: outcome.failure.loginType,
+            reason: 'invalid_two_factor_code',
+            ip,
+            userAgent
+        });
+        if (block && block.locked) {
+            throw new UnauthorizedError('Too many failed attempts; the account is temporarily locked');
+        }
+    }
+
+    if (outcome.error) {
+        throw new UnauthorizedError(outcome.error);
+    }
+
+    return outcome;
+};
+
+module.exports = {
+    TWO_FACTOR_ROLES,
+    isRequired,
+    isEnabled,
+    isSetupPending,
+    getStatus,
+    beginEnrolment,
+    confirmEnrolment,
+    disable,
+    regenerateRecoveryCodes,
+    reset,
+    startChallenge,
+    completeChallenge
+};
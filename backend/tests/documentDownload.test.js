@@ -0,0 +1,104 @@
+jest.mock('mysql2/promise', () => require('./helpers/fakeDatabase').mysql);
+jest.mock('../utils/auditTrail', () => ({
+    ...jest.requireActual('../utils/auditTrail'),
+    logAuditTrail: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.JWT_SECRET = 'document-download-test-secret';
+process.env.UPLOAD_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'coopbase-documents-'));
+
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { database } = require('./helpers/fakeDatabase');
+const app = require('../server');
+
+const SOCIETY_ID = '00000000-0000-4000-8000-000000000001';
+const ADMIN = { id: 'user-admin', email: 'admin@example.com', name: 'Ada Admin', role: 'society_admin', society_id: SOCIETY_ID, status: 'active' };
+const HTML = Buffer.from('<html><script>alert(document.cookie)</script></html>');
+
+const DOCUMENTS = {
+    // Uploaded with content detection: type sniffed, checksum recorded
+    detected: {
+        id: '00000000-0000-4000-8000-0000000000d1',
+        file_name: 'bylaws.pdf',
+        mime_type: 'application/pdf',
+        checksum_sha256: 'a'.repeat(64)
+    },
+    // Carried over by the storage migration: the type the client claimed
+    legacy: {
+        id: '00000000-0000-4000-8000-0000000000d2',
+        file_name: 'certificate.html',
+        mime_type: 'text/html',
+        checksum_sha256: null
+    }
+};
+
+const download = (document, query = '?inline=true') => request(app)
+    .get(`/api/auth/society/${SOCIETY_ID}/documents/${document.id}${query}`)
+    .set('Authorization', `Bearer ${jwt.sign({
+        userId: ADMIN.id,
+        role: ADMIN.role,
+        societyId: SOCIETY_ID,
+        sid: 'session-admin'
+    }, process.env.JWT_SECRET)}`);
+
+beforeAll(() => {
+    fs.mkdirSync(path.join(process.env.UPLOAD_PATH, 'societies'));
+    for (const document of Object.values(DOCUMENTS)) {
+        fs.writeFileSync(path.join(process.env.UPLOAD_PATH, 'societies', document.file_name), HTML);
+    }
+});
+
+afterAll(() => {
+    fs.rmSync(process.env.UPLOAD_PATH, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    database.reset();
+    ['societies', 'society_roles', 'society_documents'].forEach(name => database.defineTable(name));
+    database.defineTable('users', { unique: { email: ['email'] } });
+    database.defineTable('user_sessions', { defaults: { revoked_at: null, scope: null } });
+
+    database.handle(/^SELECT u\.\*, r\.name as society_role_name/,
+        ([id]) => database.rows('users').filter(user => user.id === id));
+
+    database.seed('societies', [{ id: SOCIETY_ID, name: 'Alpha Savings', status: 'approved' }]);
+    database.seed('users', [ADMIN]);
+    database.seed('user_sessions', [{
+        id: 'session-admin',
+        user_id: ADMIN.id,
+        expires_at: new Date(Date.now() + 60 * 60 * 1000)
+    }]);
+    database.seed('society_documents', Object.values(DOCUMENTS).map(document => ({
+        ...document,
+        society_id: SOCIETY_ID,
+        document_type: 'additional',
+        storage_key: `societies/${document.file_name}`,
+        storage_driver: 'local',
+        file_size: HTML.length
+    })));
+});
+
+describe('society document download', () => {
+    test('previews a document whose type was detected at upload inline', async () => {
+        const response = await download(DOCUMENTS.detected);
+
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toBe('application/pdf');
+        expect(response.headers['content-disposition']).toMatch(/^inline; filename="bylaws\.pdf"/);
+    });
+
+    test('only ever serves a migrated document as an opaque download', async () => {
+        for (const query of ['?inline=true', '']) {
+            const response = await download(DOCUMENTS.legacy, query);
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toBe('application/octet-stream');
+            expect(response.headers['content-disposition']).toMatch(/^attachment; filename="certificate\.html"/);
+        }
+    });
+});
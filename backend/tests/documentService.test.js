@@ -0,0 +1,83 @@
+const { inspectDocument, inspectUploads } = require('../services/documentService');
+
+const PDF = Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1');
+const PNG = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00, 0x00, 0x00, 0x0D]);
+const JPEG = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10, 0x4A, 0x46]);
+const EXECUTABLE = Buffer.from([0x4D, 0x5A, 0x90, 0x00, 0x03, 0x00, 0x00, 0x00]);
+
+// A multer memory-storage file; the client-supplied name and mimetype are
+// what an attacker controls
+const upload = (originalname, buffer, mimetype = 'application/pdf') => ({
+    originalname,
+    mimetype,
+    buffer,
+    size: buffer.length
+});
+
+describe('inspectDocument', () => {
+    test('accepts content of an allowed type and describes it from the bytes', () => {
+        const result = inspectDocument('registration_certificate', upload('certificate.pdf', JPEG));
+
+        expect(result).toMatchObject({ documentType: 'registration_certificate', mimeType: 'image/jpeg', extension: '.jpg' });
+        expect(result.checksum).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    test('rejects an image named and labelled as a PDF where only PDFs are allowed', () => {
+        expect(() => inspectDocument('bylaws', upload('bylaws.pdf', PNG, 'application/pdf')))
+            .toThrow(expect.objectContaining({
+                name: 'ValidationError',
+                message: 'Invalid document type',
+                details: [{ fileName: 'bylaws.pdf', message: 'File content must be one of: application/pdf' }]
+            }));
+    });
+
+    test('rejects content that is no accepted type at all', () => {
+        expect(() => inspectDocument('additional', upload('minutes.pdf', EXECUTABLE)))
+            .toThrow(expect.objectContaining({ name: 'ValidationError', message: 'Invalid document type' }));
+        expect(() => inspectDocument('additional', upload('empty.pdf', Buffer.alloc(0))))
+            .toThrow(expect.objectContaining({ name: 'ValidationError', message: 'Invalid document type' }));
+    });
+
+    test('rejects an unknown document type and a missing file', () => {
+        expect(() => inspectDocument('passport', upload('passport.pdf', PDF)))
+            .toThrow(expect.objectContaining({ name: 'ValidationError' }));
+        expect(() => inspectDocument('bylaws', undefined))
+            .toThrow(expect.objectContaining({ name: 'ValidationError', message: 'A document file is required' }));
+    });
+});
+
+describe('inspectUploads', () => {
+    test('accepts registration uploads whose content matches their field', () => {
+        const uploads = inspectUploads({
+            registrationCertificate: [upload('certificate.png', PNG, 'image/png')],
+            bylaws: [upload('bylaws.pdf', PDF)],
+            additionalDocs: [upload('minutes.pdf', PDF), upload('photo.jpg', JPEG, 'image/jpeg')]
+        });
+
+        expect(uploads.map(({ documentType, mimeType }) => [documentType, mimeType])).toEqual([
+            ['registration_certificate', 'image/png'],
+            ['bylaws', 'application/pdf'],
+            ['additional', 'application/pdf'],
+            ['additional', 'image/jpeg']
+        ]);
+    });
+
+    test('lists every upload whose bytes do not match its claimed type', () => {
+        let error;
+        try {
+            inspectUploads({
+                registrationCertificate: [upload('certificate.pdf', PDF)],
+                bylaws: [upload('bylaws.pdf', JPEG)],
+                additionalDocs: [upload('minutes.pdf', PDF), upload('invoice.pdf', EXECUTABLE)]
+            });
+        } catch (caught) {
+            error = caught;
+        }
+
+        expect(error).toMatchObject({ name: 'ValidationError', message: 'Invalid document type' });
+        expect(error.details).toEqual([
+            { field: 'bylaws', fileName: 'bylaws.pdf', message: 'File content must be one of: application/pdf' },
+            { field: 'additionalDocs', fileName: 'invoice.pdf', message: 'File content must be one of: application/pdf, image/jpeg, image/png' }
+        ]);
+    });
+});
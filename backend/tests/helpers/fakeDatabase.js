@@ -0,0 +1,501 @@
+// In-memory stand-in for a MySQL server, installed in tests by mocking
+// mysql2/promise so config/db.js (pool, query, withTransaction) runs unchanged:
+//
+//     jest.mock('mysql2/promise', () => require('./helpers/fakeDatabase').mysql);
+//
+// It understands the simple statements models and services issue: one-table
+// SELECT, INSERT [IGNORE] (or with a no-op ON DUPLICATE KEY UPDATE, which
+// locks the existing row), UPDATE and DELETE whose WHERE is a list of
+// `column = ?`-style conditions joined by AND (values may also be literals,
+// CURRENT_TIMESTAMP or DATE_ADD/DATE_SUB of it). It emulates what the code
+// relies on from InnoDB:
+// - every connection has its own transaction; statements outside one autocommit
+// - rows written in a transaction are invisible to other connections until it commits
+// - UPDATE, DELETE and SELECT ... FOR UPDATE / LOCK IN SHARE MODE lock the rows
+//   they match until commit or rollback (all locks are exclusive); a locking
+//   read returns the latest committed row
+// - unique keys raise ER_DUP_ENTRY, after waiting for a conflicting
+//   uncommitted row to be committed or rolled back
+// It has no shared locks and no deadlock detection, so tests on it show the
+// order in which postings take locks and see rows, not how InnoDB schedules them.
+// Any other statement must be answered by a handler registered with
+// `handle(pattern, fn)`; unknown statements throw so tests fail loudly.
+
+const LOCK_WAIT_TIMEOUT_MS = 2000;
+const INTERVAL_MS = { SECOND: 1000, MINUTE: 60 * 1000, HOUR: 60 * 60 * 1000, DAY: 24 * 60 * 60 * 1000 };
+
+const databaseError = (code, errno, message) => Object.assign(new Error(message), { code, errno });
+
+const normalize = (sql) => sql.replace(/\s+/g, ' ').trim();
+
+// Strip a table alias: `u.email` -> `email`
+const columnName = (name) => name.trim().replace(/`/g, '').split('.').pop();
+
+// A literal in SQL text, or a `?` placeholder taken from params
+const parseValue = (token, params) => {
+    const value = token.trim();
+    if (value === '?') {
+        if (params.length === 0) {
+            throw new Error('Fake database: fewer parameters than placeholders');
+        }
+        return params.shift();
+    }
+    if (/^NULL$/i.test(value)) {
+        return null;
+    }
+    if (/^(TRUE|FALSE)$/i.test(value)) {
+        return /^TRUE$/i.test(value);
+    }
+    if (/^(CURRENT_TIMESTAMP|NOW\(\))$/i.test(value)) {
+        return new Date();
+    }
+    const interval = value.match(/^DATE_(ADD|SUB)\(CURRENT_TIMESTAMP, INTERVAL (\?|\d+) (SECOND|MINUTE|HOUR|DAY)\)$/i);
+    if (interval) {
+        const amount = Number(interval[2] === '?' ? parseValue('?', params) : interval[2]);
+        const sign = /^ADD$/i.test(interval[1]) ? 1 : -1;
+        return new Date(Date.now() + sign * amount * INTERVAL_MS[interval[3].toUpperCase()]);
+    }
+    if (/^'.*'$/.test(value)) {
+        return value.slice(1, -1).replace(/''/g, "'");
+    }
+    if (/^-?\d+(\.\d+)?$/.test(value)) {
+        return Number(value);
+    }
+    throw new Error(`Fake database: unsupported value ${value}`);
+};
+
+const sameValue = (a, b) => {
+    if (a instanceof Date || b instanceof Date) {
+        return new Date(a).getTime() === new Date(b).getTime();
+    }
+    if (typeof a === 'number' || typeof b === 'number') {
+        return a !== null && b !== null && Number(a) === Number(b);
+    }
+    return a === b;
+};
+
+// WHERE a = ? AND b IS NULL AND c IN (?, ?) -> predicate(row)
+const parseWhere = (clause, params) => {
+    if (!clause) {
+        return () => true;
+    }
+
+    const tests = clause.split(/\s+AND\s+/i).map((condition) => {
+        let match = condition.match(/^\(?\s*([\w.`]+)\s+IS\s+(NOT\s+)?NULL\s*\)?$/i);
+        if (match) {
+            const column = columnName(match[1]);
+            const not = Boolean(match[2]);
+            return row => (row[column] === null || row[column] === undefined) !== not;
+        }
+
+        match = condition.match(/^([\w.`]+)\s+(NOT\s+)?IN\s*\((.*)\)$/i);
+        if (match) {
+            const column = columnName(match[1]);
+            const not = Boolean(match[2]);
+            const values = match[3].split(',').map(token => parseValue(token, params));
+            return row => values.some(value => sameValue(row[column], value)) !== not;
+        }
+
+        match = condition.match(/^([\w.`]+)\s*(=|<>|!=)\s*(.+)$/);
+        if (match) {
+            const column = columnName(match[1]);
+            const value = parseValue(match[3], params);
+            const equal = match[2] === '=';
+            return row => sameValue(row[column], value) === equal;
+        }
+
+        throw new Error(`Fake database: unsupported condition ${condition}`);
+    });
+
+    return row => tests.every(test => test(row));
+};
+
+class FakeDatabase {
+    constructor() {
+        this.reset();
+    }
+
+    // Forget all tables, rows and handlers
+    reset() {
+        this.tables = new Map();
+        this.handlers = [];
+        this.statements = [];
+        this.nextConnectionId = 1;
+    }
+
+    // Declare a table. `unique` lists the unique keys as { name: [columns] };
+    // `defaults` gives column defaults (functions are called per insert).
+    defineTable(name, { primaryKey = ['id'], unique = {}, defaults = {} } = {}) {
+        this.tables.set(name, {
+            name,
+            keys: { PRIMARY: primaryKey, ...unique },
+            defaults,
+            records: []
+        });
+    }
+
+    table(name) {
+        const table = this.tables.get(name);
+        if (!table) {
+            throw databaseError('ER_NO_SUCH_TABLE', 1146, `Fake database: table '${name}' is not defined`);
+        }
+        return table;
+    }
+
+    // Insert committed rows directly, bypassing SQL
+    seed(name, rows) {
+        const table = this.table(name);
+        for (const row of rows) {
+            table.records.push(this.newRecord(table, this.withDefaults(table, row), null));
+        }
+    }
+
+    // Committed rows of a table, or the rows one connection sees
+    rows(name, connection = null) {
+        return this.table(name).records
+            .map(record => this.visible(record, connection))
+            .filter(Boolean)
+            .map(row => ({ ...row }));
+    }
+
+    // Answer statements matching `pattern` with fn(params, { connection, database, sql }),
+    // which returns result rows (or an { affectedRows } result)
+    handle(pattern, fn) {
+        this.handlers.push({ pattern, fn });
+    }
+
+    newRecord(table, row, owner) {
+        return {
+            table: table.name,
+            committed: owner ? null : row,
+            pending: owner ? row : undefined,
+            owner,
+            holder: owner,
+            waiters: []
+        };
+    }
+
+    withDefaults(table, row) {
+        const defaults = {};
+        for (const [column, value] of Object.entries(table.defaults)) {
+            defaults[column] = typeof value === 'function' ? value() : value;
+        }
+        return { ...defaults, ...row };
+    }
+
+    // The version of a record a connection sees: its own uncommitted change,
+    // otherwise the committed row (null when inserted by another, uncommitted)
+    visible(record, connection) {
+        if (record.owner && record.owner === connection && record.pending !== undefined) {
+            return record.pending;
+        }
+        return record.committed;
+    }
+
+    // Take the record's lock for the connection's transaction, waiting for the holder
+    lock(record, connection) {
+        if (!record.holder || record.holder === connection) {
+            record.holder = connection;
+            connection.locks.add(record);
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { connection, resolve };
+            const timer = setTimeout(() => {
+                record.waiters = record.waiters.filter(entry => entry !== waiter);
+                reject(databaseError('ER_LOCK_WAIT_TIMEOUT', 1205, 'Lock wait timeout exceeded; try restarting transaction'));
+            }, LOCK_WAIT_TIMEOUT_MS);
+            waiter.resolve = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+            record.waiters.push(waiter);
+        });
+    }
+
+    // Records whose committed or uncommitted version matches, locked in table order
+    async lockMatching(table, connection, predicate) {
+        const candidates = table.records.filter(record =>
+            (record.committed && predicate(record.committed)) ||
+            (record.pending && predicate(record.pending)));
+
+        for (const record of candidates) {
+            await this.lock(record, connection);
+        }
+
+        return candidates.filter(record => table.records.includes(record) &&
+            this.visible(record, connection) && predicate(this.visible(record, connection)));
+    }
+
+    // Finish a transaction: keep or drop its changes, then hand each lock to the next waiter
+    finish(connection, keep) {
+        for (const record of connection.locks) {
+            if (record.owner === connection) {
+                if (keep) {
+                    record.committed = record.pending;
+                }
+                record.pending = undefined;
+                record.owner = null;
+                if (!record.committed) {
+                    const { records } = this.tables.get(record.table);
+                    records.splice(records.indexOf(record), 1);
+                }
+            }
+
+            record.holder = null;
+            const next = record.waiters.shift();
+            if (next) {
+                record.holder = next.connection;
+                next.connection.locks.add(record);
+                next.resolve();
+            }
+        }
+        connection.locks.clear();
+    }
+
+    // The first unique key the row conflicts with: { key, record }
+    conflict(table, row, connection, ignore = null) {
+        for (const [key, columns] of Object.entries(table.keys)) {
+            if (columns.some(column => row[column] === null || row[column] === undefined)) {
+                continue;
+            }
+
+            const record = table.records.find(candidate => candidate !== ignore &&
+                [candidate.committed, candidate.pending].some(version => version &&
+                    columns.every(column => sameValue(version[column], row[column]))));
+            if (record) {
+                return { key, columns, record };
+            }
+        }
+        return null;
+    }
+
+    async insert(connection, sql, params) {
+        const match = sql.match(/^INSERT (IGNORE )?INTO (\w+) \(([^)]*)\) VALUES \((.*?)\)(?: ON DUPLICATE KEY UPDATE (.*))?$/i);
+        // Only the no-op upsert (`id = id`) that locks an existing row is understood
+        const upsert = match && match[5] !== undefined;
+        if (!match || (upsert && !match[5].split(',').every(assignment =>
+            new Set(assignment.split('=').map(columnName)).size === 1))) {
+            throw new Error(`Fake database: unsupported statement ${sql}`);
+        }
+
+        const table = this.table(match[2]);
+        const columns = match[3].split(',').map(columnName);
+        const values = match[4].split(',').map(token => parseValue(token, params));
+        const row = this.withDefaults(table, Object.fromEntries(columns.map((column, index) => [column, values[index]])));
+
+        // A conflicting row someone else has not committed yet blocks until they do
+        for (;;) {
+            const found = this.conflict(table, row, connection);
+            if (!found) {
+                break;
+            }
+            if (found.record.owner && found.record.owner !== connection) {
+                await this.lock(found.record, connection);
+                continue;
+            }
+            if (upsert) {
+                await this.lock(found.record, connection);
+                return { affectedRows: 0, insertId: 0 };
+            }
+            if (match[1]) {
+                return { affectedRows: 0, insertId: 0 };
+            }
+            throw databaseError('ER_DUP_ENTRY', 1062,
+                `Duplicate entry '${found.columns.map(column => row[column]).join('-')}' for key '${table.name}.${found.key}'`);
+        }
+
+        const record = this.newRecord(table, row, connection);
+        connection.locks.add(record);
+        table.records.push(record);
+        return { affectedRows: 1, insertId: 0 };
+    }
+
+    async update(connection, sql, params) {
+        const match = sql.match(/^UPDATE (\w+)(?: \w+)? SET (.*?)(?: WHERE (.*))?$/i);
+        if (!match) {
+            throw new Error(`Fake database: unsupported statement ${sql}`);
+        }
+
+        const table = this.table(match[1]);
+        const assignments = match[2].split(/,(?![^(]*\))/).map((assignment) => {
+            const [column, value] = assignment.split('=');
+            return [columnName(column), parseValue(value, params)];
+        });
+        const predicate = parseWhere(match[3], params);
+
+        const records = await this.lockMatching(table, connection, predicate);
+        for (const record of records) {
+            const row = { ...this.visible(record, connection), ...Object.fromEntries(assignments) };
+            const found = this.conflict(table, row, connection, record);
+            if (found) {
+                throw databaseError('ER_DUP_ENTRY', 1062, `Duplicate entry for key '${table.name}.${found.key}'`);
+            }
+            record.pending = row;
+            record.owner = connection;
+        }
+        return { affectedRows: records.length, changedRows: records.length };
+    }
+
+    async remove(connection, sql, params) {
+        const match = sql.match(/^DELETE FROM (\w+)(?: WHERE (.*))?$/i);
+        if (!match) {
+            throw new Error(`Fake database: unsupported statement ${sql}`);
+        }
+
+        const table = this.table(match[1]);
+        const records = await this.lockMatching(table, connection, parseWhere(match[2], params));
+        for (const record of records) {
+            record.pending = null;
+            record.owner = connection;
+        }
+        return { affectedRows: records.length };
+    }
+
+    async select(connection, sql, params) {
+        const match = sql.match(/^SELECT (.+?) FROM (\w+)(?: (?!WHERE|ORDER|LIMIT|FOR|LOCK)\w+)?(?: WHERE (.*?))?(?: ORDER BY (.*?))?(?: LIMIT (\d+))?( FOR UPDATE| LOCK IN SHARE MODE)?$/i);
+        if (!match) {
+            throw new Error(`Fake database: unsupported statement ${sql}`);
+        }
+
+        const table = this.table(match[2]);
+        const predicate = parseWhere(match[3], params);
+
+        let rows;
+        if (match[6]) {
+            rows = (await this.lockMatching(table, connection, predicate)).map(record => this.visible(record, connection));
+        } else {
+            rows = table.records.map(record => this.visible(record, connection)).filter(row => row && predicate(row));
+        }
+
+        if (match[4]) {
+            const order = match[4].split(',').map((term) => {
+                const [column, direction = 'ASC'] = term.trim().split(/\s+/);
+                return { column: columnName(column), sign: /^DESC$/i.test(direction) ? -1 : 1 };
+            });
+            rows = [...rows].sort((a, b) => {
+                for (const { column, sign } of order) {
+                    if (a[column] < b[column]) return -sign;
+                    if (a[column] > b[column]) return sign;
+                }
+                return 0;
+            });
+        }
+        if (match[5]) {
+            rows = rows.slice(0, Number(match[5]));
+        }
+
+        if (match[1].trim() === '*') {
+            return rows.map(row => ({ ...row }));
+        }
+
+        const columns = match[1].split(',').map((column) => {
+            const [source, alias] = column.trim().split(/\s+as\s+/i);
+            if (!/^[\w.`]+$/.test(source)) {
+                throw new Error(`Fake database: unsupported select list ${match[1]}`);
+            }
+            return [columnName(source), alias ? alias.trim() : columnName(source)];
+        });
+        return rows.map(row => Object.fromEntries(columns.map(([source, alias]) => [alias, row[source]])));
+    }
+
+    async run(connection, rawSql, rawParams = []) {
+        const sql = normalize(rawSql);
+        if (rawParams.some(param => param === undefined)) {
+            throw new TypeError('Bind parameters must not contain undefined. To pass SQL NULL specify JS null');
+        }
+        const params = [...rawParams];
+        this.statements.push({ connection: connection.id, sql, params: rawParams });
+
+        // Let other connections interleave between statements, like a network round trip would
+        await new Promise(resolve => setImmediate(resolve));
+
+        const handler = this.handlers.find(({ pattern }) => pattern.test(sql));
+        if (handler) {
+            const result = await handler.fn(params, { connection, database: this, sql });
+            return [result, undefined];
+        }
+
+        if (/^SELECT /i.test(sql)) {
+            return [await this.select(connection, sql, params), undefined];
+        }
+        if (/^INSERT /i.test(sql)) {
+            return [await this.insert(connection, sql, params), undefined];
+        }
+        if (/^UPDATE /i.test(sql)) {
+            return [await this.update(connection, sql, params), undefined];
+        }
+        if (/^DELETE /i.test(sql)) {
+            return [await this.remove(connection, sql, params), undefined];
+        }
+        throw new Error(`Fake database: unsupported statement ${sql}`);
+    }
+
+    // A client connection; statements outside beginTransaction() autocommit
+    connect() {
+        const database = this;
+        const connection = {
+            id: this.nextConnectionId++,
+            locks: new Set(),
+            inTransaction: false,
+
+            async execute(sql, params) {
+                try {
+                    return await database.run(connection, sql, params);
+                } finally {
+                    if (!connection.inTransaction) {
+                        database.finish(connection, true);
+                    }
+                }
+            },
+            async query(sql, params) {
+                return await connection.execute(sql, params);
+            },
+            async beginTransaction() {
+                connection.inTransaction = true;
+            },
+            async commit() {
+                database.finish(connection, true);
+                connection.inTransaction = false;
+            },
+            async rollback() {
+                database.finish(connection, false);
+                connection.inTransaction = false;
+            },
+            release() {
+                if (connection.inTransaction) {
+                    database.finish(connection, false);
+                    connection.inTransaction = false;
+                }
+            }
+        };
+        return connection;
+    }
+
+    get pool() {
+        const database = this;
+        return {
+            async getConnection() {
+                return database.connect();
+            },
+            async execute(sql, params) {
+                return await database.connect().execute(sql, params);
+            },
+            async query(sql, params) {
+                return await database.connect().execute(sql, params);
+            },
+            async end() {}
+        };
+    }
+}
+
+const database = new FakeDatabase();
+
+module.exports = {
+    database,
+    // Replacement for the mysql2/promise module
+    mysql: {
+        createPool: () => database.pool
+    }
+};
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const http = require('http');
+
+// Local stand-in for an S3-compatible endpoint, for tests of the s3 storage
+// driver (point S3_ENDPOINT at `url` with S3_FORCE_PATH_STYLE=true). It keeps
+// objects in `objects`, keyed by "bucket/key", and answers path-style
+// PutObject, GetObject and DeleteObject. Like S3 it refuses a PUT whose body
+// does not match its x-amz-checksum-sha256 header, and answers a missing key
+// with NoSuchKey. Every request is logged in `requests`.
+
+const errorReply = (res, status, code, message) => {
+    res.writeHead(status, { 'Content-Type': 'application/xml' });
+    res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${message}</Message></Error>`);
+};
+
+// Undo aws-chunked content encoding: `<hex size>[;extensions]\r\n<data>\r\n`
+// repeated, ending with a zero-size chunk and optional trailing headers
+const decodeAwsChunked = (raw) => {
+    const chunks = [];
+    const trailers = {};
+    let offset = 0;
+    for (;;) {
+        const lineEnd = raw.indexOf('\r\n', offset);
+        const size = parseInt(raw.slice(offset, lineEnd).toString().split(';')[0], 16);
+        offset = lineEnd + 2;
+        if (size === 0) {
+            break;
+        }
+        chunks.push(raw.slice(offset, offset + size));
+        offset += size + 2;
+    }
+    for (const line of raw.slice(offset).toString().split('\r\n')) {
+        const colon = line.indexOf(':');
+        if (colon > 0) {
+            trailers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+        }
+    }
+    return { body: Buffer.concat(chunks), trailers };
+};
+
+const readBody = req => new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+});
+
+const startS3Stub = async () => {
+    const stub = {
+        objects: new Map(),
+        requests: [],
+        url: null,
+        close: null
+    };
+
+    const server = http.createServer(async (req, res) => {
+        const objectPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname.slice(1));
+        stub.requests.push({ method: req.method, path: objectPath, headers: req.headers });
+
+        if (req.method === 'PUT') {
+            let body = await readBody(req);
+            let headers = req.headers;
+            if ((req.headers['content-encoding'] || '').includes('aws-chunked')) {
+                const decoded = decodeAwsChunked(body);
+                body = decoded.body;
+                headers = { ...req.headers, ...decoded.trailers };
+            }
+
+            const checksum = headers['x-amz-checksum-sha256'];
+            if (checksum && checksum !== crypto.createHash('sha256').update(body).digest('base64')) {
+                return errorReply(res, 400, 'BadDigest', 'The SHA256 you specified did not match the calculated checksum.');
+            }
+
+            stub.objects.set(objectPath, { body, contentType: req.headers['content-type'], checksum });
+            res.writeHead(200, { ETag: `"${crypto.createHash('md5').update(body).digest('hex')}"` });
+            return res.end();
+        }
+
+        if (req.method === 'GET') {
+            const object = stub.objects.get(objectPath);
+            if (!object) {
+                return errorReply(res, 404, 'NoSuchKey', 'The specified key does not exist.');
+            }
+            res.writeHead(200, {
+                'Content-Type': object.contentType || 'application/octet-stream',
+                'Content-Length': object.body.length
+            });
+            return res.end(object.body);
+        }
+
+        if (req.method === 'DELETE') {
+            // S3 answers 204 whether or not the key existed
+            stub.objects.delete(objectPath);
+            res.writeHead(204);
+            return res.end();
+        }
+
+        return errorReply(res, 405, 'MethodNotAllowed', 'The specified method is not allowed against this resource.');
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    stub.url = `http://127.0.0.1:${server.address().port}`;
+    stub.close = () => new Promise(resolve => server.close(resolve));
+    return stub;
+};
+
+module.exports = {
+    startS3Stub
+};
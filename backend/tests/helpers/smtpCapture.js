@@ -0,0 +1,111 @@
+const net = require('net');
+
+// Local SMTP server that keeps the messages it receives, for tests that send
+// email through services/mailer.js (point EMAIL_HOST/EMAIL_PORT at it).
+// Set `server.failWith` to an SMTP reply (e.g. '451 Try again later') to
+// refuse every message until it is cleared.
+
+// Undo quoted-printable body encoding (soft line breaks and =XX escapes)
+const decodeQuotedPrintable = (text) => text
+    .replace(/=\r?\n/g, '')
+    .replace(/=([0-9A-F]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+const parseMessage = (raw) => {
+    const split = raw.indexOf('\r\n\r\n');
+    const head = raw.slice(0, split).replace(/\r\n[ \t]+/g, ' ');
+    const headers = {};
+    for (const line of head.split('\r\n')) {
+        const colon = line.indexOf(':');
+        headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+
+    const body = raw.slice(split + 4);
+    const encoding = (headers['content-transfer-encoding'] || '').toLowerCase();
+    return {
+        headers,
+        subject: headers.subject,
+        text: encoding === 'quoted-printable' ? decodeQuotedPrintable(body)
+            : encoding === 'base64' ? Buffer.from(body, 'base64').toString('utf8')
+                : body
+    };
+};
+
+const startSmtpCapture = async () => {
+    const capture = {
+        messages: [],
+        failWith: null,
+        port: null,
+        close: null
+    };
+
+    const server = net.createServer((socket) => {
+        let buffer = '';
+        let envelope = { from: null, to: [] };
+        let data = null;
+        const reply = line => socket.write(`${line}\r\n`);
+
+        const handleLine = (line) => {
+            if (data !== null) {
+                if (line !== '.') {
+                    data.push(line.startsWith('..') ? line.slice(1) : line);
+                    return;
+                }
+                capture.messages.push({ ...envelope, ...parseMessage(data.join('\r\n')) });
+                envelope = { from: null, to: [] };
+                data = null;
+                return reply('250 2.0.0 Message accepted');
+            }
+
+            const [command] = line.split(/[ :]/);
+            switch (command.toUpperCase()) {
+                case 'EHLO':
+                case 'HELO':
+                    return reply('250 localhost');
+                case 'MAIL':
+                    if (capture.failWith) {
+                        return reply(capture.failWith);
+                    }
+                    envelope.from = line.match(/<(.*)>/)[1];
+                    return reply('250 2.1.0 OK');
+                case 'RCPT':
+                    envelope.to.push(line.match(/<(.*)>/)[1]);
+                    return reply('250 2.1.5 OK');
+                case 'DATA':
+                    data = [];
+                    return reply('354 End data with <CR><LF>.<CR><LF>');
+                case 'RSET':
+                    envelope = { from: null, to: [] };
+                    return reply('250 2.0.0 OK');
+                case 'NOOP':
+                    return reply('250 2.0.0 OK');
+                case 'QUIT':
+                    reply('221 2.0.0 Bye');
+                    return socket.end();
+                default:
+                    return reply('502 5.5.2 Command not implemented');
+            }
+        };
+
+        socket.setEncoding('utf8');
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+            let end;
+            while ((end = buffer.indexOf('\r\n')) >= 0) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                handleLine(line);
+            }
+        });
+        socket.on('error', () => {});
+        reply('220 localhost SMTP capture');
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    capture.port = server.address().port;
+    capture.close = () => new Promise(resolve => server.close(resolve));
+    return capture;
+};
+
+module.exports = {
+    startSmtpCapture
+};
@@ -0,0 +1,142 @@
+jest.mock('mysql2/promise', () => require('./helpers/fakeDatabase').mysql);
+jest.mock('../utils/auditTrail', () => ({
+    ...jest.requireActual('../utils/auditTrail'),
+    logAuditTrail: jest.fn()
+}));
+
+const { database } = require('./helpers/fakeDatabase');
+const { runInterestAccrual } = require('../services/interestService');
+const { toCents } = require('../utils/money');
+const { toIsoDate } = require('../utils/dates');
+
+const SOCIETY = { id: 'society-1', name: 'Alpha Savings', status: 'approved' };
+const MEMBER_ID = 'member-1';
+// 36.5% p.a. is 0.1% a day
+const SERVICE = {
+    id: 'service-savings',
+    society_id: SOCIETY.id,
+    name: 'Savings',
+    type: 'savings',
+    interest_rate: 36.5,
+    interest_frequency: 'daily',
+    minimum_amount: 0,
+    maximum_amount: 0,
+    unit_price: 0,
+    status: 'active'
+};
+
+// Only the clock is faked; the fake database still waits on real timers
+const runAt = async (now, options) => {
+    jest.useFakeTimers({ now, doNotFake: ['nextTick', 'setImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask'] });
+    try {
+        return await runInterestAccrual(options);
+    } finally {
+        jest.useRealTimers();
+    }
+};
+
+const signed = row => (['deposit', 'interest'].includes(row.transaction_type) ? 1 : -1) * toCents(row.amount);
+
+const ledger = (societyId, serviceId) => database.rows('transactions')
+    .filter(row => row.society_id === societyId && row.service_id === serviceId && row.status === 'completed');
+
+const interestEntries = () => database.rows('transactions')
+    .filter(row => row.transaction_type === 'interest')
+    .map(row => ({ day: toIsoDate(row.created_at), amount: Number(row.amount), reference: row.reference_number }))
+    .sort((a, b) => a.day.localeCompare(b.day));
+
+beforeEach(() => {
+    database.reset();
+    database.defineTable('societies');
+    database.defineTable('members');
+    database.defineTable('services');
+    database.defineTable('member_accounts', {
+        unique: { uq_member_accounts_member_service: ['member_id', 'service_id'] }
+    });
+    database.defineTable('transactions', {
+        unique: { uq_transactions_reference: ['society_id', 'reference_number'] },
+        defaults: { created_at: () => new Date() }
+    });
+
+    // The accrual's joins and aggregates, over the fake's rows
+    database.handle(/^SELECT s\.id as society_id, s\.name as society_name, sv\.\*/, () =>
+        database.rows('services').map(service => ({ ...service, society_id: SOCIETY.id, society_name: SOCIETY.name })));
+    database.handle(/^SELECT t\.member_id, SUM\(CASE/, ([societyId, serviceId, firstDay]) => {
+        const balances = new Map();
+        for (const row of ledger(societyId, serviceId).filter(row => toIsoDate(row.created_at) < firstDay)) {
+            balances.set(row.member_id, (balances.get(row.member_id) || 0) + signed(row));
+        }
+        return [...balances].map(([member_id, cents]) => ({ member_id, balance: cents / 100 }));
+    });
+    database.handle(/^SELECT t\.member_id, DATE\(t\.created_at\) as day/, ([societyId, serviceId, firstDay, lastDay]) => {
+        const movements = new Map();
+        for (const row of ledger(societyId, serviceId)) {
+            const day = toIsoDate(row.created_at);
+            if (day >= firstDay && day <= lastDay) {
+                const key = `${row.member_id}|${day}`;
+                movements.set(key, (movements.get(key) || 0) + signed(row));
+            }
+        }
+        return [...movements].map(([key, cents]) => {
+            const [member_id, day] = key.split('|');
+            return { member_id, day, amount: cents / 100 };
+        });
+    });
+
+    database.seed('societies', [SOCIETY]);
+    database.seed('members', [{ id: MEMBER_ID, society_id: SOCIETY.id, status: 'active' }]);
+    database.seed('services', [SERVICE]);
+    database.seed('member_accounts', [{
+        id: 'account-1',
+        society_id: SOCIETY.id,
+        member_id: MEMBER_ID,
+        service_id: SERVICE.id,
+        balance: 100000
+    }]);
+    database.seed('transactions', [{
+        id: 'transaction-1',
+        society_id: SOCIETY.id,
+        member_id: MEMBER_ID,
+        service_id: SERVICE.id,
+        transaction_type: 'deposit',
+        amount: 100000,
+        balance_before: 0,
+        balance_after: 100000,
+        reference_number: null,
+        status: 'completed',
+        created_at: new Date(2026, 0, 29, 10, 0)
+    }]);
+});
+
+describe('daily interest accrual', () => {
+    test('nightly runs across a month boundary accrue every day once, each on its own day', async () => {
+        const [january] = await runAt(new Date(2026, 0, 31, 1, 0));
+        expect(january.services[0]).toMatchObject({ period: '2026-01', posted: 2 });
+
+        // On the 1st the default period is still January, for its last day
+        const [lastDay] = await runAt(new Date(2026, 1, 1, 1, 0));
+        expect(lastDay.services[0]).toMatchObject({ period: '2026-01', posted: 1, alreadyPosted: 2 });
+
+        const [february] = await runAt(new Date(2026, 1, 2, 1, 0));
+        expect(february.services[0]).toMatchObject({ period: '2026-02', posted: 1 });
+
+        // Each day earns 0.1% on the balance including the interest of the days before
+        expect(interestEntries()).toEqual([
+            { day: '2026-01-29', amount: 100, reference: `INT-${SERVICE.id}-${MEMBER_ID}-2026-01-29` },
+            { day: '2026-01-30', amount: 100.1, reference: `INT-${SERVICE.id}-${MEMBER_ID}-2026-01-30` },
+            { day: '2026-01-31', amount: 100.2, reference: `INT-${SERVICE.id}-${MEMBER_ID}-2026-01-31` },
+            { day: '2026-02-01', amount: 100.3, reference: `INT-${SERVICE.id}-${MEMBER_ID}-2026-02-01` }
+        ]);
+    });
+
+    test('catching up a month in one run posts what nightly runs would have', async () => {
+        const [report] = await runAt(new Date(2026, 1, 2, 1, 0), { period: '2026-01' });
+        expect(report.services[0]).toMatchObject({ period: '2026-01', posted: 3, totalInterest: 300.3 });
+
+        expect(interestEntries().map(({ day, amount }) => [day, amount])).toEqual([
+            ['2026-01-29', 100],
+            ['2026-01-30', 100.1],
+            ['2026-01-31', 100.2]
+        ]);
+    });
+});
@@ -0,0 +1,192 @@
+jest.mock('mysql2/promise', () => require('./helpers/fakeDatabase').mysql);
+// The audit hash chain is covered elsewhere; here it is enough to see the entries
+jest.mock('../utils/auditTrail', () => ({
+    ...jest.requireActual('../utils/auditTrail'),
+    logAuditTrail: jest.fn()
+}));
+jest.mock('../services/notificationService', () => ({
+    ...jest.requireActual('../services/notificationService'),
+    flushNotifications: jest.fn()
+}));
+
+process.env.JWT_SECRET = 'member-login-test-secret';
+
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { database } = require('./helpers/fakeDatabase');
+const app = require('../server');
+const { logAuditTrail } = require('../utils/auditTrail');
+
+const MEMBER_ID = '00000000-0000-4000-8000-000000000001';
+const SOCIETY = { id: 'society-1', name: 'Alpha Savings', status: 'approved' };
+const ADMIN = { id: 'user-admin', email: 'admin@example.com', name: 'Ada Admin', role: 'society_admin', society_id: SOCIETY.id };
+const MEMBER_USER = {
+    id: 'user-member',
+    email: 'member@example.com',
+    name: 'Mo Member',
+    role: 'member',
+    society_id: SOCIETY.id,
+    member_id: MEMBER_ID
+};
+const PASSWORD = 'Member-password-1';
+
+const login = (password = PASSWORD) => request(app)
+    .post('/api/auth/member/login')
+    .send({ email: MEMBER_USER.email, password });
+
+const auditActions = () => logAuditTrail.mock.calls.map(call => call[2]);
+
+const adminToken = () => jwt.sign({
+    userId: ADMIN.id,
+    role: ADMIN.role,
+    societyId: SOCIETY.id,
+    sid: 'session-admin'
+}, process.env.JWT_SECRET);
+
+beforeEach(async () => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    database.reset();
+    ['societies', 'members', 'society_roles', 'login_challenges', 'refresh_tokens', 'user_login_devices'].forEach(name =>
+        database.defineTable(name));
+    database.defineTable('users', { unique: { email: ['email'] } });
+    database.defineTable('user_sessions', { defaults: { revoked_at: null, scope: null } });
+    database.defineTable('notification_queue');
+
+    // Statements beyond the fake's one-table dialect
+    database.handle(/^SELECT u\.\*, s\.name as society_name/, ([email]) => {
+        const member = database.rows('members')[0];
+        const society = database.rows('societies')[0];
+        return database.rows('users')
+            .filter(user => user.email === email && user.role === 'member' && user.status === 'active')
+            .map(user => ({
+                ...user,
+                society_name: society.name,
+                society_status: society.status,
+                society_status_reason: null,
+                member_number: member.member_number,
+                member_status: member.status
+            }));
+    });
+    database.handle(/^SELECT u\.\*, r\.name as society_role_name/,
+        ([id]) => database.rows('users').filter(user => user.id === id));
+    database.handle(/^UPDATE refresh_tokens rt JOIN user_sessions/, () => ({ affectedRows: 0 }));
+    database.handle(/^SELECT COUNT\(\*\) as devices/, () => [{ devices: 0, same_ip: 0, same_browser: 0 }]);
+    database.handle(/^INSERT INTO user_login_devices/, () => ({ affectedRows: 1 }));
+
+    database.seed('societies', [SOCIETY]);
+    database.seed('members', [{
+        id: MEMBER_ID,
+        society_id: SOCIETY.id,
+        member_number: 'ALP-00001',
+        first_name: 'Mo',
+        last_name: 'Member',
+        status: 'active'
+    }]);
+    const password = await bcrypt.hash(PASSWORD, 4);
+    database.seed('users', [ADMIN, MEMBER_USER].map(user => ({
+        ...user,
+        member_id: user.member_id || null,
+        password,
+        status: 'active',
+        failed_login_attempts: 0,
+        last_failed_login_at: null,
+        locked_until: null
+    })));
+    database.seed('user_sessions', [{
+        id: 'session-admin',
+        user_id: ADMIN.id,
+        expires_at: new Date(Date.now() + 60 * 60 * 1000)
+    }]);
+});
+
+afterEach(() => {
+    console.error.mockRestore();
+});
+
+describe('member login', () => {
+    test('signs an active member in', async () => {
+        const response = await login();
+
+        expect(response.status).toBe(200);
+        expect(response.body.user).toMatchObject({ id: MEMBER_USER.id, memberId: MEMBER_ID });
+        expect(auditActions()).toEqual(['LOGIN']);
+    });
+
+    test('counts wrong passwords and locks the account like the other logins', async () => {
+        const first = await login('Wrong-password-1');
+        expect(first.status).toBe(401);
+        expect(auditActions()).toEqual(['LOGIN_FAILED']);
+        expect(database.rows('users').find(user => user.id === MEMBER_USER.id).failed_login_attempts).toBe(1);
+
+        // The next attempt has to wait, and is refused without checking the password
+        const early = await login();
+        expect(early.status).toBe(429);
+        expect(early.headers['retry-after']).toBeDefined();
+
+        // Five failures lock the account
+        await database.pool.execute(
+            'UPDATE users SET failed_login_attempts = ?, last_failed_login_at = ? WHERE id = ?',
+            [4, new Date(Date.now() - 60 * 60 * 1000), MEMBER_USER.id]
+        );
+        const locked = await login('Wrong-password-1');
+        expect(locked.status).toBe(429);
+        expect(auditActions()).toContain('ACCOUNT_LOCKED');
+        expect(database.rows('users').find(user => user.id === MEMBER_USER.id).locked_until.getTime())
+            .toBeGreaterThan(Date.now());
+
+        expect((await login()).status).toBe(429);
+    });
+
+    test('refuses a suspended member', async () => {
+        await database.pool.execute(`UPDATE members SET status = 'suspended' WHERE id = ?`, [MEMBER_ID]);
+
+        const response = await login();
+
+        expect(response.status).toBe(403);
+        expect(response.body.message).toBe('Your membership is not active');
+    });
+});
+
+describe('member suspension', () => {
+    test('signs the member out of self-service', async () => {
+        const { token } = (await login()).body;
+        expect((await request(app).get('/api/me/profile').set('Authorization', `Bearer ${token}`)).status).toBe(200);
+
+        const suspend = await request(app)
+            .post(`/api/societies/${SOCIETY.id}/members/${MEMBER_ID}/suspend`)
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .send({ reason: 'Arrears' });
+        expect(suspend.status).toBe(200);
+
+        const sessions = database.rows('user_sessions').filter(session => session.user_id === MEMBER_USER.id);
+        expect(sessions).toHaveLength(1);
+        expect(sessions.every(session => session.revoked_at && session.revoked_reason === 'member_suspended')).toBe(true);
+        expect((await request(app).get('/api/me/profile').set('Authorization', `Bearer ${token}`)).status).toBe(401);
+    });
+});
+
+describe('member routes', () => {
+    test('report invalid input and unknown members through the shared error contract', async () => {
+        const invalid = await request(app)
+            .post(`/api/societies/${SOCIETY.id}/members/${MEMBER_ID}/login`)
+            .set('Authorization', `Bearer ${adminToken()}`)
+            .send({ email: 'not-an-email' });
+
+        expect(invalid.status).toBe(400);
+        expect(invalid.body).toMatchObject({ error: 'Validation Error', message: 'One or more fields are invalid' });
+        expect(invalid.body.details).toEqual([
+            { field: 'email', location: 'body', message: 'Email must be a valid email address' },
+            { field: 'password', location: 'body', message: 'Password is required' }
+        ]);
+
+        const unknown = await request(app)
+            .get(`/api/societies/${SOCIETY.id}/members/00000000-0000-4000-8000-000000000099`)
+            .set('Authorization', `Bearer ${adminToken()}`);
+
+        expect(unknown.status).toBe(404);
+        expect(unknown.body).toEqual({ error: 'Not Found', message: 'Member not found' });
+    });
+});
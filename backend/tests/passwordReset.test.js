@@ -0,0 +1,191 @@
+jest.mock('mysql2/promise', () => require('./helpers/fakeDatabase').mysql);
+// The audit hash chain is covered elsewhere; here it is enough to see the entries
+jest.mock('../utils/auditTrail', () => ({
+    ...jest.requireActual('../utils/auditTrail'),
+    logAuditTrail: jest.fn()
+}));
+// Queued email is sent by calling processNotificationQueue() explicitly
+jest.mock('../services/notificationService', () => ({
+    ...jest.requireActual('../services/notificationService'),
+    flushNotifications: jest.fn()
+}));
+
+process.env.JWT_SECRET = 'password-reset-test-secret';
+process.env.APP_URL = 'http://coopbase.test';
+
+const bcrypt = require('bcryptjs');
+const request = require('supertest');
+const { database } = require('./helpers/fakeDatabase');
+const { startSmtpCapture } = require('./helpers/smtpCapture');
+const app = require('../server');
+const { query } = require('../config/db');
+const { logAuditTrail } = require('../utils/auditTrail');
+const { processNotificationQueue, flushNotifications } = require('../services/notificationService');
+
+const USER = { id: 'user-1', email: 'treasurer@example.com', name: 'Tess Treasurer' };
+const RESET_ANSWER = { message: 'If an account exists for this email, a password reset link has been sent' };
+
+let smtp;
+
+const forgot = email => request(app).post('/api/auth/password/forgot').send({ email });
+const reset = (token, newPassword) => request(app).post('/api/auth/password/reset').send({ token, newPassword });
+
+const resetLink = (message) => {
+    const match = message.text.match(/http:\/\/coopbase\.test\/reset-password\.html\?token=([\w-]+)/);
+    return match && match[1];
+};
+
+beforeAll(async () => {
+    smtp = await startSmtpCapture();
+    process.env.EMAIL_HOST = '127.0.0.1';
+    process.env.EMAIL_PORT = String(smtp.port);
+    process.env.EMAIL_FROM = 'no-reply@coopbase.test';
+});
+
+afterAll(async () => {
+    await smtp.close();
+});
+
+beforeEach(async () => {
+    smtp.messages.length = 0;
+    smtp.failWith = null;
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    database.reset();
+    database.defineTable('users', { unique: { email: ['email'] } });
+    database.defineTable('user_tokens', { defaults: { used_at: null, created_at: () => new Date() } });
+    database.defineTable('user_sessions');
+    database.defineTable('notification_queue', {
+        defaults: {
+            status: 'pending',
+            attempts: 0,
+            next_attempt_at: () => new Date(),
+            locked_at: null,
+            user_token_id: null,
+            last_error: null,
+            sent_at: null
+        }
+    });
+
+    // Statements beyond the fake's one-table dialect
+    database.handle(/^SELECT u\.\*, r\.name as society_role_name/,
+        ([id]) => database.rows('users').filter(user => user.id === id));
+    database.handle(/^UPDATE refresh_tokens rt JOIN user_sessions/, () => ({ affectedRows: 0 }));
+    database.handle(/^SELECT \* FROM notification_queue WHERE \(status = 'pending'/,
+        () => database.rows('notification_queue')
+            .filter(row => row.status === 'pending' && row.next_attempt_at <= new Date()));
+
+    database.seed('users', [{
+        ...USER,
+        password: await bcrypt.hash('Old-password-1', 4),
+        role: 'society_admin',
+        society_id: 'society-1',
+        status: 'active'
+    }]);
+});
+
+afterEach(() => {
+    console.error.mockRestore();
+});
+
+describe('password reset', () => {
+    test('emails a single-use link that sets a new password', async () => {
+        const response = await forgot(USER.email);
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual(RESET_ANSWER);
+        expect(flushNotifications).toHaveBeenCalled();
+        expect(logAuditTrail.mock.calls.map(call => call.slice(0, 5)))
+            .toEqual([[USER.id, 'society-1', 'PASSWORD_RESET_REQUEST', 'users', USER.id]]);
+
+        expect(await processNotificationQueue()).toEqual({ sent: 1, failed: 0 });
+        expect(smtp.messages).toHaveLength(1);
+        const [message] = smtp.messages;
+        expect(message.to).toEqual([USER.email]);
+        expect(message.from).toBe('no-reply@coopbase.test');
+        expect(message.subject).toBe('Reset your CoopBase password');
+        expect(message.text).toContain(`Hello ${USER.name},`);
+        expect(message.text).toContain('It expires in 60 minutes');
+
+        const token = resetLink(message);
+        expect(token).toBeTruthy();
+        // Only the hash of the token is stored, and the queued email never held it
+        const [stored] = database.rows('user_tokens');
+        expect(stored).toMatchObject({ user_id: USER.id, purpose: 'password_reset' });
+        expect(stored.token_hash).not.toContain(token);
+        const [queued] = database.rows('notification_queue');
+        expect(queued).toMatchObject({ status: 'sent', user_token_id: stored.id });
+        expect(queued.body).not.toContain(token);
+        expect(queued.body).toContain('reset-password.html?token={{token}}');
+
+        const done = await reset(token, 'New-password-2');
+        expect(done.status).toBe(200);
+        const [user] = database.rows('users');
+        expect(await bcrypt.compare('New-password-2', user.password)).toBe(true);
+
+        const replay = await reset(token, 'Other-password-3');
+        expect(replay.status).toBe(400);
+        expect(replay.body.message).toBe('This link is invalid or has expired');
+    });
+
+    test('a newer link replaces an older one', async () => {
+        await forgot(USER.email);
+        expect(await processNotificationQueue()).toEqual({ sent: 1, failed: 0 });
+        await forgot(USER.email);
+        expect(await processNotificationQueue()).toEqual({ sent: 1, failed: 0 });
+
+        const [older, newer] = smtp.messages.map(resetLink);
+        expect((await reset(older, 'New-password-2')).status).toBe(400);
+        expect((await reset(newer, 'New-password-2')).status).toBe(200);
+    });
+
+    test('an email whose link was replaced or expired before sending is not sent', async () => {
+        await forgot(USER.email);
+        await forgot(USER.email);
+
+        // Only the newer of two queued requests goes out
+        expect(await processNotificationQueue()).toEqual({ sent: 1, failed: 1 });
+        expect(smtp.messages).toHaveLength(1);
+        const [replaced] = database.rows('notification_queue').filter(row => row.status === 'failed');
+        expect(replaced.last_error).toBe('The link was used, replaced or expired before it could be sent');
+
+        await forgot(USER.email);
+        const [latest] = database.rows('user_tokens').filter(row => !row.used_at);
+        await query('UPDATE user_tokens SET expires_at = ? WHERE id = ?', [new Date(Date.now() - 1000), latest.id]);
+        expect(await processNotificationQueue()).toEqual({ sent: 0, failed: 1 });
+        expect(smtp.messages).toHaveLength(1);
+    });
+
+    test('answers an unknown address exactly like a known one and sends nothing', async () => {
+        const response = await forgot('nobody@example.com');
+
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual(RESET_ANSWER);
+        expect(database.rows('notification_queue')).toHaveLength(0);
+        expect(database.rows('user_tokens')).toHaveLength(0);
+        expect(logAuditTrail).not.toHaveBeenCalled();
+
+        await processNotificationQueue();
+        expect(smtp.messages).toHaveLength(0);
+    });
+
+    test('a failing mail server does not change the answer, and the email is retried', async () => {
+        smtp.failWith = '451 4.3.0 Mail server temporarily unavailable';
+
+        const response = await forgot(USER.email);
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual(RESET_ANSWER);
+
+        expect(await processNotificationQueue()).toEqual({ sent: 0, failed: 1 });
+        const [queued] = database.rows('notification_queue');
+        expect(queued).toMatchObject({ template: 'password_reset', recipient: USER.email, status: 'pending', attempts: 1 });
+        expect(queued.last_error).toMatch(/451/);
+        expect(queued.next_attempt_at.getTime()).toBeGreaterThan(Date.now());
+
+        // Once the server is back and the retry is due, the link goes out
+        smtp.failWith = null;
+        await query('UPDATE notification_queue SET next_attempt_at = ? WHERE id = ?', [new Date(Date.now() - 1000), queued.id]);
+        expect(await processNotificationQueue()).toEqual({ sent: 1, failed: 0 });
+        expect((await reset(resetLink(smtp.messages[0]), 'New-password-2')).status).toBe(200);
+    });
+});
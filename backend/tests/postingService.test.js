@@ -0,0 +1,190 @@
+jest.mock('mysql2/promise', () => require('./helpers/fakeDatabase').mysql);
+
+// Runs against the in-memory fake (tests/helpers/fakeDatabase.js), whose locks
+// are all exclusive and which never deadlocks: these tests pin down which rows
+// a posting locks and reads, and in what order, not InnoDB's lock scheduling.
+
+const { database } = require('./helpers/fakeDatabase');
+const { postTransaction } = require('../services/postingService');
+
+const SOCIETY_ID = 'society-1';
+const MEMBER_ID = 'member-1';
+const SERVICE_ID = 'service-savings';
+
+const entry = (overrides = {}) => ({
+    societyId: SOCIETY_ID,
+    memberId: MEMBER_ID,
+    serviceId: SERVICE_ID,
+    transactionType: 'deposit',
+    amount: 10,
+    ...overrides
+});
+
+const accountBalance = () => {
+    const [account] = database.rows('member_accounts')
+        .filter(row => row.member_id === MEMBER_ID && row.service_id === SERVICE_ID);
+    return account ? Number(account.balance) : null;
+};
+
+const seedBalance = (balance) => {
+    database.seed('member_accounts', [{
+        id: 'account-1',
+        society_id: SOCIETY_ID,
+        member_id: MEMBER_ID,
+        service_id: SERVICE_ID,
+        balance
+    }]);
+};
+
+beforeEach(() => {
+    database.reset();
+    database.defineTable('members');
+    database.defineTable('services');
+    database.defineTable('member_accounts', {
+        unique: { uq_member_accounts_member_service: ['member_id', 'service_id'] }
+    });
+    database.defineTable('transactions', {
+        unique: { uq_transactions_reference: ['society_id', 'reference_number'] },
+        defaults: { created_at: () => new Date() }
+    });
+
+    database.seed('members', [{ id: MEMBER_ID, society_id: SOCIETY_ID, status: 'active' }]);
+    database.seed('services', [{
+        id: SERVICE_ID,
+        society_id: SOCIETY_ID,
+        name: 'Savings',
+        type: 'savings',
+        interest_rate: 0,
+        minimum_amount: 0,
+        maximum_amount: 0,
+        status: 'active'
+    }]);
+});
+
+describe('postTransaction on one member account', () => {
+    test('each concurrent posting starts from the balance the previous one left', async () => {
+        seedBalance(0);
+
+        const results = await Promise.all(Array.from({ length: 20 }, () => postTransaction(entry())));
+
+        expect(results.every(result => !result.duplicate)).toBe(true);
+        expect(accountBalance()).toBe(200);
+
+        // Each posting started from the balance the previous one left: no lost updates
+        const balances = database.rows('transactions')
+            .map(row => [Number(row.balance_before), Number(row.balance_after)])
+            .sort((a, b) => a[0] - b[0]);
+        expect(balances).toEqual(Array.from({ length: 20 }, (_, index) => [index * 10, (index + 1) * 10]));
+    });
+
+    test('creates the account once when its first postings race', async () => {
+        await Promise.all([postTransaction(entry()), postTransaction(entry()), postTransaction(entry())]);
+
+        expect(database.rows('member_accounts')).toHaveLength(1);
+        expect(accountBalance()).toBe(30);
+    });
+
+    test('takes the account row with an exclusive upsert before reading its balance', async () => {
+        await postTransaction(entry());
+
+        // INSERT IGNORE would leave a shared lock for FOR UPDATE to upgrade, which
+        // deadlocks in InnoDB when two first postings race
+        const accountStatements = database.statements
+            .filter(({ sql }) => /member_accounts/.test(sql))
+            .map(({ sql }) => sql);
+        expect(accountStatements[0]).toMatch(/^INSERT INTO member_accounts .* ON DUPLICATE KEY UPDATE id = id$/);
+        expect(accountStatements[1]).toMatch(/^SELECT id, balance FROM member_accounts .* FOR UPDATE$/);
+    });
+
+    test('retries a posting chosen as a deadlock victim', async () => {
+        seedBalance(0);
+        let deadlocks = 1;
+        database.handle(/^INSERT INTO member_accounts/, (params, { connection, sql }) => {
+            if (deadlocks-- > 0) {
+                throw Object.assign(new Error('Deadlock found when trying to get lock; try restarting transaction'),
+                    { code: 'ER_LOCK_DEADLOCK', errno: 1213 });
+            }
+            return database.insert(connection, sql, params);
+        });
+
+        const result = await postTransaction(entry());
+
+        expect(result.duplicate).toBe(false);
+        expect(accountBalance()).toBe(10);
+        expect(database.rows('transactions')).toHaveLength(1);
+    });
+
+    test('rejects a withdrawal that would overdraw the account', async () => {
+        seedBalance(25);
+
+        await expect(postTransaction(entry({ transactionType: 'withdrawal', amount: 25.01 })))
+            .rejects.toMatchObject({ name: 'ValidationError', message: 'Insufficient balance' });
+
+        expect(accountBalance()).toBe(25);
+        expect(database.rows('transactions')).toHaveLength(0);
+    });
+
+    test('rejects racing withdrawals once the balance runs out', async () => {
+        seedBalance(100);
+
+        const results = await Promise.allSettled(Array.from({ length: 3 }, () =>
+            postTransaction(entry({ transactionType: 'withdrawal', amount: 40 }))));
+
+        expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(2);
+        const rejected = results.filter(result => result.status === 'rejected');
+        expect(rejected).toHaveLength(1);
+        expect(rejected[0].reason).toMatchObject({ name: 'ValidationError', message: 'Insufficient balance' });
+
+        expect(accountBalance()).toBe(20);
+        expect(database.rows('transactions').map(row => Number(row.balance_after)).sort((a, b) => a - b)).toEqual([20, 60]);
+    });
+});
+
+describe('postTransaction replaying a reference number', () => {
+    test('returns the original transaction without posting again', async () => {
+        const first = await postTransaction(entry({ referenceNumber: 'DEP-1' }));
+        const replay = await postTransaction(entry({ referenceNumber: 'DEP-1' }));
+
+        expect(first.duplicate).toBe(false);
+        expect(replay.duplicate).toBe(true);
+        expect(replay.transaction.id).toBe(first.transaction.id);
+        expect(accountBalance()).toBe(10);
+        expect(database.rows('transactions')).toHaveLength(1);
+    });
+
+    test('posts once when the same reference is posted concurrently', async () => {
+        const results = await Promise.all(Array.from({ length: 5 }, () =>
+            postTransaction(entry({ referenceNumber: 'DEP-1' }))));
+
+        expect(results.filter(result => !result.duplicate)).toHaveLength(1);
+        const [original] = results.filter(result => !result.duplicate);
+        expect(results.every(result => result.transaction.id === original.transaction.id)).toBe(true);
+        expect(accountBalance()).toBe(10);
+        expect(database.rows('transactions')).toHaveLength(1);
+
+        // The losers passed the reference check before the winner committed, so
+        // they hit the unique key and read the winner's row back
+        const replayReads = database.statements.filter(({ sql }) => /LOCK IN SHARE MODE$/.test(sql));
+        expect(replayReads.length).toBeGreaterThan(0);
+    });
+
+    test('rejects a reference already used by a different entry', async () => {
+        await postTransaction(entry({ referenceNumber: 'DEP-1' }));
+
+        await expect(postTransaction(entry({ referenceNumber: 'DEP-1', amount: 11 })))
+            .rejects.toMatchObject({ name: 'ValidationError' });
+        expect(accountBalance()).toBe(10);
+    });
+
+    test('rejects a different entry racing for the same reference', async () => {
+        const results = await Promise.allSettled([
+            postTransaction(entry({ referenceNumber: 'DEP-1' })),
+            postTransaction(entry({ referenceNumber: 'DEP-1', amount: 11 }))
+        ]);
+
+        expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+        expect(results.find(result => result.status === 'rejected').reason.message)
+            .toBe('Reference number DEP-1 is already used by a different transaction');
+        expect(database.rows('transactions')).toHaveLength(1);
+    });
+});
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const { startS3Stub } = require('./helpers/s3Stub');
+
+const BUCKET = 'coopbase-test';
+
+let stub;
+let storage;
+
+const readStream = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+};
+
+const sha256 = buffer => crypto.createHash('sha256').update(buffer).digest('hex');
+
+beforeAll(async () => {
+    stub = await startS3Stub();
+    // The driver builds its client once, from the environment at first use
+    Object.assign(process.env, {
+        S3_ENDPOINT: stub.url,
+        S3_FORCE_PATH_STYLE: 'true',
+        S3_BUCKET: BUCKET,
+        S3_REGION: 'us-east-1',
+        S3_ACCESS_KEY_ID: 'test-access-key',
+        S3_SECRET_ACCESS_KEY: 'test-secret-key'
+    });
+    storage = require('../services/storage').getStorage('s3');
+});
+
+afterAll(async () => {
+    await stub.close();
+});
+
+beforeEach(() => {
+    stub.objects.clear();
+    stub.requests.length = 0;
+    delete process.env.S3_PREFIX;
+});
+
+describe('s3 storage driver', () => {
+    test('stores an object and reads it back', async () => {
+        const body = Buffer.from('%PDF-1.4 bylaws');
+
+        await storage.put('societies/society-1/bylaws.pdf', body, { contentType: 'application/pdf', checksum: sha256(body) });
+
+        const stored = stub.objects.get(`${BUCKET}/societies/society-1/bylaws.pdf`);
+        expect(stored.body.equals(body)).toBe(true);
+        expect(stored.contentType).toBe('application/pdf');
+        expect(stored.checksum).toBe(crypto.createHash('sha256').update(body).digest('base64'));
+
+        const { stream, size } = await storage.get('societies/society-1/bylaws.pdf');
+        expect(size).toBe(body.length);
+        expect((await readStream(stream)).equals(body)).toBe(true);
+    });
+
+    test('an upload whose checksum does not match its body is refused', async () => {
+        const body = Buffer.from('%PDF-1.4 bylaws');
+
+        await expect(storage.put('societies/society-1/bylaws.pdf', body, { checksum: sha256(Buffer.from('other')) }))
+            .rejects.toMatchObject({ name: 'BadDigest' });
+        expect(stub.objects.size).toBe(0);
+    });
+
+    test('a missing object is a NotFoundError', async () => {
+        await expect(storage.get('societies/society-1/missing.pdf'))
+            .rejects.toMatchObject({ name: 'NotFoundError', message: 'Stored file not found' });
+    });
+
+    test('removes an object, and ignores one that is already gone', async () => {
+        const body = Buffer.from('%PDF-1.4 bylaws');
+        await storage.put('societies/society-1/bylaws.pdf', body, { checksum: sha256(body) });
+
+        await storage.remove('societies/society-1/bylaws.pdf');
+        expect(stub.objects.size).toBe(0);
+        await expect(storage.remove('societies/society-1/bylaws.pdf')).resolves.toBeUndefined();
+
+        await expect(storage.get('societies/society-1/bylaws.pdf')).rejects.toMatchObject({ name: 'NotFoundError' });
+    });
+
+    test('keys are placed under S3_PREFIX', async () => {
+        process.env.S3_PREFIX = 'staging/';
+        const body = Buffer.from('%PDF-1.4 bylaws');
+
+        await storage.put('societies/society-1/bylaws.pdf', body, { checksum: sha256(body) });
+
+        expect([...stub.objects.keys()]).toEqual([`${BUCKET}/staging/societies/society-1/bylaws.pdf`]);
+        expect((await readStream((await storage.get('societies/society-1/bylaws.pdf')).stream)).equals(body)).toBe(true);
+    });
+});
@@ -0,0 +1,240 @@
+jest.mock('mysql2/promise', () => require('./helpers/fakeDatabase').mysql);
+
+process.env.JWT_SECRET = 'tenant-isolation-test-secret';
+
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { database } = require('./helpers/fakeDatabase');
+const app = require('../server');
+const { tenantContext, memberContext } = require('../middleware/tenant');
+
+// Two societies, each with an admin, a member with a login and a transaction.
+// Record ids are UUIDs, as the route schemas require.
+const MEMBERS = {
+    alpha: '00000000-0000-4000-8000-00000000a001',
+    beta: '00000000-0000-4000-8000-00000000b001'
+};
+
+const TRANSACTIONS = {
+    alpha: '00000000-0000-4000-8000-00000000a002',
+    beta: '00000000-0000-4000-8000-00000000b002'
+};
+
+const SOCIETIES = {
+    alpha: { id: 'society-alpha', name: 'Alpha Savings', status: 'approved' },
+    beta: { id: 'society-beta', name: 'Beta Credit', status: 'approved' }
+};
+
+const USERS = {
+    alphaAdmin: { id: 'user-alpha-admin', role: 'society_admin', society_id: SOCIETIES.alpha.id },
+    betaAdmin: { id: 'user-beta-admin', role: 'society_admin', society_id: SOCIETIES.beta.id },
+    alphaMember: { id: 'user-alpha-member', role: 'member', society_id: SOCIETIES.alpha.id, member_id: MEMBERS.alpha },
+    developer: { id: 'user-developer', role: 'developer', society_id: null }
+};
+
+const tokenFor = (user, claims = {}) => {
+    const sessionId = `session-${user.id}`;
+    return jwt.sign({
+        userId: user.id,
+        role: user.role,
+        ...(user.society_id && { societyId: user.society_id }),
+        ...(user.member_id && { memberId: user.member_id }),
+        sid: sessionId,
+        ...claims
+    }, process.env.JWT_SECRET);
+};
+
+const get = (path, user, claims) => request(app)
+    .get(path)
+    .set('Authorization', `Bearer ${tokenFor(user, claims)}`);
+
+beforeEach(() => {
+    database.reset();
+    ['societies', 'members', 'transactions', 'society_roles', 'user_sessions'].forEach(name => database.defineTable(name));
+    database.defineTable('users', { unique: { email: ['email'] } });
+
+    // User.findById joins the user's society role, which these users do not have
+    database.handle(/^SELECT u\.\*, r\.name as society_role_name, r\.permissions as society_role_permissions FROM users u LEFT JOIN society_roles r/,
+        ([id]) => database.rows('users').filter(user => user.id === id));
+
+    database.seed('societies', Object.values(SOCIETIES));
+    database.seed('users', Object.entries(USERS).map(([key, user]) => ({
+        ...user,
+        email: `${key}@example.com`,
+        name: key,
+        status: 'active'
+    })));
+    database.seed('user_sessions', Object.values(USERS).map(user => ({
+        id: `session-${user.id}`,
+        user_id: user.id,
+        expires_at: new Date(Date.now() + 60 * 60 * 1000),
+        revoked_at: null
+    })));
+    database.seed('members', [
+        { id: MEMBERS.alpha, society_id: SOCIETIES.alpha.id, member_number: 'ALP-0001', first_name: 'Ada', last_name: 'Alpha', status: 'active' },
+        { id: MEMBERS.beta, society_id: SOCIETIES.beta.id, member_number: 'BET-0001', first_name: 'Ben', last_name: 'Beta', status: 'active' }
+    ]);
+    database.seed('transactions', [
+        { id: TRANSACTIONS.alpha, society_id: SOCIETIES.alpha.id, member_id: MEMBERS.alpha, transaction_type: 'deposit', amount: 10, balance_before: 0, balance_after: 10, status: 'completed' },
+        { id: TRANSACTIONS.beta, society_id: SOCIETIES.beta.id, member_id: MEMBERS.beta, transaction_type: 'deposit', amount: 20, balance_before: 0, balance_after: 20, status: 'completed' }
+    ]);
+
+    // The global error handler logs every rejected request
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('society-scoped routes', () => {
+    test('a society admin reads records of their own society', async () => {
+        const response = await get(`/api/societies/society-alpha/members/${MEMBERS.alpha}`, USERS.alphaAdmin);
+
+        expect(response.status).toBe(200);
+        expect(response.body.member).toMatchObject({ id: MEMBERS.alpha, societyId: SOCIETIES.alpha.id });
+    });
+
+    test('naming another society in the URL is forbidden', async () => {
+        const member = await get(`/api/societies/society-beta/members/${MEMBERS.beta}`, USERS.alphaAdmin);
+        expect(member.status).toBe(403);
+        expect(member.body.message).toBe('Access to another society is not allowed');
+
+        const transaction = await get(`/api/societies/society-beta/transactions/${TRANSACTIONS.beta}`, USERS.alphaAdmin);
+        expect(transaction.status).toBe(403);
+    });
+
+    test('an ID from another society is not found in your own', async () => {
+        const member = await get(`/api/societies/society-alpha/members/${MEMBERS.beta}`, USERS.alphaAdmin);
+        expect(member.status).toBe(404);
+        expect(member.body.member).toBeUndefined();
+
+        const transaction = await get(`/api/societies/society-alpha/transactions/${TRANSACTIONS.beta}`, USERS.alphaAdmin);
+        expect(transaction.status).toBe(404);
+        expect(transaction.body.transaction).toBeUndefined();
+    });
+
+    test('the other society is isolated the same way', async () => {
+        expect((await get(`/api/societies/society-beta/members/${MEMBERS.beta}`, USERS.betaAdmin)).status).toBe(200);
+        expect((await get(`/api/societies/society-beta/members/${MEMBERS.alpha}`, USERS.betaAdmin)).status).toBe(404);
+        expect((await get(`/api/societies/society-alpha/members/${MEMBERS.alpha}`, USERS.betaAdmin)).status).toBe(403);
+    });
+
+    test('a token naming a different society than the account is rejected', async () => {
+        const response = await get(`/api/societies/society-alpha/members/${MEMBERS.alpha}`, USERS.alphaAdmin, {
+            societyId: SOCIETIES.beta.id
+        });
+
+        expect(response.status).toBe(403);
+    });
+
+    test('a developer reaches a society only by naming it, and only its records', async () => {
+        expect((await get(`/api/societies/society-beta/members/${MEMBERS.beta}`, USERS.developer)).status).toBe(200);
+        expect((await get(`/api/societies/society-beta/members/${MEMBERS.alpha}`, USERS.developer)).status).toBe(404);
+    });
+
+    test('a member login cannot use the society API', async () => {
+        const response = await get(`/api/societies/society-alpha/members/${MEMBERS.alpha}`, USERS.alphaMember);
+
+        expect(response.status).toBe(403);
+    });
+});
+
+describe('member self-service routes', () => {
+    test('a member sees their own record', async () => {
+        const response = await get('/api/me/profile', USERS.alphaMember);
+
+        expect(response.status).toBe(200);
+        expect(response.body.member).toMatchObject({ id: MEMBERS.alpha, societyId: SOCIETIES.alpha.id });
+    });
+
+    test('a token claiming another member is rejected', async () => {
+        const response = await get('/api/me/profile', USERS.alphaMember, { memberId: MEMBERS.beta });
+
+        expect(response.status).toBe(403);
+    });
+
+    test('a login linked to a member of another society is rejected', async () => {
+        database.seed('users', [{
+            id: 'user-crossed',
+            email: 'crossed@example.com',
+            name: 'crossed',
+            role: 'member',
+            society_id: SOCIETIES.alpha.id,
+            member_id: MEMBERS.beta,
+            status: 'active'
+        }]);
+        database.seed('user_sessions', [{
+            id: 'session-user-crossed',
+            user_id: 'user-crossed',
+            expires_at: new Date(Date.now() + 60 * 60 * 1000),
+            revoked_at: null
+        }]);
+
+        const response = await get('/api/me/profile', {
+            id: 'user-crossed',
+            role: 'member',
+            society_id: SOCIETIES.alpha.id,
+            member_id: MEMBERS.beta
+        });
+
+        expect(response.status).toBe(403);
+        expect(response.body.message).toBe('Membership is not active');
+    });
+
+    test('society users have no member context', async () => {
+        expect((await get('/api/me/profile', USERS.alphaAdmin)).status).toBe(403);
+    });
+});
+
+describe('tenant middleware', () => {
+    const run = async (middleware, req) => {
+        let result;
+        await middleware(Object.assign(req, { method: 'GET', params: req.params || {} }), {}, (error) => {
+            result = error || null;
+        });
+        return result;
+    };
+
+    const user = (key) => ({ ...USERS[key], societyId: USERS[key].society_id, memberId: USERS[key].member_id });
+
+    test('tenantContext pins society users to their own society', async () => {
+        const req = { user: user('alphaAdmin'), params: {} };
+        expect(await run(tenantContext, req)).toBeNull();
+        expect(req.tenant).toEqual({ societyId: SOCIETIES.alpha.id, crossTenant: false, status: 'approved' });
+
+        const crossed = await run(tenantContext, { user: user('alphaAdmin'), params: { societyId: SOCIETIES.beta.id } });
+        expect(crossed).toMatchObject({ name: 'ForbiddenError' });
+    });
+
+    test('tenantContext needs developers to name the society', async () => {
+        expect(await run(tenantContext, { user: user('developer'), params: {} }))
+            .toMatchObject({ name: 'ForbiddenError', message: 'A society must be specified explicitly' });
+
+        const req = { user: user('developer'), params: { societyId: SOCIETIES.beta.id } };
+        expect(await run(tenantContext, req)).toBeNull();
+        expect(req.tenant).toMatchObject({ societyId: SOCIETIES.beta.id, crossTenant: true });
+
+        expect(await run(tenantContext, { user: user('developer'), params: { societyId: 'society-missing' } }))
+            .toMatchObject({ name: 'NotFoundError' });
+    });
+
+    test('tenantContext closes a suspended society to its own users', async () => {
+        database.reset();
+        database.defineTable('societies');
+        database.seed('societies', [{ ...SOCIETIES.alpha, status: 'suspended', status_reason: 'Audit' }]);
+
+        expect(await run(tenantContext, { user: user('alphaAdmin'), params: {} }))
+            .toMatchObject({ name: 'ForbiddenError', message: 'Society is suspended: Audit' });
+    });
+
+    test('memberContext resolves the member within the member\'s own society', async () => {
+        const req = { user: user('alphaMember') };
+        expect(await run(memberContext, req)).toBeNull();
+        expect(req.tenant.societyId).toBe(SOCIETIES.alpha.id);
+        expect(req.member.id).toBe(MEMBERS.alpha);
+
+        expect(await run(memberContext, { user: { ...user('alphaMember'), memberId: MEMBERS.beta } }))
+            .toMatchObject({ name: 'ForbiddenError' });
+    });
+});
@@ -0,0 +1,77 @@
+// Loan amortization schedules. All arithmetic is done in integer cents; the
+// last installment absorbs rounding so the schedule totals match exactly.
+
+const INTEREST_METHODS = ['flat', 'reducing_balance'];
+
+// Add whole months to a YYYY-MM-DD date, clamping to the end of shorter months
+const addMonths = (isoDate, months) => {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    const target = new Date(Date.UTC(year, month - 1 + months, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(day, lastDay));
+    return target.toISOString().slice(0, 10);
+};
+
+// Flat rate: interest is charged on the original principal for the whole term
+const flatSchedule = (principalCents, annualRate, termMonths) => {
+    const totalInterest = Math.round(principalCents * (annualRate / 100) * (termMonths / 12));
+    const principalPart = Math.floor(principalCents / termMonths);
+    const interestPart = Math.floor(totalInterest / termMonths);
+    const rows = [];
+
+    for (let n = 1; n <= termMonths; n++) {
+        const last = n === termMonths;
+        rows.push({
+            principalCents: last ? principalCents - principalPart * (termMonths - 1) : principalPart,
+            interestCents: last ? totalInterest - interestPart * (termMonths - 1) : interestPart
+        });
+    }
+
+    return rows;
+};
+
+// Reducing balance: equal installments, interest charged on the outstanding balance
+const reducingBalanceSchedule = (principalCents, annualRate, termMonths) => {
+    const monthlyRate = annualRate / 1200;
+    const payment = monthlyRate === 0
+        ? principalCents / termMonths
+        : principalCents * monthlyRate / (1 - Math.pow(1 + monthlyRate, -termMonths));
+    const rows = [];
+    let balance = principalCents;
+
+    for (let n = 1; n <= termMonths; n++) {
+        const interestCents = Math.round(balance * monthlyRate);
+        const principalCentsDue = n === termMonths
+            ? balance
+            : Math.min(balance, Math.round(payment) - interestCents);
+
+        rows.push({ principalCents: principalCentsDue, interestCents });
+        balance -= principalCentsDue;
+    }
+
+    return rows;
+};
+
+// Build the installment schedule of a loan.
+// Returns [{ installmentNumber, dueDate, principalCents, interestCents }]
+const buildSchedule = ({ principalCents, annualRate, termMonths, interestMethod, startDate }) => {
+    if (!INTEREST_METHODS.includes(interestMethod)) {
+        throw new Error(`Unknown interest method: ${interestMethod}`);
+    }
+
+    const rows = interestMethod === 'flat'
+        ? flatSchedule(principalCents, annualRate, termMonths)
+        : reducingBalanceSchedule(principalCents, annualRate, termMonths);
+
+    return rows.map((row, index) => ({
+        installmentNumber: index + 1,
+        dueDate: addMonths(startDate, index + 1),
+        ...row
+    }));
+};
+
+module.exports = {
+    INTEREST_METHODS,
+    addMonths,
+    buildSchedule
+};
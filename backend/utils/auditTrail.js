@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { withTransaction } = require('../config/db');
+
+// Audit entries form a hash chain: every entry stores the hash of the entry
+// before it (prev_hash) and a hash over its own content and prev_hash, in
+// strict `seq` order. Editing or deleting an entry breaks the chain, which
+// `npm run audit:verify` reports. The single row of audit_chain_head holds the
+// last sequence number and hash; locking it serialises writers.
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// JSON with sorted object keys, so equal values always hash the same
+// regardless of how MySQL reorders JSON columns
+const canonicalJson = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+};
+
+// Text columns come back as strings whatever type was written
+const text = (value) => (value === null || value === undefined || value === '' ? null : String(value));
+
+// Hash of an entry. `createdAt` is in epoch seconds, as stored, so the hash
+// does not depend on the connection time zone.
+const hashAuditEntry = (entry, prevHash) => crypto.createHash('sha256')
+    .update(canonicalJson({
+        seq: Number(entry.seq),
+        id: text(entry.id),
+        userId: text(entry.userId),
+        societyId: text(entry.societyId),
+        action: text(entry.action),
+        tableName: text(entry.tableName),
+        recordId: text(entry.recordId),
+        oldValues: entry.oldValues || null,
+        newValues: entry.newValues || null,
+        ipAddress: text(entry.ipAddress),
+        userAgent: text(entry.userAgent),
+        createdAt: Number(entry.createdAt)
+    }))
+    .update(prevHash)
+    .digest('hex');
+
+// Append an entry to the chain on the given connection (inside a unit of work)
+const appendAuditEntry = async (connection, fields) => {
+    const [heads] = await connection.execute('SELECT last_seq, last_hash FROM audit_chain_head WHERE id = 1 FOR UPDATE');
+    const head = heads[0] || { last_seq: 0, last_hash: GENESIS_HASH };
+
+    const entry = {
+        ...fields,
+        id: uuidv4(),
+        seq: Number(head.last_seq) + 1,
+        // Round-trip JSON values so the hash covers exactly what is stored
+        oldValues: fields.oldValues ? JSON.parse(JSON.stringify(fields.oldValues)) : null,
+        newValues: fields.newValues ? JSON.parse(JSON.stringify(fields.newValues)) : null,
+        createdAt: Math.floor(Date.now() / 1000)
+    };
+    const hash = hashAuditEntry(entry, head.last_hash);
+
+    await connection.execute(
+        `INSERT INTO audit_logs (id, seq, user_id, society_id, action, table_name, record_id, old_values, new_values,
+                                 ip_address, user_agent, created_at, prev_hash, hash)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, FROM_UNIXTIME(?), ?, ?)`,
+        [entry.id, entry.seq, entry.userId || null, entry.societyId || null, entry.action, entry.tableName || null,
+         entry.recordId || null,
+         entry.oldValues ? JSON.stringify(entry.oldValues) : null,
+         entry.newValues ? JSON.stringify(entry.newValues) : null,
+         entry.ipAddress || null, entry.userAgent || null, entry.createdAt, head.last_hash, hash]
+    );
+    await connection.execute(
+        `INSERT INTO audit_chain_head (id, last_seq, last_hash) VALUES (1, ?, ?)
+         ON DUPLICATE KEY UPDATE last_seq = VALUES(last_seq), last_hash = VALUES(last_hash)`,
+        [entry.seq, hash]
+    );
+
+    return entry.id;
+};
+
+// Helper function to log audit trail.
+// Pass `connection` to write the entry inside the caller's unit of work; a
+// failure then throws and rolls the change back with it. Without one, the
+// entry is written on its own and a failure must not undo a change that is
+// already committed, so it is reported with the full entry (for replay)
+// instead of thrown. Resolves to true if the entry was written.
+const logAuditTrail = async (userId, societyId, action, tableName, recordId, oldValues, newValues, ipAddress, userAgent,
+    connection = null) => {
+    const fields = { userId, societyId, action, tableName, recordId, oldValues, newValues, ipAddress, userAgent };
+
+    if (connection) {
+        await appendAuditEntry(connection, fields);
+        return true;
+    }
+
+    try {
+        await withTransaction(async (transaction) => appendAuditEntry(transaction, fields));
+        return true;
+    } catch (error) {
+        console.error('AUDIT TRAIL WRITE FAILED - entry not recorded:', JSON.stringify({
+            ...fields,
+            at: new Date().toISOString()
+        }), error);
+        return false;
+    }
+};
+
+module.exports = {
+    GENESIS_HASH,
+    hashAuditEntry,
+    logAuditTrail
+};
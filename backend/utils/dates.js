@@ -0,0 +1,33 @@
+// Date helpers for DATE columns and YYYY-MM-DD strings.
+// mysql2 returns DATE columns as Date objects at local midnight, so they are
+// formatted with local getters rather than toISOString().
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Format a Date (or pass through a date string) as YYYY-MM-DD
+const toIsoDate = (value) => {
+    if (value instanceof Date) {
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    }
+
+    return String(value).slice(0, 10);
+};
+
+// Today's date as YYYY-MM-DD
+const today = () => toIsoDate(new Date());
+
+// True for a well-formed, real YYYY-MM-DD date
+const isIsoDate = (value) => {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return false;
+    }
+
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+module.exports = {
+    toIsoDate,
+    today,
+    isIsoDate
+};
@@ -0,0 +1,51 @@
+// Application error types
+// The global error handler in server.js maps these by `name` to HTTP status codes.
+
+class AppError extends Error {
+    constructor(message, details) {
+        super(message);
+        this.name = this.constructor.name;
+        if (details) {
+            this.details = details;
+        }
+    }
+}
+
+// 400 - request failed validation
+class ValidationError extends AppError {}
+
+// 401 - missing, invalid or expired credentials
+class UnauthorizedError extends AppError {}
+
+// 403 - authenticated but not allowed
+class ForbiddenError extends AppError {}
+
+// 404 - requested resource does not exist
+class NotFoundError extends AppError {}
+
+// 409 - request conflicts with existing data
+class ConflictError extends AppError {}
+
+// Controller catch-all: typed errors go to the global handler, anything
+// unexpected is logged and answered with a generic 500
+const handleControllerError = (res, next, error, context, message) => {
+    if (error instanceof AppError) {
+        return next(error);
+    }
+
+    console.error(`${context} error:`, error);
+    res.status(500).json({
+        error: 'Internal server error',
+        message
+    });
+};
+
+module.exports = {
+    AppError,
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    handleControllerError
+};
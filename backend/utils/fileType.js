@@ -0,0 +1,24 @@
+// Detect a file's type from its leading bytes ("magic numbers") instead of
+// trusting the Content-Type the client sent with it
+
+const SIGNATURES = [
+    { mimeType: 'application/pdf', extension: '.pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2D] }, // %PDF-
+    { mimeType: 'image/png', extension: '.png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+    { mimeType: 'image/jpeg', extension: '.jpg', bytes: [0xFF, 0xD8, 0xFF] }
+];
+
+// Resolve to { mimeType, extension } for a recognised buffer, or null
+const sniffFileType = (buffer) => {
+    if (!Buffer.isBuffer(buffer)) {
+        return null;
+    }
+
+    const match = SIGNATURES.find(({ bytes }) =>
+        buffer.length >= bytes.length && bytes.every((byte, index) => buffer[index] === byte));
+
+    return match ? { mimeType: match.mimeType, extension: match.extension } : null;
+};
+
+module.exports = {
+    sniffFileType
+};
@@ -0,0 +1,20 @@
+// Money helpers. Amounts are handled as integer cents so that running
+// balances never pick up floating point drift.
+
+// Convert a decimal amount (number or DECIMAL string from MySQL) to cents
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+// Convert cents back to a decimal amount with two places
+const fromCents = (cents) => Number((cents / 100).toFixed(2));
+
+// True for a positive amount with at most two decimal places
+const isValidAmount = (amount) => {
+    const value = Number(amount);
+    return Number.isFinite(value) && value > 0 && Math.abs(value * 100 - Math.round(value * 100)) < 1e-6;
+};
+
+module.exports = {
+    toCents,
+    fromCents,
+    isValidAmount
+};
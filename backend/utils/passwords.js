@@ -0,0 +1,19 @@
+const { ValidationError } = require('./errors');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Minimum password rules for passwords users choose themselves
+const assertStrongPassword = (password) => {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw new ValidationError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+    }
+
+    if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+        throw new ValidationError('Password must contain both letters and numbers');
+    }
+};
+
+module.exports = {
+    MIN_PASSWORD_LENGTH,
+    assertStrongPassword
+};
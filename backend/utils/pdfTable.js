@@ -0,0 +1,90 @@
+const PDFDocument = require('pdfkit');
+
+// Render a titled table as a PDF document, repeating the column headings on
+// every page. Resolves to the document as a Buffer.
+//
+// columns: [{ label, width, align }] where width is relative (default 1) and
+//          align 'left' or 'right'
+// rows:    arrays of cell text, one per column; `totals` is one more such row,
+//          printed in bold below a rule
+// notes:   lines printed under the table
+
+const MARGIN = 40;
+const FONT_SIZE = 8;
+const ROW_HEIGHT = 14;
+
+const renderTablePdf = ({ title, subtitle, columns, rows, totals = null, notes = [] }) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+        size: 'A4',
+        layout: columns.length > 6 ? 'landscape' : 'portrait',
+        margin: MARGIN,
+        info: { Title: title }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const tableWidth = doc.page.width - MARGIN * 2;
+    const weights = columns.map(column => column.width || 1);
+    const unit = tableWidth / weights.reduce((total, weight) => total + weight, 0);
+    const widths = weights.map(weight => weight * unit);
+
+    const drawRow = (cells, { bold = false } = {}) => {
+        if (doc.y + ROW_HEIGHT > doc.page.height - MARGIN) {
+            doc.addPage();
+            drawHeader();
+        }
+
+        const y = doc.y;
+        let x = MARGIN;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(FONT_SIZE);
+        cells.forEach((cell, index) => {
+            doc.text(cell === null || cell === undefined ? '' : String(cell), x + 2, y + 3, {
+                width: widths[index] - 4,
+                align: columns[index].align || 'left',
+                lineBreak: false,
+                ellipsis: true
+            });
+            x += widths[index];
+        });
+        doc.x = MARGIN;
+        doc.y = y + ROW_HEIGHT;
+    };
+
+    const drawRule = () => {
+        doc.moveTo(MARGIN, doc.y).lineTo(MARGIN + tableWidth, doc.y).lineWidth(0.5).stroke();
+    };
+
+    const drawHeader = () => {
+        drawRow(columns.map(column => column.label), { bold: true });
+        drawRule();
+    };
+
+    doc.font('Helvetica-Bold').fontSize(14).text(title);
+    if (subtitle) {
+        doc.font('Helvetica').fontSize(9).text(subtitle);
+    }
+    doc.moveDown();
+
+    drawHeader();
+    rows.forEach(row => drawRow(row));
+
+    if (totals) {
+        drawRule();
+        drawRow(totals, { bold: true });
+    }
+
+    if (notes.length > 0) {
+        doc.moveDown();
+        doc.font('Helvetica').fontSize(FONT_SIZE);
+        notes.forEach(note => doc.text(note, MARGIN, doc.y, { width: tableWidth }));
+    }
+
+    doc.end();
+});
+
+module.exports = {
+    renderTablePdf
+};
@@ -0,0 +1,15 @@
+const { ForbiddenError } = require('./errors');
+
+// Guard for tenant-scoped model methods: refuse to run a query without a society.
+// Their queries on society-owned rows are then filtered by society_id.
+const assertTenant = (societyId) => {
+    if (!societyId || typeof societyId !== 'string') {
+        throw new ForbiddenError('Tenant context required');
+    }
+
+    return societyId;
+};
+
+module.exports = {
+    assertTenant
+};
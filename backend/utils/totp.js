@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) as produced by authenticator apps:
+// HMAC-SHA1, 30 second steps, 6 digits, secrets shared as base32.
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    for (const byte of buffer) {
+        bits += byte.toString(2).padStart(8, '0');
+    }
+
+    let encoded = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        encoded += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return encoded;
+};
+
+const base32Decode = (encoded) => {
+    let bits = '';
+    for (const char of encoded.replace(/[\s=-]/g, '').toUpperCase()) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        bits += value.toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+// A new random secret (160 bits, the size of an SHA-1 digest), base32 encoded
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// The time step a moment falls in
+const timeStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// The code for one time step
+const generateCode = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// Check a code against the current step and `window` steps either side, to
+// allow for clock drift. Steps up to `afterStep` are refused so a code cannot
+// be used twice. Resolves to the matching step, or null.
+const verifyCode = (secret, code, { afterStep = null, window = 1, time = Date.now() } = {}) => {
+    const candidate = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(candidate)) {
+        return null;
+    }
+
+    const current = timeStep(time);
+    for (let step = current - window; step <= current + window; step++) {
+        if (afterStep !== null && step <= afterStep) {
+            continue;
+        }
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+            return step;
+        }
+    }
+
+    return null;
+};
+
+// The otpauth:// URI authenticator apps import, usually from a QR code
+const otpauthUri = (secret, { issuer, account }) => {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = {
+    generateSecret,
+    generateCode,
+    verifyCode,
+    timeStep,
+    otpauthUri
+};
@@ -0,0 +1,230 @@
+const Society = require('../models/societyModel');
+const { DOCUMENT_TYPES } = require('../services/documentService');
+const rules = require('./rules');
+
+// Request schemas for routes/auth.js, applied with middleware/validate.js
+
+const REASON_MAX = 1000;
+
+const login = {
+    email: rules.email(),
+    password: rules.secret('Password')
+};
+
+const societyRegistration = {
+    societyName: rules.requiredString('Society name', { max: 255 }),
+    registrationNumber: rules.requiredString('Registration number', { max: 100 }),
+    societyType: rules.oneOf('Society type', Society.TYPES),
+    establishmentDate: rules.pastDate('Establishment date'),
+    societyAddress: rules.requiredString('Society address', { max: 1000 }),
+    adminName: rules.requiredString('Admin name', { max: 255 }),
+    adminEmail: rules.email('Admin email'),
+    adminPhone: rules.phone('Admin phone'),
+    password: rules.newPassword(),
+    registrationCertificate: rules.file('Registration certificate', 'registrationCertificate'),
+    bylaws: rules.file('Bylaws', 'bylaws')
+};
+
+const societyApproval = {
+    societyId: rules.id('Society'),
+    status: rules.oneOf('Status', ['approved', 'rejected']),
+    reason: rules.optionalString('Reason', { max: REASON_MAX })
+};
+
+const societySuspension = {
+    societyId: rules.id('Society'),
+    reason: rules.requiredString('Reason', { max: REASON_MAX })
+};
+
+// Reactivation, archival and reapplication, with an optional reason
+const societyTransition = {
+    societyId: rules.id('Society'),
+    reason: rules.optionalString('Reason', { max: REASON_MAX })
+};
+
+const reapplication = {
+    reason: rules.optionalString('Reason', { max: REASON_MAX })
+};
+
+const society = {
+    societyId: rules.id('Society')
+};
+
+const documentDownload = {
+    societyId: rules.id('Society'),
+    documentId: rules.id('Document'),
+    inline: {
+        in: ['query'],
+        optional: true,
+        isIn: { options: [['true', 'false']], errorMessage: 'inline must be true or false' }
+    }
+};
+
+const documentReview = {
+    societyId: rules.id('Society'),
+    documentId: rules.id('Document'),
+    status: rules.oneOf('Review status', ['accepted', 'rejected']),
+    comment: {
+        in: ['body'],
+        trim: true,
+        custom: {
+            options: (value, { req }) => {
+                if (req.body.status === 'rejected' && !value) {
+                    throw new Error('A comment is required when rejecting a document');
+                }
+                return true;
+            },
+            bail: true
+        },
+        isLength: { options: { max: REASON_MAX }, errorMessage: `Comment must be at most ${REASON_MAX} characters` }
+    }
+};
+
+const documentRequest = {
+    societyId: rules.id('Society'),
+    documentId: rules.id('Document', 'body', { required: false }),
+    documentType: {
+        in: ['body'],
+        custom: {
+            options: (value, { req }) => {
+                if (!value && !req.body.documentId) {
+                    throw new Error('Name the missing document type (documentType) or the document to correct (documentId)');
+                }
+                if (value && !DOCUMENT_TYPES[value]) {
+                    throw new Error(`Document type must be one of: ${Object.keys(DOCUMENT_TYPES).join(', ')}`);
+                }
+                return true;
+            }
+        }
+    },
+    comment: rules.requiredString('Comment', { max: REASON_MAX })
+};
+
+const documentResubmission = {
+    requestId: rules.id('Document request', 'body', { required: false }),
+    replacesDocumentId: {
+        in: ['body'],
+        custom: {
+            options: (value, { req }) => {
+                if (!value && !req.body.requestId) {
+                    throw new Error('Name the request the upload answers (requestId) or the document it replaces (replacesDocumentId)');
+                }
+                if (value && !rules.UUID_PATTERN.test(value)) {
+                    throw new Error('Replaced document is not a valid id');
+                }
+                return true;
+            }
+        }
+    },
+    documentType: rules.oneOf('Document type', Object.keys(DOCUMENT_TYPES), { required: false }),
+    document: rules.file('Document')
+};
+
+const refresh = {
+    refreshToken: rules.secret('Refresh token')
+};
+
+const passwordChange = {
+    currentPassword: rules.secret('Current password'),
+    newPassword: rules.newPassword('New password')
+};
+
+const passwordForgotten = {
+    email: rules.email()
+};
+
+const passwordReset = {
+    token: rules.secret('Reset token'),
+    newPassword: rules.newPassword('New password')
+};
+
+const invitationAcceptance = {
+    token: rules.secret('Invitation token'),
+    newPassword: rules.newPassword('New password')
+};
+
+// The verification link carries the token in the query string; API calls may post it
+const emailVerification = {
+    token: {
+        ...rules.secret('Verification token'),
+        in: ['query', 'body']
+    }
+};
+
+const verificationResend = {
+    email: rules.email()
+};
+
+const session = {
+    sessionId: rules.id('Session')
+};
+
+// An authenticator app code: six digits, spaces allowed
+const totpCode = (label = 'Authentication code', { required = true } = {}) => ({
+    in: ['body'],
+    ...(required
+        ? { exists: { errorMessage: `${label} is required`, bail: true } }
+        : { optional: { options: { values: 'falsy' } } }),
+    matches: { options: /^\s*(\d\s*){6}$/, errorMessage: `${label} must be the 6-digit code from your authenticator app` }
+});
+
+// Either a code from the app or one of the recovery codes
+const secondFactor = {
+    code: totpCode('Authentication code', { required: false }),
+    recoveryCode: {
+        in: ['body'],
+        custom: {
+            options: (value, { req }) => {
+                if (!value && !req.body.code) {
+                    throw new Error('Enter the code from your authenticator app (code) or a recovery code (recoveryCode)');
+                }
+                return true;
+            }
+        }
+    }
+};
+
+const twoFactorLogin = {
+    challengeToken: rules.secret('Login challenge'),
+    ...secondFactor
+};
+
+const twoFactorCode = {
+    code: totpCode()
+};
+
+const twoFactorDisable = {
+    password: rules.secret('Password'),
+    ...secondFactor
+};
+
+// Developer actions on another user's account
+const userAccount = {
+    userId: rules.id('User')
+};
+
+module.exports = {
+    login,
+    societyRegistration,
+    societyApproval,
+    societySuspension,
+    societyTransition,
+    reapplication,
+    society,
+    documentDownload,
+    documentReview,
+    documentRequest,
+    documentResubmission,
+    refresh,
+    passwordChange,
+    passwordForgotten,
+    passwordReset,
+    invitationAcceptance,
+    emailVerification,
+    verificationResend,
+    session,
+    twoFactorLogin,
+    twoFactorCode,
+    twoFactorDisable,
+    userAccount
+};
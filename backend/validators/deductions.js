@@ -0,0 +1,34 @@
+const rules = require('./rules');
+
+// Request schemas for routes/deductions.js, applied with middleware/validate.js
+
+const STATUSES = ['preview', 'posted', 'reversed'];
+
+const batch = {
+    batchId: rules.id('Deduction batch')
+};
+
+// The payroll file itself is checked by deductionService when it is parsed
+const upload = {
+    serviceId: rules.id('Service', 'body'),
+    period: rules.period(),
+    file: rules.file('A CSV file with member_number and amount columns')
+};
+
+const batchList = {
+    serviceId: rules.id('Service', 'query', { required: false }),
+    period: rules.period('Period', 'query', { required: false }),
+    status: rules.oneOf('Status', STATUSES, { required: false, location: 'query' })
+};
+
+const reversal = {
+    ...batch,
+    reason: rules.optionalString('Reason', { max: 1000 })
+};
+
+module.exports = {
+    batch,
+    upload,
+    batchList,
+    reversal
+};
@@ -0,0 +1,59 @@
+const Loan = require('../models/loanModel');
+const { MAX_TERM_MONTHS } = require('../services/loanService');
+const { INTEREST_METHODS } = require('../utils/amortization');
+const rules = require('./rules');
+
+// Request schemas for routes/loans.js, applied with middleware/validate.js
+
+const REASON_MAX = 1000;
+
+const loan = {
+    loanId: rules.id('Loan')
+};
+
+const application = {
+    memberId: rules.id('Member', 'body'),
+    serviceId: rules.id('Loan service', 'body'),
+    principal: rules.amount('Principal'),
+    termMonths: rules.wholeNumber('Term', { max: MAX_TERM_MONTHS }),
+    interestMethod: rules.oneOf('Interest method', INTEREST_METHODS, { required: false }),
+    purpose: rules.optionalString('Purpose', { max: REASON_MAX })
+};
+
+const loanList = {
+    memberId: rules.id('Member', 'query', { required: false }),
+    status: rules.oneOf('Status', Loan.STATUSES, { required: false, location: 'query' })
+};
+
+const loanDetail = {
+    ...loan,
+    asOf: rules.isoDate('asOf', 'query', { required: false })
+};
+
+// Installments fall due monthly from startDate, today when left out
+const approval = {
+    ...loan,
+    startDate: rules.isoDate('Start date', 'body', { required: false }),
+    reason: rules.optionalString('Reason', { max: REASON_MAX })
+};
+
+const decision = {
+    ...loan,
+    reason: rules.optionalString('Reason', { max: REASON_MAX })
+};
+
+const repayment = {
+    ...loan,
+    amount: rules.amount(),
+    referenceNumber: rules.optionalString('Reference number', { max: 100 })
+};
+
+module.exports = {
+    loan,
+    application,
+    loanList,
+    loanDetail,
+    approval,
+    decision,
+    repayment
+};
@@ -0,0 +1,70 @@
+const Member = require('../models/memberModel');
+const rules = require('./rules');
+
+// Request schemas for routes/members.js, applied with middleware/validate.js
+
+const optional = { options: { values: 'falsy' } };
+
+const member = {
+    memberId: rules.id('Member')
+};
+
+// Contact and personal details; only the names are required, on creation
+const details = {
+    email: { ...rules.email(), optional },
+    phone: { ...rules.phone(), optional },
+    address: rules.optionalString('Address', { max: 1000 }),
+    dateOfBirth: { ...rules.pastDate('Date of birth'), optional },
+    joinDate: rules.isoDate('Join date', 'body', { required: false })
+};
+
+const memberCreation = {
+    firstName: rules.requiredString('First name', { max: 100 }),
+    lastName: rules.requiredString('Last name', { max: 100 }),
+    ...details
+};
+
+const memberUpdate = {
+    ...member,
+    firstName: { ...rules.requiredString('First name', { max: 100 }), optional: true },
+    lastName: { ...rules.requiredString('Last name', { max: 100 }), optional: true },
+    ...details
+};
+
+const memberList = {
+    status: rules.oneOf('Status', Member.STATUSES, { required: false, location: 'query' }),
+    page: rules.wholeNumber('Page', { location: 'query', required: false }),
+    limit: rules.wholeNumber('Limit', { max: 100, location: 'query', required: false })
+};
+
+const statusChange = {
+    ...member,
+    reason: rules.optionalString('Reason', { max: 1000 })
+};
+
+// The email defaults to the member's own, so it may be left out
+const memberLogin = {
+    ...member,
+    email: { ...rules.email(), optional },
+    password: rules.newPassword()
+};
+
+const numbering = {
+    prefix: {
+        in: ['body'],
+        isString: { errorMessage: 'Prefix is required', bail: true },
+        trim: true,
+        toUpperCase: true,
+        matches: { options: /^[A-Z0-9]{1,20}$/, errorMessage: 'Prefix must be 1-20 letters or digits' }
+    }
+};
+
+module.exports = {
+    member,
+    memberCreation,
+    memberUpdate,
+    memberList,
+    statusChange,
+    memberLogin,
+    numbering
+};
@@ -0,0 +1,52 @@
+const rules = require('./rules');
+const { isIsoDate } = require('../utils/dates');
+
+// Query schemas for routes/reports.js, applied with middleware/validate.js
+
+const FORMATS = ['json', 'csv', 'pdf'];
+
+const reportDate = (label) => ({
+    in: ['query'],
+    optional: { options: { values: 'falsy' } },
+    custom: {
+        options: (value) => {
+            if (!isIsoDate(value)) {
+                throw new Error(`${label} must be a valid YYYY-MM-DD date`);
+            }
+            return true;
+        }
+    }
+});
+
+const report = {
+    from: reportDate('From'),
+    to: {
+        ...reportDate('To'),
+        custom: {
+            options: (value, { req }) => {
+                if (!isIsoDate(value)) {
+                    throw new Error('To must be a valid YYYY-MM-DD date');
+                }
+                if (req.query.from && value < req.query.from) {
+                    throw new Error('To must be on or after from');
+                }
+                return true;
+            }
+        }
+    },
+    format: {
+        in: ['query'],
+        optional: { options: { values: 'falsy' } },
+        isIn: { options: [FORMATS], errorMessage: `Format must be one of: ${FORMATS.join(', ')}` }
+    }
+};
+
+const memberBalances = {
+    ...report,
+    serviceId: rules.id('Service', 'query', { required: false })
+};
+
+module.exports = {
+    report,
+    memberBalances
+};
@@ -0,0 +1,174 @@
+const { assertStrongPassword } = require('../utils/passwords');
+const { isIsoDate, today } = require('../utils/dates');
+const { isValidAmount } = require('../utils/money');
+
+// Reusable express-validator schema fields. Route schemas (validators/*.js)
+// compose these, so the same field is checked the same way everywhere.
+
+const optional = { options: { values: 'falsy' } };
+
+// Ids are UUIDs; for custom validators that cannot use isUUID
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// A non-empty, trimmed body string
+const requiredString = (label, { max } = {}) => ({
+    in: ['body'],
+    trim: true,
+    notEmpty: { errorMessage: `${label} is required`, bail: true },
+    ...(max && { isLength: { options: { max }, errorMessage: `${label} must be at most ${max} characters` } })
+});
+
+// A body string that may be left out or empty
+const optionalString = (label, { max } = {}) => ({
+    in: ['body'],
+    optional,
+    trim: true,
+    ...(max && { isLength: { options: { max }, errorMessage: `${label} must be at most ${max} characters` } })
+});
+
+const email = (label = 'Email') => ({
+    in: ['body'],
+    trim: true,
+    notEmpty: { errorMessage: `${label} is required`, bail: true },
+    isEmail: { errorMessage: `${label} must be a valid email address`, bail: true },
+    isLength: { options: { max: 255 }, errorMessage: `${label} must be at most 255 characters` }
+});
+
+// A password the user chooses: the rules of utils/passwords.js
+const newPassword = (label = 'Password') => ({
+    in: ['body'],
+    notEmpty: { errorMessage: `${label} is required`, bail: true },
+    custom: {
+        options: (value) => {
+            assertStrongPassword(value);
+            return true;
+        }
+    }
+});
+
+// An existing password or token, checked elsewhere; only its presence is validated here
+const secret = (label) => ({
+    in: ['body'],
+    isString: { errorMessage: `${label} is required`, bail: true },
+    notEmpty: { errorMessage: `${label} is required` }
+});
+
+const oneOf = (label, values, { required = true, location = 'body' } = {}) => ({
+    in: [location],
+    ...(required ? { exists: { errorMessage: `${label} is required`, bail: true } } : { optional }),
+    isIn: { options: [values], errorMessage: `${label} must be one of: ${values.join(', ')}` }
+});
+
+// A YYYY-MM-DD date that is not in the future
+const pastDate = (label) => ({
+    in: ['body'],
+    trim: true,
+    notEmpty: { errorMessage: `${label} is required`, bail: true },
+    custom: {
+        options: (value) => {
+            if (!isIsoDate(value)) {
+                throw new Error(`${label} must be a valid YYYY-MM-DD date`);
+            }
+            if (value > today()) {
+                throw new Error(`${label} cannot be in the future`);
+            }
+            return true;
+        }
+    }
+});
+
+// A YYYY-MM-DD date
+const isoDate = (label, location = 'body', { required = true } = {}) => ({
+    in: [location],
+    ...(required ? { notEmpty: { errorMessage: `${label} is required`, bail: true } } : { optional }),
+    custom: {
+        options: (value) => {
+            if (!isIsoDate(value)) {
+                throw new Error(`${label} must be a valid YYYY-MM-DD date`);
+            }
+            return true;
+        }
+    }
+});
+
+// A YYYY-MM month
+const period = (label = 'Period', location = 'body', { required = true } = {}) => ({
+    in: [location],
+    ...(required ? { notEmpty: { errorMessage: `${label} is required`, bail: true } } : { optional }),
+    matches: { options: /^\d{4}-(0[1-9]|1[0-2])$/, errorMessage: `${label} must be in YYYY-MM format` }
+});
+
+// A positive money amount in whole cents, as utils/money.js posts it
+const amount = (label = 'Amount') => ({
+    in: ['body'],
+    exists: { errorMessage: `${label} is required`, bail: true },
+    custom: {
+        options: (value) => {
+            if (!isValidAmount(value)) {
+                throw new Error(`${label} must be a positive number with at most two decimal places`);
+            }
+            return true;
+        }
+    }
+});
+
+// A whole number in [min, max]; page and limit query parameters use it too
+const wholeNumber = (label, { min = 1, max, location = 'body', required = true } = {}) => ({
+    in: [location],
+    ...(required ? { exists: { errorMessage: `${label} is required`, bail: true } } : { optional }),
+    isInt: {
+        options: { min, ...(max !== undefined && { max }) },
+        errorMessage: max !== undefined
+            ? `${label} must be a whole number between ${min} and ${max}`
+            : `${label} must be a whole number of at least ${min}`
+    }
+});
+
+const phone = (label = 'Phone') => ({
+    in: ['body'],
+    trim: true,
+    notEmpty: { errorMessage: `${label} is required`, bail: true },
+    matches: {
+        options: /^\+?[\d\s()-]{7,20}$/,
+        errorMessage: `${label} must be a phone number of 7 to 20 digits, spaces, dashes or brackets`
+    }
+});
+
+// An id in the URL or body; ids are UUIDs
+const id = (label, location = 'params', { required = true } = {}) => ({
+    in: [location],
+    ...(required ? { exists: { errorMessage: `${label} is required`, bail: true } } : { optional }),
+    isUUID: { errorMessage: `${label} is not a valid id` }
+});
+
+// A multer upload; `field` names an upload.fields() field, or is null for upload.single()
+const file = (label, field = null) => ({
+    in: ['body'],
+    custom: {
+        options: (value, { req }) => {
+            const present = field ? req.files && req.files[field] && req.files[field].length > 0 : !!req.file;
+            if (!present) {
+                throw new Error(`${label} is required`);
+            }
+            return true;
+        }
+    }
+});
+
+module.exports = {
+    UUID_PATTERN,
+    requiredString,
+    optionalString,
+    email,
+    newPassword,
+    secret,
+    oneOf,
+    pastDate,
+    isoDate,
+    period,
+    amount,
+    wholeNumber,
+    phone,
+    id,
+    file
+};
@@ -0,0 +1,56 @@
+const Service = require('../models/serviceModel');
+const rules = require('./rules');
+
+// Request schemas for routes/services.js, applied with middleware/validate.js
+
+const STATUSES = ['active', 'inactive'];
+
+const nonNegative = (label, { max } = {}) => ({
+    in: ['body'],
+    optional: true,
+    isFloat: {
+        options: { min: 0, ...(max !== undefined && { max }) },
+        errorMessage: max !== undefined
+            ? `${label} must be a number between 0 and ${max}`
+            : `${label} must be a non-negative number`
+    }
+});
+
+const service = {
+    serviceId: rules.id('Service')
+};
+
+// Terms of a service; on creation only the name and type are required
+const terms = {
+    description: rules.optionalString('Description', { max: 1000 }),
+    interestRate: nonNegative('Interest rate', { max: 100 }),
+    interestFrequency: rules.oneOf('Interest frequency', Service.INTEREST_FREQUENCIES, { required: false }),
+    minimumAmount: nonNegative('Minimum amount'),
+    maximumAmount: nonNegative('Maximum amount'),
+    unitPrice: nonNegative('Unit price')
+};
+
+const serviceCreation = {
+    name: rules.requiredString('Service name', { max: 255 }),
+    type: rules.oneOf('Service type', Service.TYPES),
+    ...terms
+};
+
+const serviceUpdate = {
+    ...service,
+    name: { ...rules.requiredString('Service name', { max: 255 }), optional: true },
+    type: rules.oneOf('Service type', Service.TYPES, { required: false }),
+    ...terms
+};
+
+const serviceList = {
+    type: rules.oneOf('Service type', Service.TYPES, { required: false, location: 'query' }),
+    status: rules.oneOf('Status', STATUSES, { required: false, location: 'query' })
+};
+
+module.exports = {
+    service,
+    serviceCreation,
+    serviceUpdate,
+    serviceList
+};
@@ -0,0 +1,91 @@
+const rules = require('./rules');
+const { isIsoDate } = require('../utils/dates');
+const { isValidAmount } = require('../utils/money');
+
+// Request schemas for routes/shares.js, applied with middleware/validate.js
+
+const RUN_STATUSES = ['preview', 'posted'];
+
+const given = value => value !== undefined && value !== null && value !== '';
+
+const movement = {
+    memberId: rules.id('Member', 'body'),
+    serviceId: rules.id('Share capital service', 'body'),
+    quantity: rules.wholeNumber('Quantity'),
+    referenceNumber: rules.optionalString('Reference number', { max: 100 })
+};
+
+const holdings = {
+    serviceId: rules.id('Service', 'query', { required: false }),
+    memberId: rules.id('Member', 'query', { required: false })
+};
+
+const memberMovements = {
+    memberId: rules.id('Member'),
+    serviceId: rules.id('Service', 'query', { required: false })
+};
+
+// A dividend is declared either as a rate on capital held or as a pool to share
+const dividendRun = {
+    serviceId: rules.id('Share capital service', 'body'),
+    creditServiceId: rules.id('Savings service to credit', 'body'),
+    periodStart: rules.isoDate('Period start'),
+    periodEnd: {
+        ...rules.isoDate('Period end'),
+        custom: {
+            options: (value, { req }) => {
+                if (!isIsoDate(value)) {
+                    throw new Error('Period end must be a valid YYYY-MM-DD date');
+                }
+                if (isIsoDate(req.body.periodStart) && value < req.body.periodStart) {
+                    throw new Error('Period end must be on or after period start');
+                }
+                return true;
+            }
+        }
+    },
+    rate: {
+        in: ['body'],
+        custom: {
+            options: (value, { req }) => {
+                if (given(value) === given(req.body.poolAmount)) {
+                    throw new Error('Provide either a dividend rate or a pool amount');
+                }
+                if (given(value) && !(Number(value) > 0 && Number(value) <= 100)) {
+                    throw new Error('Dividend rate must be a percentage between 0 and 100');
+                }
+                return true;
+            }
+        }
+    },
+    poolAmount: {
+        in: ['body'],
+        optional: { options: { values: 'falsy' } },
+        custom: {
+            options: (value) => {
+                if (!isValidAmount(value)) {
+                    throw new Error('Pool amount must be a positive number with at most two decimal places');
+                }
+                return true;
+            }
+        }
+    }
+};
+
+const runList = {
+    serviceId: rules.id('Service', 'query', { required: false }),
+    status: rules.oneOf('Status', RUN_STATUSES, { required: false, location: 'query' })
+};
+
+const run = {
+    runId: rules.id('Dividend run')
+};
+
+module.exports = {
+    movement,
+    holdings,
+    memberMovements,
+    dividendRun,
+    runList,
+    run
+};
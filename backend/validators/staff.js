@@ -0,0 +1,59 @@
+const User = require('../models/userModel');
+const rules = require('./rules');
+
+// Request schemas for routes/staff.js and routes/roles.js, applied with middleware/validate.js
+
+const permissions = {
+    in: ['body'],
+    isArray: { errorMessage: 'Permissions must be a list', bail: true },
+    custom: {
+        options: (value) => {
+            const unknown = value.filter(permission => !User.SOCIETY_PERMISSIONS[permission]);
+            if (unknown.length > 0) {
+                throw new Error(`Unknown permissions: ${unknown.join(', ')}; ` +
+                    `choose from ${Object.keys(User.SOCIETY_PERMISSIONS).join(', ')}`);
+            }
+            return true;
+        }
+    }
+};
+
+const invitation = {
+    email: rules.email(),
+    name: rules.requiredString('Name', { max: 255 }),
+    phone: { ...rules.phone(), optional: { options: { values: 'falsy' } } },
+    roleId: rules.id('Role', 'body')
+};
+
+const staffUser = {
+    userId: rules.id('Staff user')
+};
+
+const roleChange = {
+    userId: rules.id('Staff user'),
+    roleId: rules.id('Role', 'body')
+};
+
+const role = {
+    name: rules.requiredString('Role name', { max: 50 }),
+    description: rules.optionalString('Description', { max: 255 }),
+    permissions
+};
+
+const roleUpdate = {
+    roleId: rules.id('Role'),
+    ...role
+};
+
+const roleId = {
+    roleId: rules.id('Role')
+};
+
+module.exports = {
+    invitation,
+    staffUser,
+    roleChange,
+    role,
+    roleUpdate,
+    roleId
+};
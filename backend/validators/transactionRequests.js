@@ -0,0 +1,42 @@
+const TransactionRequest = require('../models/transactionRequestModel');
+const { history } = require('./transactions');
+const rules = require('./rules');
+
+// Request schemas for routes/transactionRequests.js and routes/me.js, applied with middleware/validate.js
+
+const transactionRequest = {
+    requestId: rules.id('Transaction request')
+};
+
+const requestList = {
+    memberId: rules.id('Member', 'query', { required: false }),
+    status: rules.oneOf('Status', TransactionRequest.STATUSES, { required: false, location: 'query' })
+};
+
+const review = {
+    ...transactionRequest,
+    note: rules.optionalString('Note', { max: 1000 })
+};
+
+// Self-service: the member is always the signed-in one, never a parameter
+const ownTransactions = history;
+
+const ownRequests = {
+    status: requestList.status
+};
+
+const submission = {
+    serviceId: rules.id('Service', 'body'),
+    transactionType: rules.oneOf('Transaction type', TransactionRequest.TYPES),
+    amount: rules.amount(),
+    description: rules.optionalString('Description', { max: 1000 })
+};
+
+module.exports = {
+    transactionRequest,
+    requestList,
+    review,
+    ownTransactions,
+    ownRequests,
+    submission
+};
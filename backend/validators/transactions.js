@@ -0,0 +1,40 @@
+const Transaction = require('../models/transactionModel');
+const { POSTING_TYPES } = require('../services/postingService');
+const rules = require('./rules');
+
+// Request schemas for routes/transactions.js, applied with middleware/validate.js
+
+const transaction = {
+    transactionId: rules.id('Transaction')
+};
+
+const posting = {
+    memberId: rules.id('Member', 'body'),
+    serviceId: rules.id('Service', 'body'),
+    transactionType: rules.oneOf('Transaction type', POSTING_TYPES),
+    amount: rules.amount(),
+    description: rules.optionalString('Description', { max: 1000 }),
+    referenceNumber: rules.optionalString('Reference number', { max: 100 })
+};
+
+// Filters shared with a member's own history (routes/me.js)
+const history = {
+    serviceId: rules.id('Service', 'query', { required: false }),
+    type: rules.oneOf('Transaction type', Transaction.TYPES, { required: false, location: 'query' }),
+    from: rules.isoDate('From', 'query', { required: false }),
+    to: rules.isoDate('To', 'query', { required: false }),
+    page: rules.wholeNumber('Page', { location: 'query', required: false }),
+    limit: rules.wholeNumber('Limit', { max: 200, location: 'query', required: false })
+};
+
+const transactionList = {
+    memberId: rules.id('Member', 'query', { required: false }),
+    ...history
+};
+
+module.exports = {
+    transaction,
+    posting,
+    history,
+    transactionList
+};
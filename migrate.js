@@ -0,0 +1,58 @@
+require('dotenv').config();
+
+// Import migration runner
+const migrator = require('./backend/config/migrator');
+
+// Usage: node migrate.js [up|down|status] [--to=<version>] [--steps=<n>]
+const parseArgs = () => {
+    const args = { command: 'up' };
+    for (const arg of process.argv.slice(2)) {
+        if (!arg.startsWith('--')) {
+            args.command = arg;
+            continue;
+        }
+        const [key, value] = arg.replace(/^--/, '').split('=');
+        args[key] = value;
+    }
+    return args;
+};
+
+const log = (message) => console.log(`   • ${message}`);
+
+async function runMigrations() {
+    const args = parseArgs();
+
+    if (args.command === 'up') {
+        console.log('🔧 Applying database migrations...');
+        const applied = await migrator.migrate({ to: args.to || null, log });
+        console.log(applied.length > 0
+            ? `✅ Applied ${applied.length} migration(s)`
+            : 'ℹ️  Database schema is up to date');
+    } else if (args.command === 'down') {
+        const steps = parseInt(args.steps) || 1;
+        console.log(`⏪ Rolling back ${steps} migration(s)...`);
+        const rolledBack = await migrator.rollback({ steps, log });
+        console.log(rolledBack.length > 0
+            ? `✅ Rolled back ${rolledBack.length} migration(s)`
+            : 'ℹ️  No applied migrations to roll back');
+    } else if (args.command === 'status') {
+        const migrations = await migrator.status();
+        console.log('📋 Migration status:');
+        for (const migration of migrations) {
+            const state = migration.missing
+                ? '⚠️  applied, file missing'
+                : migration.applied ? `✅ applied ${new Date(migration.appliedAt).toISOString()}` : '⏳ pending';
+            console.log(`   ${migration.version}_${migration.name}: ${state}`);
+        }
+    } else {
+        throw new Error(`Unknown command "${args.command}"; use up, down or status`);
+    }
+}
+
+// Run command
+runMigrations().then(() => {
+    process.exit(0);
+}).catch((error) => {
+    console.error('💥 Migration failed:', error.message);
+    process.exit(1);
+});
@@ -4,6 +4,7 @@ require('dotenv').config();
 
 // Import database connection
 const db = require('./backend/config/db');
+const { migrate } = require('./backend/config/migrator');
 
 async function setupDatabase() {
     try {
@@ -13,9 +14,9 @@ async function setupDatabase() {
         await db.query('SELECT 1');
         console.log('✅ Database connection successful');
 
-        // Initialize database tables
-        await db.initializeDatabase();
-        console.log('✅ Database tables created');
+        // Apply schema migrations
+        await migrate();
+        console.log('✅ Database schema migrated');
 
         // Check if developer user already exists
         const [existingDevelopers] = await db.query(
@@ -32,15 +33,15 @@ async function setupDatabase() {
         const hashedPassword = await bcrypt.hash('admin123', 12);
 
         await db.query(
-            `INSERT INTO users (id, email, password, name, phone, role, status) 
-             VALUES (?, ?, ?, ?, ?, 'developer', 'active')`,
+            `INSERT INTO users (id, email, password, name, phone, role, status, email_verified_at, must_change_password) 
+             VALUES (?, ?, ?, ?, ?, 'developer', 'active', CURRENT_TIMESTAMP, TRUE)`,
             [developerId, 'admin@coopbase.com', hashedPassword, 'System Administrator', '+1234567890']
         );
 
         console.log('✅ Default developer user created');
         console.log('📧 Email: admin@coopbase.com');
         console.log('🔑 Password: admin123');
-        console.log('⚠️  Please change the password after first login!');
+        console.log('⚠️  You will be asked to change this password at first login (POST /api/auth/password/change)');
 
     } catch (error) {
         console.error('❌ Setup failed:', error);
@@ -0,0 +1,35 @@
+require('dotenv').config();
+
+// Import audit chain verification
+const { verifyAuditChain } = require('./backend/services/auditService');
+
+// Usage: node verify-audit.js
+// Exits with status 2 if the audit log has been tampered with.
+async function verifyAudit() {
+    console.log('🔍 Verifying the audit log hash chain...');
+
+    const result = await verifyAuditChain({
+        onProgress: (checked) => process.stdout.write(`   • ${checked} entries checked\r`)
+    });
+
+    console.log(`   • ${result.checked} entries checked, last seq ${result.lastSeq}`);
+
+    if (result.ok) {
+        console.log('✅ Audit log is intact');
+        return 0;
+    }
+
+    console.log(`❌ Audit log has ${result.problems.length} problem(s):`);
+    for (const problem of result.problems) {
+        console.log(`   ⚠️  [${problem.type}] seq ${problem.seq}${problem.id ? ` (${problem.id})` : ''}: ${problem.message}`);
+    }
+    return 2;
+}
+
+// Run verification
+verifyAudit().then((exitCode) => {
+    process.exit(exitCode);
+}).catch((error) => {
+    console.error('💥 Audit verification failed:', error.message);
+    process.exit(1);
+});